@@ -180,6 +180,33 @@ class InspectionDaoTest {
         assertTrue("Batch 结果不应包含已同步记录", batch.none { it.syncStatus == 2 })
     }
 
+    /**
+     * 测试被服务器拒绝的记录不阻塞批量同步。
+     *
+     * **目标：** 验证 [InspectionDao.getBatchUnfinishedRecords] 跳过 syncStatus=3 的记录，
+     * 且 [InspectionDao.resetRejectedRecords] 能将其放回上传队列并清空 serverUrl。
+     */
+    @Test
+    fun rejectedRecordsSkippedAndReset() = runBlocking {
+        // Arrange: 最早的 5 条被拒绝 (旧版路径)，之后 1 条待上传
+        dao.insertTask(InspectionTask(taskId = "t1", title = "Parent"))
+        for (i in 1..5) {
+            dao.insertRecord(InspectionRecord(recordId = "bad$i", taskId = "t1", localPath = "p$i", serverUrl = "https://oss/images/t1/$i.jpg", syncStatus = 3, captureTime = i.toLong(), latitude = 0.0, longitude = 0.0))
+        }
+        dao.insertRecord(InspectionRecord(recordId = "new", taskId = "t1", localPath = "p6", syncStatus = 0, captureTime = 100, latitude = 0.0, longitude = 0.0))
+
+        // Act & Assert: 批次只包含新记录，计数不含被拒绝的记录
+        val batch = dao.getBatchUnfinishedRecords(limit = 5)
+        assertEquals(listOf("new"), batch.map { it.recordId })
+        assertEquals(1, dao.getUnfinishedCount().first())
+
+        // Act & Assert: 重置后重新进入上传流程
+        assertEquals(5, dao.resetRejectedRecords("t1"))
+        val retried = dao.getBatchUnfinishedRecords(limit = 10)
+        assertEquals(6, retried.size)
+        assertTrue("重置后应重新上传图片", retried.all { it.syncStatus == 0 && it.serverUrl == null })
+    }
+
     // -------------------------------------------------------------------------
     // Region: 数据清理与维护 (Cleanup)
     // -------------------------------------------------------------------------
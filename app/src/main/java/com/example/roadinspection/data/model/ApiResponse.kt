@@ -12,7 +12,11 @@ data class ApiResponse<T>(
     // 后端返回的是 { "code": 200, "message": "..." }
     val message: String,
 
-    val data: T?        // 实际业务数据
+    val data: T?,       // 实际业务数据
+
+    // 分页接口 (如 /api/task/list?limit=) 才会返回，其余接口为 null
+    val total: Int? = null,         // 过滤后的总条数
+    val nextCursor: String? = null  // 下一页游标，null 表示没有更多
 ) {
     // 方便判断业务是否成功
     val isSuccess: Boolean
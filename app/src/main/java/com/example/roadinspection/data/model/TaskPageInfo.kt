@@ -0,0 +1,11 @@
+package com.example.roadinspection.data.model
+
+/**
+ * 任务列表的分页状态，回传给前端用于控制 "加载更多"。
+ * @param total 服务器上该用户的任务总数
+ * @param hasMore 服务器上是否还有未拉取的更早任务
+ */
+data class TaskPageInfo(
+    val total: Int = 0,
+    val hasMore: Boolean = false
+)
@@ -1,6 +1,8 @@
 package com.example.roadinspection.data.repository
 
 import android.content.Context
+import com.example.roadinspection.data.model.ApiResponse
+import com.example.roadinspection.data.model.TaskPageInfo
 import com.example.roadinspection.data.source.local.AppDatabase
 import com.example.roadinspection.data.source.local.InspectionDao
 import com.example.roadinspection.data.source.local.InspectionRecord
@@ -9,12 +11,16 @@ import com.example.roadinspection.data.source.local.TokenManager
 import com.example.roadinspection.data.source.remote.LogoutReq
 import com.example.roadinspection.data.source.remote.TaskDto
 import com.example.roadinspection.data.source.remote.RecordDto
+import com.example.roadinspection.data.source.remote.SignedPhotoDto
 import com.example.roadinspection.data.source.remote.UpdateProfileReq
 import com.example.roadinspection.data.source.remote.UserDto
 import com.example.roadinspection.di.NetworkModule
 import com.example.roadinspection.di.NetworkModule.api
+import com.google.gson.Gson
 import kotlinx.coroutines.flow.Flow
+import retrofit2.HttpException
 import java.io.File
+import java.util.concurrent.ConcurrentHashMap
 
 /**
  * 巡检数据仓库 (Repository)。
@@ -32,6 +38,22 @@ import java.io.File
  */
 class InspectionRepository(private val dao: InspectionDao) {
 
+    companion object {
+        /** 任务列表每页从服务器拉取的条数 */
+        private const val TASK_PAGE_SIZE = 30
+
+        /** 签名地址在过期前多久即视为失效 (给图片加载留出余量) */
+        private const val SIGNED_URL_MARGIN_MS = 60_000L
+    }
+
+    // 任务列表的服务器分页游标 (null 表示已拉到最后一页)
+    @Volatile private var taskNextCursor: String? = null
+    @Volatile private var taskTotal: Int = 0
+
+    // 照片签名访问地址缓存 (key 为 serverUrl)
+    // 签名地址会过期，只放内存，不写入 Room
+    private val signedPhotos = ConcurrentHashMap<String, SignedPhotoDto>()
+
     // -------------------------------------------------------------------------
     // Region: 供调用的业务方法
     // -------------------------------------------------------------------------
@@ -147,6 +169,15 @@ class InspectionRepository(private val dao: InspectionDao) {
      */
     val unfinishedCount: Flow<Int> = dao.getUnfinishedCount()
 
+    /**
+     * 将任务下被服务器拒绝的记录重新放回上传队列。
+     *
+     * @return 被重置的记录数
+     */
+    suspend fun resetRejectedRecords(taskId: String): Int {
+        return dao.resetRejectedRecords(taskId)
+    }
+
     /**
      * 执行本地存储清理策略：保留数据库记录，仅删除物理图片文件。
      *
@@ -215,17 +246,37 @@ class InspectionRepository(private val dao: InspectionDao) {
     }
 
     /**
-     * 【智能同步】从网络拉取最新任务列表并合并到本地。
+     * 【智能同步】从网络拉取最新一页任务并合并到本地。
      *
      * **合并策略：**
      * 1. 采用 "Smart Merge" 策略，优先保护本地未同步 (Dirty) 的修改。
      * 2. 仅更新那些本地状态为 "已同步(SyncState=2)" 或 "新下载" 的任务。
      *
+     * **分页：** 只拉取最新的 [TASK_PAGE_SIZE] 条并重置游标，更早的任务由 [loadMoreTasksFromNetwork] 按需拉取。
+     *
+     * @return 当前分页状态
      * @throws Exception 网络请求失败时抛出，由调用方捕获日志，不影响本地数据显示。
      */
-    suspend fun syncTasksFromNetwork(userId: String) {
+    suspend fun syncTasksFromNetwork(userId: String): TaskPageInfo {
+        taskNextCursor = null
+        return fetchTaskPage(userId, cursor = null)
+    }
+
+    /**
+     * 从网络拉取下一页 (更早的) 任务并合并到本地。
+     * 合并后 Room 会通知 [getAllTasks] 的 Flow 推送完整列表。
+     *
+     * @return 当前分页状态；已无更多时直接返回，不发起请求
+     * @throws Exception 网络请求失败时抛出
+     */
+    suspend fun loadMoreTasksFromNetwork(userId: String): TaskPageInfo {
+        val cursor = taskNextCursor ?: return TaskPageInfo(taskTotal, hasMore = false)
+        return fetchTaskPage(userId, cursor)
+    }
+
+    private suspend fun fetchTaskPage(userId: String, cursor: String?): TaskPageInfo {
         // 1. 发起网络请求
-        val response = api.fetchTasks(userId)
+        val response = api.fetchTasks(userId, limit = TASK_PAGE_SIZE, cursor = cursor)
 
         if (response.isSuccess && response.data != null) {
             val networkTasks = response.data.map { it.toEntity() }
@@ -233,6 +284,11 @@ class InspectionRepository(private val dao: InspectionDao) {
             // 2. 交给 DAO 进行事务级智能合并
             // 性能优化：DAO 内部会过滤掉本地正在修改的任务
             dao.smartMergeTasks(networkTasks)
+
+            // 3. 记录游标，供下一次 "加载更多" 使用
+            taskNextCursor = response.nextCursor
+            taskTotal = response.total ?: networkTasks.size
+            return TaskPageInfo(taskTotal, hasMore = taskNextCursor != null)
         } else {
             throw RuntimeException("Sync tasks failed: ${response.message}")
         }
@@ -247,9 +303,14 @@ class InspectionRepository(private val dao: InspectionDao) {
     suspend fun syncRecordsFromNetwork(taskId: String) {
         try {
             // 1. 发起网络请求
-            val response = api.fetchRecords(taskId)
+            val response = api.fetchRecords(taskId, signUrls = true)
 
             if (response.isSuccess && response.data != null) {
+                // 先缓存签名地址，再合并入库 (Room 发射新数据时即可取到)
+                response.data.forEach { dto ->
+                    dto.photo?.let { signedPhotos[dto.serverUrl] = it }
+                }
+
                 val networkRecords = response.data.map { it.toEntity() }
 
                 // 2. 调用 DAO 进行智能合并
@@ -263,15 +324,44 @@ class InspectionRepository(private val dao: InspectionDao) {
         }
     }
 
+    /**
+     * 获取照片的签名访问地址 (来自最近一次 [syncRecordsFromNetwork])。
+     *
+     * @param serverUrl 记录中保存的照片地址
+     * @return 未缓存或即将过期时返回 null，调用方应降级使用 serverUrl
+     */
+    fun getSignedPhoto(serverUrl: String?): SignedPhotoDto? {
+        if (serverUrl == null) return null
+        val photo = signedPhotos[serverUrl] ?: return null
+        return if (photo.expiresAt - SIGNED_URL_MARGIN_MS > System.currentTimeMillis()) photo else null
+    }
+
     /**
      * 更新个人资料
+     *
+     * 后端对不符合密码策略、当前密码错误等情况返回 400，
+     * 此时从错误响应体中取出 message 抛出，供前端直接展示。
+     *
+     * @param currentPassword 当前密码，修改自己的密码时必填
      */
-    suspend fun updateProfile(userId: String, newUsername: String?, newPassword: String?): UserDto? {
+    suspend fun updateProfile(
+        userId: String,
+        newUsername: String?,
+        newPassword: String?,
+        currentPassword: String?
+    ): UserDto? {
         // 构建请求体
-        val req = UpdateProfileReq(newUsername, newPassword)
+        val req = UpdateProfileReq(newUsername, newPassword, currentPassword)
 
         // 发起请求
-        val response = api.updateProfile(userId, req)
+        val response = try {
+            api.updateProfile(userId, req)
+        } catch (e: HttpException) {
+            val message = e.response()?.errorBody()?.string()?.let { body ->
+                runCatching { Gson().fromJson(body, ApiResponse::class.java)?.message }.getOrNull()
+            }
+            throw Exception(message ?: "更新失败 (HTTP ${e.code()})")
+        }
 
         if (response.isSuccess) {
             return response.data
@@ -122,22 +122,35 @@ interface InspectionDao {
     /**
      * 批量获取未完成同步的巡检记录。
      *
-     * **查询逻辑：** 筛选 `sync_status != 2 (SYNCED)` 的记录。
+     * **查询逻辑：** 筛选 `sync_status IN (0, 1)` 的记录。
+     * 已被服务器拒绝 (3) 的记录不参与自动同步，否则最早的几条坏记录会一直占满批次，
+     * 导致之后的记录永远无法上传。
      * WorkManager 应采用循环处理机制：处理完一批 -> 再次查询 -> 直至列表为空。
      *
      * @param limit 单次拉取的最大数量 (由调用者决定)
      * @return 待处理的记录列表 (按拍摄时间升序排列)
      */
-    @Query("SELECT * FROM inspection_records WHERE sync_status != 2 ORDER BY capture_time ASC LIMIT :limit")
+    @Query("SELECT * FROM inspection_records WHERE sync_status IN (0, 1) ORDER BY capture_time ASC LIMIT :limit")
     suspend fun getBatchUnfinishedRecords(limit: Int): List<InspectionRecord>
 
     /**
      * 获取当前剩余待上传的记录总数。
      * 用于 UI 显示同步进度 (例如 "待上传: 5")。
      */
-    @Query("SELECT COUNT(*) FROM inspection_records WHERE sync_status != 2")
+    @Query("SELECT COUNT(*) FROM inspection_records WHERE sync_status IN (0, 1)")
     fun getUnfinishedCount(): Flow<Int>
 
+    /**
+     * 重置指定任务下被服务器拒绝 (3) 的记录，使其重新进入上传流程。
+     *
+     * 同时清空 `server_url`：拒绝原因可能是旧版本上传的对象路径不再被服务端接受
+     * (如 `images/{taskId}/`)，因此需要按当前凭证的前缀重新上传图片。
+     *
+     * @return 被重置的记录数
+     */
+    @Query("UPDATE inspection_records SET sync_status = 0, server_url = NULL WHERE task_id = :taskId AND sync_status = 3")
+    suspend fun resetRejectedRecords(taskId: String): Int
+
     // -------------------------------------------------------------------------
     // Region: 数据清理与维护
     // -------------------------------------------------------------------------
@@ -62,6 +62,8 @@ data class InspectionRecord(
      * - **0 (PENDING)**: 待上传。照片仅保存在本地。
      * - **1 (IMAGE_UPLOADED)**: 图片已上传至 OSS，但业务数据尚未提交给后端。
      * - **2 (SYNCED)**: 已完成。图片和业务数据均已成功同步至服务器。
+     * - **3 (REJECTED)**: 元数据被服务器拒绝 (批量提交返回 invalid)。不再自动重试，
+     *   由用户在任务详情页点击“重新上传”，经 [InspectionDao.resetRejectedRecords] 回到 0 重新走完整流程。
      */
     @ColumnInfo(name = "sync_status")
     val syncStatus: Int = 0,
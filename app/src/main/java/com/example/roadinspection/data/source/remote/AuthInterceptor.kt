@@ -1,40 +1,63 @@
 package com.example.roadinspection.data.source.remote
 
+import android.util.Log
 import com.example.roadinspection.data.source.local.TokenManager
 import okhttp3.Interceptor
 import okhttp3.Response
+import java.util.UUID
 
 /**
  * 认证拦截器 (兼容 OkHttp 3.x).
  *
  * **职责：**
- * 自动将本地存储的 Access Token 添加到每个 HTTP 请求的 Header 中。
- * 格式: Authorization: Bearer <token>
+ * 1. 自动将本地存储的 Access Token 添加到每个 HTTP 请求的 Header 中。
+ *    格式: Authorization: Bearer <token>
+ * 2. 为每个请求生成请求 ID (X-Request-Id)，后端沿用该 ID 写入日志并在响应头中回传。
+ *    请求失败时在 Logcat 中打印该 ID，据此即可在服务端日志中定位同一次请求 (如一次失败的上传)。
  */
 class AuthInterceptor : Interceptor {
+
+    companion object {
+        private const val TAG = "AuthInterceptor"
+
+        /** 请求 ID 头 (与后端约定) */
+        const val REQUEST_ID_HEADER = "X-Request-Id"
+
+        /** 生成新的请求 ID */
+        fun newRequestId(): String = UUID.randomUUID().toString()
+    }
+
     override fun intercept(chain: Interceptor.Chain): Response {
-        val originalRequest = chain.request()
+        // 已带请求 ID 的请求 (如 TokenAuthenticator 刷新后的重试) 沿用原 ID
+        val originalRequest = chain.request().let { request ->
+            if (request.header(REQUEST_ID_HEADER) != null) request
+            else request.newBuilder().header(REQUEST_ID_HEADER, newRequestId()).build()
+        }
 
         // 【关键修改】 OkHttp 3.x 必须使用方法调用 url() 和 encodedPath()
         val path = originalRequest.url().encodedPath()
 
         // 白名单判断：如果是刷新 Token 的请求，本身就不需要带 Access Token，直接放行
-        if (path.contains("/api/auth/refresh") ||
+        val isAuthRequest = path.contains("/api/auth/refresh") ||
             path.contains("/api/auth/login") ||
-            path.contains("/api/auth/register")) {
-            return chain.proceed(originalRequest)
-        }
+            path.contains("/api/auth/register")
 
         val token = TokenManager.accessToken
 
-        return if (token.isNullOrEmpty()) {
-            chain.proceed(originalRequest)
+        val request = if (isAuthRequest || token.isNullOrEmpty()) {
+            originalRequest
         } else {
             // 重新构建请求，添加 Header
-            val newRequest = originalRequest.newBuilder()
+            originalRequest.newBuilder()
                 .header("Authorization", "Bearer $token")
                 .build()
-            chain.proceed(newRequest)
         }
+
+        val response = chain.proceed(request)
+        if (!response.isSuccessful) {
+            val requestId = response.header(REQUEST_ID_HEADER) ?: request.header(REQUEST_ID_HEADER)
+            Log.w(TAG, "请求失败: ${request.method()} $path -> HTTP ${response.code()}, $REQUEST_ID_HEADER=$requestId")
+        }
+        return response
     }
-}
\ No newline at end of file
+}
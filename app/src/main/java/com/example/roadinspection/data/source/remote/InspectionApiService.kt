@@ -13,16 +13,31 @@ import com.example.roadinspection.data.model.ApiResponse
 // -------------------------------------------------------------------------
 
 /**
- * 阿里云 STS 临时凭证数据。
- * 对应 /api/oss/sts 接口的 data 字段 [cite: 29]。
+ * 对象存储临时上传凭证。
+ * 对应 /api/storage/credentials 接口的 data 字段 [cite: 29]，结构取决于后端的存储驱动 [provider]：
+ * - "aliyun" (旧版后端不返回 provider，同样视为 aliyun): 使用 STS Token 直传 OSS
+ * - "local": 使用后端签发的 uploadUrl + signature 直接 PUT 到后端 (内网部署)
  */
 data class StsCredentials(
-    val accessKeyId: String,
-    val accessKeySecret: String,
-    val stsToken: String,
-    val region: String, // e.g., "oss-cn-shanghai"
-    val bucket: String  // e.g., "road-inspection-dev"
-)
+    val provider: String? = null,
+
+    // --- aliyun ---
+    val accessKeyId: String? = null,
+    val accessKeySecret: String? = null,
+    val stsToken: String? = null,
+    val region: String? = null, // e.g., "oss-cn-shanghai"
+    val bucket: String? = null, // e.g., "road-inspection-dev"
+
+    // 凭证授权的 key 前缀 (用户/任务目录)，ObjectKey 必须以此开头，e.g., "images/{userId}/{taskId}/"
+    val prefix: String? = null,
+
+    // --- local ---
+    val uploadUrl: String? = null, // e.g., "http://10.0.0.2:3000/storage/local"
+    val expires: Long? = null,     // 签名过期时间 (Unix 秒)
+    val signature: String? = null
+) {
+    val isLocal: Boolean get() = provider == "local"
+}
 
 data class TaskDto(
     val taskId: String,
@@ -40,7 +55,18 @@ data class RecordDto(
     val captureTime: Long,
     val address: String,
     val rawLat: Double,
-    val rawLng: Double
+    val rawLng: Double,
+    val photo: SignedPhotoDto? = null // 仅在请求 signUrls=true 时返回
+)
+
+/**
+ * 照片的临时访问地址 (私有 Bucket 需签名才能访问)。
+ * 对应 /api/record/:recordId/photo 的 data 字段，也会内嵌在 /api/record/list?signUrls=true 的结果中。
+ */
+data class SignedPhotoDto(
+    val url: String,
+    val thumbnails: Map<String, String>? = null, // e.g., {"thumb": "https://..."}
+    val expiresAt: Long // 过期时间 (Unix ms)
 )
 
 data class UserDto(
@@ -95,9 +121,38 @@ data class SubmitRecordReq(
     val pavementDistress: String?,
 )
 
+/**
+ * 批量提交记录请求体 (单次最多 200 条)
+ */
+data class BatchRecordReq(
+    val records: List<SubmitRecordReq>
+)
+
+/**
+ * 批量提交中单条记录的处理结果
+ * @param status created=新写入, duplicate=服务器已存在, invalid=数据非法 (见 message)
+ */
+data class BatchRecordResult(
+    val recordId: String?,
+    val status: String,
+    val message: String? = null
+)
+
+data class BatchRecordResp(
+    val created: Int,
+    val duplicate: Int,
+    val invalid: Int,
+    val results: List<BatchRecordResult>
+)
+
+/**
+ * 修改个人资料请求体。
+ * 修改自己的密码时必须携带 [currentPassword]。
+ */
 data class UpdateProfileReq(
     val newUsername: String? = null,
-    val newPassword: String? = null
+    val newPassword: String? = null,
+    val currentPassword: String? = null
 )
 
 data class LogoutReq(val refreshToken: String)
@@ -143,11 +198,12 @@ interface InspectionApiService {
     ): ApiResponse<UserDto>
 
     /**
-     * 获取 OSS 临时上传凭证 (STS Token)。
+     * 获取对象存储临时上传凭证 (aliyun 为 STS Token，local 为签名上传地址)。
+     * 凭证只允许上传到该用户该任务的目录下 (见 [StsCredentials.prefix])。
      * [cite: 23, 24]
      */
-    @GET("/api/oss/sts")
-    suspend fun getStsToken(): ApiResponse<StsCredentials>
+    @GET("/api/storage/credentials")
+    suspend fun getStsToken(@Query("taskId") taskId: String): ApiResponse<StsCredentials>
 
     /**
      * 创建或同步巡检任务。
@@ -172,19 +228,35 @@ interface InspectionApiService {
     @POST("/api/record/submit")
     suspend fun submitRecord(@Body req: SubmitRecordReq): ApiResponse<Unit>
 
+    /**
+     * 批量提交病害记录 (离线积压补传)。
+     * 以 recordId 幂等去重，每条记录独立返回 created / duplicate / invalid。
+     */
+    @POST("/api/record/batch")
+    suspend fun submitRecordBatch(@Body req: BatchRecordReq): ApiResponse<BatchRecordResp>
+
     /**
      * 获取任务列表。
+     * 传入 limit 即启用游标分页，响应中的 nextCursor 用于请求下一页；
+     * limit 与 cursor 均为 null 时返回全部任务。
      * [cite: 63]
      */
     @GET("/api/task/list")
-    suspend fun fetchTasks(@Query("userId") userId: String): ApiResponse<List<TaskDto>>
+    suspend fun fetchTasks(
+        @Query("userId") userId: String,
+        @Query("limit") limit: Int? = null,
+        @Query("cursor") cursor: String? = null
+    ): ApiResponse<List<TaskDto>>
 
     /**
      * 获取指定任务的照片记录。
      * [cite: 64]
      */
     @GET("/api/record/list")
-    suspend fun fetchRecords(@Query("taskId") taskId: String): ApiResponse<List<RecordDto>>
+    suspend fun fetchRecords(
+        @Query("taskId") taskId: String,
+        @Query("signUrls") signUrls: Boolean? = null
+    ): ApiResponse<List<RecordDto>>
 
     /**
      * 刷新 Token 接口。
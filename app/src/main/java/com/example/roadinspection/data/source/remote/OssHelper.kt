@@ -10,30 +10,48 @@ import com.alibaba.sdk.android.oss.common.auth.OSSStsTokenCredentialProvider
 import com.alibaba.sdk.android.oss.model.PutObjectRequest
 import com.alibaba.sdk.android.oss.callback.OSSCompletedCallback
 import com.alibaba.sdk.android.oss.model.PutObjectResult
+import kotlinx.coroutines.Dispatchers
 import kotlinx.coroutines.suspendCancellableCoroutine
+import kotlinx.coroutines.withContext
+import okhttp3.HttpUrl
+import okhttp3.MediaType
+import okhttp3.OkHttpClient
+import okhttp3.Request
+import okhttp3.RequestBody
 import java.io.File
+import java.util.concurrent.TimeUnit
 import kotlin.coroutines.resume
 import kotlin.coroutines.resumeWithException
 
 /**
- * 阿里云 OSS 上传辅助类。
+ * 对象存储上传辅助类。
  *
  * **职责：**
- * 1. 初始化 OSS 客户端 (使用 STS 临时凭证)。
+ * 1. 根据后端返回的凭证类型选择上传方式 (阿里云 OSS / 后端本地存储)。
  * 2. 执行文件上传操作。
- * 3. 生成公网可访问的图片 URL。
+ * 3. 生成可访问的图片 URL。
  */
 object OssHelper {
 
     private const val TAG = "OssHelper"
 
+    // 本地存储直传使用的 OkHttp 客户端
+    // 不挂 AuthInterceptor：上传地址由签名鉴权，与直传 OSS 一致
+    private val localUploadClient: OkHttpClient by lazy {
+        OkHttpClient.Builder()
+            .connectTimeout(15, TimeUnit.SECONDS)
+            .writeTimeout(60, TimeUnit.SECONDS)
+            .readTimeout(15, TimeUnit.SECONDS)
+            .build()
+    }
+
     /**
-     * 上传图片到阿里云 OSS (协程挂起函数)。
+     * 上传图片 (协程挂起函数)。
      *
      * @param context Android 上下文
      * @param localPath 本地文件绝对路径
-     * @param taskId 关联的任务 ID (用于生成云端文件夹路径)
-     * @param credentials 从后端 /api/oss/sts 获取的临时凭证 [cite: 29]
+     * @param taskId 关联的任务 ID (旧版后端未返回 prefix 时用于生成云端文件夹路径)
+     * @param credentials 从后端 /api/storage/credentials 获取的临时凭证 [cite: 29]
      * @return 上传成功后的完整网络 URL (serverUrl)
      * @throws Exception 上传失败时抛出异常
      */
@@ -42,13 +60,74 @@ object OssHelper {
         localPath: String,
         taskId: String,
         credentials: StsCredentials
-    ): String = suspendCancellableCoroutine { continuation ->
-
+    ): String {
         val file = File(localPath)
         if (!file.exists()) {
-            continuation.resumeWithException(IllegalArgumentException("文件不存在: $localPath"))
-            return@suspendCancellableCoroutine
+            throw IllegalArgumentException("文件不存在: $localPath")
+        }
+
+        // 构建 ObjectKey (云端文件名)
+        // 格式: {prefix}{timestamp}_{fileName}，prefix 由后端按用户与任务签发: images/{userId}/{taskId}/
+        // 凭证只授权该目录，后端提交记录时同样会校验 serverUrl 是否位于该目录内
+        val prefix = credentials.prefix
+            ?: throw IllegalStateException("上传凭证缺少 prefix，无法确定授权目录: Task=$taskId")
+        val objectKey = "$prefix${System.currentTimeMillis()}_${file.name}"
+
+        return if (credentials.isLocal) {
+            uploadToLocal(file, objectKey, credentials)
+        } else {
+            uploadToOss(context, localPath, objectKey, credentials)
         }
+    }
+
+    /**
+     * 上传到后端本地存储 (STORAGE_PROVIDER=local)。
+     * PUT {uploadUrl}/{objectKey}?prefix=&expires=&signature=
+     */
+    private suspend fun uploadToLocal(
+        file: File,
+        objectKey: String,
+        credentials: StsCredentials
+    ): String = withContext(Dispatchers.IO) {
+        val objectUrl = "${credentials.uploadUrl}/$objectKey"
+        val url = HttpUrl.parse(objectUrl)?.newBuilder()
+            ?.addQueryParameter("prefix", credentials.prefix.orEmpty())
+            ?.addQueryParameter("expires", credentials.expires?.toString())
+            ?.addQueryParameter("signature", credentials.signature)
+            ?.build()
+            ?: throw IllegalArgumentException("上传地址无效: $objectUrl")
+
+        // 本地存储由后端接收，同样携带请求 ID，失败时可据此在服务端日志中定位
+        val requestId = AuthInterceptor.newRequestId()
+        val request = Request.Builder()
+            .url(url)
+            .header(AuthInterceptor.REQUEST_ID_HEADER, requestId)
+            .put(RequestBody.create(MediaType.parse("image/jpeg"), file))
+            .build()
+
+        Log.d(TAG, "开始上传(本地存储): ${file.path} -> $objectKey, ${AuthInterceptor.REQUEST_ID_HEADER}=$requestId")
+
+        localUploadClient.newCall(request).execute().use { response ->
+            if (!response.isSuccessful) {
+                throw Exception(
+                    "本地存储上传失败: HTTP ${response.code()}, ${AuthInterceptor.REQUEST_ID_HEADER}=$requestId"
+                )
+            }
+        }
+
+        Log.d(TAG, "上传成功: $objectUrl")
+        objectUrl
+    }
+
+    /**
+     * 上传到阿里云 OSS (STORAGE_PROVIDER=aliyun)。
+     */
+    private suspend fun uploadToOss(
+        context: Context,
+        localPath: String,
+        objectKey: String,
+        credentials: StsCredentials
+    ): String = suspendCancellableCoroutine { continuation ->
 
         // 1. 配置认证信息 (使用 STS Token)
         val credentialProvider = OSSStsTokenCredentialProvider(
@@ -69,23 +148,19 @@ object OssHelper {
         val endpoint = "https://${credentials.region}.aliyuncs.com"
         val oss = OSSClient(context, endpoint, credentialProvider, conf)
 
-        // 4. 构建 ObjectKey (云端文件名)
-        // 格式: images/{taskId}/{timestamp}_{fileName}
-        val objectKey = "images/$taskId/${System.currentTimeMillis()}_${file.name}"
-
-        // 5. 构建上传请求
+        // 4. 构建上传请求
         val put = PutObjectRequest(credentials.bucket, objectKey, localPath)
 
         Log.d(TAG, "开始上传: $localPath -> $objectKey")
 
-        // 6. 异步执行上传
+        // 5. 异步执行上传
         val task = oss.asyncPutObject(put, object:
             OSSCompletedCallback<PutObjectRequest, PutObjectResult> {
 
             override fun onSuccess(request: PutObjectRequest?, result: PutObjectResult?) {
                 Log.d(TAG, "上传成功: ETag=${result?.eTag}")
 
-                // 7. 拼接公网访问 URL
+                // 6. 拼接公网访问 URL
                 // 格式: https://{bucket}.{region}.aliyuncs.com/{objectKey}
                 // 注意：如果 bucket 是私有的，这里还需要进行签名。假设目前是公共读或需后端签名，
                 // 这里先返回基础 URL 供后端存储。
@@ -98,7 +173,10 @@ object OssHelper {
             }
 
             override fun onFailure(request: PutObjectRequest?, clientException: ClientException?, serviceException: ServiceException?) {
-                val errorMsg = clientException?.message ?: serviceException?.rawMessage ?: "未知错误"
+                // OSS 服务端错误附带其 RequestId，可提供给阿里云工单排查
+                val errorMsg = clientException?.message
+                    ?: serviceException?.let { "${it.rawMessage} (OSS RequestId=${it.requestId})" }
+                    ?: "未知错误"
                 Log.e(TAG, "上传失败: $errorMsg")
 
                 // 恢复协程，抛出异常
@@ -16,7 +16,7 @@ interface AndroidNativeApi {
     fun tryAutoLogin(): String
 
     @JavascriptInterface
-    fun updateProfile(userId: String, newUsername: String?, newPassword: String?)
+    fun updateProfile(userId: String, newUsername: String?, newPassword: String?, currentPassword: String?)
 
     @JavascriptInterface
     fun getApiBaseUrl(): String
@@ -54,9 +54,15 @@ interface AndroidNativeApi {
     @JavascriptInterface
     fun fetchTasks(userId: String)
 
+    @JavascriptInterface
+    fun loadMoreTasks(userId: String)
+
     @JavascriptInterface
     fun fetchRecords(taskId: String)
 
+    @JavascriptInterface
+    fun retryRejectedRecords(taskId: String)
+
     @JavascriptInterface
     fun logout()
 }
\ No newline at end of file
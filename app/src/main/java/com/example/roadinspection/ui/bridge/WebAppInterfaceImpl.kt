@@ -9,12 +9,16 @@ import android.widget.Toast
 import androidx.activity.result.ActivityResultLauncher
 import com.example.roadinspection.BuildConfig
 import com.example.roadinspection.data.model.ApiResponse
+import com.example.roadinspection.data.model.TaskPageInfo
 import com.example.roadinspection.data.repository.InspectionRepository
+import com.example.roadinspection.data.source.local.InspectionRecord
 import com.example.roadinspection.data.source.local.TokenManager
 import com.example.roadinspection.domain.inspection.InspectionManager
 import com.example.roadinspection.ui.screen.inspection.InspectionActivity
 import com.example.roadinspection.utils.invokeJsCallback
+import com.example.roadinspection.worker.WorkManagerConfig
 import com.google.gson.Gson
+import com.google.gson.JsonObject
 import kotlinx.coroutines.CoroutineScope
 import kotlinx.coroutines.Dispatchers
 import kotlinx.coroutines.Job
@@ -192,7 +196,10 @@ class AndroidNativeApiImpl(
                 // ---------------------------------------------------------
                 // 这是一个挂起函数，但它发生异常不会打断上面的 Flow (因为我们在不同的子协程或 try-catch 块中)
                 // 如果同步成功，Room 数据更新，上面的 collect 会自动收到新数据。
-                repository.syncTasksFromNetwork(userId)
+                val pageInfo = repository.syncTasksFromNetwork(userId)
+
+                // 告知前端分页状态，用于控制列表底部的 "加载更多"
+                webViewRef.get()?.invokeJsCallback("onTaskPageLoaded", gson.toJson(ApiResponse.success(pageInfo)))
 
             } catch (e: Exception) {
                 // 处理同步过程中可能的顶层异常
@@ -203,6 +210,24 @@ class AndroidNativeApiImpl(
         }
     }
 
+    /**
+     * 加载下一页任务 (前端列表滚动到底部时触发)。
+     * 新数据写入 Room 后，由 [fetchTasks] 中已建立的 Flow 推送完整列表，
+     * 这里只负责回调分页状态 onTaskPageLoaded。
+     */
+    @JavascriptInterface
+    override fun loadMoreTasks(userId: String) {
+        scope.launch(Dispatchers.IO) {
+            val response = try {
+                ApiResponse.success(repository.loadMoreTasksFromNetwork(userId))
+            } catch (e: Exception) {
+                Log.w(TAG, "loadMoreTasks 失败: ${e.message}")
+                ApiResponse.error<TaskPageInfo>("加载更多失败: ${e.message}")
+            }
+            webViewRef.get()?.invokeJsCallback("onTaskPageLoaded", gson.toJson(response))
+        }
+    }
+
     @JavascriptInterface
     override fun fetchRecords(taskId: String) {
         currentRecordsJob?.cancel()
@@ -213,7 +238,7 @@ class AndroidNativeApiImpl(
                     repository.getRecordsByTask(taskId)
                         .catch { e -> handleException("fetchRecordsFlow", "onRecordsReceived", e as Exception) }
                         .collect { records ->
-                            val response = ApiResponse.success(records)
+                            val response = ApiResponse.success(records.map { toJsRecord(it) })
                             webViewRef.get()?.invokeJsCallback("onRecordsReceived", gson.toJson(response))
                         }
                 }
@@ -227,6 +252,19 @@ class AndroidNativeApiImpl(
         }
     }
 
+    /**
+     * 将任务下被服务器拒绝的记录重新放回上传队列，并立即调度一次上传。
+     * 记录状态变化会经 [fetchRecords] 中的 Flow 推送给前端。
+     */
+    @JavascriptInterface
+    override fun retryRejectedRecords(taskId: String) {
+        scope.launch(Dispatchers.IO) {
+            val count = repository.resetRejectedRecords(taskId)
+            Log.i(TAG, "重新上传被拒绝的记录: Task=$taskId, $count 条")
+            if (count > 0) WorkManagerConfig.scheduleUpload(context)
+        }
+    }
+
     /**
      * ✅ 原生托管的注销方法
      * 1. 执行网络请求 (Best Effort)
@@ -268,13 +306,18 @@ class AndroidNativeApiImpl(
     }
 
     @JavascriptInterface
-    override fun updateProfile(userId: String, newUsername: String?, newPassword: String?) {
+    override fun updateProfile(
+        userId: String,
+        newUsername: String?,
+        newPassword: String?,
+        currentPassword: String?
+    ) {
         Log.d(TAG, "JS 请求更新资料: User=$userId")
 
         scope.launch(Dispatchers.IO) {
             try {
                 // 1. 调用仓库
-                val userDto = repository.updateProfile(userId, newUsername, newPassword)
+                val userDto = repository.updateProfile(userId, newUsername, newPassword, currentPassword)
 
                 // 2. 构造成功响应
                 val response = ApiResponse(
@@ -307,6 +350,19 @@ class AndroidNativeApiImpl(
         }
     }
 
+    /**
+     * 将本地记录转换为前端使用的 JSON 对象。
+     * 附带照片的签名访问地址 (photoUrl / thumbnailUrl)，私有 Bucket 下前端直接使用 serverUrl 无法显示。
+     */
+    private fun toJsRecord(record: InspectionRecord): JsonObject {
+        val json = gson.toJsonTree(record).asJsonObject
+        repository.getSignedPhoto(record.serverUrl)?.let { photo ->
+            json.addProperty("photoUrl", photo.url)
+            json.addProperty("thumbnailUrl", photo.thumbnails?.get("thumb") ?: photo.url)
+        }
+        return json
+    }
+
     /**
      * 统一异常处理辅助方法。
      * 负责：记录日志 -> UI提示 -> 回调前端错误状态。
@@ -6,9 +6,12 @@ import androidx.work.CoroutineWorker
 import androidx.work.WorkerParameters
 import com.example.roadinspection.data.repository.InspectionRepository
 import com.example.roadinspection.data.source.local.AppDatabase
+import com.example.roadinspection.data.source.local.InspectionRecord
+import com.example.roadinspection.data.source.remote.BatchRecordReq
 import com.example.roadinspection.data.source.remote.CreateTaskReq
 import com.example.roadinspection.data.source.remote.FinishTaskReq
 import com.example.roadinspection.data.source.remote.OssHelper
+import com.example.roadinspection.data.source.remote.StsCredentials
 import com.example.roadinspection.data.source.remote.SubmitRecordReq
 import com.example.roadinspection.di.NetworkModule
 import kotlinx.coroutines.Dispatchers
@@ -21,7 +24,7 @@ import kotlinx.coroutines.withContext
  * 1. **同步任务 (Task Sync)**: 将本地新建的任务信息同步给后端。
  * 2. **同步记录 (Record Sync)**:
  * - Phase A: 上传图片到 OSS (State 0 -> 1)
- * - Phase B: 提交元数据到后端 (State 1 -> 2)
+ * - Phase B: 批量提交元数据到后端 (State 1 -> 2，被拒绝则 1 -> 3)
  * 3. **结单同步 (Task Finish)**: 将任务的结束状态同步给后端。
  */
 class UploadWorker(
@@ -75,20 +78,27 @@ class UploadWorker(
                 val records = repository.getBatchUnfinishedRecords(limit = 5) //
                 if (records.isEmpty()) break // 没数据了，跳出循环
 
-                // 2.2 获取阿里云 STS Token (这就叫"一次获取，批量使用")
-                // 如果 Token 获取失败，整个批次都无法进行，直接 Retry
-                val stsResponse = api.getStsToken() //
-                if (!stsResponse.isSuccess || stsResponse.data == null) {
-                    Log.e(TAG, "STS Token 获取失败")
-                    return@withContext Result.retry()
-                }
-                val credentials = stsResponse.data
+                // 2.2 上传凭证按任务签发 (只授权 images/{userId}/{taskId}/)，本批次内同一任务复用
+                val credentialsByTask = mutableMapOf<String, StsCredentials>()
+
+                // 本批次中已完成 OSS 上传、等待提交元数据的记录
+                val readyToSubmit = mutableListOf<InspectionRecord>()
 
                 for (record in records) {
                     var currentRecord = record
 
                     // --- Phase A: 上传 OSS (State 0 -> 1) ---
                     if (currentRecord.syncStatus == 0) {
+                        // 如果 Token 获取失败，后续上传都无法进行，直接 Retry
+                        val credentials = credentialsByTask[currentRecord.taskId]
+                            ?: api.getStsToken(currentRecord.taskId)
+                                .takeIf { it.isSuccess }?.data
+                                ?.also { credentialsByTask[currentRecord.taskId] = it }
+                        if (credentials == null) {
+                            Log.e(TAG, "STS Token 获取失败: Task=${currentRecord.taskId}")
+                            return@withContext Result.retry()
+                        }
+
                         try {
                             Log.d(TAG, "开始上传图片到 OSS: ${currentRecord.localPath}")
                             val ossUrl = OssHelper.uploadImage(
@@ -111,31 +121,52 @@ class UploadWorker(
                         }
                     }
 
-                    // --- Phase B: 提交后端 (State 1 -> 2) ---
-                    val serverUrl = currentRecord.serverUrl
-                    if (currentRecord.syncStatus == 1 && serverUrl != null) {
-                        Log.d(TAG, "提交元数据到后端: ${currentRecord.recordId}")
-                        val req = SubmitRecordReq(
-                            recordId = currentRecord.recordId,
-                            taskId = currentRecord.taskId,
-                            serverUrl = serverUrl,
-                            latitude = currentRecord.latitude,
-                            longitude = currentRecord.longitude,
-                            address = currentRecord.address,
-                            captureTime = currentRecord.captureTime,
-                            iri= currentRecord.iri,
-                            pavementDistress = currentRecord.pavementDistress
-                        )
-
-                        val res = api.submitRecord(req)
-                        if (res.isSuccess) {
-                            // 最终完成：State -> 2 (SYNCED)
-                            repository.updateRecord(currentRecord.copy(syncStatus = 2))
-                        } else {
-                            Log.w(TAG, "元数据提交失败: ${res.message}")
+                    if (currentRecord.syncStatus == 1 && currentRecord.serverUrl != null) {
+                        readyToSubmit.add(currentRecord)
+                    }
+                }
+
+                // --- Phase B: 批量提交后端 (State 1 -> 2) ---
+                // 一次请求提交整批元数据，服务端以 recordId 幂等去重，重传安全
+                if (readyToSubmit.isEmpty()) {
+                    // 本轮没有任何记录取得进展 (OSS 全部失败)，避免死循环，交给系统稍后重试
+                    return@withContext Result.retry()
+                }
+
+                Log.d(TAG, "批量提交元数据到后端: ${readyToSubmit.size} 条")
+                val res = api.submitRecordBatch(
+                    BatchRecordReq(readyToSubmit.map { it.toSubmitReq() })
+                )
+                val results = res.data?.results
+                if (!res.isSuccess || results == null) {
+                    Log.w(TAG, "元数据批量提交失败: ${res.message}")
+                    return@withContext Result.retry()
+                }
+
+                val statusById = results.associate { it.recordId to it }
+                var progressed = false
+                for (record in readyToSubmit) {
+                    val result = statusById[record.recordId]
+                    when (result?.status) {
+                        // 新写入或服务器已存在，均视为同步完成：State -> 2 (SYNCED)
+                        "created", "duplicate" -> {
+                            repository.updateRecord(record.copy(syncStatus = 2))
+                            progressed = true
                         }
+                        // 校验失败或无权提交，重传不会改变结果：State -> 3 (REJECTED)，等待用户手动重新上传
+                        "invalid" -> {
+                            Log.w(TAG, "记录被服务器拒绝: ${record.recordId}, ${result?.message}")
+                            repository.updateRecord(record.copy(syncStatus = 3))
+                            progressed = true
+                        }
+                        else -> Log.w(TAG, "记录提交结果缺失: ${record.recordId}")
                     }
                 }
+
+                if (!progressed) {
+                    // 整批都没有结果，继续循环只会反复提交同一批数据
+                    return@withContext Result.retry()
+                }
             }
 
             // ==============================================================
@@ -161,6 +192,18 @@ class UploadWorker(
         }
     }
 
+    private fun InspectionRecord.toSubmitReq() = SubmitRecordReq(
+        recordId = recordId,
+        taskId = taskId,
+        serverUrl = serverUrl!!,
+        latitude = latitude,
+        longitude = longitude,
+        address = address,
+        captureTime = captureTime,
+        iri = iri,
+        pavementDistress = pavementDistress
+    )
+
     companion object {
         const val TAG = "UploadWorker"
     }
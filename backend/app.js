@@ -2,11 +2,12 @@
  * @file app.js
  * @module AppEntry
  * @description 后端核心入口文件
- * 基于 Koa 2 框架构建，负责启动 HTTP 服务器、连接数据库、挂载全局中间件及路由处理。
+ * 基于 Koa 2 框架构建，负责挂载全局中间件及路由处理。
+ * 导入时不连接数据库、不监听端口：进程启动、数据库连接与优雅停机见 bootstrap.js (入口 server.js)。
  * * 主要职责：
  * 1. 统一的请求日志记录 (Access Log)
- * 2. MongoDB 数据库连接管理 (Connection Pool)
- * 3. 业务接口路由分发 (Routes)
+ * 2. 业务接口路由分发 (Routes)
+ * 3. 运维探针与运行指标 (/healthz, /readyz, /metrics)
  */
 
 import bcrypt from "bcryptjs";
@@ -14,10 +15,146 @@ import jwt from "jsonwebtoken";
 import Koa from "koa";
 import bodyParser from "koa-bodyparser";
 import Router from "koa-router";
-import { connect } from "mongoose";
-import { mongoUrl } from "./config/config.js";
-import { Record, Task, User } from "./model/models.js";
-import { getStsToken } from "./utils/oss_helper.js";
+import mongoose, { isValidObjectId } from "mongoose";
+import { randomUUID } from "node:crypto";
+import {
+  allowedUploadHosts,
+  audit,
+  auth,
+  compare,
+  roadMatch,
+  server,
+  storage,
+  workOrder,
+} from "./config/config.js";
+import {
+  AuditEvent,
+  DistressType,
+  LoginAttempt,
+  Record,
+  Road,
+  RoadSection,
+  Session,
+  Task,
+  Track,
+  User,
+  WorkOrder,
+} from "./model/models.js";
+import {
+  AUDIT_ACTIONS,
+  getAuditExpiry,
+  getRetentionCutoff,
+  redactDetail,
+} from "./utils/audit_helper.js";
+import {
+  buildDistressIndex,
+  buildDistressSeedOps,
+  DISTRESS_CODE_PATTERN,
+  DISTRESS_UNITS,
+  findDistressLabelConflict,
+  normalizeDistresses,
+  resolveDistressType,
+  splitDistressLabels,
+} from "./utils/distress_helper.js";
+import {
+  buildReferenceLine,
+  compareInspections,
+} from "./utils/compare_helper.js";
+import { EXPORT_FORMATS, serializeRecords } from "./utils/export_helper.js";
+import {
+  bboxOf,
+  bboxToPolygon,
+  haversineDistance,
+  isValidLngLat,
+  polylineLength,
+  projectOntoPolyline,
+  ringToPolygon,
+} from "./utils/geo_helper.js";
+import {
+  getObjectUrl,
+  LOCAL_STORAGE_ROUTE,
+  normalizeObjectKey,
+  openObject,
+  saveObject,
+  verifyReadSignature,
+  verifyUploadSignature,
+} from "./utils/local_storage_helper.js";
+import {
+  computeBlock,
+  getRetryAfterSeconds,
+  ipAttemptKey,
+  userAttemptKey,
+} from "./utils/login_limit_helper.js";
+import {
+  buildCursorFilter,
+  decodeCursor,
+  parseLimit,
+  slicePage,
+} from "./utils/pagination_helper.js";
+import {
+  createRegistry,
+  METRICS_CONTENT_TYPE,
+} from "./utils/metrics_helper.js";
+import {
+  checkPassword,
+  describePasswordPolicy,
+} from "./utils/password_helper.js";
+import {
+  MAX_RECORDS_PER_BATCH,
+  normalizeRecordInput,
+} from "./utils/record_helper.js";
+import { buildIriReport, IRI_BANDS } from "./utils/report_helper.js";
+import {
+  buildRoadMatch,
+  findOverlappingSection,
+  formatStake,
+  matchPoint,
+  matchTrack,
+  ROAD_CODE_PATTERN,
+  sliceCentreline,
+} from "./utils/road_helper.js";
+import {
+  buildReviewStatusFilter,
+  buildReviewUpdate,
+  getReviewStatus,
+  parseReviewStatuses,
+  REVIEW_DECISIONS,
+  REVIEW_STATUSES,
+} from "./utils/review_helper.js";
+import { getClientInfo, hashToken } from "./utils/session_helper.js";
+import {
+  checkStorageHealth,
+  getUploadCredentials,
+  PHOTO_VARIANTS,
+  signPhotoUrls,
+} from "./utils/storage_helper.js";
+import {
+  buildLineString,
+  downsampleTrack,
+  MAX_CHUNKS_PER_REQUEST,
+  normalizeTrackPoints,
+} from "./utils/track_helper.js";
+import {
+  getRequestContext,
+  logger,
+  runWithRequestContext,
+} from "./utils/logger.js";
+import { formatErrors, validateSchema } from "./utils/validator.js";
+import {
+  buildTransitionUpdate,
+  buildWorkOrderDraft,
+  canPerformTransition,
+  clusterRecords,
+  getTransitionPayloadError,
+  getVerificationError,
+  isValidTransition,
+  MAX_PHOTOS_PER_ORDER,
+  MAX_RECORDS_PER_ORDER,
+  REPAIRABLE_REVIEW_STATUSES,
+  WORK_ORDER_STATUS_LABELS,
+  WORK_ORDER_STATUSES,
+  WORK_ORDER_TRANSITIONS,
+} from "./utils/work_order_helper.js";
 
 const app = new Koa();
 const router = new Router();
@@ -26,42 +163,149 @@ const router = new Router();
 // 1. Global Middleware (全局中间件)
 // ============================================================
 
+// 客户端传入的 X-Request-Id 允许的格式 (防止超长或带换行的值污染日志)
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// 运维探针与指标抓取路径：每隔几秒被调用一次，成功时访问日志降为 debug 级别，避免刷屏
+const PROBE_PATHS = ["/healthz", "/readyz", "/metrics"];
+
+/**
+ * 运行指标 (GET /metrics 以 Prometheus 文本格式输出)
+ * route 标签取路由模板 (如 /api/user/:id)，未匹配路由的请求统一记为 "unmatched"，防止标签基数膨胀
+ */
+const metrics = createRegistry();
+
+const httpRequestsTotal = metrics.counter(
+  "http_requests_total",
+  "HTTP 请求数 (按路由与状态码)",
+);
+const httpRequestDuration = metrics.histogram(
+  "http_request_duration_seconds",
+  "HTTP 请求耗时 (秒)",
+);
+const recordsIngestedTotal = metrics.counter(
+  "road_records_ingested_total",
+  "病害记录提交数 (status: created / duplicate / invalid)",
+);
+const storageCredentialsFailuresTotal = metrics.counter(
+  "road_storage_credentials_failures_total",
+  "上传凭证 (STS) 签发失败次数",
+);
+metrics.gauge("road_active_tasks", "进行中 (未结束) 的巡检任务数", {
+  // 数据库未连接时跳过采集 (Mongoose 会缓冲查询直至超时，拖慢抓取)
+  collect: async (gauge) => {
+    if (mongoose.connection.readyState !== 1) throw new Error("MongoDB 未连接");
+    gauge.set({}, await Task.countDocuments({ isFinished: false }));
+  },
+});
+metrics.gauge("process_resident_memory_bytes", "进程常驻内存 (字节)", {
+  collect: (gauge) => gauge.set({}, process.memoryUsage.rss()),
+});
+metrics.gauge("process_uptime_seconds", "进程运行时长 (秒)", {
+  collect: (gauge) => gauge.set({}, Math.round(process.uptime())),
+});
+
 /**
  * 全局请求日志中间件 (Access Logger)
  * 遵循 "3W原则" (Who, When, Result) 记录所有流入服务器的 HTTP 请求。
  * 用于生产环境的性能监控和故障排查。
+ * @description
+ * 1. 请求 ID：沿用客户端传入的 X-Request-Id (Android 端 AuthInterceptor 生成)，缺失或格式非法时生成 UUID，
+ *    并通过响应头 X-Request-Id 回传，客户端上报问题时据此串联前后端日志。
+ * 2. 请求上下文：下游所有 logger 调用自动带上 requestId 与 userId (由鉴权中间件补充)。
+ * 3. 访问日志：请求结束后输出一条 JSON，包含 method / route / status / latencyMs。
+ * 4. 运行指标：按路由累计请求数与耗时直方图。
  */
 app.use(async (ctx, next) => {
   const start = Date.now();
-  try {
-    await next(); // 放行请求进入下游路由
-    const ms = Date.now() - start;
+  const incomingId = ctx.get("X-Request-Id");
+  const requestId = REQUEST_ID_PATTERN.test(incomingId)
+    ? incomingId
+    : randomUUID();
+
+  ctx.state.requestId = requestId;
+  ctx.set("X-Request-Id", requestId);
 
-    if (ctx.body && ctx.body.code && !ctx.headerSent) {
-      ctx.status = ctx.body.code;
+  await runWithRequestContext({ requestId }, async () => {
+    try {
+      await next(); // 放行请求进入下游路由
+
+      if (ctx.body && ctx.body.code && !ctx.headerSent) {
+        ctx.status = ctx.body.code;
+      }
+    } catch (err) {
+      // [ERROR] 捕获所有未被下游 try-catch 处理的异常
+      logger.error("全局错误捕获", err);
+
+      ctx.status = err.status || 500;
+      ctx.body = {
+        code: ctx.status,
+        message: err.message || "Internal Server Error",
+        requestId,
+      };
     }
 
-    // [INFO] 格式：[METHOD] URL - STATUS - TIME
-    // 示例：[POST] /api/record/submit - 200 - 45ms
-    console.log(`[${ctx.method}] ${ctx.url} - ${ctx.status} - ${ms}ms`);
-  } catch (err) {
-    const ms = Date.now() - start;
+    const status = ctx.status;
+    const latencyMs = Date.now() - start;
+    const route = ctx._matchedRoute || null; // 路由模板，如 /api/user/:id
 
-    // [ERROR] 捕获所有未被下游 try-catch 处理的异常
-    console.error(
-      `[${ctx.method}] ${ctx.url} - ${err.status || 500} - ${ms}ms`,
+    httpRequestsTotal.inc({
+      method: ctx.method,
+      route: route || "unmatched",
+      status,
+    });
+    httpRequestDuration.observe(
+      { method: ctx.method, route: route || "unmatched" },
+      latencyMs / 1000,
     );
-    console.error("❌ 全局错误捕获:", err);
 
-    ctx.status = err.status || 500;
-    ctx.body = {
-      code: ctx.status,
-      message: err.message || "Internal Server Error",
-    };
+    let level = status >= 500 ? "error" : status >= 400 ? "warn" : "info";
+    if (level === "info" && PROBE_PATHS.includes(ctx.path)) level = "debug";
+    logger[level]("request", {
+      method: ctx.method,
+      route,
+      path: ctx.path,
+      status,
+      latencyMs,
+      ip: ctx.ip,
+    });
+  });
+});
+
+/**
+ * 跨域中间件 (CORS)
+ * @description 只对 CORS_ORIGINS 中配置的来源返回允许跨域的响应头 (默认不允许跨域)，
+ * 预检请求 (OPTIONS) 直接返回 204，不进入鉴权中间件 (预检请求不携带 Authorization)。
+ * Android WebView 通过 JS Bridge 调用原生网络层，不受此限制；主要用于浏览器中调试前端页面。
+ */
+app.use(async (ctx, next) => {
+  const origin = ctx.get("Origin");
+  const allowAny = server.corsOrigins.includes("*");
+  if (!origin || !(allowAny || server.corsOrigins.includes(origin))) {
+    return await next();
+  }
+
+  ctx.set("Access-Control-Allow-Origin", allowAny ? "*" : origin);
+  ctx.vary("Origin");
+  ctx.set("Access-Control-Expose-Headers", "X-Request-Id, Retry-After");
+
+  if (ctx.method === "OPTIONS" && ctx.get("Access-Control-Request-Method")) {
+    ctx.set("Access-Control-Allow-Methods", "GET, POST, PUT, PATCH, DELETE");
+    ctx.set(
+      "Access-Control-Allow-Headers",
+      ctx.get("Access-Control-Request-Headers") ||
+        "Authorization, Content-Type, X-Request-Id",
+    );
+    ctx.set("Access-Control-Max-Age", "600");
+    ctx.status = 204;
+    return;
   }
+  await next();
 });
 
-app.use(bodyParser()); // 解析 JSON Body
+// 解析 JSON Body
+// 轨迹批量上传 (/api/task/:taskId/track) 单次可达数 MB，默认的 1mb 上限不够用
+app.use(bodyParser({ jsonLimit: "10mb" }));
 
 /**
  * JWT Authentication Middleware (全局鉴权中间件)
@@ -78,13 +322,20 @@ app.use(async (ctx, next) => {
     "/api/auth/login",
     "/api/auth/register",
     "/api/auth/refresh",
+    "/api/auth/password-policy",
     "/favicon.ico",
+    ...PROBE_PATHS,
   ];
 
   if (whiteList.includes(ctx.path)) {
     return await next();
   }
 
+  // 本地存储的文件读写由 URL 签名鉴权 (与直传 OSS 一致，客户端不携带 Access Token)
+  if (ctx.path.startsWith(`${LOCAL_STORAGE_ROUTE}/`)) {
+    return await next();
+  }
+
   // 2. 提取 Token
   const authHeader = ctx.header.authorization;
   if (!authHeader) {
@@ -97,10 +348,12 @@ app.use(async (ctx, next) => {
 
   try {
     // 3. 验证 Access Token
-    const decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
+    const decoded = jwt.verify(token, auth.accessSecret);
 
-    // 4. 挂载用户信息到 Context
+    // 4. 挂载用户信息到 Context (并补充到日志上下文)
     ctx.state.user = decoded;
+    const logContext = getRequestContext();
+    if (logContext) logContext.userId = decoded.id;
 
     await next(); // 验证通过，放行
   } catch (err) {
@@ -112,7 +365,7 @@ app.use(async (ctx, next) => {
       ctx.body = { code: 401, message: "TokenExpired" };
     } else {
       // 其他错误（被篡改、格式错误），返回 403 禁止访问，前端应强制登出
-      console.warn(`⛔ 非法 Token 访问: ${ctx.path}`);
+      logger.warn(`⛔ 非法 Token 访问: ${ctx.path}`);
       ctx.status = 403;
       ctx.body = { code: 403, message: "TokenInvalid" };
     }
@@ -120,665 +373,5368 @@ app.use(async (ctx, next) => {
 });
 
 // ============================================================
-// 2. Database Connection (数据库连接)
-// ============================================================
-
-console.log("MongoDB 开始连接...");
-
-/**
- * Mongoose 连接配置
- * @see https://mongoosejs.com/docs/connections.html
- */
-connect(mongoUrl, {
-  // 【核心优化】连接池大小
-  // 针对道路巡检场景的 "断网重连并发上传" 特性，适当调大连接池，
-  // 防止瞬间涌入 50+ 请求导致数据库连接耗尽 (Connection Timeout)。
-  maxPoolSize: 100,
-
-  // 连接超时时间 (5秒)
-  // 如果数据库 5秒 没响应，快速失败，避免前端长时间 loading。
-  serverSelectionTimeoutMS: 5000,
-})
-  .then(() => console.log("✅ MongoDB 连接成功\n"))
-  .catch((err) => {
-    // 数据库连接是致命错误，建议在生产环境接入报警系统 (如钉钉/邮件)
-    console.error("❌ MongoDB 连接失败:", err);
-    // process.exit(1); // 可选：连接失败直接退出进程，让 PM2 重启
-  });
-
-// ============================================================
-// 3. Helper Functions (工具函数)
+// 2. Helper Functions (工具函数)
 // ============================================================
 
 /**
  * 生成双 Token
  * @param {Object} user - 用户文档对象
+ * @param {string} sessionId - 所属登录会话 (Session) 的 ID
  * @returns {Object} { accessToken, refreshToken }
  */
-const generateTokens = (user) => {
-  // Access Token: 包含业务所需的常用字段 (ID, Role)
+const generateTokens = (user, sessionId) => {
+  // Access Token: 包含业务所需的常用字段 (ID, Role) 及会话 ID (sid)
   const accessToken = jwt.sign(
-    { id: user.id, role: user.role, username: user.username },
-    process.env.JWT_ACCESS_SECRET,
-    { expiresIn: process.env.ACCESS_TOKEN_EXPIRES },
+    { id: user.id, role: user.role, username: user.username, sid: sessionId },
+    auth.accessSecret,
+    { expiresIn: auth.accessTokenExpires },
   );
 
-  // Refresh Token: 仅包含 ID，用于查库验证
+  // Refresh Token: 仅包含 ID 与会话 ID，用于查库验证
+  // jti 保证同一秒内轮换出的 Token 也互不相同
   const refreshToken = jwt.sign(
-    { id: user.id },
-    process.env.JWT_REFRESH_SECRET,
+    { id: user.id, sid: sessionId, jti: randomUUID() },
+    auth.refreshSecret,
     {
-      expiresIn: process.env.REFRESH_TOKEN_EXPIRES,
+      expiresIn: auth.refreshTokenExpires,
     },
   );
 
   return { accessToken, refreshToken };
 };
 
-// ============================================================
-// 4. API Routes (业务路由)
-// ============================================================
-
-// ============================================================
-// Auth Routes (用户认证)
-// ============================================================
+/** Refresh Token 的过期时间 (取自 exp) */
+const getTokenExpiry = (token) => new Date(jwt.decode(token).exp * 1000);
 
 /**
- * @route POST /api/auth/register
- * @summary 注册并直接返回 Token (注册即登录)
+ * 为用户创建登录会话并签发双 Token (登录 / 注册)
+ * @description 每台设备各自持有一条会话，在新设备登录不会影响其他设备。
+ * @param {Object} ctx - Koa 上下文 (读取 User-Agent / IP)
+ * @param {Object} user - 已保存的用户文档
+ * @returns {Promise<Object>} { accessToken, refreshToken }
  */
-router.post("/api/auth/register", async (ctx) => {
-  const { username, password, role } = ctx.request.body;
+const createSession = async (ctx, user) => {
+  const session = new Session({ userId: user._id, ...getClientInfo(ctx) });
+  const tokens = generateTokens(user, session.id);
 
-  if (!username || !password) {
-    ctx.status = 400;
-    ctx.body = { code: 400, message: "参数不完整" };
-    return;
-  }
+  session.tokenHash = hashToken(tokens.refreshToken);
+  session.expiresAt = getTokenExpiry(tokens.refreshToken);
+  await session.save();
 
-  try {
-    const existingUser = await User.findOne({ username });
-    if (existingUser) {
-      ctx.status = 409;
-      ctx.body = { code: 409, message: "用户名已被占用" };
-      return;
-    }
+  return tokens;
+};
 
-    const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash(password, salt);
+/**
+ * 吊销登录会话
+ * @description 被吊销的会话无法再刷新 Token，对应设备在当前 Access Token 过期后即被强制下线。
+ * @param {Object} filter - Session 查询条件，如 { userId } 或 { _id, userId }
+ * @param {string} reason - 吊销原因 (见 Session.revokedReason)
+ * @returns {Promise<number>} 实际吊销的会话数
+ */
+const revokeSessions = async (filter, reason) => {
+  const res = await Session.updateMany(
+    { ...filter, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } },
+  );
+  return res.modifiedCount;
+};
 
-    const newUser = new User({
-      username,
-      hashedPassword,
-      role: role || "inspector",
+/**
+ * 写入审计事件
+ * @description 审计失败不应影响业务本身，异常只记录日志、不向上抛出。detail 写入前会再做一次脱敏。
+ * @param {Object} ctx - Koa 上下文 (提供操作者与来源 IP / User-Agent)
+ * @param {Object} event
+ * @param {string} event.action - 事件类型 (见 audit_helper.AUDIT_ACTIONS)
+ * @param {string} [event.targetType] - 操作对象类型，如 user / task
+ * @param {string} [event.targetId] - 操作对象 ID
+ * @param {"success"|"failure"|"denied"} [event.outcome="success"]
+ * @param {Object} [event.detail] - 附加信息 (严禁包含密码、Token)
+ * @param {{id: string, username: string}} [event.actor] - 操作者，默认取 ctx.state.user
+ * @returns {Promise<void>}
+ */
+const recordAudit = async (
+  ctx,
+  { action, targetType, targetId, outcome, detail, actor = ctx.state.user },
+) => {
+  const { userAgent, ip } = getClientInfo(ctx);
+  try {
+    await AuditEvent.create({
+      actorId: actor?.id ?? null,
+      actorName: actor?.username ?? null,
+      action,
+      targetType,
+      targetId: targetId == null ? null : String(targetId),
+      outcome,
+      ip,
+      userAgent,
+      detail: redactDetail(detail),
+      expiresAt: getAuditExpiry(audit.retentionDays),
     });
+  } catch (e) {
+    logger.error(`❌ [Audit] 写入审计事件失败: ${action}`, e);
+  }
+};
 
-    // 生成 Token
-    const tokens = generateTokens(newUser);
-    // 保存 Refresh Token 到数据库 (用于后续验证和注销)
-    newUser.refreshToken = tokens.refreshToken;
+/**
+ * 查询登录是否处于封禁中 (退避等待或锁定)
+ * @param {string[]} keys - 用户名与 IP 的计数 key
+ * @returns {Promise<{retryAfter: number, locked: boolean}|null>} 未封禁时返回 null
+ */
+const checkLoginBlocked = async (keys) => {
+  const now = Date.now();
+  const attempts = await LoginAttempt.find({
+    key: { $in: keys },
+    blockedUntil: { $gt: new Date(now) },
+  });
+  if (attempts.length === 0) return null;
 
-    await newUser.save();
+  const blockedUntil = Math.max(...attempts.map((a) => a.blockedUntil));
+  return {
+    retryAfter: getRetryAfterSeconds(blockedUntil, now),
+    locked: attempts.some((a) => a.locked),
+  };
+};
 
-    console.log(`✅ 用户注册成功: ${newUser.username}`);
+/**
+ * 累加一个维度的失败次数
+ * @description 超过滑动窗口的旧计数先清零再累加；并发的首次失败可能同时 upsert，唯一索引冲突时重试一次。
+ * @returns {Promise<Object>} 累加后的 LoginAttempt 文档
+ */
+const incrementLoginFailure = async (key, now) => {
+  await LoginAttempt.updateOne(
+    { key, expiresAt: { $lte: new Date(now) } },
+    { $set: { failures: 0, blockedUntil: null, locked: false } },
+  );
 
-    ctx.body = {
-      code: 200,
-      message: "注册成功",
-      data: {
-        id: newUser.id,
-        username: newUser.username,
-        role: newUser.role,
-        accessToken: tokens.accessToken,
-        refreshToken: tokens.refreshToken,
+  const increment = () =>
+    LoginAttempt.findOneAndUpdate(
+      { key },
+      {
+        $inc: { failures: 1 },
+        $setOnInsert: { expiresAt: new Date(now + auth.loginLimit.windowMs) },
       },
-    };
+      { upsert: true, returnDocument: "after" },
+    );
+
+  try {
+    return await increment();
   } catch (e) {
-    console.error(e);
-    ctx.status = 500;
-    ctx.body = { code: 500, message: "注册失败" };
+    if (e.code === 11000) return increment();
+    throw e;
   }
-});
+};
 
 /**
- * @route POST /api/auth/login
- * @summary 登录并下发双 Token
+ * 记录一次登录失败，并按失败次数设置退避或锁定
+ * @param {{user: string, ip: string}} keys - 用户名与 IP 的计数 key
+ * @returns {Promise<{retryAfter: number, locked: boolean}|null>} 本次失败触发锁定时返回封禁信息
  */
-router.post("/api/auth/login", async (ctx) => {
-  const { username, password } = ctx.request.body;
+const recordLoginFailure = async (keys) => {
+  const { loginLimit } = auth;
+  const now = Date.now();
+  let lock = null;
 
-  try {
-    const user = await User.findOne({ username }).select("+hashedPassword");
+  for (const [kind, key] of Object.entries(keys)) {
+    const attempt = await incrementLoginFailure(key, now);
+    const { blockedUntil, locked } = computeBlock(
+      attempt.failures,
+      loginLimit[kind],
+      loginLimit,
+      now,
+    );
 
-    if (!user) {
-      ctx.status = 401;
-      ctx.body = { code: 401, message: "用户名或密码错误" };
-      return;
-    }
+    await LoginAttempt.updateOne(
+      { _id: attempt._id },
+      {
+        $set: {
+          blockedUntil: blockedUntil && new Date(blockedUntil),
+          locked,
+          expiresAt: new Date(
+            Math.max(now + loginLimit.windowMs, blockedUntil ?? 0),
+          ),
+        },
+      },
+    );
 
-    if (user.deletedAt) {
-      ctx.status = 403;
-      ctx.body = { code: 403, message: "账号已停用" };
-      return;
+    if (locked) {
+      logger.warn(
+        `🔒 [Login Limit] 连续失败 ${attempt.failures} 次，已锁定: ${key}`,
+      );
+      lock = { retryAfter: getRetryAfterSeconds(blockedUntil, now), locked };
     }
+  }
 
-    const isMatch = await bcrypt.compare(password, user.hashedPassword);
-    if (!isMatch) {
-      ctx.status = 401;
-      ctx.body = { code: 401, message: "用户名或密码错误" };
-      return;
-    }
+  return lock;
+};
 
-    // ✅ 登录成功，签发 Token
-    const tokens = generateTokens(user);
+/**
+ * 返回登录过于频繁的 429 响应
+ * @param {Object} ctx - Koa 上下文
+ * @param {{retryAfter: number, locked: boolean}} block - 封禁信息
+ */
+const sendLoginBlocked = (ctx, { retryAfter, locked }) => {
+  ctx.set("Retry-After", String(retryAfter));
+  ctx.status = 429;
+  ctx.body = {
+    code: 429,
+    message: locked
+      ? `登录失败次数过多，已临时锁定，请 ${Math.ceil(retryAfter / 60)} 分钟后再试或联系管理员解锁`
+      : `登录尝试过于频繁，请 ${retryAfter} 秒后再试`,
+    data: { retryAfter, locked },
+  };
+};
 
-    // ✅ 将 Refresh Token 更新到数据库 (覆盖旧的，实现单点登录效果)
-    // 如果需要支持多设备同时登录，这里需要改为数组存储 [token1, token2...]
-    user.refreshToken = tokens.refreshToken;
-    await user.save(); // 使用 save 触发 schema 校验，或使用 updateOne
+/**
+ * 角色校验中间件工厂 (Role Guard)
+ * @description
+ * 叠加在全局 JWT 中间件之后使用，依赖其挂载的 ctx.state.user。
+ * 用法：router.get("/api/admin/xxx", requireRole("admin"), handler)
+ * 注意：角色取自 Access Token，管理员修改角色后，需等对方下次刷新 Token 才生效。
+ * @param {...string} roles - 允许访问的角色列表
+ * @returns {Function} Koa 中间件
+ */
+const requireRole =
+  (...roles) =>
+  async (ctx, next) => {
+    const user = ctx.state.user;
 
-    console.log(`✅ [Login] 用户登录: ${username}`);
+    if (!user || !roles.includes(user.role)) {
+      logger.warn(
+        `⛔ [Role Guard] 越权访问: User=${user?.id}, Role=${user?.role}, Path=${ctx.path}`,
+      );
+      ctx.status = 403;
+      ctx.body = { code: 403, message: "权限不足" };
+      return;
+    }
 
-    ctx.body = {
-      code: 200,
-      message: "登录成功",
-      data: {
-        id: user.id,
-        username: user.username,
-        role: user.role,
-        accessToken: tokens.accessToken,
-        refreshToken: tokens.refreshToken,
-      },
-    };
-  } catch (e) {
-    console.error(e);
-    ctx.status = 500;
-    ctx.body = { code: 500, message: "登录异常" };
-  }
-});
+    await next();
+  };
 
 /**
- * @route POST /api/auth/refresh
- * @summary 刷新 Token (Exchange Refresh Token for new Pair)
- * @description
- * 客户端 Access Token 过期后 (401)，调用此接口换取新 Token。
- * 采用了 "Token Rotation" 策略：刷新后，旧的 Refresh Token 作废，颁发全新的。
+ * 返回参数校验失败响应
+ * @param {Object} ctx - Koa 上下文
+ * @param {{field: string, message: string}[]} errors - validateSchema 的结果
  */
-router.post("/api/auth/refresh", async (ctx) => {
-  const { refreshToken } = ctx.request.body;
+const sendValidationError = (ctx, errors) => {
+  logger.warn(
+    `⚠️ [Validate] ${ctx.method} ${ctx.path}: ${formatErrors(errors)}`,
+  );
+  ctx.status = 400;
+  ctx.body = {
+    code: 400,
+    message: `参数校验失败: ${formatErrors(errors)}`,
+    errors,
+  };
+};
 
-  if (!refreshToken) {
-    ctx.status = 400;
-    ctx.body = { code: 400, message: "Refresh Token 缺失" };
-    return;
-  }
+/**
+ * 参数校验中间件工厂 (Validator)
+ * @description
+ * 以声明式 Schema 描述路由的入参，规则见 utils/validator.js。
+ * 用法：router.post("/api/xxx", validate({ body: {...}, query: {...}, params: {...} }), handler)
+ * query 与 params 中的值都是字符串，校验时接受数字/布尔字符串。
+ * 校验失败返回 400：{ code, message, errors: [{ field, message }] }
+ * @param {{body?: Object, query?: Object, params?: Object}} schemas
+ * @returns {Function} Koa 中间件
+ */
+const validate =
+  ({ body, query, params }) =>
+  async (ctx, next) => {
+    const errors = [
+      ...(params ? validateSchema(params, ctx.params, { coerce: true }) : []),
+      ...(query ? validateSchema(query, ctx.query, { coerce: true }) : []),
+      ...(body ? validateSchema(body, ctx.request.body) : []),
+    ];
 
-  try {
-    // 1. 验证 Refresh Token 签名
-    const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
-    const userId = decoded.id;
-
-    // 2. 数据库比对 (防盗用核心检查)
-    // 检查前端传来的 Refresh Token 是否与数据库中存储的一致
-    // select('+refreshToken') 因为该字段通常设为 select: false
-    const user = await User.findById(userId).select("+refreshToken");
-
-    if (!user || user.refreshToken !== refreshToken) {
-      console.warn(`⛔ [Risk] Refresh Token 重放或已失效: User=${userId}`);
-      // 如果 Token 不匹配，说明可能该 Token 已被使用过（或者用户已注销）
-      // 此时应视为安全风险，强制前端登出
-      ctx.status = 403;
-      ctx.body = { code: 403, message: "无效的刷新令牌，请重新登录" };
+    if (errors.length > 0) {
+      sendValidationError(ctx, errors);
       return;
     }
 
-    // 3. 签发新的双 Token (Rotation)
-    const newTokens = generateTokens(user);
+    await next();
+  };
 
-    // 4. 更新数据库，废弃旧的 Refresh Token
-    user.refreshToken = newTokens.refreshToken;
-    await user.save();
+// 常用字段规则
+const USERNAME_RULE = { type: "string", required: true, min: 2, max: 32 };
+const PASSWORD_RULE = { type: "string", required: true, max: 128 };
+// 设置新密码 (注册 / 创建账号 / 修改密码) 时额外校验密码策略；登录仍用 PASSWORD_RULE，兼容策略收紧前的旧密码
+const NEW_PASSWORD_RULE = {
+  ...PASSWORD_RULE,
+  check: (value) => checkPassword(value, auth.passwordPolicy),
+};
+const TASK_ID_RULE = { type: "string", required: true, max: 64 };
+const USER_ID_PARAMS = { id: { type: "objectId", required: true } };
+const USER_ROLES = User.schema.path("role").enumValues;
 
-    console.log(`🔄 [Refresh] Token 刷新成功: ${user.username}`);
+// 可查看全部任务与记录的角色 (审核员只读，写操作仍需本人或管理员)
+const RECORD_READER_ROLES = ["admin", "reviewer"];
 
-    ctx.body = {
-      code: 200,
-      message: "Token 刷新成功",
-      data: {
-        accessToken: newTokens.accessToken,
-        refreshToken: newTokens.refreshToken,
-      },
-    };
-  } catch (err) {
-    // Refresh Token 过期或格式错误
-    console.warn(`❌ [Refresh] 刷新失败: ${err.message}`);
-    ctx.status = 403; // 返回 403 触发前端强制登出
-    ctx.body = { code: 403, message: "登录凭证已过期，请重新登录" };
-  }
-});
+// 病害记录过滤参数 (见 buildRecordFilter)
+const RECORD_FILTER_SCHEMA = {
+  taskId: { type: "string", max: 64 },
+  iriMin: { type: "number", min: 0 },
+  iriMax: { type: "number", min: 0 },
+  from: { type: "number", min: 0 },
+  to: { type: "number", min: 0 },
+};
 
 /**
- * @route POST /api/auth/logout
- * @summary 退出登录
- * @description
- * 安全的注销逻辑：
- * 1. 优先从 Access Token 获取身份。
- * 2. 如果 Access Token 失效，则校验 Body 中的 Refresh Token 获取身份。
- * 3. 两者都无效，则认为用户已经离线，直接返回成功 (前端自行清除本地缓存即可)。
+ * 判断当前登录用户是否为资源所有者 (管理员视为拥有全部资源)
+ * @param {Object} ctx - Koa 上下文 (需已通过 JWT 鉴权)
+ * @param {string|Object} ownerId - 资源所属用户 ID (字符串或 ObjectId)
+ * @returns {boolean}
  */
-router.post("/api/auth/logout", async (ctx) => {
-  let userId;
+const isOwnerOrAdmin = (ctx, ownerId) => {
+  const user = ctx.state.user;
+  return user.role === "admin" || String(ownerId) === user.id;
+};
 
-  // ---------------------------------------------------------
-  // 方式 A: 从 Access Token 解析 (由鉴权中间件 ctx.state.user 提供)
-  // ---------------------------------------------------------
-  if (ctx.state.user && ctx.state.user.id) {
-    userId = ctx.state.user.id;
-  }
+/**
+ * 加载当前用户有权访问的任务
+ * @description 任务不存在返回 404，无权访问返回 403 (此时已写好 ctx.body)。
+ * 只读访问时审核员可访问全部任务；写操作 (write = true) 仅限本人或管理员。
+ * @param {Object} ctx - Koa 上下文
+ * @param {string} taskId - 任务 UUID
+ * @param {Object} [options]
+ * @param {boolean} [options.write=false] - 是否为写操作
+ * @returns {Promise<Object|null>} 任务文档；无权访问时返回 null
+ */
+const loadAccessibleTask = async (ctx, taskId, { write = false } = {}) => {
+  const task = await Task.findOne({ taskId });
 
-  // ---------------------------------------------------------
-  // 方式 B: Access Token 已过期，尝试验证 Body 里的 Refresh Token
-  // ---------------------------------------------------------
-  else {
-    const { refreshToken } = ctx.request.body;
-    if (refreshToken) {
-      try {
-        // 关键步骤：验证 Token 签名，防止伪造 ID
-        // 这里使用之前定义的 JWT_REFRESH_SECRET
-        const decoded = jwt.verify(
-          refreshToken,
-          process.env.JWT_REFRESH_SECRET ||
-            "road_inspection_refresh_secret_secure_key",
-        );
-        userId = decoded.id;
-      } catch (e) {
-        console.warn(`⚠️ [Logout] 无效的 Refresh Token，无法在服务端注销`);
-        // Token 既然是假的或过期的，说明服务端本来就无法刷新，视作"已注销"即可
-      }
-    }
+  if (!task) {
+    ctx.status = 404;
+    ctx.body = { code: 404, message: "任务不存在" };
+    return null;
   }
 
-  // ---------------------------------------------------------
-  // 执行注销操作
-  // ---------------------------------------------------------
-  if (userId) {
-    console.log(`👋 [Logout] 用户离线: ${userId}`);
-    // 核心操作：将数据库中的 refreshToken 置空，断绝其刷新后路
-    await User.updateOne({ _id: userId }, { $set: { refreshToken: null } });
-  } else {
-    console.log(`👋 [Logout] 本地注销 (服务端未识别身份或已过期)`);
+  const canRead = !write && RECORD_READER_ROLES.includes(ctx.state.user.role);
+  if (!canRead && !isOwnerOrAdmin(ctx, task.inspectorId)) {
+    logger.warn(
+      `⛔ [Access] 越权访问任务: User=${ctx.state.user.id}, Task=${taskId}`,
+    );
+    ctx.status = 403;
+    ctx.body = { code: 403, message: "无权访问该任务" };
+    return null;
   }
 
-  // 无论服务端是否执行了 DB 操作，对前端来说结果都是"已退出"
-  ctx.body = { code: 200, message: "已退出登录" };
-});
+  return task;
+};
 
 /**
- * @route PATCH /api/user/:id
- * @summary 修改用户信息 (用户名或密码)
- * @description
- * 采用 Partial Update 策略：
- * 1. 如果只传 newUsername，仅修改用户名（会校验唯一性）。
- * 2. 如果只传 newPassword，仅修改密码（会自动加盐哈希）。
- * 3. 两个都传，则同时修改。
- * * @param {string} id - URL路径参数，目标用户的 ID
- * @param {string} [newUsername] - 新用户名 (可选)
- * @param {string} [newPassword] - 新密码 (可选)
+ * 找出属于其他巡检员的任务 (提交记录时使用)
+ * @description 尚未同步到服务器的任务 (离线时记录可能先于任务到达) 不在结果中，照常接收。
+ * @param {Object} ctx - Koa 上下文
+ * @param {string[]} taskIds - 记录关联的任务 ID
+ * @returns {Promise<Set<string>>} 当前用户无权写入的任务 ID
  */
-router.patch("/api/user/:id", async (ctx) => {
-  const userId = ctx.params.id;
-  const { newUsername, newPassword } = ctx.request.body;
+const findForeignTaskIds = async (ctx, taskIds) => {
+  const tasks = await Task.find({ taskId: { $in: [...new Set(taskIds)] } })
+    .select("taskId inspectorId")
+    .lean();
+  return new Set(
+    tasks
+      .filter((t) => !isOwnerOrAdmin(ctx, t.inspectorId))
+      .map((t) => t.taskId),
+  );
+};
 
-  // 1. 参数防御：确保至少有一个参数需要修改
-  if (!newUsername && !newPassword) {
-    ctx.status = 400;
-    ctx.body = { code: 400, message: "请提供需要修改的用户名或密码" };
-    return;
-  }
+/**
+ * 解析分页参数
+ * @param {Object} query - ctx.query
+ * @returns {{page: number, pageSize: number, skip: number}} 规范化后的分页参数 (pageSize 上限 100)
+ */
+const parsePagination = (query) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const pageSize = Math.min(
+    Math.max(parseInt(query.pageSize, 10) || 20, 1),
+    100,
+  );
+  return { page, pageSize, skip: (page - 1) * pageSize };
+};
 
-  console.log(`🔧 [User Update] 收到修改请求: User=${userId}`);
+/**
+ * 转义正则特殊字符
+ * @description 用于把用户输入的关键字拼进 $regex，防止构造恶意正则
+ */
+const escapeRegex = (text) =>
+  String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
 
-  try {
-    // 2. 查找目标用户
-    const user = await User.findById(userId);
-    if (!user) {
-      console.warn(`⚠️ [User Update] 用户不存在: ${userId}`);
-      ctx.status = 404;
-      ctx.body = { code: 404, message: "用户不存在" };
-      return;
-    }
+/**
+ * 将查询参数转换为数字
+ * @returns {number|undefined|null} 未传返回 undefined；无法解析返回 null
+ */
+const parseOptionalNumber = (value) => {
+  if (value === undefined || value === null || value === "") return undefined;
+  const num = Number(value);
+  return Number.isFinite(num) ? num : null;
+};
 
-    // 3. 处理用户名修改
-    if (newUsername) {
-      // 检查是否与当前一致（避免无意义的数据库查重）
-      if (newUsername !== user.username) {
-        // 检查唯一性：查看是否有“别人”用了这个名字
-        // $ne (Not Equal) 排除了当前用户自己
-        const existingUser = await User.findOne({
-          username: newUsername,
-          _id: { $ne: userId },
-        });
+// 病害字典缓存时长：字典很少变动，批量补传时无需每条记录都查询一次。
+// 本进程内的修改会立即清除缓存；多实例部署时其他实例最多延迟该时长生效。
+const DISTRESS_INDEX_TTL_MS = 60 * 1000;
+let distressIndexCache = null; // { index, expiresAt }
 
-        if (existingUser) {
-          ctx.status = 409;
-          ctx.body = { code: 409, message: "该用户名已被其他人占用" };
-          return;
-        }
+/**
+ * 读取完整的病害字典 (按 sortOrder 排序，含已停用的类型)
+ * @description 字典为空 (新部署) 时先写入内置字典 distress_helper.DEFAULT_DISTRESS_TYPES
+ * @returns {Promise<Object[]>} DistressType lean 对象
+ */
+const loadDistressTypes = async () => {
+  const query = () =>
+    DistressType.find().sort({ sortOrder: 1, code: 1 }).lean();
 
-        console.log(
-          `📝 [User Update] 更新用户名: ${user.username} -> ${newUsername}`,
-        );
-        user.username = newUsername;
-      }
-    }
+  let types = await query();
+  if (types.length === 0) {
+    await DistressType.bulkWrite(buildDistressSeedOps());
+    types = await query();
+    logger.info(
+      `📚 [Distress] 病害字典为空，已写入内置字典: ${types.length} 项`,
+    );
+  }
+  return types;
+};
 
-    // 4. 处理密码修改
-    if (newPassword) {
-      // 只有当提供了新密码时，才进行昂贵的哈希计算
-      const salt = await bcrypt.genSalt(10);
-      const hashedPassword = await bcrypt.hash(newPassword, salt);
+/**
+ * 获取病害字典索引 (带缓存)，用于记录提交时的类型校验与名称转换
+ * @returns {Promise<Object>} distress_helper.buildDistressIndex 的返回值
+ */
+const loadDistressIndex = async () => {
+  if (distressIndexCache && distressIndexCache.expiresAt > Date.now()) {
+    return distressIndexCache.index;
+  }
+  const index = buildDistressIndex(await loadDistressTypes());
+  distressIndexCache = { index, expiresAt: Date.now() + DISTRESS_INDEX_TTL_MS };
+  return index;
+};
 
-      console.log(`🔐 [User Update] 更新密码: User=${userId}`);
-      user.hashedPassword = hashedPassword;
-    }
+/**
+ * 病害类型 code -> 名称 (报表与导出使用)
+ * @returns {Promise<Map<string, string>>}
+ */
+const loadDistressNames = async () => {
+  const { types } = await loadDistressIndex();
+  return new Map(types.map((t) => [t.code, t.name]));
+};
 
-    // 5. 保存更改
-    // 使用 save() 而不是 updateOne()，是为了触发 Mongoose 可能存在的 pre-save 钩子 (虽然目前你的 model 没写，但这是好习惯)
-    await user.save();
+/**
+ * 读取可能与给定坐标匹配的道路及其路段 (只取启用的)
+ * @description 以坐标的外包矩形 (按匹配距离外扩) 走 centreline 的 2dsphere 索引粗筛，
+ * 精确的偏离距离由 road_helper.matchPoint 在内存中计算。
+ * @param {number[][]} coordinates - [[lng, lat], ...]
+ * @returns {Promise<{roads: Object[], sections: Object[]}>}
+ */
+const loadRoadsNear = async (coordinates) => {
+  if (coordinates.length === 0) return { roads: [], sections: [] };
 
-    console.log(`✅ [User Update] 修改成功: User=${userId}`);
+  const area = bboxToPolygon(bboxOf(coordinates, roadMatch.radiusMeters));
+  const roads = await Road.find({
+    active: true,
+    centreline: { $geoIntersects: { $geometry: area } },
+  })
+    .select("code name centreline startChainage")
+    .lean();
+  if (roads.length === 0) return { roads, sections: [] };
 
-    ctx.body = {
-      code: 200,
-      message: "用户信息更新成功",
-      data: {
-        id: user.id,
-        username: user.username,
-        role: user.role,
-      },
-    };
+  const sections = await RoadSection.find({
+    roadId: { $in: roads.map((r) => r._id) },
+    active: true,
+  })
+    .select("roadId name startChainage endChainage")
+    .lean();
+  return { roads, sections };
+};
+
+/**
+ * 为待写入的记录匹配道路并计算桩号 (写入 record.road)
+ * @description 优先匹配任务计划巡检的道路。匹配出错只记日志，不影响记录写入
+ * (之后可用 scripts/match_roads.js 补算)。
+ * @param {Object[]} records - normalizeRecordInput 转换后的记录 (原地修改)
+ * @returns {Promise<void>}
+ */
+const matchRecordsToRoads = async (records) => {
+  try {
+    const { roads, sections } = await loadRoadsNear(
+      records.map((r) => r.location.coordinates),
+    );
+    if (roads.length === 0) return;
+
+    const plannedTasks = await Task.find({
+      taskId: { $in: [...new Set(records.map((r) => r.taskId))] },
+      roadId: { $ne: null },
+    })
+      .select("taskId roadId")
+      .lean();
+    const plannedRoads = new Map(plannedTasks.map((t) => [t.taskId, t.roadId]));
+
+    records.forEach((record) => {
+      const match = matchPoint(record.location.coordinates, roads, {
+        maxOffset: roadMatch.radiusMeters,
+        preferredRoadIds: [plannedRoads.get(record.taskId)],
+      });
+      record.road = buildRoadMatch(match, sections);
+    });
   } catch (e) {
-    console.error(`❌ [User Update] 修改失败:`, e);
-    ctx.status = 500;
-    ctx.body = { code: 500, message: "更新用户信息失败" };
+    logger.warn(`⚠️ [Road] 记录道路匹配失败，暂不计算桩号`, e);
   }
-});
+};
 
 /**
- * @route GET /api/oss/sts
- * @summary 获取阿里云 OSS 临时上传凭证 (STS Token)
- * @description Android 端上传文件前，必须先调用此接口获取临时权限。
- * 安全策略：只返回 Token，绝不在日志中打印 AccessKeySecret。
+ * 为一个轨迹分片的点匹配道路并计算桩号 (写入 point.roadId / point.chainage)
+ * @description 见 road_helper.matchTrack；匹配出错时与记录一样只记日志。
+ * @param {Object[]} points - normalizeTrackPoints 清洗后的轨迹点 (原地修改)
+ * @param {Object|null} plannedRoadId - 任务计划巡检的道路
+ * @returns {Promise<void>}
  */
-router.get("/api/oss/sts", async (ctx) => {
-  console.log("🔑 [STS] 正在请求阿里云 Token..."); // Audit Log: 记录谁在申请权限
+const matchTrackToRoads = async (points, plannedRoadId) => {
   try {
-    const credentials = await getStsToken();
-    console.log("✅ [STS] Token 签发成功");
-    ctx.body = { code: 200, data: credentials };
+    const { roads } = await loadRoadsNear(points.map((p) => [p.lng, p.lat]));
+    if (roads.length === 0) return;
+
+    matchTrack(points, roads, {
+      maxOffset: roadMatch.radiusMeters,
+      plannedRoadId,
+    }).forEach((match, i) => {
+      points[i].roadId = match ? match.road._id : null;
+      points[i].chainage = match ? Math.round(match.chainage * 10) / 10 : null;
+    });
   } catch (e) {
-    // 生产环境脱敏：隐藏具体堆栈，只返回 "联系管理员"
-    console.error("❌ [STS] 签发失败:", e.message);
-    ctx.status = 500;
-    ctx.body = { code: 500, message: "无法获取上传凭证，请联系管理员" };
+    logger.warn(`⚠️ [Road] 轨迹道路匹配失败，暂不计算桩号`, e);
   }
-});
+};
 
 /**
- * @route POST /api/task/create
- * @summary 创建/同步 巡检任务
+ * 构造病害记录的通用过滤条件 (记录列表、空间查询与导出接口共用)
  * @description
- * 幂等性接口 (Idempotent):
- * 支持 Android 端重复提交。如果 taskId 已存在，则忽略本次插入，
- * 防止弱网环境下客户端重试导致的数据重复。
- * * @param {string} taskId - 任务 UUID (Client Side Generated)
- * @param {string} title - 任务标题
- * @param {string} inspectorId - 巡检员 ID
- * @param {number} startTime - 开始时间戳
+ * 支持 IRI 区间、病害类型、拍摄时间窗口与任务过滤。
+ * 巡检员只能检索自己名下任务的记录，管理员与审核员不受限。
+ * 参数非法或越权时已写好 ctx.body 并返回 null。
+ *
+ * @param {Object} ctx - Koa 上下文
+ * @param {Object} params - 过滤参数 (GET 取自 query，POST 取自 body)
+ * @param {number} [params.iriMin] - IRI 下限 (含)
+ * @param {number} [params.iriMax] - IRI 上限 (含)
+ * @param {string|string[]} [params.distress] - 病害类型 (code 或名称)，多个用逗号分隔
+ * @param {string|string[]} [params.severity] - 严重程度 (light / moderate / severe)，多个用逗号分隔；
+ *   与 distress 同时传入时要求同一病害条目同时满足两者
+ * @param {number} [params.from] - 拍摄时间起点 (Unix ms，含)
+ * @param {number} [params.to] - 拍摄时间终点 (Unix ms，含)
+ * @param {string} [params.taskId] - 限定任务
+ * @returns {Promise<Object|null>} Mongo 过滤条件
  */
-router.post("/api/task/create", async (ctx) => {
-  const { taskId, title, inspectorId, startTime, endTime } = ctx.request.body;
+const buildRecordFilter = async (ctx, params) => {
+  const filter = {};
 
-  // 关键业务日志：记录核心 ID，方便日后排查 "某人说他建了任务但库里没有" 的扯皮问题
-  console.log(
-    `📋 [Task Create] 收到请求: User=${inspectorId}, Task=${taskId}, Title=${title}`,
-  );
+  const iriMin = parseOptionalNumber(params.iriMin);
+  const iriMax = parseOptionalNumber(params.iriMax);
+  const from = parseOptionalNumber(params.from);
+  const to = parseOptionalNumber(params.to);
 
-  const isFinished = !!endTime;
+  if ([iriMin, iriMax, from, to].includes(null)) {
+    ctx.status = 400;
+    ctx.body = { code: 400, message: "iriMin/iriMax/from/to 必须为数字" };
+    return null;
+  }
 
-  try {
-    // 使用 MongoDB Upsert (更新或插入) 实现幂等
-    // 语义：找到 taskId 相同的文档；如果没找到，则插入 ($setOnInsert)；如果找到了，什么都不改。
-    await Task.updateOne(
-      { taskId: taskId },
-      {
-        $setOnInsert: {
+  if (iriMin !== undefined || iriMax !== undefined) {
+    filter.iri = {};
+    if (iriMin !== undefined) filter.iri.$gte = iriMin;
+    if (iriMax !== undefined) filter.iri.$lte = iriMax;
+  }
+
+  if (from !== undefined || to !== undefined) {
+    filter.captureTime = {};
+    if (from !== undefined) filter.captureTime.$gte = from;
+    if (to !== undefined) filter.captureTime.$lte = to;
+  }
+
+  const distressMatch = {};
+  const types = splitDistressLabels(params.distress);
+  if (types.length > 0) {
+    // 兼容按名称过滤 (如 distress=坑槽)，字典中找不到的值按 code 原样匹配
+    const index = await loadDistressIndex();
+    distressMatch.type = {
+      $in: types.map((t) => resolveDistressType(index, t)?.code ?? t),
+    };
+  }
+  const severities = splitDistressLabels(params.severity);
+  if (severities.length > 0) {
+    distressMatch.severity = { $in: severities };
+  }
+  if (Object.keys(distressMatch).length > 0) {
+    filter.distresses = { $elemMatch: distressMatch };
+  }
+
+  if (params.taskId) {
+    const task = await loadAccessibleTask(ctx, params.taskId);
+    if (!task) return null;
+    filter.taskId = params.taskId;
+  } else if (!RECORD_READER_ROLES.includes(ctx.state.user.role)) {
+    // 巡检员：限定在本人名下的任务范围内
+    const taskIds = await Task.distinct("taskId", {
+      inspectorId: ctx.state.user.id,
+    });
+    filter.taskId = { $in: taskIds };
+  }
+
+  return filter;
+};
+
+/**
+ * 解析 bbox 矩形范围参数 ("minLng,minLat,maxLng,maxLat")
+ * @description 参数非法时已写好 ctx.body 并返回 null。
+ * @param {Object} ctx - Koa 上下文
+ * @returns {{geometry: Object|null}|null} 未传 bbox 时 geometry 为 null
+ */
+const parseBboxQuery = (ctx) => {
+  if (!ctx.query.bbox) return { geometry: null };
+
+  const [minLng, minLat, maxLng, maxLat] = String(ctx.query.bbox)
+    .split(",")
+    .map(Number);
+  if (
+    !isValidLngLat(minLng, minLat) ||
+    !isValidLngLat(maxLng, maxLat) ||
+    minLng >= maxLng ||
+    minLat >= maxLat
+  ) {
+    ctx.status = 400;
+    ctx.body = { code: 400, message: "bbox 参数无效" };
+    return null;
+  }
+  return { geometry: bboxToPolygon([minLng, minLat, maxLng, maxLat]) };
+};
+
+/**
+ * 解析列表接口的游标分页参数
+ * @description 未传 limit 与 cursor 时视为不分页 (paged = false)。
+ * 游标非法时已写好 ctx.body 并返回 null (其余参数由路由的 validate 校验)。
+ * @param {Object} ctx - Koa 上下文
+ * @param {1|-1} defaultDirection - 默认排序方向
+ * @returns {{paged: boolean, limit: number, cursor: Object|null, direction: 1|-1}|null}
+ */
+const parseListPaging = (ctx, defaultDirection) => {
+  const { limit, cursor, order } = ctx.query;
+
+  const decoded = cursor ? decodeCursor(cursor) : null;
+  if (cursor && !decoded) {
+    ctx.status = 400;
+    ctx.body = { code: 400, message: "cursor 无效" };
+    return null;
+  }
+
+  return {
+    paged: limit !== undefined || Boolean(cursor),
+    limit: parseLimit(limit),
+    cursor: decoded,
+    direction: order ? (order === "asc" ? 1 : -1) : defaultDirection,
+  };
+};
+
+/**
+ * 按游标分页查询
+ * @param {Object} Model - Mongoose 模型
+ * @param {Object} filter - 过滤条件 (不含游标)
+ * @param {string} sortField - 排序字段 (值不可为 null)
+ * @param {Object} paging - parseListPaging 的结果
+ * @returns {Promise<{data: Object[], total: number, nextCursor: string|null}>}
+ */
+const findPage = async (Model, filter, sortField, paging) => {
+  const { paged, limit, cursor, direction } = paging;
+  const sort = { [sortField]: direction, _id: direction };
+
+  if (!paged) {
+    const data = await Model.find(filter).sort(sort);
+    return { data, total: data.length, nextCursor: null };
+  }
+
+  const query = cursor
+    ? { $and: [filter, buildCursorFilter(sortField, direction, cursor)] }
+    : filter;
+
+  const [docs, total] = await Promise.all([
+    Model.find(query)
+      .sort(sort)
+      .limit(limit + 1),
+    Model.countDocuments(filter),
+  ]);
+
+  const { items, nextCursor } = slicePage(docs, limit, sortField);
+  return { data: items, total, nextCursor };
+};
+
+// 分页列表的通用查询参数
+const LIST_PAGING_SCHEMA = {
+  limit: { type: "integer", min: 1, max: 100 },
+  cursor: { type: "string", max: 200 },
+  order: { type: "string", enum: ["asc", "desc"] },
+};
+
+// ============================================================
+// 3. API Routes (业务路由)
+// ============================================================
+
+// ============================================================
+// Auth Routes (用户认证)
+// ============================================================
+
+/**
+ * @route GET /api/auth/password-policy
+ * @summary 获取密码策略 (无需登录)
+ * @description 供注册页与个人中心展示密码要求，校验以服务端为准。
+ */
+router.get("/api/auth/password-policy", async (ctx) => {
+  ctx.body = {
+    code: 200,
+    data: {
+      ...auth.passwordPolicy,
+      description: describePasswordPolicy(auth.passwordPolicy),
+    },
+  };
+});
+
+/**
+ * @route POST /api/auth/register
+ * @summary 注册并直接返回 Token (注册即登录)
+ * @description 自助注册的账号一律为巡检员 (inspector)，忽略客户端传入的 role，
+ * 管理员账号只能由现有管理员通过 /api/admin/users/:id/role 提升。
+ * 密码须符合密码策略 (见 GET /api/auth/password-policy)。
+ */
+router.post(
+  "/api/auth/register",
+  validate({ body: { username: USERNAME_RULE, password: NEW_PASSWORD_RULE } }),
+  async (ctx) => {
+    const { username, password } = ctx.request.body;
+
+    try {
+      const existingUser = await User.findOne({ username });
+      if (existingUser) {
+        ctx.status = 409;
+        ctx.body = { code: 409, message: "用户名已被占用" };
+        return;
+      }
+
+      const salt = await bcrypt.genSalt(10);
+      const hashedPassword = await bcrypt.hash(password, salt);
+
+      const newUser = await User.create({
+        username,
+        hashedPassword,
+        role: "inspector",
+      });
+
+      // 创建登录会话并签发 Token
+      const tokens = await createSession(ctx, newUser);
+
+      await recordAudit(ctx, {
+        action: "auth.register",
+        targetType: "user",
+        targetId: newUser.id,
+        actor: newUser,
+      });
+
+      logger.info(`✅ 用户注册成功: ${newUser.username}`);
+
+      ctx.body = {
+        code: 200,
+        message: "注册成功",
+        data: {
+          id: newUser.id,
+          username: newUser.username,
+          role: newUser.role,
+          accessToken: tokens.accessToken,
+          refreshToken: tokens.refreshToken,
+        },
+      };
+    } catch (e) {
+      logger.error("❌ [Register] 注册失败", e);
+      ctx.status = 500;
+      ctx.body = { code: 500, message: "注册失败" };
+    }
+  },
+);
+
+/**
+ * @route POST /api/auth/login
+ * @summary 登录并下发双 Token
+ * @description
+ * 防暴力破解：按用户名与来源 IP 分别统计连续失败次数 (阈值见 config.auth.loginLimit)。
+ * 失败若干次后进入指数退避，达到上限后临时锁定；封禁期间直接返回 429 并携带 Retry-After 头 (秒)。
+ * 用户名不存在同样计入失败，避免通过响应差异枚举账号；已停用的账号在密码正确后才返回 403。管理员可通过 /api/admin/users/:id/unlock 提前解锁。
+ */
+router.post(
+  "/api/auth/login",
+  validate({
+    body: {
+      username: { type: "string", required: true, max: 32 },
+      password: PASSWORD_RULE,
+    },
+  }),
+  async (ctx) => {
+    const { username, password } = ctx.request.body;
+    const attemptKeys = {
+      user: userAttemptKey(username),
+      ip: ipAttemptKey(ctx.ip),
+    };
+
+    /** 记录失败：触发锁定时返回 429，否则返回 401 */
+    const rejectCredentials = async (user) => {
+      const lock = await recordLoginFailure(attemptKeys);
+      await recordAudit(ctx, {
+        action: "auth.login",
+        targetType: "user",
+        targetId: user?.id,
+        outcome: "failure",
+        actor: null,
+        detail: { username, locked: Boolean(lock) },
+      });
+      if (lock) {
+        sendLoginBlocked(ctx, lock);
+        return;
+      }
+      ctx.status = 401;
+      ctx.body = { code: 401, message: "用户名或密码错误" };
+    };
+
+    try {
+      const blocked = await checkLoginBlocked(Object.values(attemptKeys));
+      if (blocked) {
+        logger.warn(
+          `⛔ [Login Limit] 拒绝登录: User=${username}, IP=${ctx.ip}, Retry-After=${blocked.retryAfter}s`,
+        );
+        await recordAudit(ctx, {
+          action: "auth.login",
+          outcome: "denied",
+          actor: null,
+          detail: { username, ...blocked },
+        });
+        sendLoginBlocked(ctx, blocked);
+        return;
+      }
+
+      const user = await User.findOne({ username }).select("+hashedPassword");
+
+      if (!user) {
+        await rejectCredentials();
+        return;
+      }
+
+      const isMatch = await bcrypt.compare(password, user.hashedPassword);
+      if (!isMatch) {
+        await rejectCredentials(user);
+        return;
+      }
+
+      // 密码正确后才提示已停用，避免未知密码者借此探测账号状态
+      if (user.deletedAt) {
+        await recordAudit(ctx, {
+          action: "auth.login",
+          targetType: "user",
+          targetId: user.id,
+          outcome: "denied",
+          actor: null,
+          detail: { username, reason: "账号已停用" },
+        });
+        ctx.status = 403;
+        ctx.body = { code: 403, message: "账号已停用" };
+        return;
+      }
+
+      // 登录成功，清除该用户名的失败计数 (IP 计数保留，等待窗口自然过期)
+      await LoginAttempt.deleteOne({ key: attemptKeys.user });
+
+      // ✅ 登录成功，为本设备创建新会话并签发 Token
+      // 每台设备各自一条会话，在第二台手机上登录不会挤掉第一台
+      const tokens = await createSession(ctx, user);
+
+      await recordAudit(ctx, {
+        action: "auth.login",
+        targetType: "user",
+        targetId: user.id,
+        actor: user,
+      });
+
+      logger.info(`✅ [Login] 用户登录: ${username}`);
+
+      ctx.body = {
+        code: 200,
+        message: "登录成功",
+        data: {
+          id: user.id,
+          username: user.username,
+          role: user.role,
+          accessToken: tokens.accessToken,
+          refreshToken: tokens.refreshToken,
+        },
+      };
+    } catch (e) {
+      logger.error("❌ [Login] 登录异常", e);
+      ctx.status = 500;
+      ctx.body = { code: 500, message: "登录异常" };
+    }
+  },
+);
+
+/**
+ * @route POST /api/auth/refresh
+ * @summary 刷新 Token (Exchange Refresh Token for new Pair)
+ * @description
+ * 客户端 Access Token 过期后 (401)，调用此接口换取新 Token。
+ * 采用了 "Token Rotation" 策略：每次刷新都会轮换出新的 Refresh Token，旧的立即作废。
+ * 重放检测 (Reuse Detection)：已轮换掉的旧 Token 再次出现，说明 Token 被窃取 (攻击者与本人总有一方持有旧 Token)，
+ * 此时吊销整条会话，攻击者与本人都需重新登录。
+ */
+router.post(
+  "/api/auth/refresh",
+  validate({ body: { refreshToken: { type: "string", required: true } } }),
+  async (ctx) => {
+    const { refreshToken } = ctx.request.body;
+
+    const reject = (message = "无效的刷新令牌，请重新登录") => {
+      ctx.status = 403;
+      ctx.body = { code: 403, message };
+    };
+
+    try {
+      // 1. 验证 Refresh Token 签名
+      const decoded = jwt.verify(refreshToken, auth.refreshSecret);
+      const { id: userId, sid } = decoded;
+
+      // 2. 查找所属会话 (旧版 Token 不含 sid，需重新登录)
+      const session =
+        sid && isValidObjectId(sid)
+          ? await Session.findOne({ _id: sid, userId }).select("+tokenHash")
+          : null;
+
+      if (!session || session.revokedAt) {
+        logger.warn(
+          `⛔ [Refresh] 会话不存在或已下线: User=${userId}, Session=${sid}`,
+        );
+        reject();
+        return;
+      }
+
+      // 3. 重放检测 (防盗用核心检查)
+      // 会话中只保存最新一枚 Token 的哈希，对不上即说明这是一枚已被轮换掉的旧 Token
+      const tokenHash = hashToken(refreshToken);
+      const auditReuse = () =>
+        recordAudit(ctx, {
+          action: "auth.refresh",
+          targetType: "session",
+          targetId: session.id,
+          outcome: "denied",
+          actor: { id: userId },
+          detail: { reason: "reuse" },
+        });
+      if (session.tokenHash !== tokenHash) {
+        await revokeSessions({ _id: session._id }, "reuse");
+        await auditReuse();
+        logger.warn(
+          `🚨 [Risk] Refresh Token 重放，已吊销会话: User=${userId}, Session=${sid}`,
+        );
+        reject();
+        return;
+      }
+
+      // 已被管理员停用的账号不允许续期
+      const user = await User.findById(userId);
+      if (!user || user.deletedAt) {
+        reject("账号已停用");
+        return;
+      }
+
+      // 4. 签发新的双 Token (Rotation)
+      const newTokens = generateTokens(user, session.id);
+
+      // 5. 原子地替换会话中的 Token 哈希
+      // 条件中带上旧哈希：同一枚 Token 被并发使用时只有一个请求能成功，另一个按重放处理
+      const rotated = await Session.findOneAndUpdate(
+        { _id: session._id, tokenHash, revokedAt: null },
+        {
+          $set: {
+            tokenHash: hashToken(newTokens.refreshToken),
+            expiresAt: getTokenExpiry(newTokens.refreshToken),
+            lastUsedAt: new Date(),
+            ip: ctx.ip,
+          },
+        },
+      );
+      if (!rotated) {
+        await revokeSessions({ _id: session._id }, "reuse");
+        await auditReuse();
+        logger.warn(
+          `🚨 [Risk] Refresh Token 并发重放，已吊销会话: User=${userId}, Session=${sid}`,
+        );
+        reject();
+        return;
+      }
+
+      await recordAudit(ctx, {
+        action: "auth.refresh",
+        targetType: "session",
+        targetId: session.id,
+        actor: user,
+      });
+
+      logger.info(`🔄 [Refresh] Token 刷新成功: ${user.username}`);
+
+      ctx.body = {
+        code: 200,
+        message: "Token 刷新成功",
+        data: {
+          accessToken: newTokens.accessToken,
+          refreshToken: newTokens.refreshToken,
+        },
+      };
+    } catch (err) {
+      // Refresh Token 过期或格式错误
+      logger.warn(`❌ [Refresh] 刷新失败: ${err.message}`);
+      reject("登录凭证已过期，请重新登录"); // 返回 403 触发前端强制登出
+    }
+  },
+);
+
+/**
+ * @route POST /api/auth/logout
+ * @summary 退出登录
+ * @description
+ * 安全的注销逻辑 (只注销当前设备的会话，其他设备不受影响)：
+ * 1. 优先从 Access Token 获取身份与会话。
+ * 2. 如果 Access Token 失效，则校验 Body 中的 Refresh Token 获取身份与会话。
+ * 3. 两者都无效，则认为用户已经离线，直接返回成功 (前端自行清除本地缓存即可)。
+ */
+router.post(
+  "/api/auth/logout",
+  validate({ body: { refreshToken: { type: "string" } } }),
+  async (ctx) => {
+    let identity;
+
+    // ---------------------------------------------------------
+    // 方式 A: 从 Access Token 解析 (由鉴权中间件 ctx.state.user 提供)
+    // ---------------------------------------------------------
+    if (ctx.state.user && ctx.state.user.id) {
+      identity = ctx.state.user;
+    }
+
+    // ---------------------------------------------------------
+    // 方式 B: Access Token 已过期，尝试验证 Body 里的 Refresh Token
+    // ---------------------------------------------------------
+    else {
+      const { refreshToken } = ctx.request.body;
+      if (refreshToken) {
+        try {
+          // 关键步骤：验证 Token 签名，防止伪造 ID
+          identity = jwt.verify(refreshToken, auth.refreshSecret);
+        } catch (e) {
+          logger.warn(`⚠️ [Logout] 无效的 Refresh Token，无法在服务端注销`);
+          // Token 既然是假的或过期的，说明服务端本来就无法刷新，视作"已注销"即可
+        }
+      }
+    }
+
+    // ---------------------------------------------------------
+    // 执行注销操作
+    // ---------------------------------------------------------
+    if (identity) {
+      const { id: userId, sid } = identity;
+      logger.info(`👋 [Logout] 用户离线: ${userId}, Session=${sid || "-"}`);
+      // 核心操作：吊销当前设备的会话，断绝其刷新后路
+      // 旧版 Token 不含 sid，无法定位设备，吊销该用户的全部会话
+      await revokeSessions(
+        sid && isValidObjectId(sid) ? { _id: sid, userId } : { userId },
+        "logout",
+      );
+      await recordAudit(ctx, {
+        action: "auth.logout",
+        targetType: "session",
+        targetId: sid,
+        actor: identity,
+      });
+    } else {
+      logger.info(`👋 [Logout] 本地注销 (服务端未识别身份或已过期)`);
+    }
+
+    // 无论服务端是否执行了 DB 操作，对前端来说结果都是"已退出"
+    ctx.body = { code: 200, message: "已退出登录" };
+  },
+);
+
+/**
+ * @route PATCH /api/user/:id
+ * @summary 修改用户信息 (用户名或密码)
+ * @description
+ * 采用 Partial Update 策略：
+ * 1. 如果只传 newUsername，仅修改用户名（会校验唯一性）。
+ * 2. 如果只传 newPassword，仅修改密码（会自动加盐哈希）。
+ * 3. 两个都传，则同时修改。
+ * 权限：只能修改自己的资料，管理员可修改任何人。
+ * 修改自己的密码时必须提供当前密码 (管理员重置他人密码除外)，新密码须符合密码策略；
+ * 修改成功后吊销该用户的其他登录会话 (当前设备保持登录)，并写入审计事件。
+ * 当前密码错误计入该用户名的登录失败次数 (见 /api/auth/login)，封禁期间返回 429 并携带 Retry-After 头。
+ * * @param {string} id - URL路径参数，目标用户的 ID
+ * @param {string} [newUsername] - 新用户名 (可选)
+ * @param {string} [newPassword] - 新密码 (可选)
+ * @param {string} [currentPassword] - 当前密码 (修改自己的密码时必填)
+ */
+router.patch(
+  "/api/user/:id",
+  validate({
+    params: USER_ID_PARAMS,
+    body: {
+      newUsername: { ...USERNAME_RULE, required: false },
+      newPassword: { ...NEW_PASSWORD_RULE, required: false },
+      currentPassword: { ...PASSWORD_RULE, required: false },
+    },
+  }),
+  async (ctx) => {
+    const userId = ctx.params.id;
+    const { newUsername, newPassword, currentPassword } = ctx.request.body;
+    const isSelf = userId === ctx.state.user.id;
+
+    // 0. 越权防御：路径中的 ID 必须与 Token 身份一致
+    if (!isOwnerOrAdmin(ctx, userId)) {
+      logger.warn(
+        `⛔ [User Update] 越权修改: Caller=${ctx.state.user.id}, Target=${userId}`,
+      );
+      await recordAudit(ctx, {
+        action: "user.update",
+        targetType: "user",
+        targetId: userId,
+        outcome: "denied",
+      });
+      ctx.status = 403;
+      ctx.body = { code: 403, message: "无权修改其他用户的资料" };
+      return;
+    }
+
+    // 1. 参数防御：确保至少有一个参数需要修改
+    if (!newUsername && !newPassword) {
+      ctx.status = 400;
+      ctx.body = { code: 400, message: "请提供需要修改的用户名或密码" };
+      return;
+    }
+
+    // 修改自己的密码须验证当前密码，防止他人借用已登录的设备改密
+    if (newPassword && isSelf && !currentPassword) {
+      sendValidationError(ctx, [
+        { field: "currentPassword", message: "修改密码需提供当前密码" },
+      ]);
+      return;
+    }
+
+    logger.info(`🔧 [User Update] 收到修改请求: User=${userId}`);
+
+    try {
+      // 2. 查找目标用户
+      const user = await User.findById(userId).select("+hashedPassword");
+      if (!user) {
+        logger.warn(`⚠️ [User Update] 用户不存在: ${userId}`);
+        ctx.status = 404;
+        ctx.body = { code: 404, message: "用户不存在" };
+        return;
+      }
+      const previousUsername = user.username;
+
+      // 3. 处理用户名修改
+      if (newUsername) {
+        // 检查是否与当前一致（避免无意义的数据库查重）
+        if (newUsername !== user.username) {
+          // 检查唯一性：查看是否有“别人”用了这个名字
+          // $ne (Not Equal) 排除了当前用户自己
+          const existingUser = await User.findOne({
+            username: newUsername,
+            _id: { $ne: userId },
+          });
+
+          if (existingUser) {
+            ctx.status = 409;
+            ctx.body = { code: 409, message: "该用户名已被其他人占用" };
+            return;
+          }
+
+          logger.info(
+            `📝 [User Update] 更新用户名: ${user.username} -> ${newUsername}`,
+          );
+          user.username = newUsername;
+        }
+      }
+
+      // 4. 处理密码修改
+      if (newPassword && isSelf) {
+        // 当前密码错误与登录失败共用该用户名的计数，持有 Token 也无法借此绕过锁定逐个尝试
+        const attemptKey = userAttemptKey(previousUsername);
+        const blocked = await checkLoginBlocked([attemptKey]);
+        if (blocked) {
+          logger.warn(
+            `⛔ [User Update] 验证当前密码被拒绝: User=${userId}, Retry-After=${blocked.retryAfter}s`,
+          );
+          sendLoginBlocked(ctx, blocked);
+          return;
+        }
+
+        // 返回 400 而非 401：401 会被客户端当作 Token 过期而触发刷新
+        if (!(await bcrypt.compare(currentPassword, user.hashedPassword))) {
+          logger.warn(`⚠️ [User Update] 当前密码错误: User=${userId}`);
+          const lock = await recordLoginFailure({ user: attemptKey });
+          await recordAudit(ctx, {
+            action: "user.password_change",
+            targetType: "user",
+            targetId: userId,
+            outcome: "failure",
+            detail: { reason: "当前密码错误", locked: Boolean(lock) },
+          });
+          if (lock) {
+            sendLoginBlocked(ctx, lock);
+            return;
+          }
+          sendValidationError(ctx, [
+            { field: "currentPassword", message: "当前密码错误" },
+          ]);
+          return;
+        }
+        await LoginAttempt.deleteOne({ key: attemptKey });
+      }
+
+      if (newPassword) {
+        // 只有当提供了新密码时，才进行昂贵的哈希计算
+        const salt = await bcrypt.genSalt(10);
+        const hashedPassword = await bcrypt.hash(newPassword, salt);
+
+        logger.info(`🔐 [User Update] 更新密码: User=${userId}`);
+        user.hashedPassword = hashedPassword;
+      }
+
+      // 5. 保存更改
+      // 使用 save() 而不是 updateOne()，是为了触发 Mongoose 可能存在的 pre-save 钩子 (虽然目前你的 model 没写，但这是好习惯)
+      await user.save();
+
+      if (user.username !== previousUsername) {
+        await recordAudit(ctx, {
+          action: "user.update",
+          targetType: "user",
+          targetId: userId,
+          detail: { username: { from: previousUsername, to: user.username } },
+        });
+      }
+
+      if (newPassword) {
+        // 本人修改时保留当前设备的会话；管理员重置他人密码时全部吊销
+        const { sid } = ctx.state.user;
+        const revoked = await revokeSessions(
+          isSelf && sid ? { userId, _id: { $ne: sid } } : { userId },
+          "password",
+        );
+        await recordAudit(ctx, {
+          action: "user.password_change",
+          targetType: "user",
+          targetId: userId,
+          detail: { byAdmin: !isSelf, revokedSessions: revoked },
+        });
+      }
+
+      logger.info(`✅ [User Update] 修改成功: User=${userId}`);
+
+      ctx.body = {
+        code: 200,
+        message: "用户信息更新成功",
+        data: {
+          id: user.id,
+          username: user.username,
+          role: user.role,
+        },
+      };
+    } catch (e) {
+      logger.error(`❌ [User Update] 修改失败`, e);
+      ctx.status = 500;
+      ctx.body = { code: 500, message: "更新用户信息失败" };
+    }
+  },
+);
+
+/**
+ * @route GET /api/user/:id/sessions
+ * @summary 获取用户的登录设备 (有效会话) 列表
+ * @description 按最近使用时间倒序，current 标记发起本次请求的设备。
+ * 权限：只能查看自己的会话，管理员可查看任何人。
+ */
+router.get(
+  "/api/user/:id/sessions",
+  validate({ params: USER_ID_PARAMS }),
+  async (ctx) => {
+    const userId = ctx.params.id;
+
+    if (!isOwnerOrAdmin(ctx, userId)) {
+      ctx.status = 403;
+      ctx.body = { code: 403, message: "无权查看其他用户的登录设备" };
+      return;
+    }
+
+    try {
+      const sessions = await Session.find({
+        userId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+      }).sort({ lastUsedAt: -1 });
+
+      ctx.body = {
+        code: 200,
+        message: "获取登录设备成功",
+        data: sessions.map((s) => ({
+          id: s.id,
+          deviceName: s.deviceName,
+          userAgent: s.userAgent,
+          ip: s.ip,
+          createdAt: s.createdAt,
+          lastUsedAt: s.lastUsedAt,
+          expiresAt: s.expiresAt,
+          current: s.id === ctx.state.user.sid,
+        })),
+      };
+    } catch (e) {
+      logger.error(`❌ [Session] 查询登录设备失败`, e);
+      ctx.status = 500;
+      ctx.body = { code: 500, message: "获取登录设备失败" };
+    }
+  },
+);
+
+/**
+ * @route DELETE /api/user/:id/sessions/:sessionId
+ * @summary 下线指定设备
+ * @description 吊销该会话，对应设备在当前 Access Token 过期后即被强制下线。
+ * 权限：只能下线自己的设备，管理员可下线任何人的设备。
+ */
+router.delete(
+  "/api/user/:id/sessions/:sessionId",
+  validate({
+    params: {
+      ...USER_ID_PARAMS,
+      sessionId: { type: "objectId", required: true },
+    },
+  }),
+  async (ctx) => {
+    const { id: userId, sessionId } = ctx.params;
+
+    if (!isOwnerOrAdmin(ctx, userId)) {
+      ctx.status = 403;
+      ctx.body = { code: 403, message: "无权下线其他用户的设备" };
+      return;
+    }
+
+    try {
+      const reason = userId === ctx.state.user.id ? "user" : "admin";
+      const count = await revokeSessions({ _id: sessionId, userId }, reason);
+      if (count === 0) {
+        ctx.status = 404;
+        ctx.body = { code: 404, message: "会话不存在或已下线" };
+        return;
+      }
+
+      await recordAudit(ctx, {
+        action: "session.revoke",
+        targetType: "session",
+        targetId: sessionId,
+        detail: { userId },
+      });
+
+      logger.info(
+        `🔒 [Session] 下线设备: User=${userId}, Session=${sessionId}, By=${ctx.state.user.id}`,
+      );
+      ctx.body = { code: 200, message: "设备已下线" };
+    } catch (e) {
+      logger.error(`❌ [Session] 下线设备失败`, e);
+      ctx.status = 500;
+      ctx.body = { code: 500, message: "下线设备失败" };
+    }
+  },
+);
+
+// ============================================================
+// Admin Routes (用户管理，仅限管理员)
+// ============================================================
+
+/**
+ * 加载路由参数 :id 指向的用户，供下方管理接口复用
+ * @description ID 格式由路由上的 validate({ params: USER_ID_PARAMS }) 保证；
+ * 用户不存在返回 404 (此时已写好 ctx.body)。
+ * @returns {Promise<Object|null>} 用户文档；失败时返回 null
+ */
+const loadTargetUser = async (ctx, projection = "") => {
+  const user = await User.findById(ctx.params.id).select(projection);
+  if (!user) {
+    ctx.status = 404;
+    ctx.body = { code: 404, message: "用户不存在" };
+    return null;
+  }
+
+  return user;
+};
+
+/**
+ * @route GET /api/admin/users
+ * @summary 分页获取用户列表
+ * @description 默认只返回未被软删除 (deletedAt = null) 的用户。
+ *
+ * @param {number} [page=1] - 页码
+ * @param {number} [pageSize=20] - 每页条数 (最大 100)
+ * @param {string} [deleted] - "true" 仅看已停用用户；"all" 返回全部
+ * @param {string} [role] - 按角色过滤 (admin / inspector / reviewer)
+ * @param {string} [keyword] - 用户名模糊搜索
+ */
+router.get(
+  "/api/admin/users",
+  requireRole("admin"),
+  validate({
+    query: {
+      page: { type: "integer", min: 1 },
+      pageSize: { type: "integer", min: 1 },
+      deleted: { type: "string", enum: ["true", "all"] },
+      role: { type: "string", enum: USER_ROLES },
+      keyword: { type: "string", max: 64 },
+    },
+  }),
+  async (ctx) => {
+    const { deleted, role, keyword } = ctx.query;
+    const { page, pageSize, skip } = parsePagination(ctx.query);
+
+    const filter = {};
+    if (deleted === "true") {
+      filter.deletedAt = { $ne: null };
+    } else if (deleted !== "all") {
+      filter.deletedAt = null;
+    }
+    if (role) {
+      filter.role = role;
+    }
+    if (keyword) {
+      filter.username = { $regex: escapeRegex(keyword), $options: "i" };
+    }
+
+    try {
+      const [list, total] = await Promise.all([
+        User.find(filter).sort({ createdAt: -1 }).skip(skip).limit(pageSize),
+        User.countDocuments(filter),
+      ]);
+
+      logger.info(`🔍 [Admin] 查询用户列表: ${list.length}/${total}`);
+
+      ctx.body = {
+        code: 200,
+        message: "获取用户列表成功",
+        data: { list, total, page, pageSize },
+      };
+    } catch (e) {
+      logger.error(`❌ [Admin] 查询用户列表失败`, e);
+      ctx.status = 500;
+      ctx.body = { code: 500, message: "获取用户列表失败" };
+    }
+  },
+);
+
+/**
+ * @route POST /api/admin/users
+ * @summary 管理员创建巡检员账号
+ * @description 与注册不同，此接口不签发 Token (账号由巡检员本人登录使用)。
+ *
+ * @param {string} username - 用户名
+ * @param {string} password - 初始密码
+ */
+router.post(
+  "/api/admin/users",
+  requireRole("admin"),
+  validate({
+    body: { username: USERNAME_RULE, password: NEW_PASSWORD_RULE },
+  }),
+  async (ctx) => {
+    const { username, password } = ctx.request.body;
+
+    try {
+      const existingUser = await User.findOne({ username });
+      if (existingUser) {
+        ctx.status = 409;
+        ctx.body = { code: 409, message: "用户名已被占用" };
+        return;
+      }
+
+      const salt = await bcrypt.genSalt(10);
+      const hashedPassword = await bcrypt.hash(password, salt);
+
+      const newUser = await User.create({
+        username,
+        hashedPassword,
+        role: "inspector",
+      });
+
+      await recordAudit(ctx, {
+        action: "user.create",
+        targetType: "user",
+        targetId: newUser.id,
+        detail: { username: newUser.username },
+      });
+
+      logger.info(
+        `✅ [Admin] ${ctx.state.user.username} 创建巡检员: ${newUser.username}`,
+      );
+
+      ctx.body = {
+        code: 200,
+        message: "账号创建成功",
+        data: {
+          id: newUser.id,
+          username: newUser.username,
+          role: newUser.role,
+        },
+      };
+    } catch (e) {
+      logger.error(`❌ [Admin] 创建账号失败`, e);
+      ctx.status = 500;
+      ctx.body = { code: 500, message: "创建账号失败" };
+    }
+  },
+);
+
+/**
+ * @route PATCH /api/admin/users/:id/role
+ * @summary 修改用户角色
+ * @description 管理员不能修改自己的角色，避免系统中失去最后一个管理员。
+ *
+ * @param {string} role - 新角色 (admin / inspector / reviewer)
+ */
+router.patch(
+  "/api/admin/users/:id/role",
+  requireRole("admin"),
+  validate({
+    params: USER_ID_PARAMS,
+    body: {
+      role: { type: "string", required: true, enum: USER_ROLES },
+    },
+  }),
+  async (ctx) => {
+    const { role } = ctx.request.body;
+
+    if (ctx.params.id === ctx.state.user.id) {
+      ctx.status = 400;
+      ctx.body = { code: 400, message: "不能修改自己的角色" };
+      return;
+    }
+
+    try {
+      const user = await loadTargetUser(ctx);
+      if (!user) return;
+
+      const previousRole = user.role;
+      user.role = role;
+      await user.save();
+
+      await recordAudit(ctx, {
+        action: "user.role_change",
+        targetType: "user",
+        targetId: user.id,
+        detail: { role: { from: previousRole, to: role } },
+      });
+
+      logger.info(`🔧 [Admin] 角色变更: User=${user.id} -> ${role}`);
+
+      ctx.body = {
+        code: 200,
+        message: "角色修改成功",
+        data: { id: user.id, username: user.username, role: user.role },
+      };
+    } catch (e) {
+      logger.error(`❌ [Admin] 角色变更失败`, e);
+      ctx.status = 500;
+      ctx.body = { code: 500, message: "角色修改失败" };
+    }
+  },
+);
+
+/**
+ * @route DELETE /api/admin/users/:id
+ * @summary 软删除 (停用) 用户
+ * @description 写入 deletedAt 并吊销其全部登录会话，对方将无法登录与续期。
+ * 历史任务与记录保留不动。
+ */
+router.delete(
+  "/api/admin/users/:id",
+  requireRole("admin"),
+  validate({ params: USER_ID_PARAMS }),
+  async (ctx) => {
+    if (ctx.params.id === ctx.state.user.id) {
+      ctx.status = 400;
+      ctx.body = { code: 400, message: "不能停用自己的账号" };
+      return;
+    }
+
+    try {
+      const user = await loadTargetUser(ctx);
+      if (!user) return;
+
+      if (!user.deletedAt) {
+        user.deletedAt = new Date();
+        await user.save();
+        await revokeSessions({ userId: user._id }, "disabled");
+        await recordAudit(ctx, {
+          action: "user.disable",
+          targetType: "user",
+          targetId: user.id,
+        });
+      }
+
+      logger.info(`🗑️ [Admin] 停用用户: ${user.username}`);
+      ctx.body = { code: 200, message: "用户已停用" };
+    } catch (e) {
+      logger.error(`❌ [Admin] 停用用户失败`, e);
+      ctx.status = 500;
+      ctx.body = { code: 500, message: "停用用户失败" };
+    }
+  },
+);
+
+/**
+ * @route POST /api/admin/users/:id/restore
+ * @summary 恢复被软删除的用户
+ */
+router.post(
+  "/api/admin/users/:id/restore",
+  requireRole("admin"),
+  validate({ params: USER_ID_PARAMS }),
+  async (ctx) => {
+    try {
+      const user = await loadTargetUser(ctx);
+      if (!user) return;
+
+      user.deletedAt = null;
+      await user.save();
+
+      await recordAudit(ctx, {
+        action: "user.restore",
+        targetType: "user",
+        targetId: user.id,
+      });
+
+      logger.info(`♻️ [Admin] 恢复用户: ${user.username}`);
+      ctx.body = { code: 200, message: "用户已恢复" };
+    } catch (e) {
+      logger.error(`❌ [Admin] 恢复用户失败`, e);
+      ctx.status = 500;
+      ctx.body = { code: 500, message: "恢复用户失败" };
+    }
+  },
+);
+
+/**
+ * @route POST /api/admin/users/:id/revoke
+ * @summary 强制吊销用户的全部登录会话
+ * @description 用于账号泄露等场景：对方所有设备在当前 Access Token 过期后即被强制下线。
+ * 只需下线单台设备时，使用 DELETE /api/user/:id/sessions/:sessionId。
+ */
+router.post(
+  "/api/admin/users/:id/revoke",
+  requireRole("admin"),
+  validate({ params: USER_ID_PARAMS }),
+  async (ctx) => {
+    try {
+      const user = await loadTargetUser(ctx);
+      if (!user) return;
+
+      const count = await revokeSessions({ userId: user._id }, "admin");
+      await recordAudit(ctx, {
+        action: "session.revoke",
+        targetType: "user",
+        targetId: user.id,
+        detail: { all: true, count },
+      });
+
+      logger.info(`🔒 [Admin] 吊销登录会话: ${user.username}, 共 ${count} 个`);
+      ctx.body = { code: 200, message: "已强制下线" };
+    } catch (e) {
+      logger.error(`❌ [Admin] 吊销 Token 失败`, e);
+      ctx.status = 500;
+      ctx.body = { code: 500, message: "强制下线失败" };
+    }
+  },
+);
+
+/**
+ * @route POST /api/admin/users/:id/unlock
+ * @summary 解除用户的登录锁定
+ * @description 清除该用户名的连续失败计数，对方可立即重新登录 (不影响来源 IP 的计数)。
+ */
+router.post(
+  "/api/admin/users/:id/unlock",
+  requireRole("admin"),
+  validate({ params: USER_ID_PARAMS }),
+  async (ctx) => {
+    try {
+      const user = await loadTargetUser(ctx);
+      if (!user) return;
+
+      const { deletedCount } = await LoginAttempt.deleteOne({
+        key: userAttemptKey(user.username),
+      });
+      await recordAudit(ctx, {
+        action: "user.unlock",
+        targetType: "user",
+        targetId: user.id,
+        detail: { wasLocked: deletedCount > 0 },
+      });
+
+      logger.info(
+        `🔓 [Admin] ${ctx.state.user.username} 解锁用户: ${user.username}`,
+      );
+      ctx.body = {
+        code: 200,
+        message: deletedCount > 0 ? "账号已解锁" : "账号未被锁定",
+      };
+    } catch (e) {
+      logger.error(`❌ [Admin] 解锁用户失败`, e);
+      ctx.status = 500;
+      ctx.body = { code: 500, message: "解锁用户失败" };
+    }
+  },
+);
+
+// ============================================================
+// Audit Routes (审计日志，仅限管理员)
+// ============================================================
+
+/**
+ * @route GET /api/admin/audit-events
+ * @summary 查询审计事件
+ * @description 按发生时间倒序游标分页 (始终分页，默认每页 20 条)，分页参数与 /api/task/list 一致。
+ *
+ * @param {string} [action] - 事件类型 (见 audit_helper.AUDIT_ACTIONS)
+ * @param {string} [actorId] - 操作者 ID
+ * @param {string} [targetType] - 操作对象类型，如 user / task / record / session
+ * @param {string} [targetId] - 操作对象 ID
+ * @param {string} [outcome] - success / failure / denied
+ * @param {number} [from] - 发生时间下限 (Unix ms，含)
+ * @param {number} [to] - 发生时间上限 (Unix ms，含)
+ * @param {number} [limit=20] - 单页条数 (最大 100)
+ * @param {string} [cursor] - 上一页返回的 nextCursor
+ * @param {string} [order=desc] - 排序方向 asc / desc
+ */
+router.get(
+  "/api/admin/audit-events",
+  requireRole("admin"),
+  validate({
+    query: {
+      action: { type: "string", enum: AUDIT_ACTIONS },
+      actorId: { type: "objectId" },
+      targetType: { type: "string", max: 32 },
+      targetId: { type: "string", max: 64 },
+      outcome: { type: "string", enum: ["success", "failure", "denied"] },
+      from: { type: "number", min: 0 },
+      to: { type: "number", min: 0 },
+      ...LIST_PAGING_SCHEMA,
+    },
+  }),
+  async (ctx) => {
+    const paging = parseListPaging(ctx, -1);
+    if (!paging) return;
+
+    const filter = {};
+    ["action", "actorId", "targetType", "targetId", "outcome"].forEach(
+      (field) => {
+        if (ctx.query[field]) filter[field] = ctx.query[field];
+      },
+    );
+
+    const from = parseOptionalNumber(ctx.query.from);
+    const to = parseOptionalNumber(ctx.query.to);
+    if (from !== undefined || to !== undefined) {
+      filter.createdAt = {};
+      if (from !== undefined) filter.createdAt.$gte = new Date(from);
+      if (to !== undefined) filter.createdAt.$lte = new Date(to);
+    }
+
+    try {
+      const { data, total, nextCursor } = await findPage(
+        AuditEvent,
+        filter,
+        "createdAt",
+        { ...paging, paged: true },
+      );
+
+      logger.info(`🔍 [Audit] 查询审计事件: ${data.length}/${total}`);
+
+      ctx.body = {
+        code: 200,
+        data,
+        total,
+        nextCursor,
+        message: "获取审计事件成功",
+      };
+    } catch (e) {
+      logger.error(`❌ [Audit] 查询审计事件失败`, e);
+      ctx.status = 500;
+      ctx.body = { code: 500, message: "获取审计事件失败" };
+    }
+  },
+);
+
+/**
+ * @route POST /api/admin/audit-events/prune
+ * @summary 按保留期清理审计事件
+ * @description 删除早于保留期 (config.audit.retentionDays) 的事件。
+ * 新事件到期后由 TTL 索引自动删除；缩短 AUDIT_RETENTION_DAYS 后，已写入的事件仍按旧的过期时间保留，
+ * 可调用此接口立即按新的保留期清理。保留期不可通过接口临时缩短，避免审计记录被随意抹除。
+ */
+router.post(
+  "/api/admin/audit-events/prune",
+  requireRole("admin"),
+  async (ctx) => {
+    const { retentionDays } = audit;
+    const cutoff = getRetentionCutoff(retentionDays);
+
+    try {
+      const { deletedCount } = await AuditEvent.deleteMany({
+        createdAt: { $lt: cutoff },
+      });
+
+      await recordAudit(ctx, {
+        action: "audit.prune",
+        detail: { retentionDays, cutoff, deletedCount },
+      });
+
+      logger.info(
+        `🧹 [Audit] ${ctx.state.user.username} 清理审计事件: ${deletedCount} 条 (早于 ${cutoff.toISOString()})`,
+      );
+      ctx.body = {
+        code: 200,
+        message: "审计事件清理完成",
+        data: { deletedCount, cutoff: cutoff.getTime() },
+      };
+    } catch (e) {
+      logger.error(`❌ [Audit] 清理审计事件失败`, e);
+      ctx.status = 500;
+      ctx.body = { code: 500, message: "清理审计事件失败" };
+    }
+  },
+);
+
+// ============================================================
+// Distress Dictionary Routes (病害字典)
+// ============================================================
+
+// 字典条目的可编辑字段 (code 创建后不可修改)
+const DISTRESS_TYPE_FIELDS = {
+  name: { type: "string", min: 1, max: 32 },
+  aliases: {
+    type: "array",
+    max: 20,
+    items: { type: "string", min: 1, max: 32 },
+  },
+  unit: { type: "string", enum: DISTRESS_UNITS },
+  description: { type: "string", max: 200 },
+  sortOrder: { type: "integer", min: 0, max: 100000 },
+  active: { type: "boolean" },
+};
+
+/**
+ * 整理字典条目的名称与别名 (去除首尾空格与重复项)
+ * @returns {string[]} 待校验唯一性的全部名称
+ */
+const collectDistressLabels = (name, aliases = []) => [
+  ...new Set([name, ...aliases].map((label) => label.trim())),
+];
+
+/**
+ * @route GET /api/distress-types
+ * @summary 获取病害字典
+ * @description 客户端据此生成病害选项 (只展示 active 为 true 的类型)，并将记录中的类型 code 显示为名称。
+ * 已停用的类型也会返回，以便显示历史记录。
+ */
+router.get("/api/distress-types", async (ctx) => {
+  try {
+    const types = await loadDistressTypes();
+    ctx.body = {
+      code: 200,
+      message: "获取病害字典成功",
+      data: types.map(
+        ({ code, name, aliases, unit, description, sortOrder, active }) => ({
+          code,
+          name,
+          aliases,
+          unit,
+          description,
+          sortOrder,
+          active,
+        }),
+      ),
+    };
+  } catch (e) {
+    logger.error(`❌ [Distress] 获取病害字典失败`, e);
+    ctx.status = 500;
+    ctx.body = { code: 500, message: "获取病害字典失败" };
+  }
+});
+
+/**
+ * @route POST /api/admin/distress-types
+ * @summary 新增病害类型
+ * @description 名称与别名在字典内必须唯一 (旧版客户端按名称提交病害，重复会导致归类不确定)。
+ *
+ * @param {string} code - 稳定标识 (小写字母开头，仅含小写字母、数字与下划线)
+ * @param {string} name - 显示名称
+ * @param {string[]} [aliases] - 别名
+ * @param {string} [unit=m2] - 范围单位 m2 / m / count
+ * @param {string} [description] - 说明 (如判定标准)
+ * @param {number} [sortOrder=0] - 排列顺序
+ */
+router.post(
+  "/api/admin/distress-types",
+  requireRole("admin"),
+  validate({
+    body: {
+      ...DISTRESS_TYPE_FIELDS,
+      code: {
+        type: "string",
+        required: true,
+        pattern: DISTRESS_CODE_PATTERN,
+      },
+      name: { ...DISTRESS_TYPE_FIELDS.name, required: true },
+    },
+  }),
+  async (ctx) => {
+    const { code, name, aliases, unit, description, sortOrder, active } =
+      ctx.request.body;
+    const labels = collectDistressLabels(name, aliases);
+
+    try {
+      const index = buildDistressIndex(await loadDistressTypes());
+      const conflict = index.byCode.has(code)
+        ? code
+        : findDistressLabelConflict(index, labels);
+      if (conflict) {
+        ctx.status = 409;
+        ctx.body = {
+          code: 409,
+          message: `病害类型的标识或名称已存在: ${conflict}`,
+        };
+        return;
+      }
+
+      const type = await DistressType.create({
+        code,
+        name: labels[0],
+        aliases: labels.slice(1),
+        unit,
+        description,
+        sortOrder,
+        active,
+      });
+      distressIndexCache = null;
+
+      await recordAudit(ctx, {
+        action: "distress.type_create",
+        targetType: "distress_type",
+        targetId: code,
+        detail: { name: type.name },
+      });
+      logger.info(
+        `📚 [Distress] ${ctx.state.user.username} 新增病害类型: ${code} (${type.name})`,
+      );
+
+      ctx.body = { code: 200, message: "病害类型已创建", data: type };
+    } catch (e) {
+      if (e.code === 11000) {
+        ctx.status = 409;
+        ctx.body = { code: 409, message: `病害类型的标识已存在: ${code}` };
+        return;
+      }
+      logger.error(`❌ [Distress] 新增病害类型失败`, e);
+      ctx.status = 500;
+      ctx.body = { code: 500, message: "新增病害类型失败" };
+    }
+  },
+);
+
+/**
+ * @route PATCH /api/admin/distress-types/:code
+ * @summary 修改病害类型
+ * @description 只更新传入的字段。不提供删除：历史记录仍引用该 code，不再使用时将 active 置为 false。
+ * 修改 unit 只影响之后提交的记录，已有记录的病害条目保留提交时的单位。
+ */
+router.patch(
+  "/api/admin/distress-types/:code",
+  requireRole("admin"),
+  validate({
+    params: { code: { type: "string", required: true, max: 32 } },
+    body: DISTRESS_TYPE_FIELDS,
+  }),
+  async (ctx) => {
+    const { code } = ctx.params;
+    const body = ctx.request.body || {};
+
+    const changes = Object.fromEntries(
+      Object.keys(DISTRESS_TYPE_FIELDS)
+        .filter((field) => body[field] !== undefined)
+        .map((field) => [field, body[field]]),
+    );
+    if (Object.keys(changes).length === 0) {
+      ctx.status = 400;
+      ctx.body = { code: 400, message: "没有需要修改的字段" };
+      return;
+    }
+
+    try {
+      // 先读取字典 (新部署时写入内置字典，内置类型也可直接修改)
+      const index = buildDistressIndex(await loadDistressTypes());
+      const type = await DistressType.findOne({ code });
+      if (!type) {
+        ctx.status = 404;
+        ctx.body = { code: 404, message: "病害类型不存在" };
+        return;
+      }
+
+      if (changes.name !== undefined || changes.aliases !== undefined) {
+        const labels = collectDistressLabels(
+          changes.name ?? type.name,
+          changes.aliases ?? type.aliases,
+        );
+        const conflict = findDistressLabelConflict(index, labels, code);
+        if (conflict) {
+          ctx.status = 409;
+          ctx.body = { code: 409, message: `病害类型名称已存在: ${conflict}` };
+          return;
+        }
+        changes.name = labels[0];
+        changes.aliases = labels.slice(1);
+      }
+
+      type.set(changes);
+      await type.save();
+      distressIndexCache = null;
+
+      await recordAudit(ctx, {
+        action: "distress.type_update",
+        targetType: "distress_type",
+        targetId: code,
+        detail: { fields: Object.keys(changes), active: type.active },
+      });
+      logger.info(
+        `📚 [Distress] ${ctx.state.user.username} 修改病害类型: ${code} (${Object.keys(changes).join(", ")})`,
+      );
+
+      ctx.body = { code: 200, message: "病害类型已更新", data: type };
+    } catch (e) {
+      logger.error(`❌ [Distress] 修改病害类型失败 (${code})`, e);
+      ctx.status = 500;
+      ctx.body = { code: 500, message: "修改病害类型失败" };
+    }
+  },
+);
+
+/**
+ * @route GET /api/storage/credentials
+ * @summary 获取对象存储临时上传凭证
+ * @description Android 端上传文件前，必须先调用此接口获取临时权限。
+ * 返回结构取决于当前存储驱动 (data.provider)：
+ * - aliyun: STS Token (accessKeyId / accessKeySecret / stsToken / region / bucket)，客户端直传 OSS
+ * - local: 带签名的上传地址 (uploadUrl / prefix / expires / signature)，客户端 PUT 到本服务
+ * 凭证只允许上传到 data.prefix (images/{userId}/{taskId}/) 下，客户端须以此作为 ObjectKey 前缀；
+ * 同一用户同一任务的凭证会缓存复用至过期前 5 分钟。
+ * 旧地址 GET /api/oss/sts 已移除：旧版客户端按 images/{taskId}/ 上传，
+ * 既不在凭证授权范围内，也无法通过提交记录时的 serverUrl 校验，须升级客户端。
+ * 安全策略：只返回 Token，绝不在日志中打印 AccessKeySecret。
+ *
+ * @param {string} [taskId] - 任务 ID (query)；不传时授权该用户的全部任务目录
+ */
+router.get(
+  "/api/storage/credentials",
+  validate({
+    query: { taskId: { type: "string", max: 64, pattern: /^[\w-]+$/ } },
+  }),
+  async (ctx) => {
+    const { id: userId } = ctx.state.user;
+    const { taskId } = ctx.query;
+
+    logger.info(
+      `🔑 [STS] 正在请求上传凭证: Provider=${storage.provider}, User=${userId}, Task=${taskId || "-"}`,
+    );
+    try {
+      const credentials = await getUploadCredentials({ userId, taskId });
+      // 审计：记录谁在何时申请了哪个目录的上传权限 (不记录凭证本身)
+      await recordAudit(ctx, {
+        action: "storage.credentials",
+        targetType: "task",
+        targetId: taskId,
+        detail: {
+          provider: credentials.provider,
+          prefix: credentials.prefix,
+          expiration: credentials.expiration,
+        },
+      });
+      logger.info(`✅ [STS] 凭证签发成功: Prefix=${credentials.prefix}`);
+      ctx.body = { code: 200, data: credentials };
+    } catch (e) {
+      // 生产环境脱敏：隐藏具体堆栈，只返回 "联系管理员"
+      logger.error("❌ [STS] 签发失败", e.message);
+      storageCredentialsFailuresTotal.inc({ provider: storage.provider });
+      ctx.status = 500;
+      ctx.body = { code: 500, message: "无法获取上传凭证，请联系管理员" };
+    }
+  },
+);
+
+/**
+ * 校验任务计划巡检的道路 / 路段
+ * @description 路段须属于所传道路；只传路段时道路取路段所属道路。已停用的道路与路段不能作为计划。
+ * 不合法时已写好 ctx.body 并返回 null。
+ * @param {Object} ctx - Koa 上下文
+ * @param {{roadId?: string, sectionId?: string}} body
+ * @returns {Promise<{roadId: Object|null, sectionId: Object|null}|null>}
+ */
+const resolvePlannedRoad = async (ctx, { roadId, sectionId }) => {
+  if (!roadId && !sectionId) return { roadId: null, sectionId: null };
+
+  let section = null;
+  if (sectionId) {
+    section = await RoadSection.findById(sectionId).lean();
+    if (!section || !section.active) {
+      sendValidationError(ctx, [
+        { field: "sectionId", message: "路段不存在或已停用" },
+      ]);
+      return null;
+    }
+    if (roadId && String(section.roadId) !== roadId) {
+      sendValidationError(ctx, [
+        { field: "sectionId", message: "不属于 roadId 指定的道路" },
+      ]);
+      return null;
+    }
+  }
+
+  const road = await Road.findById(section ? section.roadId : roadId).lean();
+  if (!road || !road.active) {
+    sendValidationError(ctx, [
+      { field: "roadId", message: "道路不存在或已停用" },
+    ]);
+    return null;
+  }
+  return { roadId: road._id, sectionId: section ? section._id : null };
+};
+
+/**
+ * @route POST /api/task/create
+ * @summary 创建/同步 巡检任务
+ * @description
+ * 幂等性接口 (Idempotent):
+ * 支持 Android 端重复提交。如果 taskId 已存在，则忽略本次插入，
+ * 防止弱网环境下客户端重试导致的数据重复 (data.status = "duplicate")。
+ * 但若已存在的任务与本次提交的 inspectorId / title / startTime 不一致，
+ * 说明 taskId 冲突而非重试，返回 409 并在 conflicts 中列出差异字段。
+ * 巡检员只能为自己创建任务，管理员可代他人创建。
+ * * @param {string} taskId - 任务 UUID (Client Side Generated)
+ * @param {string} title - 任务标题
+ * @param {string} inspectorId - 巡检员 ID
+ * @param {number} startTime - 开始时间戳
+ * @param {number} [endTime] - 结束时间戳 (离线结束的任务补传时携带)
+ * @param {string} [roadId] - 计划巡检的道路 (见 GET /api/roads)
+ * @param {string} [sectionId] - 计划巡检的路段，只传 sectionId 时道路取路段所属道路
+ */
+router.post(
+  "/api/task/create",
+  validate({
+    body: {
+      taskId: TASK_ID_RULE,
+      title: { type: "string", required: true, max: 100 },
+      inspectorId: { type: "objectId", required: true },
+      startTime: { type: "timestamp", required: true },
+      endTime: { type: "timestamp" },
+      roadId: { type: "objectId" },
+      sectionId: { type: "objectId" },
+    },
+  }),
+  async (ctx) => {
+    const { taskId, title, inspectorId, startTime, endTime } = ctx.request.body;
+
+    // 关键业务日志：记录核心 ID，方便日后排查 "某人说他建了任务但库里没有" 的扯皮问题
+    logger.info(
+      `📋 [Task Create] 收到请求: User=${inspectorId}, Task=${taskId}, Title=${title}`,
+    );
+
+    if (endTime && endTime < startTime) {
+      sendValidationError(ctx, [
+        { field: "endTime", message: "不能早于 startTime" },
+      ]);
+      return;
+    }
+
+    if (!isOwnerOrAdmin(ctx, inspectorId)) {
+      logger.warn(
+        `⛔ [Task Create] 越权创建: Caller=${ctx.state.user.id}, Inspector=${inspectorId}`,
+      );
+      await recordAudit(ctx, {
+        action: "task.create",
+        targetType: "task",
+        targetId: taskId,
+        outcome: "denied",
+        detail: { inspectorId },
+      });
+      ctx.status = 403;
+      ctx.body = { code: 403, message: "无权为其他用户创建任务" };
+      return;
+    }
+
+    const isFinished = !!endTime;
+
+    /** 审计：status 为 created / duplicate / conflict */
+    const auditCreate = (status, outcome) =>
+      recordAudit(ctx, {
+        action: "task.create",
+        targetType: "task",
+        targetId: taskId,
+        outcome,
+        detail: { status, inspectorId, title },
+      });
+
+    try {
+      const planned = await resolvePlannedRoad(ctx, ctx.request.body);
+      if (!planned) return;
+
+      // 使用 MongoDB Upsert (更新或插入) 实现幂等
+      // 语义：找到 taskId 相同的文档；如果没找到，则插入 ($setOnInsert)；如果找到了，什么都不改。
+      const res = await Task.updateOne(
+        { taskId: taskId },
+        {
+          $setOnInsert: {
+            taskId,
+            title,
+            inspectorId,
+            startTime,
+            endTime: endTime || null,
+            isFinished: isFinished,
+            ...planned,
+          },
+        },
+        // 如果任务不存在则插入，存在则忽略($setOnInsert不生效)
+        { upsert: true },
+      );
+
+      if (res.upsertedCount > 0) {
+        await auditCreate("created");
+        logger.info(`✅ [Task Create] 任务入库成功: ${taskId}`);
+        ctx.body = {
+          code: 200,
+          message: "任务创建成功",
+          data: { taskId, status: "created" },
+        };
+        return;
+      }
+
+      // $setOnInsert 未生效：区分 "重试" 与 "taskId 冲突"
+      const existing = await Task.findOne({ taskId }).lean();
+      const incoming = { inspectorId, title, startTime };
+      const conflicts = Object.entries(incoming)
+        .filter(([field, value]) => String(existing[field]) !== String(value))
+        .map(([field, value]) => ({
+          field,
+          existing: existing[field],
+          incoming: value,
+        }));
+
+      if (conflicts.length > 0) {
+        await auditCreate("conflict", "failure");
+        logger.warn(
+          `⚠️ [Task Create] taskId 冲突: ${taskId}, 字段=${conflicts.map((c) => c.field).join(",")}`,
+        );
+        ctx.status = 409;
+        ctx.body = {
+          code: 409,
+          message: "任务已存在且内容不一致",
+          conflicts,
+        };
+        return;
+      }
+
+      await auditCreate("duplicate");
+      logger.info(`ℹ️ [Task Create] 任务已存在，忽略重复提交: ${taskId}`);
+      ctx.body = {
+        code: 200,
+        message: "任务已存在",
+        data: { taskId, status: "duplicate" },
+      };
+    } catch (e) {
+      logger.error(`❌ [Task Create] 失败 (ID: ${taskId})`, e);
+      ctx.status = 500;
+      ctx.body = { code: 500, message: "任务创建失败" };
+    }
+  },
+);
+
+/**
+ * 幂等写入一条记录
+ * @description 以 recordId 为幂等键，已存在的记录保持不变 ($setOnInsert)。
+ * 并发重传时两个 upsert 可能同时插入，唯一索引冲突 (E11000) 同样视为重复。
+ * @param {Object} record - normalizeRecordInput 转换后的记录
+ * @returns {Promise<"created"|"duplicate">}
+ */
+const upsertRecord = async (record) => {
+  try {
+    const res = await Record.updateOne(
+      { recordId: record.recordId },
+      { $setOnInsert: record },
+      { upsert: true },
+    );
+    return res.upsertedCount > 0 ? "created" : "duplicate";
+  } catch (e) {
+    if (e.code === 11000) return "duplicate";
+    throw e;
+  }
+};
+
+/**
+ * @route POST /api/record/submit
+ * @summary 提交单条病害记录
+ * @description
+ * Android 端完成 OSS 直传后，调用此接口将图片 URL 和地理位置元数据存入数据库。
+ * 幂等性接口 (Idempotent): 以 recordId 去重，重复提交直接返回成功 (data.status = "duplicate")，
+ * 客户端在超时重试时无需担心产生重复记录或 500 错误。
+ * 写入前按位置匹配附近的道路并计算桩号 (record.road，见 matchRecordsToRoads)。
+ * 关联的任务已存在且属于其他巡检员时返回 403 (尚未同步的任务照常接收)。
+ *
+ * @param {string} recordId - 记录 UUID
+ * @param {string} taskId - 关联的任务 ID
+ * @param {string} serverUrl - 图片在 OSS 的完整 URL (须位于 images/{当前用户 ID}/{taskId}/ 下)
+ * @param {number} captureTime - 拍摄时间 (Unix ms)
+ * @param {number} latitude - 纬度 (WGS84)
+ * @param {number} longitude - 经度 (WGS84)
+ * @param {string} address - 逆地理编码地址
+ * @param {Object[]} [distresses] - 病害条目 (type 取自 GET /api/distress-types)
+ * @param {string} [pavementDistress] - 旧版病害字段 (逗号分隔的名称)，未传 distresses 时按字典转换
+ */
+router.post("/api/record/submit", async (ctx) => {
+  const body = ctx.request.body;
+
+  // 日志作用：排查 "位置漂移" 问题。
+  // 如果用户投诉定位不准，可对比此处日志中的 Loc 与用户实际位置。
+  logger.info(
+    `📷 [Record] 收到图片: Task=${body.taskId}, Loc=[${body.longitude}, ${body.latitude}]`,
+  );
+
+  let normalized;
+  try {
+    normalized = normalizeRecordInput(body, {
+      uploaderId: ctx.state.user.id,
+      distressIndex: await loadDistressIndex(),
+    });
+  } catch (e) {
+    logger.error(`❌ [Record] 读取病害字典失败`, e);
+    ctx.status = 500;
+    ctx.body = { code: 500, message: "记录保存失败" };
+    return;
+  }
+
+  const { record, errors } = normalized;
+  if (errors) {
+    recordsIngestedTotal.inc({ endpoint: "submit", status: "invalid" });
+    await recordAudit(ctx, {
+      action: "record.submit",
+      targetType: "record",
+      targetId: body?.recordId,
+      outcome: "failure",
+      detail: { taskId: body?.taskId, fields: errors.map((e) => e.field) },
+    });
+    sendValidationError(ctx, errors);
+    return;
+  }
+
+  try {
+    const foreign = await findForeignTaskIds(ctx, [record.taskId]);
+    if (foreign.size > 0) {
+      logger.warn(
+        `⛔ [Record] 越权提交: User=${ctx.state.user.id}, Task=${record.taskId}`,
+      );
+      await recordAudit(ctx, {
+        action: "record.submit",
+        targetType: "record",
+        targetId: record.recordId,
+        outcome: "denied",
+        detail: { taskId: record.taskId },
+      });
+      ctx.status = 403;
+      ctx.body = { code: 403, message: "无权向该任务提交记录" };
+      return;
+    }
+
+    await matchRecordsToRoads([record]);
+    const status = await upsertRecord(record);
+    recordsIngestedTotal.inc({ endpoint: "submit", status });
+    await recordAudit(ctx, {
+      action: "record.submit",
+      targetType: "record",
+      targetId: record.recordId,
+      detail: { taskId: record.taskId, status },
+    });
+    logger.info(
+      status === "created"
+        ? `✅ [Record] 记录保存完成`
+        : `ℹ️ [Record] 记录已存在，忽略重复提交: ${record.recordId}`,
+    );
+    ctx.body = {
+      code: 200,
+      message: status === "created" ? "记录保存成功" : "记录已存在",
+      data: { recordId: record.recordId, status },
+    };
+  } catch (e) {
+    logger.error(`❌ [Record] 保存失败`, e);
+    ctx.status = 500;
+    ctx.body = { code: 500, message: "记录保存失败" };
+  }
+});
+
+/**
+ * @route POST /api/record/batch
+ * @summary 批量提交病害记录 (离线积压补传)
+ * @description
+ * 断网一天后 UploadWorker 可能积压数百条记录，逐条提交会瞬间打满连接池。
+ * 本接口一次最多接收 200 条，逐条幂等写入，并独立返回每条的处理结果：
+ * - created: 新写入
+ * - duplicate: 已存在，本次忽略
+ * - invalid: 数据非法，未写入 (附 message)
+ * 单条失败不影响其余记录，客户端只需对 invalid 的记录做处理。
+ * 关联的任务已存在且属于其他巡检员时，该条记为 invalid。
+ *
+ * @param {Object[]} records - 记录数组，字段同 /api/record/submit
+ */
+router.post(
+  "/api/record/batch",
+  validate({
+    body: {
+      records: {
+        type: "array",
+        required: true,
+        min: 1,
+        max: MAX_RECORDS_PER_BATCH,
+      },
+    },
+  }),
+  async (ctx) => {
+    const { records } = ctx.request.body;
+
+    logger.info(`📷 [Record Batch] 收到批量记录: ${records.length} 条`);
+
+    try {
+      const distressIndex = await loadDistressIndex();
+      const foreignTaskIds = await findForeignTaskIds(
+        ctx,
+        records.map((r) => r?.taskId).filter((id) => typeof id === "string"),
+      );
+      const results = [];
+      const accepted = []; // { record, result }：通过校验、待写入的记录
+      for (const item of records) {
+        const { record, errors } = normalizeRecordInput(item, {
+          uploaderId: ctx.state.user.id,
+          distressIndex,
+        });
+        if (errors) {
+          results.push({
+            recordId: item?.recordId ?? null,
+            status: "invalid",
+            message: formatErrors(errors),
+            errors,
+          });
+          continue;
+        }
+        if (foreignTaskIds.has(record.taskId)) {
+          results.push({
+            recordId: record.recordId,
+            status: "invalid",
+            message: "无权向该任务提交记录",
+          });
+          continue;
+        }
+
+        const result = { recordId: record.recordId, status: null };
+        results.push(result);
+        accepted.push({ record, result });
+      }
+
+      // 整批一次性读取附近的道路，再逐条写入
+      await matchRecordsToRoads(accepted.map((a) => a.record));
+      for (const { record, result } of accepted) {
+        result.status = await upsertRecord(record);
+      }
+
+      const summary = { created: 0, duplicate: 0, invalid: 0 };
+      results.forEach((r) => summary[r.status]++);
+      Object.entries(summary).forEach(([status, count]) => {
+        if (count > 0) {
+          recordsIngestedTotal.inc({ endpoint: "batch", status }, count);
+        }
+      });
+
+      // 批量提交只记一条事件，逐条结果已在响应中返回
+      await recordAudit(ctx, {
+        action: "record.submit",
+        detail: {
+          batch: true,
+          taskIds: [...new Set(records.map((r) => r?.taskId))].slice(0, 20),
+          ...summary,
+        },
+      });
+
+      logger.info(
+        `✅ [Record Batch] 处理完成: 新增=${summary.created}, 重复=${summary.duplicate}, 无效=${summary.invalid}`,
+      );
+
+      ctx.body = {
+        code: 200,
+        message: "批量提交完成",
+        data: { ...summary, results },
+      };
+    } catch (e) {
+      logger.error(`❌ [Record Batch] 保存失败`, e);
+      ctx.status = 500;
+      ctx.body = { code: 500, message: "批量提交失败" };
+    }
+  },
+);
+
+/**
+ * @route POST /api/task/finish
+ * @summary 结束巡检任务
+ * @description 更新任务状态为已完成 (isFinished: true) 并记录结束时间。
+ * 权限：只能结束自己的任务，管理员可结束任何任务。
+ */
+router.post(
+  "/api/task/finish",
+  validate({
+    body: {
+      taskId: TASK_ID_RULE,
+      endTime: { type: "timestamp", required: true },
+    },
+  }),
+  async (ctx) => {
+    const { taskId, endTime } = ctx.request.body;
+
+    logger.info(`🏁 [Task Finish] 尝试结束任务: ${taskId}`);
+
+    try {
+      const task = await Task.findOne({ taskId: taskId });
+
+      // 业务逻辑检查：确保要结束的任务确实存在
+      if (!task) {
+        logger.warn(
+          `⚠️ [Task Finish] 警告: 未找到任务 ID ${taskId}，可能是非法请求`,
+        );
+        // 这里的 200 是为了兼容性，也可以考虑返回 404
+        ctx.body = { code: 200, message: "任务可能已删除或不存在" };
+        return;
+      }
+
+      if (!isOwnerOrAdmin(ctx, task.inspectorId)) {
+        logger.warn(
+          `⛔ [Task Finish] 越权操作: User=${ctx.state.user.id}, Task=${taskId}`,
+        );
+        await recordAudit(ctx, {
+          action: "task.finish",
+          targetType: "task",
+          targetId: taskId,
+          outcome: "denied",
+        });
+        ctx.status = 403;
+        ctx.body = { code: 403, message: "无权结束该任务" };
+        return;
+      }
+
+      await Task.updateOne(
+        { taskId: taskId },
+        { $set: { endTime: endTime, isFinished: true } },
+      );
+      await recordAudit(ctx, {
+        action: "task.finish",
+        targetType: "task",
+        targetId: taskId,
+        detail: { endTime },
+      });
+
+      logger.info(`✅ [Task Finish] 任务状态已更新`);
+      ctx.body = { code: 200, message: "任务已结束" };
+    } catch (e) {
+      logger.error(`❌ [Task Finish] 失败`, e);
+      ctx.status = 500;
+      ctx.body = { code: 500, message: "同步任务结束失败" };
+    }
+  },
+);
+
+/**
+ * @route GET /api/task/list
+ * @summary 获取指定用户的任务列表 (支持游标分页与过滤)
+ * @description
+ * 根据 userId (inspectorId) 拉取该巡检员的任务，按任务开始时间 (startTime) 排序，默认倒序 (最新的在前)。
+ * 身份以 Token 为准：不传 userId 时查询自己；巡检员传入他人 ID 返回 403，管理员与审核员可查询任何人。
+ * 审核员对他人任务只读：结束任务、上传轨迹、提交记录等写操作仍要求任务归属本人 (或管理员)。
+ * 不传 limit / cursor 时保持旧行为一次返回全部 (兼容 Android 端的全量同步)。
+ * 分页模式下响应额外包含 total (过滤后的总数) 与 nextCursor (为 null 表示没有更多)。
+ *
+ * @param {string} [userId] - 用户 ID (Query Param, e.g., ?userId=xxx)
+ * @param {number} [limit] - 单页条数 (最大 100)，传入即启用分页
+ * @param {string} [cursor] - 上一页返回的 nextCursor
+ * @param {string} [order=desc] - 排序方向 asc / desc
+ * @param {string} [status] - finished 已完成 / unfinished 进行中
+ * @param {number} [from] - 开始时间下限 (Unix ms，含)
+ * @param {number} [to] - 开始时间上限 (Unix ms，含)
+ * @param {string} [keyword] - 标题模糊搜索
+ * @param {string} [roadId] - 计划巡检的道路
+ */
+router.get(
+  "/api/task/list",
+  validate({
+    query: {
+      userId: { type: "objectId" },
+      ...LIST_PAGING_SCHEMA,
+      status: { type: "string", enum: ["finished", "unfinished"] },
+      from: { type: "number", min: 0 },
+      to: { type: "number", min: 0 },
+      keyword: { type: "string", max: 64 },
+      roadId: { type: "objectId" },
+    },
+  }),
+  async (ctx) => {
+    // 1. 获取查询参数 (缺省为当前登录用户)
+    const userId = ctx.query.userId || ctx.state.user.id;
+    const { status, keyword, roadId } = ctx.query;
+
+    // 2. 权限校验 (审核员可查看任何人的任务，与 loadAccessibleTask 的只读规则一致)
+    const canRead = RECORD_READER_ROLES.includes(ctx.state.user.role);
+    if (!canRead && !isOwnerOrAdmin(ctx, userId)) {
+      logger.warn(
+        `⛔ [Task List] 越权查询: Caller=${ctx.state.user.id}, Target=${userId}`,
+      );
+      ctx.status = 403;
+      ctx.body = { code: 403, message: "无权查看其他用户的任务" };
+      return;
+    }
+
+    const paging = parseListPaging(ctx, -1);
+    if (!paging) return;
+
+    // 3. 组装过滤条件
+    const filter = { inspectorId: userId };
+
+    if (status) {
+      filter.isFinished = status === "finished";
+    }
+
+    const from = parseOptionalNumber(ctx.query.from);
+    const to = parseOptionalNumber(ctx.query.to);
+    if (from !== undefined || to !== undefined) {
+      filter.startTime = {};
+      if (from !== undefined) filter.startTime.$gte = from;
+      if (to !== undefined) filter.startTime.$lte = to;
+    }
+
+    if (keyword) {
+      filter.title = { $regex: escapeRegex(keyword), $options: "i" };
+    }
+
+    if (roadId) {
+      filter.roadId = roadId;
+    }
+
+    logger.info(`🔍 [Task List] 正在查询用户任务: ${userId}`);
+
+    try {
+      // 4. 数据库查询
+      const { data, total, nextCursor } = await findPage(
+        Task,
+        filter,
+        "startTime",
+        paging,
+      );
+
+      logger.info(
+        `✅ [Task List] 查询成功: 返回 ${data.length}/${total} 个任务`,
+      );
+
+      ctx.body = {
+        code: 200,
+        data,
+        total,
+        nextCursor,
+        message: "获取任务列表成功",
+      };
+    } catch (e) {
+      logger.error(`❌ [Task List] 查询失败 (User: ${userId})`, e);
+      ctx.status = 500;
+      ctx.body = { code: 500, message: "获取任务列表失败" };
+    }
+  },
+);
+
+/**
+ * @route GET /api/record/list
+ * @summary 前端获取指定任务下的病害记录 (支持游标分页与过滤)
+ * @description
+ * 根据 taskId 拉取该任务关联的 Record 数据，按拍摄时间 (captureTime) 排序，默认正序。
+ * 通常用于 "任务详情页" 或 "历史记录回放" 功能。
+ * 权限：只能查看自己任务下的记录，管理员可查看任何任务。
+ * 分页规则与 /api/task/list 一致：不传 limit / cursor 时一次返回全部。
+ *
+ * @param {string} taskId - 任务 ID (通过 Query Param 传递, e.g., ?taskId=xxx)
+ * @param {number} [limit] - 单页条数 (最大 100)，传入即启用分页
+ * @param {string} [cursor] - 上一页返回的 nextCursor
+ * @param {string} [order=asc] - 排序方向 asc / desc
+ * @param {*} [...filters] - iriMin / iriMax / distress / severity / from / to，见 buildRecordFilter
+ * @param {boolean} [signUrls] - 为 true 时每条记录附带 photo 字段 (签名访问地址与 thumb 缩略图，见 /api/record/:recordId/photo)
+ */
+router.get(
+  "/api/record/list",
+  validate({
+    query: {
+      ...RECORD_FILTER_SCHEMA,
+      taskId: TASK_ID_RULE,
+      ...LIST_PAGING_SCHEMA,
+      signUrls: { type: "boolean" },
+    },
+  }),
+  async (ctx) => {
+    // 1. 从 URL 查询参数中获取 taskId (GET 请求不读取 body，参数已由 validate 校验)
+    const { taskId } = ctx.query;
+
+    const paging = parseListPaging(ctx, 1);
+    if (!paging) return;
+
+    logger.info(`🔍 [Record List] 正在查询任务记录: ${taskId}`);
+
+    try {
+      // 3. 权限校验与过滤条件 (任务必须存在且属于当前用户)
+      const filter = await buildRecordFilter(ctx, ctx.query);
+      if (!filter) return;
+
+      // 4. 数据库查询
+      const { data, total, nextCursor } = await findPage(
+        Record,
+        filter,
+        "captureTime",
+        paging,
+      );
+
+      // 5. 组装响应 (按需附带照片的签名访问地址)
+      logger.info(
+        `✅ [Record List] 查询成功: 返回 ${data.length}/${total} 条记录`,
+      );
+
+      ctx.body = {
+        code: 200,
+        data:
+          ctx.query.signUrls === "true"
+            ? data.map((r) => ({
+                ...r.toJSON(),
+                photo: signPhotoUrls(r.serverUrl, { variants: ["thumb"] }),
+              }))
+            : data,
+        total,
+        nextCursor,
+        message: "获取成功",
+      };
+    } catch (e) {
+      logger.error(`❌ [Record List] 查询出错 (ID: ${taskId})`, e);
+      ctx.status = 500;
+      ctx.body = { code: 500, message: "获取记录失败，请稍后重试" };
+    }
+  },
+);
+
+// variants 参数规则：逗号分隔的缩略图规格，如 "thumb,medium"
+const PHOTO_VARIANTS_RULE = {
+  type: "string",
+  pattern: new RegExp(
+    `^(${Object.keys(PHOTO_VARIANTS).join("|")})(,(${Object.keys(PHOTO_VARIANTS).join("|")}))*$`,
+  ),
+};
+
+/**
+ * @route GET /api/record/:recordId/photo
+ * @summary 获取记录照片的临时访问地址
+ * @description
+ * Bucket 为私有时照片无法直接访问，由后端签发短时有效的 GET 签名 URL。
+ * 权限：只能获取自己任务下的照片，管理员不受限。
+ * URL 过期后 (expiresAt，Unix ms) 客户端需重新调用本接口。
+ *
+ * @param {string} [variants] - 需要的缩略图规格，逗号分隔 (thumb / medium)
+ * @returns {{url: string, thumbnails: Object<string, string>, expiresAt: number}}
+ */
+router.get(
+  "/api/record/:recordId/photo",
+  validate({
+    params: { recordId: { type: "string", required: true, max: 64 } },
+    query: {
+      variants: PHOTO_VARIANTS_RULE,
+    },
+  }),
+  async (ctx) => {
+    const { recordId } = ctx.params;
+    const variants = ctx.query.variants
+      ? [...new Set(ctx.query.variants.split(","))]
+      : [];
+
+    try {
+      const record = await Record.findOne({ recordId }).lean();
+      if (!record) {
+        ctx.status = 404;
+        ctx.body = { code: 404, message: "记录不存在" };
+        return;
+      }
+
+      const task = await loadAccessibleTask(ctx, record.taskId);
+      if (!task) return;
+
+      const photo = signPhotoUrls(record.serverUrl, { variants });
+      if (!photo) {
+        logger.warn(`⚠️ [Photo] 无法解析照片地址: ${record.serverUrl}`);
+        ctx.status = 422;
+        ctx.body = { code: 422, message: "照片地址不属于当前存储" };
+        return;
+      }
+
+      ctx.body = { code: 200, message: "获取成功", data: photo };
+    } catch (e) {
+      logger.error(`❌ [Photo] 签名失败 (Record: ${recordId})`, e);
+      ctx.status = 500;
+      ctx.body = { code: 500, message: "获取照片地址失败" };
+    }
+  },
+);
+
+// ============================================================
+// Review Routes (病害审核，仅限管理员与审核员)
+// ============================================================
+
+// 审核状态过滤参数：逗号分隔的状态，或 "all"
+const REVIEW_STATUS_RULE = {
+  type: "string",
+  pattern: new RegExp(
+    `^(all|${REVIEW_STATUSES.join("|")})(,(${REVIEW_STATUSES.join("|")}))*$`,
+  ),
+};
+
+/**
+ * @route GET /api/review/queue
+ * @summary 获取审核队列
+ * @description
+ * 默认返回待审核 (pending) 的记录，按拍摄时间正序游标分页 (始终分页，默认每页 20 条)，
+ * 审核员按顺序逐条处理即可。可按任务、区域与病害过滤 (见 buildRecordFilter)。
+ * 审核功能上线前的旧记录没有 review 字段，按 pending 返回。
+ *
+ * @param {string} [status=pending] - 审核状态，多个用逗号分隔；all 表示全部
+ * @param {string} [taskId] - 限定任务 (不存在时返回 404)
+ * @param {string} [bbox] - 矩形范围 "minLng,minLat,maxLng,maxLat"
+ * @param {*} [...filters] - iriMin / iriMax / distress / severity / from / to，见 buildRecordFilter
+ * @param {number} [limit=20] - 单页条数 (最大 100)
+ * @param {string} [cursor] - 上一页返回的 nextCursor
+ * @param {string} [order=asc] - 排序方向 asc / desc
+ * @param {boolean} [signUrls] - 为 true 时每条记录附带 photo 字段 (同 /api/record/list)
+ * @returns {Object[]} data 为记录；tasks 为本页记录所属任务的摘要 (taskId / title / inspectorId / startTime)
+ */
+router.get(
+  "/api/review/queue",
+  requireRole(...RECORD_READER_ROLES),
+  validate({
+    query: {
+      ...RECORD_FILTER_SCHEMA,
+      status: REVIEW_STATUS_RULE,
+      bbox: { type: "string", max: 100 },
+      ...LIST_PAGING_SCHEMA,
+      signUrls: { type: "boolean" },
+    },
+  }),
+  async (ctx) => {
+    const paging = parseListPaging(ctx, 1);
+    if (!paging) return;
+
+    const area = parseBboxQuery(ctx);
+    if (!area) return;
+
+    try {
+      const filter = await buildRecordFilter(ctx, ctx.query);
+      if (!filter) return;
+      if (area.geometry) {
+        filter.location = { $geoWithin: { $geometry: area.geometry } };
+      }
+      Object.assign(
+        filter,
+        buildReviewStatusFilter(parseReviewStatuses(ctx.query.status)),
+      );
+
+      const { data, total, nextCursor } = await findPage(
+        Record,
+        filter,
+        "captureTime",
+        { ...paging, paged: true },
+      );
+
+      // 本页记录所属任务的摘要，客户端据此显示任务名称、按任务过滤
+      const tasks = await Task.find({
+        taskId: { $in: [...new Set(data.map((r) => r.taskId))] },
+      })
+        .select("taskId title inspectorId startTime -_id")
+        .lean();
+
+      logger.info(`🔍 [Review] 查询审核队列: ${data.length}/${total}`);
+
+      ctx.body = {
+        code: 200,
+        data:
+          ctx.query.signUrls === "true"
+            ? data.map((r) => ({
+                ...r.toJSON(),
+                photo: signPhotoUrls(r.serverUrl, { variants: ["thumb"] }),
+              }))
+            : data,
+        tasks,
+        total,
+        nextCursor,
+        message: "获取审核队列成功",
+      };
+    } catch (e) {
+      logger.error(`❌ [Review] 查询审核队列失败`, e);
+      ctx.status = 500;
+      ctx.body = { code: 500, message: "获取审核队列失败" };
+    }
+  },
+);
+
+/**
+ * @route POST /api/record/:recordId/review
+ * @summary 提交审核结论
+ * @description
+ * 记录审核员身份与时间，可重复审核 (以最后一次为准，历次结论见审计日志)。
+ * corrected 时以提交的 distresses 替换记录的病害条目，首次修正前的条目保留在 review.originalDistresses。
+ *
+ * @param {string} status - confirmed 确认 / rejected 驳回 / corrected 修正
+ * @param {Object[]} [distresses] - 修正后的病害条目 (corrected 时必填，可为空数组；格式同 /api/record/submit)
+ * @param {string} [comment] - 审核意见
+ * @returns {Object} 更新后的记录
+ */
+router.post(
+  "/api/record/:recordId/review",
+  requireRole(...RECORD_READER_ROLES),
+  validate({
+    params: { recordId: { type: "string", required: true, max: 64 } },
+    body: {
+      status: { type: "string", required: true, enum: REVIEW_DECISIONS },
+      distresses: { type: "array" },
+      comment: { type: "string", max: 200 },
+    },
+  }),
+  async (ctx) => {
+    const { recordId } = ctx.params;
+    const { status, comment } = ctx.request.body;
+    const hasDistresses = ctx.request.body.distresses !== undefined;
+
+    if ((status === "corrected") !== hasDistresses) {
+      sendValidationError(ctx, [
+        {
+          field: "distresses",
+          message: status === "corrected" ? "修正时必须提交" : "仅修正时可提交",
+        },
+      ]);
+      return;
+    }
+
+    try {
+      const record = await Record.findOne({ recordId }).lean();
+      if (!record) {
+        ctx.status = 404;
+        ctx.body = { code: 404, message: "记录不存在" };
+        return;
+      }
+
+      let distresses;
+      if (hasDistresses) {
+        const result = normalizeDistresses(
+          ctx.request.body.distresses,
+          await loadDistressIndex(),
+        );
+        if (result.errors) {
+          sendValidationError(ctx, result.errors);
+          return;
+        }
+        distresses = result.distresses;
+      }
+
+      const previousStatus = getReviewStatus(record);
+      const updated = await Record.findOneAndUpdate(
+        { recordId },
+        buildReviewUpdate(
+          record,
+          { status, distresses, comment },
+          ctx.state.user,
+        ),
+        { returnDocument: "after" },
+      );
+
+      await recordAudit(ctx, {
+        action: "record.review",
+        targetType: "record",
+        targetId: recordId,
+        detail: {
+          taskId: record.taskId,
+          status: { from: previousStatus, to: status },
+        },
+      });
+
+      logger.info(
+        `🧐 [Review] 审核记录: Record=${recordId}, ${previousStatus} -> ${status}`,
+      );
+
+      ctx.body = { code: 200, message: "审核成功", data: updated };
+    } catch (e) {
+      logger.error(`❌ [Review] 审核失败 (Record: ${recordId})`, e);
+      ctx.status = 500;
+      ctx.body = { code: 500, message: "审核失败" };
+    }
+  },
+);
+
+// ============================================================
+// Work Order Routes (维修工单)
+// ============================================================
+
+const WORK_ORDER_PARAMS = { id: { type: "objectId", required: true } };
+
+// 维修前 / 维修后照片：须位于本系统的存储空间
+const WORK_ORDER_PHOTOS_RULE = {
+  type: "array",
+  max: MAX_PHOTOS_PER_ORDER,
+  items: { type: "url", hosts: () => allowedUploadHosts },
+};
+
+// 维修期限 (Unix ms)，须晚于当前时间
+const DUE_DATE_RULE = {
+  type: "integer",
+  min: 0,
+  check: (value) => (Number(value) <= Date.now() ? "须晚于当前时间" : null),
+};
+
+// 一次自动生成最多处理的记录数
+const GENERATE_MAX_RECORDS = 1000;
+
+// 未完成 (可能逾期) 的工单状态
+const UNFINISHED_WORK_ORDER_STATUSES = ["open", "assigned", "in_progress"];
+
+/**
+ * 加载当前用户有权查看的工单
+ * @description 管理员与审核员可查看全部工单，其他用户只能查看指派给自己的工单。
+ * 工单不存在返回 404，无权查看返回 403 (此时已写好 ctx.body)。
+ * @param {Object} ctx - Koa 上下文 (ctx.params.id 为工单 ID)
+ * @returns {Promise<Object|null>} 工单文档
+ */
+const loadAccessibleWorkOrder = async (ctx) => {
+  const order = await WorkOrder.findById(ctx.params.id);
+  if (!order) {
+    ctx.status = 404;
+    ctx.body = { code: 404, message: "工单不存在" };
+    return null;
+  }
+
+  if (
+    !RECORD_READER_ROLES.includes(ctx.state.user.role) &&
+    String(order.assigneeId) !== ctx.state.user.id
+  ) {
+    logger.warn(
+      `⛔ [Work Order] 越权访问工单: User=${ctx.state.user.id}, Order=${order.id}`,
+    );
+    ctx.status = 403;
+    ctx.body = { code: 403, message: "无权访问该工单" };
+    return null;
+  }
+
+  return order;
+};
+
+/**
+ * 校验维修人员 (须为未停用的用户)
+ * @returns {Promise<boolean>} 不合法时已写好 ctx.body 并返回 false
+ */
+const checkAssignee = async (ctx, assigneeId) => {
+  if (await User.exists({ _id: assigneeId, deletedAt: null })) return true;
+  sendValidationError(ctx, [
+    { field: "assigneeId", message: "用户不存在或已停用" },
+  ]);
+  return false;
+};
+
+/**
+ * @route GET /api/work-orders
+ * @summary 查询维修工单
+ * @description
+ * 按创建时间倒序游标分页 (始终分页，默认每页 20 条)，分页参数与 /api/task/list 一致。
+ * 管理员与审核员可查看全部工单，其他用户只返回指派给自己的工单。
+ *
+ * @param {string} [status] - 工单状态 (见 work_order_helper.WORK_ORDER_STATUSES)
+ * @param {string} [assigneeId] - 维修人员 ID
+ * @param {string} [taskId] - 关联记录所属的任务
+ * @param {boolean} [overdue] - 为 true 时只返回已超过期限且未修复的工单
+ * @param {number} [limit=20] - 单页条数 (最大 100)
+ * @param {string} [cursor] - 上一页返回的 nextCursor
+ * @param {string} [order=desc] - 排序方向 asc / desc
+ */
+router.get(
+  "/api/work-orders",
+  validate({
+    query: {
+      status: { type: "string", enum: WORK_ORDER_STATUSES },
+      assigneeId: { type: "objectId" },
+      taskId: { type: "string", max: 64 },
+      overdue: { type: "boolean" },
+      ...LIST_PAGING_SCHEMA,
+    },
+  }),
+  async (ctx) => {
+    const paging = parseListPaging(ctx, -1);
+    if (!paging) return;
+
+    const { status, assigneeId, taskId, overdue } = ctx.query;
+    const filter = {};
+    if (status) filter.status = status;
+    if (taskId) filter.taskIds = taskId;
+    if (!RECORD_READER_ROLES.includes(ctx.state.user.role)) {
+      filter.assigneeId = ctx.state.user.id;
+    } else if (assigneeId) {
+      filter.assigneeId = assigneeId;
+    }
+    if (overdue === "true") {
+      filter.dueDate = { $lt: new Date() };
+      filter.status = status
+        ? { $in: UNFINISHED_WORK_ORDER_STATUSES.filter((s) => s === status) }
+        : { $in: UNFINISHED_WORK_ORDER_STATUSES };
+    }
+
+    try {
+      const { data, total, nextCursor } = await findPage(
+        WorkOrder,
+        filter,
+        "createdAt",
+        { ...paging, paged: true },
+      );
+
+      logger.info(`🔍 [Work Order] 查询工单: ${data.length}/${total}`);
+
+      ctx.body = {
+        code: 200,
+        data,
+        total,
+        nextCursor,
+        message: "获取工单列表成功",
+      };
+    } catch (e) {
+      logger.error(`❌ [Work Order] 查询工单失败`, e);
+      ctx.status = 500;
+      ctx.body = { code: 500, message: "获取工单列表失败" };
+    }
+  },
+);
+
+/**
+ * @route GET /api/work-orders/:id
+ * @summary 获取工单详情
+ * @description 附带关联的病害记录 (records，按拍摄时间正序) 与验收引用的复查记录 (verifyRecord)。
+ */
+router.get(
+  "/api/work-orders/:id",
+  validate({ params: WORK_ORDER_PARAMS }),
+  async (ctx) => {
+    try {
+      const order = await loadAccessibleWorkOrder(ctx);
+      if (!order) return;
+
+      const [records, verifyRecord] = await Promise.all([
+        Record.find({ recordId: { $in: order.recordIds } }).sort({
+          captureTime: 1,
+        }),
+        order.verifyRecordId
+          ? Record.findOne({ recordId: order.verifyRecordId })
+          : null,
+      ]);
+
+      ctx.body = {
+        code: 200,
+        message: "获取成功",
+        data: { ...order.toJSON(), records, verifyRecord },
+      };
+    } catch (e) {
+      logger.error(`❌ [Work Order] 获取工单失败 (ID: ${ctx.params.id})`, e);
+      ctx.status = 500;
+      ctx.body = { code: 500, message: "获取工单失败" };
+    }
+  },
+);
+
+/**
+ * @route POST /api/admin/work-orders
+ * @summary 由指定记录创建工单
+ * @description
+ * 位置取关联记录的中心点，标题、期限与维修前照片未指定时按记录自动生成 (见 work_order_helper.buildWorkOrderDraft)。
+ * 一条记录只能属于一个工单，已关联其他工单时返回 409。
+ * 指定 assigneeId 时直接派单 (status = assigned)。
+ *
+ * @param {string[]} recordIds - 病害记录 ID
+ * @param {string} [title] - 标题
+ * @param {string} [assigneeId] - 维修人员 ID
+ * @param {number} [dueDate] - 维修期限 (Unix ms)
+ * @param {string[]} [beforePhotos] - 维修前照片地址
+ * @param {string} [note] - 备注
+ */
+router.post(
+  "/api/admin/work-orders",
+  requireRole("admin"),
+  validate({
+    body: {
+      recordIds: {
+        type: "array",
+        required: true,
+        min: 1,
+        max: MAX_RECORDS_PER_ORDER,
+        items: { type: "string", max: 64 },
+      },
+      title: { type: "string", max: 100 },
+      assigneeId: { type: "objectId" },
+      dueDate: DUE_DATE_RULE,
+      beforePhotos: WORK_ORDER_PHOTOS_RULE,
+      note: { type: "string", max: 500 },
+    },
+  }),
+  async (ctx) => {
+    const { title, assigneeId, dueDate, beforePhotos, note } = ctx.request.body;
+    const recordIds = [...new Set(ctx.request.body.recordIds)];
+
+    try {
+      const records = await Record.find({
+        recordId: { $in: recordIds },
+      }).lean();
+      const found = new Set(records.map((r) => r.recordId));
+      const missing = recordIds.filter((id) => !found.has(id));
+      if (missing.length > 0) {
+        sendValidationError(ctx, [
+          { field: "recordIds", message: `记录不存在: ${missing.join(", ")}` },
+        ]);
+        return;
+      }
+
+      const linked = await WorkOrder.distinct("recordIds", {
+        recordIds: { $in: recordIds },
+      });
+      const conflicts = recordIds.filter((id) => linked.includes(id));
+      if (conflicts.length > 0) {
+        ctx.status = 409;
+        ctx.body = {
+          code: 409,
+          message: `记录已关联其他工单: ${conflicts.join(", ")}`,
+        };
+        return;
+      }
+
+      if (assigneeId && !(await checkAssignee(ctx, assigneeId))) return;
+
+      const draft = buildWorkOrderDraft(records, {
+        distressNames: await loadDistressNames(),
+        dueDays: workOrder.defaultDueDays,
+      });
+      const doc = {
+        ...draft,
+        title: title?.trim() || draft.title,
+        dueDate: dueDate ? new Date(Number(dueDate)) : draft.dueDate,
+        beforePhotos: beforePhotos ?? draft.beforePhotos,
+        note: note ?? null,
+        createdBy: ctx.state.user.id,
+      };
+      if (assigneeId) {
+        const { $set, $push } = buildTransitionUpdate(
+          { status: "open" },
+          "assigned",
+          { assigneeId },
+          ctx.state.user,
+        );
+        Object.assign(doc, $set, { history: [$push.history] });
+      }
+
+      const order = await WorkOrder.create(doc);
+
+      await recordAudit(ctx, {
+        action: "workorder.create",
+        targetType: "work_order",
+        targetId: order.id,
+        detail: { recordIds, status: order.status },
+      });
+
+      logger.info(
+        `🛠️ [Work Order] 创建工单: ${order.id} (${recordIds.length} 条记录)`,
+      );
+
+      ctx.body = { code: 200, message: "工单创建成功", data: order };
+    } catch (e) {
+      // 并发请求在检查之后抢先关联了同一条记录
+      if (e.code === 11000) {
+        ctx.status = 409;
+        ctx.body = { code: 409, message: "记录已关联其他工单" };
+        return;
+      }
+      logger.error(`❌ [Work Order] 创建工单失败`, e);
+      ctx.status = 500;
+      ctx.body = { code: 500, message: "工单创建失败" };
+    }
+  },
+);
+
+/**
+ * @route POST /api/admin/work-orders/generate
+ * @summary 由审核确认的病害记录自动生成工单
+ * @description
+ * 选取审核结论为 confirmed / corrected、含病害且尚未关联工单的记录，
+ * 按位置聚合 (相距不超过 radius 米的合并为一个工单，见 work_order_helper.clusterRecords)，
+ * 每个聚类生成一个待派单 (open) 的工单。可重复执行，已生成工单的记录不会重复生成。
+ * 单次最多处理 1000 条记录 (按拍摄时间正序)，超出部分再次调用即可。
+ * 与其他创建 / 生成请求并发、记录已被关联时返回 409。
+ *
+ * @param {string} [taskId] - 只处理该任务的记录
+ * @param {number} [radius] - 聚合距离 (米)，默认见 config.workOrder.clusterRadiusMeters
+ * @param {number} [dueDays] - 维修期限 (天)，默认见 config.workOrder.defaultDueDays
+ * @returns {Object[]} 新生成的工单
+ */
+router.post(
+  "/api/admin/work-orders/generate",
+  requireRole("admin"),
+  validate({
+    body: {
+      taskId: { type: "string", max: 64 },
+      radius: { type: "integer", min: 1, max: 1000 },
+      dueDays: { type: "integer", min: 1, max: 365 },
+    },
+  }),
+  async (ctx) => {
+    const { taskId } = ctx.request.body;
+    const radius = ctx.request.body.radius ?? workOrder.clusterRadiusMeters;
+    const dueDays = ctx.request.body.dueDays ?? workOrder.defaultDueDays;
+
+    try {
+      if (taskId && !(await Task.exists({ taskId }))) {
+        ctx.status = 404;
+        ctx.body = { code: 404, message: "任务不存在" };
+        return;
+      }
+
+      // 已关联工单的记录 (限定任务时只需排除该任务相关的工单)
+      const linked = await WorkOrder.distinct(
+        "recordIds",
+        taskId ? { taskIds: taskId } : {},
+      );
+      const filter = {
+        "review.status": { $in: REPAIRABLE_REVIEW_STATUSES },
+        "distresses.0": { $exists: true },
+        recordId: { $nin: linked },
+      };
+      if (taskId) filter.taskId = taskId;
+
+      const records = await Record.find(filter)
+        .sort({ captureTime: 1 })
+        .limit(GENERATE_MAX_RECORDS)
+        .lean();
+
+      const distressNames = await loadDistressNames();
+      const docs = clusterRecords(records, radius).map((cluster) => ({
+        ...buildWorkOrderDraft(cluster, { distressNames, dueDays }),
+        createdBy: ctx.state.user.id,
+      }));
+      const orders = docs.length > 0 ? await WorkOrder.insertMany(docs) : [];
+
+      await recordAudit(ctx, {
+        action: "workorder.create",
+        targetType: "work_order",
+        detail: {
+          generated: orders.length,
+          records: records.length,
           taskId,
-          title,
-          inspectorId,
-          startTime,
-          endTime: endTime || null,
-          isFinished: isFinished,
+          radius,
+        },
+      });
+
+      logger.info(
+        `🛠️ [Work Order] 自动生成工单: ${records.length} 条记录 -> ${orders.length} 个工单`,
+      );
+
+      ctx.body = {
+        code: 200,
+        message: `已生成 ${orders.length} 个工单`,
+        data: orders,
+      };
+    } catch (e) {
+      // 并发的创建 / 生成请求抢先关联了部分记录；已写入的工单保留，重新生成即可处理其余记录
+      if (e.code === 11000) {
+        ctx.status = 409;
+        ctx.body = {
+          code: 409,
+          message: "部分记录已关联其他工单，请重新生成",
+        };
+        return;
+      }
+      logger.error(`❌ [Work Order] 自动生成工单失败`, e);
+      ctx.status = 500;
+      ctx.body = { code: 500, message: "工单生成失败" };
+    }
+  },
+);
+
+/**
+ * @route PATCH /api/admin/work-orders/:id
+ * @summary 修改工单信息
+ * @description
+ * 状态只能通过 /api/work-orders/:id/transition 变更。已验收的工单不能修改；
+ * 待派单的工单请通过派单流转指定维修人员，此处的 assigneeId 仅用于改派。
+ *
+ * @param {string} [title] - 标题
+ * @param {string} [assigneeId] - 改派的维修人员 ID
+ * @param {number} [dueDate] - 维修期限 (Unix ms)
+ * @param {string[]} [beforePhotos] - 维修前照片地址
+ * @param {string} [note] - 备注
+ */
+router.patch(
+  "/api/admin/work-orders/:id",
+  requireRole("admin"),
+  validate({
+    params: WORK_ORDER_PARAMS,
+    body: {
+      title: { type: "string", min: 1, max: 100 },
+      assigneeId: { type: "objectId" },
+      dueDate: DUE_DATE_RULE,
+      beforePhotos: WORK_ORDER_PHOTOS_RULE,
+      note: { type: "string", max: 500 },
+    },
+  }),
+  async (ctx) => {
+    const body = ctx.request.body;
+    const fields = ["title", "assigneeId", "dueDate", "beforePhotos", "note"]
+      .filter((field) => body[field] !== undefined)
+      .reduce((acc, field) => ({ ...acc, [field]: body[field] }), {});
+
+    if (Object.keys(fields).length === 0) {
+      ctx.status = 400;
+      ctx.body = { code: 400, message: "没有需要修改的字段" };
+      return;
+    }
+    if (fields.dueDate) fields.dueDate = new Date(Number(fields.dueDate));
+
+    try {
+      const order = await loadAccessibleWorkOrder(ctx);
+      if (!order) return;
+
+      if (order.status === "verified") {
+        ctx.status = 409;
+        ctx.body = { code: 409, message: "已验收的工单不能修改" };
+        return;
+      }
+      if (fields.assigneeId) {
+        if (order.status === "open") {
+          ctx.status = 409;
+          ctx.body = {
+            code: 409,
+            message: "待派单的工单请通过派单 (assigned) 指定维修人员",
+          };
+          return;
+        }
+        if (!(await checkAssignee(ctx, fields.assigneeId))) return;
+      }
+
+      order.set(fields);
+      await order.save();
+
+      await recordAudit(ctx, {
+        action: "workorder.update",
+        targetType: "work_order",
+        targetId: order.id,
+        detail: { fields: Object.keys(fields) },
+      });
+
+      logger.info(`🛠️ [Work Order] 修改工单: ${order.id}`);
+
+      ctx.body = { code: 200, message: "工单修改成功", data: order };
+    } catch (e) {
+      logger.error(`❌ [Work Order] 修改工单失败 (ID: ${ctx.params.id})`, e);
+      ctx.status = 500;
+      ctx.body = { code: 500, message: "工单修改失败" };
+    }
+  },
+);
+
+/**
+ * @route DELETE /api/admin/work-orders/:id
+ * @summary 删除工单
+ * @description 仅限尚未开工 (open / assigned) 的工单，删除后关联记录可重新生成工单。
+ */
+router.delete(
+  "/api/admin/work-orders/:id",
+  requireRole("admin"),
+  validate({ params: WORK_ORDER_PARAMS }),
+  async (ctx) => {
+    try {
+      const order = await loadAccessibleWorkOrder(ctx);
+      if (!order) return;
+
+      if (!["open", "assigned"].includes(order.status)) {
+        ctx.status = 409;
+        ctx.body = { code: 409, message: "维修已开始的工单不能删除" };
+        return;
+      }
+
+      await order.deleteOne();
+
+      await recordAudit(ctx, {
+        action: "workorder.delete",
+        targetType: "work_order",
+        targetId: order.id,
+        detail: { recordIds: order.recordIds, status: order.status },
+      });
+
+      logger.info(`🗑️ [Work Order] 删除工单: ${order.id}`);
+
+      ctx.body = { code: 200, message: "工单已删除" };
+    } catch (e) {
+      logger.error(`❌ [Work Order] 删除工单失败 (ID: ${ctx.params.id})`, e);
+      ctx.status = 500;
+      ctx.body = { code: 500, message: "工单删除失败" };
+    }
+  },
+);
+
+/**
+ * @route POST /api/work-orders/:id/transition
+ * @summary 工单状态流转
+ * @description
+ * 流转规则与权限见 work_order_helper (WORK_ORDER_TRANSITIONS / canPerformTransition)：
+ * - open → assigned (派单，需 assigneeId)、assigned → open (取消派单)：管理员
+ * - assigned → in_progress (开工)、in_progress → repaired (完工，需 afterPhotos)：维修人员或管理员
+ * - repaired → verified (验收，需 verifyRecordId)、repaired → in_progress (返工)：审核员或管理员
+ * 不允许的流转返回 409 (data.allowed 为当前状态可到达的状态)。
+ * 验收引用的复查记录须在修复之后、距工单位置 config.workOrder.verifyRadiusMeters 米以内拍摄。
+ * 并发流转时以先到者为准，后到者返回 409。
+ *
+ * @param {string} to - 目标状态
+ * @param {string} [assigneeId] - 维修人员 ID (派单)
+ * @param {string[]} [afterPhotos] - 维修后照片地址 (完工)
+ * @param {string} [verifyRecordId] - 复查记录 ID (验收)
+ * @param {string} [comment] - 备注 (写入流转历史)
+ */
+router.post(
+  "/api/work-orders/:id/transition",
+  validate({
+    params: WORK_ORDER_PARAMS,
+    body: {
+      to: { type: "string", required: true, enum: WORK_ORDER_STATUSES },
+      assigneeId: { type: "objectId" },
+      afterPhotos: WORK_ORDER_PHOTOS_RULE,
+      verifyRecordId: { type: "string", max: 64 },
+      comment: { type: "string", max: 200 },
+    },
+  }),
+  async (ctx) => {
+    const payload = ctx.request.body;
+    const { to } = payload;
+
+    try {
+      const order = await loadAccessibleWorkOrder(ctx);
+      if (!order) return;
+
+      const from = order.status;
+      if (!isValidTransition(from, to)) {
+        ctx.status = 409;
+        ctx.body = {
+          code: 409,
+          message: `工单${WORK_ORDER_STATUS_LABELS[from]}，不能变更为${WORK_ORDER_STATUS_LABELS[to]}`,
+          data: { from, to, allowed: WORK_ORDER_TRANSITIONS[from] },
+        };
+        return;
+      }
+
+      if (!canPerformTransition(ctx.state.user, order, to)) {
+        await recordAudit(ctx, {
+          action: "workorder.transition",
+          targetType: "work_order",
+          targetId: order.id,
+          outcome: "denied",
+          detail: { from, to },
+        });
+        ctx.status = 403;
+        ctx.body = { code: 403, message: "无权执行该操作" };
+        return;
+      }
+
+      const payloadError = getTransitionPayloadError(order, to, payload);
+      if (payloadError) {
+        sendValidationError(ctx, [payloadError]);
+        return;
+      }
+
+      if (to === "assigned" && payload.assigneeId) {
+        if (!(await checkAssignee(ctx, payload.assigneeId))) return;
+      }
+
+      if (to === "verified") {
+        const record = await Record.findOne({
+          recordId: payload.verifyRecordId,
+        }).lean();
+        const message = record
+          ? getVerificationError(order, record, workOrder.verifyRadiusMeters)
+          : "复查记录不存在";
+        if (message) {
+          sendValidationError(ctx, [{ field: "verifyRecordId", message }]);
+          return;
+        }
+      }
+
+      // 以当前状态为条件更新，防止并发流转互相覆盖
+      const updated = await WorkOrder.findOneAndUpdate(
+        { _id: order._id, status: from },
+        buildTransitionUpdate(order, to, payload, ctx.state.user),
+        { returnDocument: "after" },
+      );
+      if (!updated) {
+        ctx.status = 409;
+        ctx.body = { code: 409, message: "工单状态已变更，请刷新后重试" };
+        return;
+      }
+
+      await recordAudit(ctx, {
+        action: "workorder.transition",
+        targetType: "work_order",
+        targetId: order.id,
+        detail: { from, to },
+      });
+
+      logger.info(`🛠️ [Work Order] 工单流转: ${order.id}, ${from} -> ${to}`);
+
+      ctx.body = { code: 200, message: "操作成功", data: updated };
+    } catch (e) {
+      logger.error(`❌ [Work Order] 工单流转失败 (ID: ${ctx.params.id})`, e);
+      ctx.status = 500;
+      ctx.body = { code: 500, message: "操作失败" };
+    }
+  },
+);
+
+// ============================================================
+// Geo Query Routes (空间查询，基于 location 2dsphere 索引)
+// ============================================================
+
+// 单次空间查询最多返回的记录数
+const GEO_QUERY_MAX_LIMIT = 1000;
+
+/**
+ * 解析 limit 参数 (默认 200，最大 GEO_QUERY_MAX_LIMIT)
+ */
+const parseGeoLimit = (value) =>
+  Math.min(Math.max(parseInt(value, 10) || 200, 1), GEO_QUERY_MAX_LIMIT);
+
+const GEO_LIMIT_RULE = { type: "integer", min: 1, max: GEO_QUERY_MAX_LIMIT };
+
+// polygon / line 最多允许的顶点数 (与 compare 的 line 上限一致)
+const GEO_SHAPE_MAX_POINTS = 5000;
+
+// along 粗筛阶段最多载入内存的候选记录数
+const GEO_ALONG_MAX_CANDIDATES = GEO_QUERY_MAX_LIMIT * 10;
+
+// 单个坐标点 [lng, lat] (取值范围由 parseCoordinateList 校验)
+const COORDINATE_RULE = {
+  type: "array",
+  min: 2,
+  max: 2,
+  items: { type: "number" },
+};
+
+/**
+ * 校验并解析坐标数组 [[lng, lat], ...]
+ * @returns {number[][]|null} 非法时返回 null
+ */
+const parseCoordinateList = (list, minLength) => {
+  if (!Array.isArray(list) || list.length < minLength) return null;
+  const coords = list.map((p) =>
+    Array.isArray(p) ? [Number(p[0]), Number(p[1])] : [NaN, NaN],
+  );
+  return coords.every(([lng, lat]) => isValidLngLat(lng, lat)) ? coords : null;
+};
+
+/**
+ * @route GET /api/record/near
+ * @summary 查询某点周边指定半径内的病害记录
+ * @description
+ * 使用 $near 查询，结果按距离由近及远排列，并附带 distance (米) 字段。
+ * 典型场景：查询某路口 200 米内、最近 30 天的坑槽。
+ *
+ * @param {number} lng - 中心点经度
+ * @param {number} lat - 中心点纬度
+ * @param {number} [radius=200] - 查询半径 (米，最大 50000)
+ * @param {number} [limit=200] - 返回条数上限
+ * @param {*} [...filters] - 见 buildRecordFilter
+ */
+router.get(
+  "/api/record/near",
+  validate({
+    query: {
+      ...RECORD_FILTER_SCHEMA,
+      lng: { type: "longitude", required: true },
+      lat: { type: "latitude", required: true },
+      radius: { type: "number", min: 1, max: 50000 },
+      limit: GEO_LIMIT_RULE,
+    },
+  }),
+  async (ctx) => {
+    const lng = Number(ctx.query.lng);
+    const lat = Number(ctx.query.lat);
+    const radius = parseOptionalNumber(ctx.query.radius) ?? 200;
+
+    logger.info(`🗺️ [Geo Near] 中心=[${lng}, ${lat}], 半径=${radius}m`);
+
+    try {
+      const filter = await buildRecordFilter(ctx, ctx.query);
+      if (!filter) return;
+
+      const records = await Record.find({
+        ...filter,
+        location: {
+          $near: {
+            $geometry: { type: "Point", coordinates: [lng, lat] },
+            $maxDistance: radius,
+          },
         },
+      })
+        .limit(parseGeoLimit(ctx.query.limit))
+        .lean();
+
+      const data = records.map((r) => ({
+        ...r,
+        distance: Math.round(
+          haversineDistance([lng, lat], r.location.coordinates),
+        ),
+      }));
+
+      logger.info(`✅ [Geo Near] 命中 ${data.length} 条记录`);
+      ctx.body = { code: 200, data, message: "查询成功" };
+    } catch (e) {
+      logger.error(`❌ [Geo Near] 查询失败`, e);
+      ctx.status = 500;
+      ctx.body = { code: 500, message: "空间查询失败" };
+    }
+  },
+);
+
+/**
+ * @route POST /api/record/within
+ * @summary 查询多边形或矩形范围内的病害记录
+ * @description
+ * 使用 $geoWithin 查询，结果按拍摄时间正序排列。
+ * bbox 与 polygon 二选一 (同时提供时以 polygon 为准)。
+ *
+ * @param {number[]} [bbox] - 矩形 [minLng, minLat, maxLng, maxLat]
+ * @param {number[][]} [polygon] - 多边形顶点 [[lng, lat], ...] (3 ~ GEO_SHAPE_MAX_POINTS 个，自动闭合)
+ * @param {number} [limit=200] - 返回条数上限
+ * @param {*} [...filters] - 见 buildRecordFilter
+ */
+router.post(
+  "/api/record/within",
+  validate({
+    body: {
+      ...RECORD_FILTER_SCHEMA,
+      bbox: { type: "array", min: 4, max: 4, items: { type: "number" } },
+      polygon: {
+        type: "array",
+        min: 3,
+        max: GEO_SHAPE_MAX_POINTS,
+        items: COORDINATE_RULE,
       },
-      // 如果任务不存在则插入，存在则忽略($setOnInsert不生效)
-      { upsert: true },
+      limit: GEO_LIMIT_RULE,
+    },
+  }),
+  async (ctx) => {
+    const { bbox, polygon } = ctx.request.body;
+
+    let geometry = null;
+    if (polygon) {
+      const ring = parseCoordinateList(polygon, 3);
+      if (ring) geometry = ringToPolygon(ring);
+    } else if (Array.isArray(bbox) && bbox.length === 4) {
+      const [minLng, minLat, maxLng, maxLat] = bbox.map(Number);
+      if (
+        isValidLngLat(minLng, minLat) &&
+        isValidLngLat(maxLng, maxLat) &&
+        minLng < maxLng &&
+        minLat < maxLat
+      ) {
+        geometry = bboxToPolygon([minLng, minLat, maxLng, maxLat]);
+      }
+    }
+
+    if (!geometry) {
+      ctx.status = 400;
+      ctx.body = { code: 400, message: "请提供有效的 bbox 或 polygon" };
+      return;
+    }
+
+    logger.info(`🗺️ [Geo Within] 范围查询: ${polygon ? "polygon" : "bbox"}`);
+
+    try {
+      const filter = await buildRecordFilter(ctx, ctx.request.body);
+      if (!filter) return;
+
+      const records = await Record.find({
+        ...filter,
+        location: { $geoWithin: { $geometry: geometry } },
+      })
+        .sort({ captureTime: 1 })
+        .limit(parseGeoLimit(ctx.request.body.limit))
+        .lean();
+
+      logger.info(`✅ [Geo Within] 命中 ${records.length} 条记录`);
+      ctx.body = { code: 200, data: records, message: "查询成功" };
+    } catch (e) {
+      logger.error(`❌ [Geo Within] 查询失败`, e);
+      ctx.status = 500;
+      ctx.body = { code: 500, message: "空间查询失败" };
+    }
+  },
+);
+
+/**
+ * @route POST /api/record/along
+ * @summary 查询沿某条折线 (道路) 缓冲区内的病害记录
+ * @description
+ * MongoDB 不支持缓冲区运算，因此分两步：
+ * 1. 用折线外包矩形 (已按缓冲距离外扩) 走 2dsphere 索引粗筛；
+ * 2. 在内存中计算点到折线的精确距离，保留 offset <= buffer 的记录。
+ * 粗筛最多载入 GEO_ALONG_MAX_CANDIDATES 条 (按采集时间)，超出时结果可能不完整，
+ * 此时应缩短折线分段查询。
+ * 结果按 distanceAlong (距折线起点的里程) 排列，并附带 offset (偏离折线的距离)。
+ *
+ * @param {number[][]} line - 折线 [[lng, lat], ...] (2 ~ GEO_SHAPE_MAX_POINTS 个点)
+ * @param {number} [buffer=30] - 缓冲距离 (米，最大 1000)
+ * @param {number} [limit=200] - 返回条数上限
+ * @param {*} [...filters] - 见 buildRecordFilter
+ */
+router.post(
+  "/api/record/along",
+  validate({
+    body: {
+      ...RECORD_FILTER_SCHEMA,
+      line: {
+        type: "array",
+        required: true,
+        min: 2,
+        max: GEO_SHAPE_MAX_POINTS,
+        items: COORDINATE_RULE,
+      },
+      buffer: { type: "number", min: 1, max: 1000 },
+      limit: GEO_LIMIT_RULE,
+    },
+  }),
+  async (ctx) => {
+    const line = parseCoordinateList(ctx.request.body.line, 2);
+    const buffer = ctx.request.body.buffer ?? 30;
+
+    if (!line) {
+      ctx.status = 400;
+      ctx.body = { code: 400, message: "line 坐标超出经纬度范围" };
+      return;
+    }
+
+    logger.info(`🗺️ [Geo Along] 折线 ${line.length} 点, 缓冲=${buffer}m`);
+
+    try {
+      const filter = await buildRecordFilter(ctx, ctx.request.body);
+      if (!filter) return;
+
+      const candidates = await Record.find({
+        ...filter,
+        location: {
+          $geoWithin: { $geometry: bboxToPolygon(bboxOf(line, buffer)) },
+        },
+      })
+        .sort({ captureTime: 1 })
+        .limit(GEO_ALONG_MAX_CANDIDATES)
+        .lean();
+
+      if (candidates.length === GEO_ALONG_MAX_CANDIDATES) {
+        logger.warn(
+          `⚠️ [Geo Along] 粗筛达到上限 ${GEO_ALONG_MAX_CANDIDATES} 条，结果可能不完整`,
+        );
+      }
+
+      const data = candidates
+        .map((r) => {
+          const { offset, distanceAlong } = projectOntoPolyline(
+            r.location.coordinates,
+            line,
+          );
+          return {
+            ...r,
+            offset: Math.round(offset * 10) / 10,
+            distanceAlong: Math.round(distanceAlong),
+          };
+        })
+        .filter((r) => r.offset <= buffer)
+        .sort((a, b) => a.distanceAlong - b.distanceAlong)
+        .slice(0, parseGeoLimit(ctx.request.body.limit));
+
+      logger.info(
+        `✅ [Geo Along] 粗筛 ${candidates.length} 条, 命中 ${data.length} 条`,
+      );
+      ctx.body = { code: 200, data, message: "查询成功" };
+    } catch (e) {
+      logger.error(`❌ [Geo Along] 查询失败`, e);
+      ctx.status = 500;
+      ctx.body = { code: 500, message: "空间查询失败" };
+    }
+  },
+);
+
+// ============================================================
+// Road Routes (路网与桩号)
+// ============================================================
+
+// 中心线最多允许的顶点数
+const MAX_CENTRELINE_POINTS = 10000;
+
+const ROAD_PARAMS = { id: { type: "objectId", required: true } };
+
+// 桩号 (米)，上限 10000 公里
+const CHAINAGE_RULE = { type: "number", min: 0, max: 1e7 };
+
+const CENTRELINE_RULE = {
+  type: "array",
+  min: 2,
+  max: MAX_CENTRELINE_POINTS,
+  items: COORDINATE_RULE,
+};
+
+// 道路的可编辑字段 (code 创建后不可修改：记录中冗余存储了道路编号)
+const ROAD_FIELDS = {
+  name: { type: "string", min: 1, max: 64 },
+  centreline: CENTRELINE_RULE,
+  startChainage: CHAINAGE_RULE,
+  description: { type: "string", max: 200 },
+  active: { type: "boolean" },
+};
+
+// 路段的可编辑字段
+const ROAD_SECTION_FIELDS = {
+  name: { type: "string", min: 1, max: 64 },
+  startChainage: CHAINAGE_RULE,
+  endChainage: CHAINAGE_RULE,
+  active: { type: "boolean" },
+};
+
+/**
+ * 校验并整理中心线坐标 (去除连续重复的顶点)
+ * @returns {Object|null} GeoJSON LineString；非法时已写好 ctx.body 并返回 null
+ */
+const parseCentreline = (ctx, list) => {
+  const coords = parseCoordinateList(list, 2);
+  const line =
+    coords && buildLineString(coords.map(([lng, lat]) => ({ lng, lat })));
+  if (!line) {
+    sendValidationError(ctx, [
+      { field: "centreline", message: "坐标超出经纬度范围或不足 2 个不同的点" },
+    ]);
+    return null;
+  }
+  return line;
+};
+
+/** 中心线长度 (米，保留 1 位小数) */
+const centrelineLength = (line) =>
+  Math.round(polylineLength(line.coordinates) * 10) / 10;
+
+/**
+ * 检查路段的桩号区间
+ * @param {Object} road - 所属道路
+ * @param {number} start - 起点桩号 (米)
+ * @param {number} end - 终点桩号 (米)
+ * @returns {{field: string, message: string}|null}
+ */
+const getSectionRangeError = (road, start, end) => {
+  if (end <= start) {
+    return { field: "endChainage", message: "须大于 startChainage" };
+  }
+  const roadEnd = road.startChainage + road.length;
+  if (start < road.startChainage || end > roadEnd) {
+    return {
+      field: "startChainage",
+      message: `须在道路桩号范围 ${formatStake(road.startChainage)} ~ ${formatStake(roadEnd)} 内`,
+    };
+  }
+  return null;
+};
+
+/**
+ * 按路段的桩号区间截取道路中心线
+ * @returns {Object} GeoJSON LineString
+ */
+const sliceSectionCentreline = (road, start, end) => ({
+  type: "LineString",
+  coordinates: sliceCentreline(
+    road.centreline.coordinates,
+    start - road.startChainage,
+    end - road.startChainage,
+  ),
+});
+
+/**
+ * 整理路段的返回字段
+ * @param {Object} section - RoadSection lean 对象
+ * @param {boolean} [withGeometry=false] - 是否附带中心线坐标
+ */
+const serializeSection = (section, withGeometry = false) => ({
+  id: String(section._id),
+  roadId: String(section.roadId),
+  name: section.name,
+  startChainage: section.startChainage,
+  endChainage: section.endChainage,
+  startStake: formatStake(section.startChainage),
+  endStake: formatStake(section.endChainage),
+  active: section.active,
+  ...(withGeometry && { centreline: section.centreline.coordinates }),
+});
+
+/**
+ * 整理道路的返回字段 (附带起终点桩号文本与路段)
+ * @param {Object} road - Road lean 对象
+ * @param {Object[]} sections - 该道路的路段 (按起点桩号排序)
+ * @param {boolean} [withGeometry=false] - 是否附带中心线坐标
+ */
+const serializeRoad = (road, sections, withGeometry = false) => {
+  const endChainage = road.startChainage + road.length;
+  return {
+    id: String(road._id),
+    code: road.code,
+    name: road.name,
+    description: road.description,
+    active: road.active,
+    length: road.length,
+    startChainage: road.startChainage,
+    endChainage,
+    startStake: formatStake(road.startChainage),
+    endStake: formatStake(endChainage),
+    ...(withGeometry && { centreline: road.centreline.coordinates }),
+    sections: sections.map((s) => serializeSection(s, withGeometry)),
+  };
+};
+
+/**
+ * 加载道路 (不存在时写好 404 并返回 null)
+ * @returns {Promise<Object|null>} Road 文档
+ */
+const loadRoad = async (ctx, id) => {
+  const road = await Road.findById(id);
+  if (!road) {
+    ctx.status = 404;
+    ctx.body = { code: 404, message: "道路不存在" };
+  }
+  return road;
+};
+
+/**
+ * @route GET /api/roads
+ * @summary 获取道路列表 (含路段)
+ * @description 客户端据此选择任务计划巡检的道路 / 路段。已停用的道路也会返回 (active 为 false)，以便显示历史任务。
+ *
+ * @param {string} [keyword] - 按编号或名称模糊搜索
+ * @param {boolean} [withGeometry] - 为 true 时附带中心线坐标 (centreline)
+ */
+router.get(
+  "/api/roads",
+  validate({
+    query: {
+      keyword: { type: "string", max: 64 },
+      withGeometry: { type: "boolean" },
+    },
+  }),
+  async (ctx) => {
+    const { keyword } = ctx.query;
+    const withGeometry = ctx.query.withGeometry === "true";
+
+    const filter = {};
+    if (keyword) {
+      const pattern = { $regex: escapeRegex(keyword), $options: "i" };
+      filter.$or = [{ code: pattern }, { name: pattern }];
+    }
+
+    try {
+      const projection = withGeometry ? "" : "-centreline";
+      const roads = await Road.find(filter)
+        .select(projection)
+        .sort({ code: 1 })
+        .lean();
+      const sections = await RoadSection.find({
+        roadId: { $in: roads.map((r) => r._id) },
+      })
+        .select(projection)
+        .sort({ startChainage: 1 })
+        .lean();
+
+      ctx.body = {
+        code: 200,
+        message: "获取道路列表成功",
+        data: roads.map((road) =>
+          serializeRoad(
+            road,
+            sections.filter((s) => String(s.roadId) === String(road._id)),
+            withGeometry,
+          ),
+        ),
+      };
+    } catch (e) {
+      logger.error(`❌ [Road] 获取道路列表失败`, e);
+      ctx.status = 500;
+      ctx.body = { code: 500, message: "获取道路列表失败" };
+    }
+  },
+);
+
+/**
+ * @route GET /api/roads/locate
+ * @summary 查询某点所在的道路与桩号
+ * @description 按与记录提交相同的规则在本地匹配 (见 road_helper.matchPoint)，
+ * 距所有启用道路的中心线都超过 ROAD_MATCH_METERS 时返回 404。
+ *
+ * @param {number} lng - 经度
+ * @param {number} lat - 纬度
+ * @param {string} [roadId] - 优先匹配的道路 (如任务计划巡检的道路)
+ */
+router.get(
+  "/api/roads/locate",
+  validate({
+    query: {
+      lng: { type: "longitude", required: true },
+      lat: { type: "latitude", required: true },
+      roadId: { type: "objectId" },
+    },
+  }),
+  async (ctx) => {
+    const point = [Number(ctx.query.lng), Number(ctx.query.lat)];
+
+    try {
+      const { roads, sections } = await loadRoadsNear([point]);
+      const match = matchPoint(point, roads, {
+        maxOffset: roadMatch.radiusMeters,
+        preferredRoadIds: [ctx.query.roadId],
+      });
+      if (!match) {
+        ctx.status = 404;
+        ctx.body = {
+          code: 404,
+          message: `${roadMatch.radiusMeters} 米内没有道路`,
+        };
+        return;
+      }
+
+      const result = buildRoadMatch(match, sections);
+      const section = sections.find(
+        (s) => String(s._id) === String(result.sectionId),
+      );
+      ctx.body = {
+        code: 200,
+        message: "定位成功",
+        data: {
+          ...result,
+          name: match.road.name,
+          sectionName: section ? section.name : null,
+        },
+      };
+    } catch (e) {
+      logger.error(`❌ [Road] 桩号定位失败`, e);
+      ctx.status = 500;
+      ctx.body = { code: 500, message: "桩号定位失败" };
+    }
+  },
+);
+
+/**
+ * @route GET /api/roads/:id
+ * @summary 获取道路详情 (含中心线与路段)
+ */
+router.get("/api/roads/:id", validate({ params: ROAD_PARAMS }), async (ctx) => {
+  try {
+    const road = await Road.findById(ctx.params.id).lean();
+    if (!road) {
+      ctx.status = 404;
+      ctx.body = { code: 404, message: "道路不存在" };
+      return;
+    }
+    const sections = await RoadSection.find({ roadId: road._id })
+      .sort({ startChainage: 1 })
+      .lean();
+
+    ctx.body = {
+      code: 200,
+      message: "获取成功",
+      data: serializeRoad(road, sections, true),
+    };
+  } catch (e) {
+    logger.error(`❌ [Road] 获取道路失败 (ID: ${ctx.params.id})`, e);
+    ctx.status = 500;
+    ctx.body = { code: 500, message: "获取道路失败" };
+  }
+});
+
+/**
+ * @route POST /api/admin/roads
+ * @summary 新增道路
+ * @description 之后提交的记录与轨迹会匹配到该道路；已有数据需运行 npm run match:roads 补算桩号。
+ *
+ * @param {string} code - 路线编号 (如 G101)，唯一
+ * @param {string} name - 道路名称
+ * @param {number[][]} centreline - 中心线 [[lng, lat], ...]，沿桩号增大的方向
+ * @param {number} [startChainage=0] - 中心线起点的桩号 (米，如 K12+340 传 12340)
+ * @param {string} [description] - 说明
+ */
+router.post(
+  "/api/admin/roads",
+  requireRole("admin"),
+  validate({
+    body: {
+      ...ROAD_FIELDS,
+      code: { type: "string", required: true, pattern: ROAD_CODE_PATTERN },
+      name: { ...ROAD_FIELDS.name, required: true },
+      centreline: { ...CENTRELINE_RULE, required: true },
+    },
+  }),
+  async (ctx) => {
+    const { code, name, startChainage, description, active } = ctx.request.body;
+    const centreline = parseCentreline(ctx, ctx.request.body.centreline);
+    if (!centreline) return;
+
+    try {
+      const road = await Road.create({
+        code,
+        name,
+        centreline,
+        startChainage,
+        length: centrelineLength(centreline),
+        description,
+        active,
+        createdBy: ctx.state.user.id,
+      });
+
+      await recordAudit(ctx, {
+        action: "road.create",
+        targetType: "road",
+        targetId: road.id,
+        detail: { code, name: road.name, length: road.length },
+      });
+      logger.info(
+        `🛣️ [Road] ${ctx.state.user.username} 新增道路: ${code} (${road.name}, ${road.length}m)`,
+      );
+
+      ctx.body = {
+        code: 200,
+        message: "道路已创建",
+        data: serializeRoad(road.toObject(), [], true),
+      };
+    } catch (e) {
+      if (e.code === 11000) {
+        ctx.status = 409;
+        ctx.body = { code: 409, message: `路线编号已存在: ${code}` };
+        return;
+      }
+      logger.error(`❌ [Road] 新增道路失败`, e);
+      ctx.status = 500;
+      ctx.body = { code: 500, message: "新增道路失败" };
+    }
+  },
+);
+
+/**
+ * @route PATCH /api/admin/roads/:id
+ * @summary 修改道路
+ * @description 只更新传入的字段。修改中心线或起点桩号时按新的中心线重新截取各路段，
+ * 有路段超出新的桩号范围时返回 409 (需先调整路段)。
+ * 已匹配的记录与轨迹不会自动更新，需运行 npm run match:roads -- --all 重新计算。
+ * 不提供删除：记录与任务仍引用该道路，不再使用时将 active 置为 false。
+ */
+router.patch(
+  "/api/admin/roads/:id",
+  requireRole("admin"),
+  validate({ params: ROAD_PARAMS, body: ROAD_FIELDS }),
+  async (ctx) => {
+    const body = ctx.request.body || {};
+
+    const changes = Object.fromEntries(
+      Object.keys(ROAD_FIELDS)
+        .filter((field) => body[field] !== undefined)
+        .map((field) => [field, body[field]]),
+    );
+    if (Object.keys(changes).length === 0) {
+      ctx.status = 400;
+      ctx.body = { code: 400, message: "没有需要修改的字段" };
+      return;
+    }
+    if (changes.centreline) {
+      changes.centreline = parseCentreline(ctx, changes.centreline);
+      if (!changes.centreline) return;
+      changes.length = centrelineLength(changes.centreline);
+    }
+
+    try {
+      const road = await loadRoad(ctx, ctx.params.id);
+      if (!road) return;
+
+      const sections = await RoadSection.find({ roadId: road._id }).sort({
+        startChainage: 1,
+      });
+      road.set(changes);
+
+      const geometryChanged =
+        changes.centreline !== undefined || changes.startChainage !== undefined;
+      if (geometryChanged) {
+        const outOfRange = sections.find((s) =>
+          getSectionRangeError(road, s.startChainage, s.endChainage),
+        );
+        if (outOfRange) {
+          ctx.status = 409;
+          ctx.body = {
+            code: 409,
+            message: `路段 "${outOfRange.name}" 超出新的桩号范围，请先调整路段`,
+          };
+          return;
+        }
+        sections.forEach((s) =>
+          s.set(
+            "centreline",
+            sliceSectionCentreline(road, s.startChainage, s.endChainage),
+          ),
+        );
+      }
+
+      await road.save();
+      await Promise.all(sections.map((s) => s.save()));
+
+      await recordAudit(ctx, {
+        action: "road.update",
+        targetType: "road",
+        targetId: road.id,
+        detail: { code: road.code, fields: Object.keys(changes) },
+      });
+      logger.info(
+        `🛣️ [Road] ${ctx.state.user.username} 修改道路: ${road.code} (${Object.keys(changes).join(", ")})`,
+      );
+
+      ctx.body = {
+        code: 200,
+        message: "道路已更新",
+        data: serializeRoad(
+          road.toObject(),
+          sections.map((s) => s.toObject()),
+          true,
+        ),
+      };
+    } catch (e) {
+      logger.error(`❌ [Road] 修改道路失败 (ID: ${ctx.params.id})`, e);
+      ctx.status = 500;
+      ctx.body = { code: 500, message: "修改道路失败" };
+    }
+  },
+);
+
+/**
+ * @route POST /api/admin/roads/:id/sections
+ * @summary 新增路段
+ * @description 桩号区间须在道路范围内，且不能与该道路的其他路段重叠 (否则返回 409)。
+ * 中心线由道路中心线按桩号截取。
+ *
+ * @param {string} name - 路段名称 (如 "K12+000 ~ K15+000 养护段")
+ * @param {number} startChainage - 起点桩号 (米)
+ * @param {number} endChainage - 终点桩号 (米)
+ */
+router.post(
+  "/api/admin/roads/:id/sections",
+  requireRole("admin"),
+  validate({
+    params: ROAD_PARAMS,
+    body: {
+      ...ROAD_SECTION_FIELDS,
+      name: { ...ROAD_SECTION_FIELDS.name, required: true },
+      startChainage: { ...CHAINAGE_RULE, required: true },
+      endChainage: { ...CHAINAGE_RULE, required: true },
+    },
+  }),
+  async (ctx) => {
+    const { name, startChainage, endChainage, active } = ctx.request.body;
+
+    try {
+      const road = await loadRoad(ctx, ctx.params.id);
+      if (!road) return;
+
+      const rangeError = getSectionRangeError(road, startChainage, endChainage);
+      if (rangeError) {
+        sendValidationError(ctx, [rangeError]);
+        return;
+      }
+
+      const siblings = await RoadSection.find({ roadId: road._id }).lean();
+      const overlap = findOverlappingSection(
+        siblings,
+        startChainage,
+        endChainage,
+      );
+      if (overlap) {
+        ctx.status = 409;
+        ctx.body = {
+          code: 409,
+          message: `与路段 "${overlap.name}" 的桩号区间重叠`,
+        };
+        return;
+      }
+
+      const section = await RoadSection.create({
+        roadId: road._id,
+        name,
+        startChainage,
+        endChainage,
+        centreline: sliceSectionCentreline(road, startChainage, endChainage),
+        active,
+      });
+
+      await recordAudit(ctx, {
+        action: "road.section_create",
+        targetType: "road_section",
+        targetId: section.id,
+        detail: { roadCode: road.code, name: section.name },
+      });
+      logger.info(
+        `🛣️ [Road] ${ctx.state.user.username} 新增路段: ${road.code} ${formatStake(startChainage)} ~ ${formatStake(endChainage)}`,
+      );
+
+      ctx.body = {
+        code: 200,
+        message: "路段已创建",
+        data: serializeSection(section.toObject(), true),
+      };
+    } catch (e) {
+      logger.error(`❌ [Road] 新增路段失败 (Road: ${ctx.params.id})`, e);
+      ctx.status = 500;
+      ctx.body = { code: 500, message: "新增路段失败" };
+    }
+  },
+);
+
+/**
+ * @route PATCH /api/admin/road-sections/:id
+ * @summary 修改路段
+ * @description 只更新传入的字段；修改桩号区间时重新截取中心线，校验规则同新增。
+ * 已匹配的记录不会自动更新所属路段，需运行 npm run match:roads -- --all 重新计算。
+ */
+router.patch(
+  "/api/admin/road-sections/:id",
+  requireRole("admin"),
+  validate({ params: ROAD_PARAMS, body: ROAD_SECTION_FIELDS }),
+  async (ctx) => {
+    const body = ctx.request.body || {};
+
+    const changes = Object.fromEntries(
+      Object.keys(ROAD_SECTION_FIELDS)
+        .filter((field) => body[field] !== undefined)
+        .map((field) => [field, body[field]]),
     );
+    if (Object.keys(changes).length === 0) {
+      ctx.status = 400;
+      ctx.body = { code: 400, message: "没有需要修改的字段" };
+      return;
+    }
 
-    console.log(`✅ [Task Create] 任务入库成功: ${taskId}`);
-    ctx.body = { code: 200, message: "任务创建成功" };
-  } catch (e) {
-    console.error(`❌ [Task Create] 失败 (ID: ${taskId}):`, e);
-    ctx.status = 500;
-    ctx.body = { code: 500, message: "任务创建失败" };
-  }
-});
+    try {
+      const section = await RoadSection.findById(ctx.params.id);
+      if (!section) {
+        ctx.status = 404;
+        ctx.body = { code: 404, message: "路段不存在" };
+        return;
+      }
+
+      const start = changes.startChainage ?? section.startChainage;
+      const end = changes.endChainage ?? section.endChainage;
+      if (start !== section.startChainage || end !== section.endChainage) {
+        const road = await Road.findById(section.roadId).lean();
+        const rangeError = getSectionRangeError(road, start, end);
+        if (rangeError) {
+          sendValidationError(ctx, [rangeError]);
+          return;
+        }
+
+        const siblings = await RoadSection.find({ roadId: road._id }).lean();
+        const overlap = findOverlappingSection(
+          siblings,
+          start,
+          end,
+          section._id,
+        );
+        if (overlap) {
+          ctx.status = 409;
+          ctx.body = {
+            code: 409,
+            message: `与路段 "${overlap.name}" 的桩号区间重叠`,
+          };
+          return;
+        }
+        changes.centreline = sliceSectionCentreline(road, start, end);
+      }
+
+      section.set(changes);
+      await section.save();
+
+      await recordAudit(ctx, {
+        action: "road.section_update",
+        targetType: "road_section",
+        targetId: section.id,
+        detail: { fields: Object.keys(changes), active: section.active },
+      });
+      logger.info(
+        `🛣️ [Road] ${ctx.state.user.username} 修改路段: ${section.name} (${Object.keys(changes).join(", ")})`,
+      );
+
+      ctx.body = {
+        code: 200,
+        message: "路段已更新",
+        data: serializeSection(section.toObject(), true),
+      };
+    } catch (e) {
+      logger.error(`❌ [Road] 修改路段失败 (ID: ${ctx.params.id})`, e);
+      ctx.status = 500;
+      ctx.body = { code: 500, message: "修改路段失败" };
+    }
+  },
+);
+
+// ============================================================
+// Track Routes (巡检轨迹)
+// ============================================================
 
 /**
- * @route POST /api/record/submit
- * @summary 提交单条病害记录
- * @description Android 端完成 OSS 直传后，调用此接口将图片 URL 和地理位置元数据存入数据库。
- * * @param {string} taskId - 关联的任务 ID
- * @param {string} serverUrl - 图片在 OSS 的完整 URL
- * @param {number} latitude - 纬度 (WGS84)
- * @param {number} longitude - 经度 (WGS84)
- * @param {string} address - 逆地理编码地址
+ * @route POST /api/task/:taskId/track
+ * @summary 批量上传轨迹分片 (含逐段 IRI)
+ * @description
+ * 幂等性接口 (Idempotent):
+ * 以 (taskId, seq) 作为分片唯一键，已存在的分片直接忽略 ($setOnInsert)，
+ * 弱网下客户端可放心整批重传。轨迹点写入前匹配附近的道路并计算桩号 (roadId / chainage)。
+ * 每个分片独立返回处理结果：
+ * - created: 新写入
+ * - duplicate: 已存在，本次忽略
+ * - invalid: 数据非法，未写入 (附 message)
+ *
+ * @param {Object[]} chunks - 分片数组 (最多 50 个)
+ * @param {number} chunks[].seq - 分片序号 (>= 0 的整数)
+ * @param {Object[]} chunks[].points - 轨迹点 [{t, lat, lng, distance?, iri?, segmentLength?}]
  */
-router.post("/api/record/submit", async (ctx) => {
-  const body = ctx.request.body;
+router.post(
+  "/api/task/:taskId/track",
+  validate({
+    params: { taskId: TASK_ID_RULE },
+    body: { chunks: { type: "array", max: MAX_CHUNKS_PER_REQUEST } },
+  }),
+  async (ctx) => {
+    const { taskId } = ctx.params;
+    const body = ctx.request.body;
+    // 兼容单分片直接提交 { seq, points }
+    const chunks = Array.isArray(body.chunks) ? body.chunks : [body];
 
-  // 日志作用：排查 "位置漂移" 问题。
-  // 如果用户投诉定位不准，可对比此处日志中的 Loc 与用户实际位置。
-  console.log(
-    `📷 [Record] 收到图片: Task=${body.taskId}, Loc=[${body.longitude}, ${body.latitude}]`,
-  );
+    if (chunks.length === 0 || chunks.length > MAX_CHUNKS_PER_REQUEST) {
+      ctx.status = 400;
+      ctx.body = {
+        code: 400,
+        message: `每次需上传 1~${MAX_CHUNKS_PER_REQUEST} 个分片`,
+      };
+      return;
+    }
+
+    logger.info(`🛰️ [Track] 收到轨迹: Task=${taskId}, 分片数=${chunks.length}`);
+
+    try {
+      const task = await loadAccessibleTask(ctx, taskId, { write: true });
+      if (!task) return;
+
+      const results = [];
+      for (const chunk of chunks) {
+        const seq = Number(chunk?.seq);
+        if (!Number.isInteger(seq) || seq < 0) {
+          results.push({
+            seq: chunk?.seq,
+            status: "invalid",
+            message: "seq 必须为非负整数",
+          });
+          continue;
+        }
+
+        const { points, error } = normalizeTrackPoints(chunk.points);
+        if (error) {
+          results.push({ seq, status: "invalid", message: error });
+          continue;
+        }
+        await matchTrackToRoads(points, task.roadId);
+
+        const doc = {
+          taskId,
+          seq,
+          points,
+          startTime: points[0].t,
+          endTime: points[points.length - 1].t,
+        };
+        const geometry = buildLineString(points);
+        if (geometry) doc.geometry = geometry;
+
+        try {
+          const res = await Track.updateOne(
+            { taskId, seq },
+            { $setOnInsert: doc },
+            { upsert: true },
+          );
+          results.push({
+            seq,
+            status: res.upsertedCount > 0 ? "created" : "duplicate",
+          });
+        } catch (e) {
+          // 并发重传时两个 upsert 可能同时插入，唯一索引冲突即视为重复
+          if (e.code === 11000) {
+            results.push({ seq, status: "duplicate" });
+          } else {
+            throw e;
+          }
+        }
+      }
+
+      const summary = { created: 0, duplicate: 0, invalid: 0 };
+      results.forEach((r) => summary[r.status]++);
+
+      logger.info(
+        `✅ [Track] 处理完成: 新增=${summary.created}, 重复=${summary.duplicate}, 无效=${summary.invalid}`,
+      );
 
-  // Data Transformation (数据清洗与适配)
-  // 将扁平化的请求参数转换为符合 GeoJSON 标准的嵌套结构
-  const recordData = {
-    recordId: body.recordId,
-    taskId: body.taskId,
-    serverUrl: body.serverUrl,
-    captureTime: body.captureTime,
-    address: body.address,
-
-    // 冗余存储原始经纬度，作为 "冷备" 数据，防止 GeoJSON 解析出问题时无据可查
-    rawLat: body.latitude,
-    rawLng: body.longitude,
-
-    iri: body.iri ?? null,
-    pavementDistress: body.pavementDistress ?? null,
-
-    // GeoJSON Point 对象
-    // ⚠️ 严正注意：MongoDB/GeoJSON 规范经纬度顺序为 [经度(Lng), 纬度(Lat)]
-    // 这与 Google Maps API (Lat, Lng) 是相反的，切勿搞反！
-    location: {
-      type: "Point",
-      coordinates: [body.longitude, body.latitude],
+      ctx.body = {
+        code: 200,
+        message: "轨迹上传完成",
+        data: { ...summary, results },
+      };
+    } catch (e) {
+      logger.error(`❌ [Track] 保存失败 (Task: ${taskId})`, e);
+      ctx.status = 500;
+      ctx.body = { code: 500, message: "轨迹保存失败" };
+    }
+  },
+);
+
+/**
+ * @route GET /api/task/:taskId/track
+ * @summary 获取任务的完整轨迹
+ * @description
+ * 将所有分片按时间顺序拼接后返回。传入 maxPoints 时对轨迹抽稀，
+ * 适合地图回放等只需要形状的场景。匹配到道路的点含 roadId / chainage (米) / stake (如 K12+340)。
+ *
+ * @param {number} [maxPoints] - 抽稀后最多保留的点数 (>= 2)
+ * @param {number} [from] - 起始时间 (Unix ms，含)
+ * @param {number} [to] - 结束时间 (Unix ms，含)
+ */
+router.get(
+  "/api/task/:taskId/track",
+  validate({
+    params: { taskId: TASK_ID_RULE },
+    query: {
+      maxPoints: { type: "integer", min: 2 },
+      from: { type: "number", min: 0 },
+      to: { type: "number", min: 0 },
     },
+  }),
+  async (ctx) => {
+    const { taskId } = ctx.params;
+    const maxPoints = parseOptionalNumber(ctx.query.maxPoints);
+    const from = parseOptionalNumber(ctx.query.from);
+    const to = parseOptionalNumber(ctx.query.to);
+
+    try {
+      const task = await loadAccessibleTask(ctx, taskId);
+      if (!task) return;
+
+      // 分片级别先按时间范围粗筛，再在点级别精确过滤
+      const chunkFilter = { taskId };
+      if (from !== undefined) chunkFilter.endTime = { $gte: from };
+      if (to !== undefined) chunkFilter.startTime = { $lte: to };
+
+      const chunks = await Track.find(chunkFilter)
+        .sort({ seq: 1 })
+        .select("points")
+        .lean();
+
+      const allPoints = chunks
+        .flatMap((c) => c.points)
+        .filter(
+          (p) =>
+            (from === undefined || p.t >= from) &&
+            (to === undefined || p.t <= to),
+        )
+        .sort((a, b) => a.t - b.t);
+
+      // 匹配到道路的点附带桩号文本 (stake)
+      const points = downsampleTrack(allPoints, maxPoints).map((p) =>
+        typeof p.chainage === "number"
+          ? { ...p, stake: formatStake(p.chainage) }
+          : p,
+      );
+
+      logger.info(
+        `✅ [Track] 查询轨迹: Task=${taskId}, 原始点=${allPoints.length}, 返回点=${points.length}`,
+      );
+
+      ctx.body = {
+        code: 200,
+        message: "获取轨迹成功",
+        data: {
+          taskId,
+          chunkCount: chunks.length,
+          totalPoints: allPoints.length,
+          startTime: allPoints[0]?.t ?? null,
+          endTime: allPoints[allPoints.length - 1]?.t ?? null,
+          points,
+        },
+      };
+    } catch (e) {
+      logger.error(`❌ [Track] 查询失败 (Task: ${taskId})`, e);
+      ctx.status = 500;
+      ctx.body = { code: 500, message: "获取轨迹失败" };
+    }
+  },
+);
+
+// ============================================================
+// Report Routes (统计报表)
+// ============================================================
+
+/**
+ * @route GET /api/task/:taskId/report
+ * @summary 任务 IRI 分段报表 (路况评定)
+ * @description
+ * 将任务的轨迹 IRI 与病害记录按固定里程切段，输出每段的平均/最大 IRI、
+ * 路况等级与病害统计，以及全程的长度加权平均 IRI 和各等级里程占比。
+ * 等级区间与 HUD 一致：≤2 优、≤4 良、≤6 中、≤8 次、>8 差。
+ * 用于替代此前从 StatsChart (按记录序号平均) 手工整理上报数据。
+ *
+ * @param {number} [segmentLength=100] - 分段长度 (米，10 ~ 1000)
+ */
+router.get(
+  "/api/task/:taskId/report",
+  validate({
+    params: { taskId: TASK_ID_RULE },
+    query: { segmentLength: { type: "number", min: 10, max: 1000 } },
+  }),
+  async (ctx) => {
+    const { taskId } = ctx.params;
+    const segmentLength = parseOptionalNumber(ctx.query.segmentLength) ?? 100;
+
+    logger.info(`📊 [Report] 生成报表: Task=${taskId}, 分段=${segmentLength}m`);
+
+    try {
+      const task = await loadAccessibleTask(ctx, taskId);
+      if (!task) return;
+
+      const [chunks, records, distressNames] = await Promise.all([
+        Track.find({ taskId }).sort({ seq: 1 }).select("points").lean(),
+        Record.find({ taskId }).lean(),
+        loadDistressNames(),
+      ]);
+
+      const trackPoints = chunks
+        .flatMap((c) => c.points)
+        .sort((a, b) => a.t - b.t);
+
+      const report = buildIriReport({ trackPoints, records, segmentLength });
+
+      logger.info(
+        `✅ [Report] 报表完成: 来源=${report.source}, 段数=${report.segments.length}, 加权IRI=${report.summary.weightedAvgIri}`,
+      );
+
+      ctx.body = {
+        code: 200,
+        message: "报表生成成功",
+        data: {
+          task: {
+            taskId: task.taskId,
+            title: task.title,
+            startTime: task.startTime,
+            endTime: task.endTime ?? null,
+          },
+          segmentLength,
+          bands: IRI_BANDS.map(({ key, label, max, color }) => ({
+            key,
+            label,
+            max: Number.isFinite(max) ? max : null,
+            color,
+          })),
+          // 段内病害统计以类型 code 为 key，此处附带名称供页面显示
+          distressTypes: Object.fromEntries(distressNames),
+          ...report,
+        },
+      };
+    } catch (e) {
+      logger.error(`❌ [Report] 生成失败 (Task: ${taskId})`, e);
+      ctx.status = 500;
+      ctx.body = { code: 500, message: "报表生成失败" };
+    }
+  },
+);
+
+// ============================================================
+// Compare Routes (巡检对比)
+// ============================================================
+
+/**
+ * 加载一次巡检的轨迹点与病害记录
+ * @description 传入 area 时轨迹分片与记录分别走 geometry / location 的 2dsphere 索引粗筛，
+ * 精确的偏离距离由 compare_helper 按参考线计算。
+ * 只有一个点的轨迹分片没有 geometry，粗筛时会被跳过。
+ * @param {string} taskId
+ * @param {Object|null} area - GeoJSON Polygon；为 null 时加载任务的全部数据
+ * @returns {Promise<{trackPoints: Object[], records: Object[]}>}
+ */
+const loadInspection = async (taskId, area) => {
+  const [chunks, records] = await Promise.all([
+    Track.find(
+      area
+        ? { taskId, geometry: { $geoIntersects: { $geometry: area } } }
+        : { taskId },
+    )
+      .sort({ seq: 1 })
+      .select("points")
+      .lean(),
+    Record.find(
+      area
+        ? { taskId, location: { $geoWithin: { $geometry: area } } }
+        : { taskId },
+    ).lean(),
+  ]);
+  return {
+    trackPoints: chunks.flatMap((c) => c.points).sort((a, b) => a.t - b.t),
+    records,
   };
+};
 
-  try {
-    const record = new Record(recordData);
-    await record.save();
-    console.log(`✅ [Record] 记录保存完成`);
-    ctx.body = { code: 200, message: "记录保存成功" };
-  } catch (e) {
-    console.error(`❌ [Record] 保存失败:`, e);
-    ctx.status = 500;
-    ctx.body = { code: 500, message: "记录保存失败" };
+/**
+ * 查找经过某一范围的巡检任务 (按开始时间正序)
+ * @description 轨迹或记录落在范围内即视为经过；巡检员只能查到本人名下的任务。
+ * @param {Object} ctx - Koa 上下文
+ * @param {Object} area - GeoJSON Polygon
+ * @param {{from?: number, to?: number}} range - 任务开始时间范围 (Unix ms)
+ * @returns {Promise<Object[]>}
+ */
+const findCoveringTasks = async (ctx, area, { from, to }) => {
+  const [fromTracks, fromRecords] = await Promise.all([
+    Track.distinct("taskId", {
+      geometry: { $geoIntersects: { $geometry: area } },
+    }),
+    Record.distinct("taskId", {
+      location: { $geoWithin: { $geometry: area } },
+    }),
+  ]);
+
+  const filter = {
+    taskId: { $in: [...new Set([...fromTracks, ...fromRecords])] },
+  };
+  if (from !== undefined || to !== undefined) {
+    filter.startTime = {};
+    if (from !== undefined) filter.startTime.$gte = from;
+    if (to !== undefined) filter.startTime.$lte = to;
+  }
+  if (!RECORD_READER_ROLES.includes(ctx.state.user.role)) {
+    filter.inspectorId = ctx.state.user.id;
   }
+
+  return Task.find(filter).sort({ startTime: 1 }).lean();
+};
+
+// 任务的摘要信息
+const taskBrief = (task) => ({
+  taskId: task.taskId,
+  title: task.title,
+  startTime: task.startTime,
+  endTime: task.endTime ?? null,
 });
 
 /**
- * @route POST /api/task/finish
- * @summary 结束巡检任务
- * @description 更新任务状态为已完成 (isFinished: true) 并记录结束时间。
+ * @route POST /api/task/compare
+ * @summary 对比两次巡检 (变化检测)
+ * @description
+ * 两种用法：
+ * 1. 指定两个任务 (baseTaskId 为较早的基准巡检，targetTaskId 为对比巡检)；
+ *    可同时传 line 只比较该路段，否则以基准巡检的轨迹 (没有轨迹时为记录连线) 作为参考线。
+ * 2. 只传路段 line 与时间范围 from / to：取范围内经过该路段的最早与最晚两次巡检对比，
+ *    data.tasks 返回全部经过的巡检，可从中另选两次按用法 1 重新请求。
+ *
+ * 两次巡检的轨迹 IRI 与病害记录按参考线投影后分段比较 (见 compare_helper.compareInspections)：
+ * 分段平均 IRI 增幅超过 threshold 为恶化，同类病害相距 matchRadius 米以内视为同一处，
+ * 其余为新增 (added) 或消失 (disappeared)。审核驳回的记录不参与比较。
+ *
+ * @param {string} [baseTaskId] - 基准巡检
+ * @param {string} [targetTaskId] - 对比巡检
+ * @param {number[][]} [line] - 路段折线 [[lng, lat], ...] (至少 2 个点)
+ * @param {number} [from] - 任务开始时间下限 (Unix ms，仅用法 2)
+ * @param {number} [to] - 任务开始时间上限 (Unix ms，仅用法 2)
+ * @param {number} [segmentLength=100] - 分段长度 (米，10 ~ 1000)
+ * @param {number} [buffer] - 距参考线多远以内的数据参与比较 (米)，默认见 config.compare.bufferMeters
+ * @param {number} [matchRadius] - 病害配对距离 (米)，默认见 config.compare.matchRadiusMeters
+ * @param {number} [threshold] - IRI 变化判定阈值，默认见 config.compare.iriIncreaseThreshold
  */
-router.post("/api/task/finish", async (ctx) => {
-  const { taskId, endTime } = ctx.request.body;
+router.post(
+  "/api/task/compare",
+  validate({
+    body: {
+      baseTaskId: { type: "string", max: 64 },
+      targetTaskId: { type: "string", max: 64 },
+      line: { type: "array", min: 2, max: 5000, items: COORDINATE_RULE },
+      from: { type: "number", min: 0 },
+      to: { type: "number", min: 0 },
+      segmentLength: { type: "number", min: 10, max: 1000 },
+      buffer: { type: "number", min: 1, max: 200 },
+      matchRadius: { type: "number", min: 1, max: 100 },
+      threshold: { type: "number", min: 0, max: 20 },
+    },
+  }),
+  async (ctx) => {
+    const body = ctx.request.body;
+    const { baseTaskId, targetTaskId } = body;
+    const byTasks = Boolean(baseTaskId || targetTaskId);
+
+    if (byTasks && !(baseTaskId && targetTaskId)) {
+      sendValidationError(ctx, [
+        baseTaskId
+          ? { field: "targetTaskId", message: "须与 baseTaskId 同时指定" }
+          : { field: "baseTaskId", message: "须与 targetTaskId 同时指定" },
+      ]);
+      return;
+    }
+    if (!byTasks && !body.line) {
+      ctx.status = 400;
+      ctx.body = {
+        code: 400,
+        message: "请指定两个任务 (baseTaskId / targetTaskId) 或路段 (line)",
+      };
+      return;
+    }
+    if (byTasks && baseTaskId === targetTaskId) {
+      sendValidationError(ctx, [
+        { field: "targetTaskId", message: "不能与基准巡检相同" },
+      ]);
+      return;
+    }
 
-  console.log(`🏁 [Task Finish] 尝试结束任务: ${taskId}`);
+    const line = body.line ? parseCoordinateList(body.line, 2) : null;
+    if (body.line && !line) {
+      ctx.status = 400;
+      ctx.body = { code: 400, message: "line 坐标超出经纬度范围" };
+      return;
+    }
 
-  try {
-    // 🟢 BUG FIX: 之前代码未将 updateOne 结果赋值给 res，导致 res.matchedCount 报错
-    const res = await Task.updateOne(
-      { taskId: taskId },
-      { $set: { endTime: endTime, isFinished: true } },
-    );
+    const options = {
+      segmentLength: body.segmentLength ?? 100,
+      bufferMeters: body.buffer ?? compare.bufferMeters,
+      matchRadiusMeters: body.matchRadius ?? compare.matchRadiusMeters,
+      iriIncreaseThreshold: body.threshold ?? compare.iriIncreaseThreshold,
+    };
+    const lineArea = line
+      ? bboxToPolygon(bboxOf(line, options.bufferMeters))
+      : null;
+
+    try {
+      let baseTask;
+      let targetTask;
+      let coveringTasks = null;
+
+      if (byTasks) {
+        baseTask = await loadAccessibleTask(ctx, baseTaskId);
+        if (!baseTask) return;
+        targetTask = await loadAccessibleTask(ctx, targetTaskId);
+        if (!targetTask) return;
+      } else {
+        coveringTasks = await findCoveringTasks(ctx, lineArea, body);
+        if (coveringTasks.length < 2) {
+          ctx.status = 404;
+          ctx.body = {
+            code: 404,
+            message: `时间范围内经过该路段的巡检不足两次 (${coveringTasks.length} 次)`,
+          };
+          return;
+        }
+        baseTask = coveringTasks[0];
+        targetTask = coveringTasks[coveringTasks.length - 1];
+      }
 
-    // 业务逻辑检查：确保要结束的任务确实存在
-    if (res.matchedCount === 0) {
-      console.warn(
-        `⚠️ [Task Finish] 警告: 未找到任务 ID ${taskId}，可能是非法请求`,
+      logger.info(
+        `🔀 [Compare] 巡检对比: Base=${baseTask.taskId}, Target=${targetTask.taskId}, 路段=${line ? `${line.length} 点` : "无"}`,
       );
-      // 这里的 200 是为了兼容性，也可以考虑返回 404
-      ctx.body = { code: 200, message: "任务可能已删除或不存在" };
-    } else {
-      console.log(`✅ [Task Finish] 任务状态已更新`);
-      ctx.body = { code: 200, message: "任务已结束" };
+
+      // 参考线：指定的路段 > 基准巡检 > 对比巡检 (基准巡检缺少轨迹与记录时)
+      const base = await loadInspection(baseTask.taskId, lineArea);
+      let target = null;
+      let reference = line
+        ? { source: "line", line }
+        : buildReferenceLine(base);
+      if (!reference) {
+        target = await loadInspection(targetTask.taskId, null);
+        reference = buildReferenceLine(target);
+      }
+      if (!reference) {
+        ctx.status = 422;
+        ctx.body = {
+          code: 422,
+          message: "两次巡检都没有足够的轨迹或记录，无法确定对比路线",
+        };
+        return;
+      }
+      target ??= await loadInspection(
+        targetTask.taskId,
+        lineArea ?? bboxToPolygon(bboxOf(reference.line, options.bufferMeters)),
+      );
+
+      const result = compareInspections({
+        line: reference.line,
+        base,
+        target,
+        ...options,
+      });
+
+      logger.info(
+        `✅ [Compare] 对比完成: 恶化 ${result.summary.deterioratedCount} 段, 新增病害 ${result.summary.addedCount}, 消失 ${result.summary.disappearedCount}`,
+      );
+
+      ctx.body = {
+        code: 200,
+        message: "对比完成",
+        data: {
+          baseTask: taskBrief(baseTask),
+          targetTask: taskBrief(targetTask),
+          tasks: coveringTasks?.map(taskBrief) ?? null,
+          reference: {
+            source: reference.source,
+            coordinates: reference.line,
+          },
+          segmentLength: options.segmentLength,
+          buffer: options.bufferMeters,
+          matchRadius: options.matchRadiusMeters,
+          threshold: options.iriIncreaseThreshold,
+          distressTypes: Object.fromEntries(await loadDistressNames()),
+          ...result,
+        },
+      };
+    } catch (e) {
+      logger.error(`❌ [Compare] 巡检对比失败`, e);
+      ctx.status = 500;
+      ctx.body = { code: 500, message: "巡检对比失败" };
     }
-  } catch (e) {
-    console.error(`❌ [Task Finish] 失败:`, e);
-    ctx.status = 500;
-    ctx.body = { code: 500, message: "同步任务结束失败" };
-  }
-});
+  },
+);
+
+// ============================================================
+// Export Routes (数据导出，GeoJSON / KML / CSV)
+// ============================================================
+
+// 单次导出最多包含的记录数
+const EXPORT_MAX_RECORDS = 10000;
+
+// format 参数规则 (不区分大小写)
+const EXPORT_FORMAT_RULE = {
+  type: "string",
+  pattern: new RegExp(`^(${Object.keys(EXPORT_FORMATS).join("|")})$`, "i"),
+};
 
 /**
- * @route GET /api/task/list
- * @summary 获取指定用户的任务列表
+ * 解析 format 参数 (默认 geojson，取值已由 EXPORT_FORMAT_RULE 校验)
+ * @returns {string} EXPORT_FORMATS 中的 key
+ */
+const parseExportFormat = (ctx) =>
+  String(ctx.query.format || "geojson").toLowerCase();
+
+/**
+ * 以附件形式输出导出文件
+ * @param {Object} ctx - Koa 上下文
+ * @param {string} format - 导出格式
+ * @param {Object[]} records - 病害记录
+ * @param {string} baseName - 文件名 (不含扩展名，仅限 ASCII)
+ * @param {Object} [options] - 透传给 serializeRecords (病害名称由本函数补充)
+ */
+const sendExport = async (ctx, format, records, baseName, options) => {
+  const distressNames = await loadDistressNames();
+  const { contentType, ext } = EXPORT_FORMATS[format];
+  ctx.set("Content-Type", contentType);
+  ctx.set("Content-Disposition", `attachment; filename="${baseName}.${ext}"`);
+  ctx.body = serializeRecords(format, records, { ...options, distressNames });
+};
+
+/**
+ * @route GET /api/task/:taskId/export
+ * @summary 导出单个任务的全部病害记录
+ * @description 记录按拍摄时间正序排列；文件名使用 taskId，KML 文档名使用任务标题。
+ *
+ * @param {string} [format=geojson] - geojson | kml | csv
+ */
+router.get(
+  "/api/task/:taskId/export",
+  validate({
+    params: { taskId: TASK_ID_RULE },
+    query: { format: EXPORT_FORMAT_RULE },
+  }),
+  async (ctx) => {
+    const { taskId } = ctx.params;
+    const format = parseExportFormat(ctx);
+
+    logger.info(`📦 [Export] 导出任务: Task=${taskId}, 格式=${format}`);
+
+    try {
+      const task = await loadAccessibleTask(ctx, taskId);
+      if (!task) return;
+
+      const records = await Record.find({ taskId })
+        .sort({ captureTime: 1 })
+        .limit(EXPORT_MAX_RECORDS)
+        .lean();
+
+      logger.info(`✅ [Export] 导出 ${records.length} 条记录`);
+      await sendExport(ctx, format, records, `task-${taskId}`, {
+        name: task.title,
+      });
+    } catch (e) {
+      logger.error(`❌ [Export] 导出失败 (Task: ${taskId})`, e);
+      ctx.status = 500;
+      ctx.body = { code: 500, message: "导出失败" };
+    }
+  },
+);
+
+/**
+ * @route GET /api/record/export
+ * @summary 按条件导出病害记录
  * @description
- * 根据 userId (inspectorId) 拉取该巡检员的所有任务。
- * 结果按任务开始时间 (startTime) 倒序排列 (最新的在前)。
+ * 过滤条件与空间查询接口一致 (见 buildRecordFilter)，另支持 bbox 矩形范围。
+ * 巡检员仅能导出本人任务的记录，管理员可跨任务导出。
  *
- * @param {string} userId - 用户 ID (Query Param, e.g., ?userId=xxx)
+ * @param {string} [format=geojson] - geojson | kml | csv
+ * @param {string} [bbox] - 矩形范围 "minLng,minLat,maxLng,maxLat"
+ * @param {*} [...filters] - 见 buildRecordFilter
  */
-router.get("/api/task/list", async (ctx) => {
-  // 1. 获取查询参数
-  const { userId } = ctx.query;
+router.get(
+  "/api/record/export",
+  validate({
+    query: {
+      ...RECORD_FILTER_SCHEMA,
+      format: EXPORT_FORMAT_RULE,
+      bbox: { type: "string", max: 100 },
+    },
+  }),
+  async (ctx) => {
+    const format = parseExportFormat(ctx);
 
-  // 2. 参数校验
-  if (!userId) {
-    console.warn(`⚠️ [Task List] 请求缺失 userId`);
-    ctx.status = 400;
-    ctx.body = { code: 400, message: "参数 userId 不能为空" };
-    return;
+    const area = parseBboxQuery(ctx);
+    if (!area) return;
+
+    logger.info(`📦 [Export] 条件导出: 格式=${format}`);
+
+    try {
+      const filter = await buildRecordFilter(ctx, ctx.query);
+      if (!filter) return;
+      if (area.geometry) {
+        filter.location = { $geoWithin: { $geometry: area.geometry } };
+      }
+
+      const records = await Record.find(filter)
+        .sort({ captureTime: 1 })
+        .limit(EXPORT_MAX_RECORDS)
+        .lean();
+
+      logger.info(`✅ [Export] 导出 ${records.length} 条记录`);
+      await sendExport(ctx, format, records, `records-${Date.now()}`);
+    } catch (e) {
+      logger.error(`❌ [Export] 条件导出失败`, e);
+      ctx.status = 500;
+      ctx.body = { code: 500, message: "导出失败" };
+    }
+  },
+);
+
+// ============================================================
+// Local Storage Routes (本地磁盘存储，仅 STORAGE_PROVIDER=local 时启用)
+// ============================================================
+
+/**
+ * 解析路由参数中的 ObjectKey
+ * @description 非 local 驱动返回 404，key 非法返回 400 (此时已写好 ctx.body)。
+ * @returns {string|null}
+ */
+const parseLocalObjectKey = (ctx) => {
+  if (storage.provider !== "local") {
+    ctx.status = 404;
+    ctx.body = { code: 404, message: "未启用本地存储" };
+    return null;
   }
 
-  console.log(`🔍 [Task List] 正在查询用户任务: ${userId}`);
+  const key = normalizeObjectKey(ctx.params.key);
+  if (!key) {
+    ctx.status = 400;
+    ctx.body = { code: 400, message: "文件路径无效" };
+    return null;
+  }
+  return key;
+};
 
-  try {
-    // 3. 数据库查询
-    // 过滤条件: inspectorId 匹配 userId
-    // 排序: startTime: -1 (降序/最新的在最上面)
-    const tasks = await Task.find({ inspectorId: userId }).sort({
-      startTime: -1,
-    });
+/**
+ * @route PUT /storage/local/{key}
+ * @summary 上传文件 (客户端直传)
+ * @description
+ * 请求体为文件原始字节，上传地址由 /api/storage/credentials 签发：
+ * PUT {uploadUrl}/{key}?prefix=&expires=&signature=
+ * 签名校验 key 前缀与过期时间，不需要 Access Token。同名文件直接覆盖 (与 OSS PutObject 一致)。
+ */
+router.put(`${LOCAL_STORAGE_ROUTE}/{*key}`, async (ctx) => {
+  const key = parseLocalObjectKey(ctx);
+  if (!key) return;
 
-    console.log(`✅ [Task List] 查询成功: 找到 ${tasks.length} 个任务`);
+  const reason = verifyUploadSignature(key, ctx.query);
+  if (reason) {
+    logger.warn(`⛔ [Storage] 上传被拒绝: ${key}, ${reason}`);
+    ctx.status = 403;
+    ctx.body = { code: 403, message: reason };
+    return;
+  }
 
+  try {
+    const size = await saveObject(key, ctx.req);
+    logger.info(`✅ [Storage] 文件已保存: ${key} (${size} bytes)`);
     ctx.body = {
       code: 200,
-      data: tasks,
-      message: "获取任务列表成功",
+      message: "上传成功",
+      data: { url: getObjectUrl(key) },
     };
   } catch (e) {
-    console.error(`❌ [Task List] 查询失败 (User: ${userId}):`, e);
+    if (e.code === "OBJECT_TOO_LARGE") {
+      ctx.status = 413;
+      ctx.body = { code: 413, message: e.message };
+      return;
+    }
+    logger.error(`❌ [Storage] 文件保存失败: ${key}`, e);
     ctx.status = 500;
-    ctx.body = { code: 500, message: "获取任务列表失败" };
+    ctx.body = { code: 500, message: "文件保存失败" };
   }
 });
 
 /**
- * @route GET /api/record/list
- * @summary 前端获取指定任务下的所有病害记录
- * @description
- * 根据 taskId 拉取该任务关联的所有 Record 数据。
- * 通常用于 "任务详情页" 或 "历史记录回放" 功能。
- *
- * @param {string} taskId - 任务 ID (通过 Query Param 传递, e.g., ?taskId=xxx)
+ * @route GET /storage/local/{key}
+ * @summary 读取文件
+ * @description 即记录 serverUrl 指向的地址。与私有 Bucket 一致，必须携带 /api/record/:recordId/photo 签发的签名。
  */
-router.get("/api/record/list", async (ctx) => {
-  // 1. 从 URL 查询参数中获取 taskId (GET 请求不读取 body)
-  const { taskId } = ctx.query;
+router.get(`${LOCAL_STORAGE_ROUTE}/{*key}`, async (ctx) => {
+  const key = parseLocalObjectKey(ctx);
+  if (!key) return;
+
+  const reason = verifyReadSignature(key, ctx.query);
+  if (reason) {
+    ctx.status = 403;
+    ctx.body = { code: 403, message: reason };
+    return;
+  }
 
-  // 2. 参数校验
-  if (!taskId) {
-    console.warn(`⚠️ [Record List] 请求缺失 taskId`);
-    ctx.status = 400; // Bad Request
-    ctx.body = { code: 400, message: "参数 taskId 不能为空" };
+  const object = await openObject(key);
+  if (!object) {
+    ctx.status = 404;
+    ctx.body = { code: 404, message: "文件不存在" };
     return;
   }
 
-  console.log(`🔍 [Record List] 正在查询任务记录: ${taskId}`);
+  ctx.type = object.contentType;
+  ctx.length = object.size;
+  ctx.body = object.stream;
+});
 
-  try {
-    // 3. 数据库查询
-    // find: 查找所有匹配文档
-    // sort: 按拍摄时间 (captureTime) 正序排列，方便前端按时间轴展示
-    const records = await Record.find({ taskId: taskId }).sort({
-      captureTime: 1,
-    });
+// ============================================================
+// Ops Routes (运维探针与运行指标，无需登录)
+// ============================================================
+
+/**
+ * @route GET /healthz
+ * @summary 存活探针 (Liveness)
+ * @description 只表示进程能处理请求，不检查依赖；依赖故障时重启进程无济于事，应由 /readyz 摘除流量。
+ */
+router.get("/healthz", async (ctx) => {
+  ctx.body = {
+    code: 200,
+    data: { status: "ok", uptime: Math.round(process.uptime()) },
+  };
+});
 
-    // 4. 组装响应
-    const count = records.length;
-    console.log(`✅ [Record List] 查询成功: 找到 ${count} 条记录`);
+/**
+ * 执行一项就绪检查
+ * @param {string} name - 检查项名称 (用于日志)
+ * @param {Function} check - 不可用时抛出异常
+ * @returns {Promise<{status: "up"|"down"}>} 失败原因只写日志，不在匿名接口中返回
+ */
+const runReadinessCheck = async (name, check) => {
+  try {
+    await check();
+    return { status: "up" };
+  } catch (e) {
+    logger.warn(`⚠️ [Readyz] ${name} 不可用`, e);
+    return { status: "down" };
+  }
+};
 
+/**
+ * @route GET /readyz
+ * @summary 就绪探针 (Readiness)
+ * @description 检查 MongoDB 连接状态与当前存储驱动 (aliyun: Bucket 可访问；local: 目录可写)。
+ * 全部可用时返回 200，否则返回 503，负载均衡据此摘除流量。
+ * 运行期间数据库断线 (Mongoose 自动重连中) 与停机排空期间 (见 bootstrap.js) 同样返回 503。
+ */
+router.get("/readyz", async (ctx) => {
+  if (ctx.shuttingDown) {
+    ctx.status = 503;
     ctx.body = {
-      code: 200,
-      data: records,
-      message: "获取成功",
+      code: 503,
+      message: "服务正在停止",
+      data: { status: "shutting_down" },
     };
-  } catch (e) {
-    console.error(`❌ [Record List] 查询出错 (ID: ${taskId}):`, e);
-    ctx.status = 500;
-    ctx.body = { code: 500, message: "获取记录失败，请稍后重试" };
+    return;
   }
+
+  const checks = {
+    mongo: await runReadinessCheck("MongoDB", () => {
+      if (mongoose.connection.readyState !== 1) {
+        throw new Error(`readyState=${mongoose.connection.readyState}`);
+      }
+    }),
+    storage: {
+      provider: storage.provider,
+      ...(await runReadinessCheck("Storage", checkStorageHealth)),
+    },
+  };
+  const ready = Object.values(checks).every((c) => c.status === "up");
+
+  ctx.status = ready ? 200 : 503;
+  ctx.body = {
+    code: ctx.status,
+    message: ready ? undefined : "服务未就绪",
+    data: { status: ready ? "ok" : "unavailable", checks },
+  };
+});
+
+/**
+ * @route GET /metrics
+ * @summary 运行指标 (Prometheus 文本格式)
+ * @description 包含按路由的请求数与耗时直方图、记录提交数、上传凭证签发失败数、进行中任务数。
+ * 指标只含路由模板与计数，不含用户数据；如需限制访问请在网关层按来源 IP 放行。
+ */
+router.get("/metrics", async (ctx) => {
+  ctx.type = METRICS_CONTENT_TYPE;
+  ctx.body = await metrics.render();
 });
 
 // ============================================================
-// 4. Server Start (服务启动)
+// 4. Mount Routes (挂载路由)
 // ============================================================
 
 // 挂载中间件
 app.use(router.routes()).use(router.allowedMethods());
 
-// 导出 app 实例供测试使用
+// 导出 app 实例 (由 bootstrap.js 启动，测试直接使用)
 export { app };
-
-// 只有当文件直接被运行时，才启动服务器
-if (process.env.NODE_ENV !== "test") {
-  const PORT = process.env.PORT || 3000;
-  const HOST = process.env.HOST || "0.0.0.0";
-  app.listen(PORT, HOST, () => {
-    console.log(`
-🚀 Road Inspection Server Running...
------------------------------------
-📡 Local:   http://${HOST}:${PORT}
-💾 DB:      MongoDB Atlas
-☁️ Cloud:   Aliyun OSS (Shanghai)
------------------------------------
-  `);
-  });
-}
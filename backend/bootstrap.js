@@ -0,0 +1,191 @@
+/**
+ * @file bootstrap.js
+ * @module Bootstrap
+ * @description 服务启动与优雅停机
+ * app.js 只负责组装中间件与路由 (导入时不连接数据库、不监听端口，测试可直接使用)，
+ * 本模块负责进程生命周期：
+ * 1. 启动顺序：先连接 MongoDB，成功后才监听 HTTP 端口；连接失败直接退出，由 PM2 / 容器编排重启。
+ * 2. 优雅停机：收到 SIGTERM / SIGINT 后停止接收新请求，等待进行中的请求 (如 record/submit 写库) 完成，
+ *    超时后强制断开剩余连接，最后关闭 MongoDB 连接。
+ * 入口见 server.js。
+ */
+
+import mongoose from "mongoose";
+import http from "node:http";
+import { setTimeout as delay } from "node:timers/promises";
+import { app } from "./app.js";
+import { mongoUrl, profile, server, storage } from "./config/config.js";
+import { logger } from "./utils/logger.js";
+
+/**
+ * Mongoose 连接配置
+ * @see https://mongoosejs.com/docs/connections.html
+ */
+const MONGO_OPTIONS = {
+  // 【核心优化】连接池大小
+  // 针对道路巡检场景的 "断网重连并发上传" 特性，适当调大连接池，
+  // 防止瞬间涌入 50+ 请求导致数据库连接耗尽 (Connection Timeout)。
+  maxPoolSize: 100,
+
+  // 连接超时时间 (5秒)
+  // 如果数据库 5秒 没响应，快速失败，避免前端长时间 loading。
+  serverSelectionTimeoutMS: 5000,
+};
+
+// 触发优雅停机的信号 (SIGTERM: 容器编排 / PM2 停止进程；SIGINT: 终端 Ctrl+C)
+const SHUTDOWN_SIGNALS = ["SIGTERM", "SIGINT"];
+
+/**
+ * 连接 MongoDB
+ * @description 运行期间的断线与重连只记录日志 (Mongoose 会自动重连)，此期间 /readyz 返回 503。
+ * @param {string} [url=mongoUrl]
+ * @returns {Promise<void>} 连接失败时抛出异常
+ */
+async function connectDatabase(url = mongoUrl) {
+  logger.info("MongoDB 开始连接...");
+  await mongoose.connect(url, MONGO_OPTIONS);
+  logger.info("✅ MongoDB 连接成功");
+
+  mongoose.connection.on("disconnected", () =>
+    logger.warn("⚠️ MongoDB 连接断开，等待自动重连"),
+  );
+  mongoose.connection.on("reconnected", () =>
+    logger.info("✅ MongoDB 已重新连接"),
+  );
+}
+
+/**
+ * 监听 HTTP 端口
+ * @param {import("koa")} koaApp
+ * @param {{port: number, host: string}} options - port 为 0 时由系统分配 (测试用)
+ * @returns {Promise<http.Server>} 开始监听后 resolve
+ */
+function listen(koaApp, { port, host }) {
+  return new Promise((resolve, reject) => {
+    const httpServer = http.createServer(koaApp.callback());
+    httpServer.once("error", reject);
+    httpServer.listen(port, host, () => {
+      httpServer.off("error", reject);
+      resolve(httpServer);
+    });
+  });
+}
+
+/**
+ * 创建停机函数
+ * @description
+ * 1. 标记 app.context.shuttingDown：/readyz 返回 503，负载均衡据此摘除流量。
+ * 2. server.close() 停止接收新连接，并关闭空闲的 Keep-Alive 连接。
+ * 3. 进行中与后续到达的请求响应附带 Connection: close，响应结束后即关闭连接
+ *    (否则 Keep-Alive 连接会一直占用，server.close() 无法完成)。
+ * 4. 等待进行中的请求完成，超过 timeoutMs 后强制断开剩余连接。
+ * 5. 关闭 MongoDB 连接 (须在请求排空之后，否则进行中的写入会失败)。
+ * 重复调用 (如连续收到两次信号) 返回同一个 Promise。
+ *
+ * @param {http.Server} httpServer
+ * @param {Object} options
+ * @param {import("koa")} options.koaApp - 用于设置 shuttingDown 标记
+ * @param {number} options.timeoutMs - 等待请求完成的最长时间
+ * @param {Function} [options.closeDatabase] - 关闭数据库连接，默认 mongoose.disconnect
+ * @returns {(signal?: string) => Promise<{timedOut: boolean}>} timedOut 表示是否有请求被强制中断
+ */
+function createShutdown(
+  httpServer,
+  { koaApp, timeoutMs, closeDatabase = () => mongoose.disconnect() },
+) {
+  let shutdownPromise = null;
+
+  // 进行中的响应 (停机时逐个要求关闭连接)
+  const activeResponses = new Set();
+
+  /** 要求响应结束后关闭连接；响应头已发出时，改为在响应结束后关闭空闲连接 */
+  const closeAfterResponse = (res) => {
+    if (!res.headersSent) {
+      res.setHeader("Connection", "close");
+      return;
+    }
+    res.once("finish", () =>
+      setImmediate(() => httpServer.closeIdleConnections()),
+    );
+  };
+
+  httpServer.on("request", (req, res) => {
+    if (shutdownPromise) closeAfterResponse(res);
+    activeResponses.add(res);
+    res.once("close", () => activeResponses.delete(res));
+  });
+
+  const shutdown = async (signal) => {
+    logger.info(`🛑 收到 ${signal || "停机"} 信号，停止接收新请求`, {
+      timeoutMs,
+      inflight: activeResponses.size,
+    });
+    koaApp.context.shuttingDown = true;
+
+    const closed = new Promise((resolve) => httpServer.close(resolve));
+    httpServer.closeIdleConnections();
+    activeResponses.forEach(closeAfterResponse);
+
+    const abort = new AbortController();
+    const timedOut = await Promise.race([
+      closed.then(() => false),
+      delay(timeoutMs, true, { signal: abort.signal }).catch(() => false),
+    ]);
+    abort.abort();
+
+    if (timedOut) {
+      logger.warn("⚠️ 等待进行中的请求超时，强制断开剩余连接");
+      httpServer.closeAllConnections();
+      await closed;
+    } else {
+      logger.info("✅ 进行中的请求已全部完成");
+    }
+
+    await closeDatabase();
+    logger.info("✅ MongoDB 连接已关闭，服务已停止");
+    return { timedOut };
+  };
+
+  return (signal) => {
+    shutdownPromise ??= shutdown(signal);
+    return shutdownPromise;
+  };
+}
+
+/**
+ * 启动服务
+ * @description 依次连接数据库、监听端口并注册停机信号。
+ * @returns {Promise<{server: http.Server, shutdown: Function}>}
+ */
+async function start() {
+  await connectDatabase();
+
+  const httpServer = await listen(app, server);
+  logger.info("🚀 Road Inspection Server Running...", {
+    profile,
+    url: `http://${server.host}:${server.port}`,
+    storage:
+      storage.provider === "local"
+        ? `Local Disk (${storage.local.rootDir})`
+        : "Aliyun OSS (Shanghai)",
+  });
+
+  const shutdown = createShutdown(httpServer, {
+    koaApp: app,
+    timeoutMs: server.shutdownTimeoutMs,
+  });
+  SHUTDOWN_SIGNALS.forEach((signal) =>
+    process.once(signal, () => {
+      shutdown(signal)
+        .then(({ timedOut }) => process.exit(timedOut ? 1 : 0))
+        .catch((err) => {
+          logger.error("❌ 停机过程出错", err);
+          process.exit(1);
+        });
+    }),
+  );
+
+  return { server: httpServer, shutdown };
+}
+
+export { connectDatabase, createShutdown, listen, start };
@@ -0,0 +1,257 @@
+/**
+ * @module config_loader
+ * @description 配置读取与校验工具 (供 config.js 使用)
+ * 每项配置按以下优先级取值：环境变量 > 配置文件 (CONFIG_FILE) > 运行环境预设 (profile) > 代码默认值。
+ * 读取时不立即抛出异常，而是收集全部错误，最后由 assertValid() 一次性报告，
+ * 部署时一次即可看到所有配置问题，而不是改一项、重启、再报下一项。
+ */
+
+import { readFileSync } from "node:fs";
+
+/** 支持的运行环境 (profile) */
+const PROFILES = ["development", "test", "production"];
+
+// 运行环境的简写
+const PROFILE_ALIASES = { dev: "development", prod: "production" };
+
+// 时长格式，与 jsonwebtoken 的 expiresIn 一致 (如 900 / 15m / 7d)
+const DURATION_PATTERN = /^\d+(s|m|h|d)?$/;
+
+/**
+ * 解析当前运行环境
+ * @description 优先取 APP_ENV，未设置时取 NODE_ENV (jest 会自动设置为 test)，默认 development。
+ * @param {Object<string, string>} env - 通常为 process.env
+ * @returns {"development"|"test"|"production"}
+ * @throws {Error} 取值不在 PROFILES 中
+ */
+function resolveProfile(env) {
+  const raw = (env.APP_ENV || env.NODE_ENV || "development").toLowerCase();
+  const profile = PROFILE_ALIASES[raw] || raw;
+  if (!PROFILES.includes(profile)) {
+    throw new Error(
+      `运行环境取值无效: ${raw} (APP_ENV / NODE_ENV 可选 ${PROFILES.join(" / ")})`
+    );
+  }
+  return profile;
+}
+
+/**
+ * 读取配置文件
+ * @description 文件为 JSON 对象，key 与环境变量同名，如 { "MONGO_URL": "...", "PORT": 3000 }；
+ * 数组值按逗号拼接 (如 CORS_ORIGINS)。适合不便注入大量环境变量的部署方式。
+ * @param {string} [filePath] - 文件路径；为空时返回空对象
+ * @returns {Object<string, string>}
+ * @throws {Error} 文件不存在、不是合法 JSON 或不是对象
+ */
+function loadConfigFile(filePath) {
+  if (!filePath) return {};
+
+  let parsed;
+  try {
+    parsed = JSON.parse(readFileSync(filePath, "utf8"));
+  } catch (e) {
+    throw new Error(`无法读取配置文件 ${filePath}: ${e.message}`);
+  }
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    throw new Error(`配置文件 ${filePath} 必须是 JSON 对象`);
+  }
+
+  return Object.fromEntries(
+    Object.entries(parsed)
+      .filter(([, value]) => value !== null && value !== undefined)
+      .map(([key, value]) => [
+        key,
+        Array.isArray(value) ? value.join(",") : String(value),
+      ])
+  );
+}
+
+/**
+ * 创建配置读取器
+ * @param {Object<string, string>[]} sources - 配置来源，按优先级从高到低排列；空字符串视为未设置
+ * @returns {Object} 读取器，各方法在取值非法时记录错误并返回默认值，见下方说明
+ */
+function createConfigReader(sources) {
+  const errors = [];
+
+  const lookup = (name) => {
+    for (const source of sources) {
+      const value = source[name];
+      if (value !== undefined && value !== null && String(value).trim()) {
+        return String(value).trim();
+      }
+    }
+    return undefined;
+  };
+
+  const fail = (name, message) => {
+    errors.push(`${name}: ${message}`);
+  };
+
+  /**
+   * 读取原始值 (处理必填与默认值)
+   * @returns {{value?: string, missing: boolean}}
+   */
+  const take = (name, { required = false, default: fallback } = {}) => {
+    const value = lookup(name);
+    if (value !== undefined) return { value, missing: false };
+    if (required) fail(name, "必填");
+    return { value: fallback, missing: true };
+  };
+
+  const reader = {
+    /**
+     * 字符串
+     * @param {string} name
+     * @param {{required?: boolean, default?: string, oneOf?: string[], pattern?: RegExp, hint?: string}} [options]
+     *   hint 为 pattern 不匹配时的提示
+     * @returns {string|undefined}
+     */
+    string(name, options = {}) {
+      const { value, missing } = take(name, options);
+      if (missing || value === undefined) return value;
+
+      if (options.oneOf && !options.oneOf.includes(value)) {
+        fail(name, `取值无效: ${value} (可选 ${options.oneOf.join(" / ")})`);
+        return options.default;
+      }
+      if (options.pattern && !options.pattern.test(value)) {
+        fail(name, `格式错误 (${options.hint || options.pattern})`);
+        return options.default;
+      }
+      return value;
+    },
+
+    /**
+     * 整数
+     * @param {string} name
+     * @param {{required?: boolean, default?: number, min?: number, max?: number}} [options]
+     * @returns {number|undefined}
+     */
+    integer(name, options = {}) {
+      const { value, missing } = take(name, options);
+      if (missing) return value;
+
+      const number = Number(value);
+      const { min = -Infinity, max = Infinity } = options;
+      if (!Number.isInteger(number) || number < min || number > max) {
+        fail(name, `必须为 ${min} ~ ${max} 之间的整数，当前为 ${value}`);
+        return options.default;
+      }
+      return number;
+    },
+
+    /**
+     * 数值 (可含小数)
+     * @param {string} name
+     * @param {{required?: boolean, default?: number, min?: number, max?: number}} [options]
+     * @returns {number|undefined}
+     */
+    number(name, options = {}) {
+      const { value, missing } = take(name, options);
+      if (missing) return value;
+
+      const number = Number(value);
+      const { min = -Infinity, max = Infinity } = options;
+      if (!Number.isFinite(number) || number < min || number > max) {
+        fail(name, `必须为 ${min} ~ ${max} 之间的数值，当前为 ${value}`);
+        return options.default;
+      }
+      return number;
+    },
+
+    /**
+     * 时长 (jsonwebtoken expiresIn 格式，如 900 / 15m / 7d)
+     * @param {string} name
+     * @param {{required?: boolean, default?: string}} [options]
+     * @returns {string|undefined}
+     */
+    duration(name, options = {}) {
+      return reader.string(name, {
+        ...options,
+        pattern: DURATION_PATTERN,
+        hint: "数字加单位 s / m / h / d，如 15m",
+      });
+    },
+
+    /**
+     * 逗号分隔的列表
+     * @param {string} name
+     * @param {{required?: boolean, default?: string[], oneOf?: string[]}} [options]
+     * @returns {string[]}
+     */
+    list(name, options = {}) {
+      const { value, missing } = take(name, options);
+      if (missing) return value ?? [];
+
+      const items = value
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean);
+      if (options.oneOf) {
+        const unknown = items.filter((item) => !options.oneOf.includes(item));
+        if (unknown.length > 0) {
+          fail(
+            name,
+            `包含未知取值: ${unknown.join(", ")} (可选 ${options.oneOf.join(" / ")})`
+          );
+          return options.default ?? [];
+        }
+      }
+      return items;
+    },
+
+    /**
+     * 逗号分隔的数值列表
+     * @param {string} name
+     * @param {{required?: boolean, default?: number[], length?: number, min?: number, ascending?: boolean}} [options]
+     *   ascending 为 true 时要求严格递增
+     * @returns {number[]}
+     */
+    numberList(name, options = {}) {
+      const { value, missing } = take(name, options);
+      if (missing) return value ?? [];
+
+      const numbers = value.split(",").map((item) => Number(item.trim()));
+      const { length, min = -Infinity, ascending = false } = options;
+      const problem = numbers.some((n) => !Number.isFinite(n) || n < min)
+        ? `每一项都必须是不小于 ${min} 的数值`
+        : length !== undefined && numbers.length !== length
+          ? `必须包含 ${length} 个数值`
+          : ascending && numbers.some((n, i) => i > 0 && n <= numbers[i - 1])
+            ? "必须严格递增"
+            : null;
+      if (problem) {
+        fail(name, `${problem}，当前为 ${value}`);
+        return options.default ?? [];
+      }
+      return numbers;
+    },
+
+    /**
+     * 记录一条自定义校验错误 (用于跨字段的约束)
+     * @param {string} name
+     * @param {string} message
+     */
+    fail,
+
+    /** 已收集的错误 */
+    errors,
+
+    /**
+     * 存在错误时抛出异常
+     * @param {string} profile - 当前运行环境 (写入错误信息)
+     * @throws {Error} 消息中逐行列出所有错误
+     */
+    assertValid(profile) {
+      if (errors.length > 0) {
+        throw new Error(
+          `配置校验失败 (profile=${profile}):\n${errors.map((e) => `  - ${e}`).join("\n")}`
+        );
+      }
+    },
+  };
+  return reader;
+}
+
+export { createConfigReader, loadConfigFile, PROFILES, resolveProfile };
@@ -1,10 +1,18 @@
 /**
  * @module models
  * @description 定义 MongoDB 数据模型 (Mongoose Schemas)
- * 包含: User(用户), Task(巡检任务), Record(病害记录)
+ * 包含: User(用户), Session(登录会话), LoginAttempt(登录失败计数), Task(巡检任务), Record(病害记录),
+ * DistressType(病害字典), WorkOrder(维修工单), Track(巡检轨迹), Road(道路), RoadSection(路段)
  */
 
 import { Schema, model } from "mongoose";
+import {
+  DISTRESS_SEVERITIES,
+  DISTRESS_SOURCES,
+  DISTRESS_UNITS,
+} from "../utils/distress_helper.js";
+import { REVIEW_STATUSES } from "../utils/review_helper.js";
+import { WORK_ORDER_STATUSES } from "../utils/work_order_helper.js";
 
 // ============================================================
 // 1. 用户模型 (User)
@@ -36,7 +44,8 @@ const userSchema = new Schema(
     // 用户角色
     role: {
       type: String,
-      enum: ["admin", "inspector"],
+      // reviewer: 审核员，可查看全部任务的记录并审核病害条目 (不能修改任务与管理用户)
+      enum: ["admin", "inspector", "reviewer"],
       default: "inspector",
     },
 
@@ -44,8 +53,7 @@ const userSchema = new Schema(
     // null = 有效用户; 有日期 = 已删除用户
     deletedAt: { type: Date, default: null },
 
-    // 用于服务端比对和注销
-    refreshToken: { type: String, select: false },
+    // 注意：Refresh Token 已迁移到 Session 集合 (每台设备一条)，旧文档中残留的 refreshToken 字段不再使用
   },
   {
     // 自动管理 createdAt 和 updatedAt 字段
@@ -66,6 +74,133 @@ userSchema.virtual("id").get(function () {
 userSchema.index({ deletedAt: 1 });
 userSchema.index({ username: 1 });
 
+// ============================================================
+// 1.1 登录会话模型 (Session)
+// ============================================================
+/**
+ * 登录会话 Schema
+ * 每次登录 (每台设备) 创建一条，持有该设备当前有效的 Refresh Token 哈希。
+ * 每次刷新都会轮换 Token；已轮换掉的旧 Token 再次出现说明被盗用，整条会话随之吊销。
+ * 吊销的会话保留至过期，以便识别重放的旧 Token。
+ */
+const sessionSchema = new Schema(
+  {
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    // 当前有效 Refresh Token 的 SHA-256 (严禁存明文)
+    tokenHash: { type: String, required: true, select: false },
+
+    // 设备信息 (登录时从 User-Agent 解析)，仅用于会话列表展示
+    deviceName: { type: String, default: null },
+    userAgent: { type: String, default: null },
+    ip: { type: String, default: null },
+
+    // 最近一次登录或刷新的时间
+    lastUsedAt: { type: Date, default: Date.now },
+
+    // 与当前 Refresh Token 的 exp 一致，每次轮换后顺延
+    expiresAt: { type: Date, required: true },
+
+    // 吊销信息：null = 有效
+    revokedAt: { type: Date, default: null },
+    revokedReason: {
+      type: String,
+      enum: ["logout", "user", "admin", "disabled", "reuse", "password", null],
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+);
+
+sessionSchema.virtual("id").get(function () {
+  return this._id.toHexString();
+});
+
+// 列表查询: 某用户的有效会话
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+// TTL 索引: Refresh Token 过期后由 MongoDB 自动清理
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// ============================================================
+// 1.2 登录失败计数模型 (LoginAttempt)
+// ============================================================
+/**
+ * 登录失败计数 Schema
+ * 按用户名 (user:{username}) 与来源 IP (ip:{ip}) 分别计数，用于退避与临时锁定 (见 login_limit_helper)。
+ * 登录成功时清除用户名计数；超过滑动窗口没有新的失败时由 TTL 索引自动清理。
+ */
+const loginAttemptSchema = new Schema({
+  key: { type: String, required: true, unique: true },
+
+  // 窗口内的连续失败次数
+  failures: { type: Number, default: 0 },
+
+  // 封禁截止时间：之前的登录请求直接返回 429
+  blockedUntil: { type: Date, default: null },
+
+  // true = 达到失败上限被锁定 (区别于短暂的退避等待)，可由管理员提前解锁
+  locked: { type: Boolean, default: false },
+
+  // 计数过期时间 (最后一次失败 + 窗口，且不早于 blockedUntil)
+  expiresAt: { type: Date, required: true },
+});
+
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// ============================================================
+// 1.3 审计事件模型 (AuditEvent)
+// ============================================================
+/**
+ * 审计事件 Schema
+ * 记录安全相关与修改数据的操作 (谁、何时、从哪里、对什么、做了什么、结果如何)，只增不改。
+ * 事件类型清单见 audit_helper.AUDIT_ACTIONS；超过保留期 (config.audit.retentionDays) 后由 TTL 索引自动清理。
+ */
+const auditEventSchema = new Schema({
+  // 操作者；未登录的操作 (如登录失败) 为 null
+  actorId: { type: Schema.Types.ObjectId, ref: "User", default: null },
+  // 冗余保存操作时的用户名，用户改名或删除后仍可追溯
+  actorName: { type: String, default: null },
+
+  // 事件类型，格式 {对象}.{动作}，如 user.password_change
+  action: { type: String, required: true },
+
+  // 操作对象
+  targetType: { type: String, default: null },
+  targetId: { type: String, default: null },
+
+  outcome: {
+    type: String,
+    enum: ["success", "failure", "denied"],
+    default: "success",
+  },
+
+  // 来源
+  ip: { type: String, default: null },
+  userAgent: { type: String, default: null },
+
+  // 附加信息 (严禁写入密码、Token 等敏感数据)
+  detail: { type: Schema.Types.Mixed, default: null },
+
+  createdAt: { type: Date, default: Date.now },
+
+  // 写入时按保留天数计算
+  expiresAt: { type: Date, required: true },
+});
+
+auditEventSchema.index({ createdAt: -1 });
+auditEventSchema.index({ actorId: 1, createdAt: -1 });
+auditEventSchema.index({ action: 1, createdAt: -1 });
+auditEventSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
 // ============================================================
 // 2. 任务模型 (Task)
 // ============================================================
@@ -94,6 +229,10 @@ const taskSchema = new Schema({
   // 任务状态: false=进行中, true=已完成
   isFinished: { type: Boolean, default: false },
 
+  // 计划巡检的道路 / 路段 (可选)；地图匹配时优先匹配到该道路
+  roadId: { type: Schema.Types.ObjectId, ref: "Road", default: null },
+  sectionId: { type: Schema.Types.ObjectId, ref: "RoadSection", default: null },
+
   // 记录插入时间
   createdAt: { type: Date, default: Date.now },
 });
@@ -101,6 +240,64 @@ const taskSchema = new Schema({
 // ============================================================
 // 3. 记录模型 (Record)
 // ============================================================
+/**
+ * 病害条目子文档
+ * 一条记录可包含多处病害 (多标签)，字段含义与校验规则见 distress_helper.DISTRESS_ENTRY_SCHEMA
+ */
+const distressEntrySchema = new Schema(
+  {
+    // 病害类型，对应 DistressType.code
+    type: { type: String, required: true },
+
+    severity: {
+      type: String,
+      enum: [...DISTRESS_SEVERITIES, null],
+      default: null,
+    },
+
+    // 估算范围及单位 (单位取自字典，如坑槽为 m2、车辙为 m)
+    extent: { type: Number, default: null },
+    unit: { type: String, enum: [...DISTRESS_UNITS, null], default: null },
+
+    // 照片中的标注框 (相对宽高的比例 0~1，原点为左上角)
+    bbox: {
+      type: new Schema(
+        { x: Number, y: Number, width: Number, height: Number },
+        { _id: false },
+      ),
+      default: null,
+    },
+
+    // 来源：manual 巡检员标注 / ai 识别模型输出 (此时 confidence 为置信度)
+    source: { type: String, enum: DISTRESS_SOURCES, default: "manual" },
+    confidence: { type: Number, default: null },
+
+    note: { type: String, default: null },
+  },
+  { _id: false },
+);
+
+/**
+ * 道路匹配结果子文档 (见 road_helper.buildRoadMatch)
+ * 记录提交时按位置匹配到最近的道路；道路建立之前提交的记录由 scripts/match_roads.js 补算
+ */
+const roadMatchSchema = new Schema(
+  {
+    roadId: { type: Schema.Types.ObjectId, ref: "Road", required: true },
+    // 冗余存储道路编号 (如 G101)，便于显示与导出
+    code: { type: String, required: true },
+    sectionId: {
+      type: Schema.Types.ObjectId,
+      ref: "RoadSection",
+      default: null,
+    },
+    chainage: { type: Number, required: true }, // 桩号 (米)
+    stake: { type: String, required: true }, // 桩号文本，如 K12+340
+    offset: { type: Number, required: true }, // 偏离中心线的距离 (米)
+  },
+  { _id: false },
+);
+
 /**
  * 巡检记录 Schema
  * 对应具体的病害点，包含地理位置
@@ -126,17 +323,309 @@ const recordSchema = new Schema({
 
   iri: { type: Number, default: null },
 
-  pavementDistress: { type: String, default: null },
+  // 匹配到的道路与桩号，附近没有道路时为 null
+  road: { type: roadMatchSchema, default: null },
+
+  // 病害条目 (旧版的 pavementDistress 字符串已由 scripts/migrate_distress.js 迁移至此)
+  distresses: { type: [distressEntrySchema], default: [] },
+
+  // 审核状态 (见 review_helper)；审核功能上线前的旧记录没有此字段，视为 pending
+  review: {
+    status: { type: String, enum: REVIEW_STATUSES, default: "pending" },
+    reviewerId: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    reviewerName: { type: String, default: null },
+    reviewedAt: { type: Date, default: null },
+    comment: { type: String, default: null },
+    // 首次修正前的病害条目 (从未被修正的记录没有此字段)
+    originalDistresses: { type: [distressEntrySchema], default: undefined },
+  },
 });
 
 // 创建 2dsphere 空间索引 (支持 $near, $geoWithin 查询)
 recordSchema.index({ location: "2dsphere" });
+// 按病害类型过滤 (buildRecordFilter 的 distress 参数)
+recordSchema.index({ "distresses.type": 1 });
+// 审核队列：按状态与任务筛选，按拍摄时间排序
+recordSchema.index({ "review.status": 1, taskId: 1, captureTime: 1 });
+// 按道路查询记录，按桩号排序
+recordSchema.index({ "road.roadId": 1, "road.chainage": 1 });
+
+// ============================================================
+// 3.1 病害字典模型 (DistressType)
+// ============================================================
+/**
+ * 病害类型字典 Schema
+ * 由管理员维护，驱动客户端的病害选项与记录提交时的类型校验。
+ * 字典为空时写入 distress_helper.DEFAULT_DISTRESS_TYPES。
+ */
+const distressTypeSchema = new Schema(
+  {
+    // 稳定标识 (如 pothole)，记录中保存的是 code，创建后不可修改
+    code: { type: String, required: true, unique: true },
+
+    // 显示名称 (如 坑槽)
+    name: { type: String, required: true, trim: true },
+
+    // 别名：旧版客户端提交的名称按名称与别名匹配 (如 网裂 -> 龟裂)
+    aliases: { type: [String], default: [] },
+
+    unit: { type: String, enum: DISTRESS_UNITS, default: "m2" },
+    description: { type: String, default: null },
+
+    // 客户端选项的排列顺序 (升序)
+    sortOrder: { type: Number, default: 0 },
+
+    // 停用后不再接受新提交，历史记录仍可显示
+    active: { type: Boolean, default: true },
+  },
+  { timestamps: true },
+);
+
+// ============================================================
+// 3.2 维修工单模型 (WorkOrder)
+// ============================================================
+/**
+ * 工单状态流转历史子文档
+ */
+const workOrderHistorySchema = new Schema(
+  {
+    from: { type: String, enum: WORK_ORDER_STATUSES, required: true },
+    to: { type: String, enum: WORK_ORDER_STATUSES, required: true },
+    actorId: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    actorName: { type: String, default: null },
+    comment: { type: String, default: null },
+    at: { type: Date, required: true },
+  },
+  { _id: false },
+);
+
+/**
+ * 维修工单 Schema
+ * 由审核确认的病害记录生成 (同一位置的多条记录合并为一个工单)，状态流转规则见 work_order_helper。
+ */
+const workOrderSchema = new Schema(
+  {
+    title: { type: String, required: true, trim: true },
+
+    status: { type: String, enum: WORK_ORDER_STATUSES, default: "open" },
+
+    // 关联的病害记录 (Record.recordId)；一条记录只属于一个工单
+    recordIds: { type: [String], required: true },
+    // 冗余存储：记录所属任务与病害类型 code，便于过滤
+    taskIds: { type: [String], default: [] },
+    distressTypes: { type: [String], default: [] },
+
+    // 工单位置 (关联记录的中心点)
+    location: {
+      type: { type: String, enum: ["Point"], default: "Point" },
+      coordinates: { type: [Number], required: true }, // [Lng, Lat]
+    },
+
+    // 维修人员与期限
+    assigneeId: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    dueDate: { type: Date, default: null },
+
+    // 维修前 / 维修后照片地址 (维修前默认取关联记录的照片)
+    beforePhotos: { type: [String], default: [] },
+    afterPhotos: { type: [String], default: [] },
+
+    // 验收引用的复查记录 (修复后在同一位置拍摄的 Record.recordId)
+    verifyRecordId: { type: String, default: null },
+
+    note: { type: String, default: null },
+    createdBy: { type: Schema.Types.ObjectId, ref: "User", required: true },
+
+    // 进入各状态的时间
+    assignedAt: { type: Date, default: null },
+    startedAt: { type: Date, default: null },
+    repairedAt: { type: Date, default: null },
+    verifiedAt: { type: Date, default: null },
+
+    history: { type: [workOrderHistorySchema], default: [] },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+);
+
+workOrderSchema.virtual("id").get(function () {
+  return this._id.toHexString();
+});
+
+workOrderSchema.index({ location: "2dsphere" });
+// 按记录查找所属工单 (生成工单时排除已关联的记录)
+// 唯一：一条记录只能属于一个工单，并发创建 / 生成时由数据库兜底 (已部署的库需先删除旧的非唯一索引)
+workOrderSchema.index({ recordIds: 1 }, { unique: true });
+// 列表查询：按状态 / 维修人员过滤，按创建时间倒序
+workOrderSchema.index({ status: 1, createdAt: -1 });
+workOrderSchema.index({ assigneeId: 1, status: 1 });
+
+// ============================================================
+// 4. 轨迹模型 (Track)
+// ============================================================
+/**
+ * 轨迹点子文档
+ * 对应 Android 端推送给 JSBridge.updateDashboard / updateIriData 的高频数据
+ */
+const trackPointSchema = new Schema(
+  {
+    t: { type: Number, required: true }, // 采样时间 (Unix ms)
+    lat: { type: Number, required: true },
+    lng: { type: Number, required: true },
+
+    // 任务开始以来的累计里程 (米)
+    distance: { type: Number, default: null },
+
+    // 以该点为终点的一段路面的 IRI 值及该段长度 (米)
+    // 两者同时存在才表示一个有效的 IRI 分段
+    iri: { type: Number, default: null },
+    segmentLength: { type: Number, default: null },
+
+    // 匹配到的道路与桩号 (米)，附近没有道路时为 null
+    roadId: { type: Schema.Types.ObjectId, ref: "Road", default: null },
+    chainage: { type: Number, default: null },
+  },
+  { _id: false },
+);
+
+/**
+ * 巡检轨迹分片 Schema
+ * 一个任务的轨迹按上传批次拆成多个分片 (seq 递增)，避免单文档超过 16MB 上限。
+ * (taskId, seq) 唯一：客户端重传同一分片时直接忽略，实现幂等。
+ */
+const trackSchema = new Schema({
+  taskId: { type: String, required: true, index: true },
+
+  // 分片序号 (客户端生成，从 0 开始递增)
+  seq: { type: Number, required: true },
+
+  points: { type: [trackPointSchema], default: [] },
+
+  // 分片覆盖的时间范围 (冗余存储，便于按时间过滤)
+  startTime: { type: Number, required: true },
+  endTime: { type: Number, required: true },
+
+  // 分片轨迹线 (GeoJSON LineString)，少于 2 个不同点时不存
+  // ⚠️ coordinates 必须显式 default: undefined，否则 Mongoose 会写入空数组导致空间索引报错
+  geometry: {
+    type: { type: String, enum: ["LineString"] },
+    coordinates: { type: [[Number]], default: undefined },
+  },
+
+  createdAt: { type: Date, default: Date.now },
+});
+
+trackSchema.index({ taskId: 1, seq: 1 }, { unique: true });
+trackSchema.index({ geometry: "2dsphere" });
+
+// ============================================================
+// 5. 路网模型 (Road / RoadSection)
+// ============================================================
+/**
+ * 道路 Schema
+ * 由管理员维护中心线与起点桩号，记录与轨迹点据此在本地做地图匹配并计算桩号 (见 road_helper)。
+ */
+const roadSchema = new Schema(
+  {
+    // 路线编号 (如 G101)，唯一
+    code: { type: String, required: true, unique: true, trim: true },
+    name: { type: String, required: true, trim: true },
+
+    // 中心线 (GeoJSON LineString，沿桩号增大的方向)
+    // 2dsphere 索引不接受连续重复的顶点，写入前须去重
+    centreline: {
+      type: { type: String, enum: ["LineString"], default: "LineString" },
+      coordinates: { type: [[Number]], required: true },
+    },
+
+    // 中心线起点的桩号 (米)，如 K12+340 即 12340
+    startChainage: { type: Number, default: 0, min: 0 },
+    // 中心线长度 (米)，冗余存储；终点桩号 = startChainage + length
+    length: { type: Number, required: true },
+
+    description: { type: String, default: null },
+
+    // 停用后不再参与地图匹配，已匹配的记录保持不变
+    active: { type: Boolean, default: true },
+    createdBy: { type: Schema.Types.ObjectId, ref: "User", required: true },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+);
+
+roadSchema.virtual("id").get(function () {
+  return this._id.toHexString();
+});
+
+roadSchema.index({ centreline: "2dsphere" });
+
+/**
+ * 路段 Schema
+ * 道路上的一段桩号区间 (如养护管理单元)，同一道路的路段不重叠。
+ * 中心线由道路中心线按桩号截取，道路中心线变更时同步更新。
+ */
+const roadSectionSchema = new Schema(
+  {
+    roadId: {
+      type: Schema.Types.ObjectId,
+      ref: "Road",
+      required: true,
+      index: true,
+    },
+    name: { type: String, required: true, trim: true },
+
+    // 起点与终点桩号 (米)
+    startChainage: { type: Number, required: true, min: 0 },
+    endChainage: { type: Number, required: true },
+
+    centreline: {
+      type: { type: String, enum: ["LineString"], default: "LineString" },
+      coordinates: { type: [[Number]], required: true },
+    },
+
+    active: { type: Boolean, default: true },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+);
+
+roadSectionSchema.virtual("id").get(function () {
+  return this._id.toHexString();
+});
 
 // ============================================================
 // 导出模型
 // ============================================================
 const User = model("User", userSchema);
+const Session = model("Session", sessionSchema);
+const LoginAttempt = model("LoginAttempt", loginAttemptSchema);
+const AuditEvent = model("AuditEvent", auditEventSchema);
 const Task = model("Task", taskSchema);
 const Record = model("Record", recordSchema);
+const DistressType = model("DistressType", distressTypeSchema);
+const WorkOrder = model("WorkOrder", workOrderSchema);
+const Track = model("Track", trackSchema);
+const Road = model("Road", roadSchema);
+const RoadSection = model("RoadSection", roadSectionSchema);
 
-export { Record, Task, User };
+export {
+  AuditEvent,
+  DistressType,
+  LoginAttempt,
+  Record,
+  Road,
+  RoadSection,
+  Session,
+  Task,
+  Track,
+  User,
+  WorkOrder,
+};
@@ -0,0 +1,160 @@
+/**
+ * @file match_roads.js
+ * @description 道路匹配补算：为记录 (Record.road) 与轨迹点 (roadId / chainage) 计算道路与桩号
+ * 记录与轨迹在提交时已自动匹配，以下情况需要补算：
+ * - 新增道路之前提交的数据 (默认只处理尚未匹配到道路的记录与轨迹分片)
+ * - 修改了道路中心线、起点桩号或路段区间 (加 --all 重新计算全部数据)
+ * 匹配规则与 app.js 一致 (见 road_helper)：优先匹配任务计划巡检的道路。
+ * 可重复执行。
+ *
+ * 用法：
+ *   npm run match:roads                  # 补算尚未匹配的数据
+ *   npm run match:roads -- --all         # 重新计算全部数据
+ *   npm run match:roads -- --dry-run     # 只统计，不写入
+ */
+
+import mongoose from "mongoose";
+import { mongoUrl, roadMatch } from "../config/config.js";
+import { Record, Road, RoadSection, Task, Track } from "../model/models.js";
+import { bboxOf, bboxToPolygon } from "../utils/geo_helper.js";
+import {
+  buildRoadMatch,
+  matchPoint,
+  matchTrack,
+} from "../utils/road_helper.js";
+import { logger } from "../utils/logger.js";
+
+// 每批写入的记录数
+const BATCH_SIZE = 500;
+
+const dryRun = process.argv.includes("--dry-run");
+const all = process.argv.includes("--all");
+
+/**
+ * 读取坐标附近启用的道路及其路段 (与 app.js 的 loadRoadsNear 一致)
+ * @param {number[][]} coordinates
+ * @returns {Promise<{roads: Object[], sections: Object[]}>}
+ */
+async function loadRoadsNear(coordinates) {
+  const area = bboxToPolygon(bboxOf(coordinates, roadMatch.radiusMeters));
+  const roads = await Road.find({
+    active: true,
+    centreline: { $geoIntersects: { $geometry: area } },
+  })
+    .select("code centreline startChainage")
+    .lean();
+  const sections = await RoadSection.find({
+    roadId: { $in: roads.map((r) => r._id) },
+    active: true,
+  })
+    .select("roadId startChainage endChainage")
+    .lean();
+  return { roads, sections };
+}
+
+/**
+ * 按任务逐个补算
+ * @returns {Promise<Object>} 统计 (recordsMatched / pointsMatched 为匹配到道路的数量)
+ */
+async function match() {
+  const stats = {
+    tasks: 0,
+    records: 0,
+    recordsMatched: 0,
+    chunks: 0,
+    points: 0,
+    pointsMatched: 0,
+  };
+
+  const recordFilter = all ? {} : { road: null };
+  const chunkFilter = all ? {} : { "points.roadId": null };
+
+  const taskIds = [
+    ...new Set([
+      ...(await Record.distinct("taskId", recordFilter)),
+      ...(await Track.distinct("taskId", chunkFilter)),
+    ]),
+  ];
+  const plannedRoads = new Map(
+    (
+      await Task.find({ taskId: { $in: taskIds }, roadId: { $ne: null } })
+        .select("taskId roadId")
+        .lean()
+    ).map((t) => [t.taskId, t.roadId]),
+  );
+
+  for (const taskId of taskIds) {
+    stats.tasks++;
+    const plannedRoadId = plannedRoads.get(taskId) ?? null;
+
+    // 1. 记录
+    const records = await Record.find({ ...recordFilter, taskId })
+      .select("location")
+      .lean();
+    if (records.length > 0) {
+      const { roads, sections } = await loadRoadsNear(
+        records.map((r) => r.location.coordinates),
+      );
+      const ops = records.map((r) => {
+        const road = buildRoadMatch(
+          matchPoint(r.location.coordinates, roads, {
+            maxOffset: roadMatch.radiusMeters,
+            preferredRoadIds: [plannedRoadId],
+          }),
+          sections,
+        );
+        if (road) stats.recordsMatched++;
+        return { updateOne: { filter: { _id: r._id }, update: { road } } };
+      });
+      stats.records += records.length;
+
+      for (let i = 0; !dryRun && i < ops.length; i += BATCH_SIZE) {
+        await Record.bulkWrite(ops.slice(i, i + BATCH_SIZE), {
+          ordered: false,
+        });
+      }
+    }
+
+    // 2. 轨迹分片 (逐片读写，单片最多 2000 个点)
+    const chunkRefs = await Track.find({ ...chunkFilter, taskId })
+      .sort({ seq: 1 })
+      .select("_id")
+      .lean();
+    for (const { _id } of chunkRefs) {
+      const chunk = await Track.findById(_id).select("points").lean();
+      const { roads } = await loadRoadsNear(
+        chunk.points.map((p) => [p.lng, p.lat]),
+      );
+      const points = matchTrack(chunk.points, roads, {
+        maxOffset: roadMatch.radiusMeters,
+        plannedRoadId,
+      }).map((m, i) => ({
+        ...chunk.points[i],
+        roadId: m ? m.road._id : null,
+        chainage: m ? Math.round(m.chainage * 10) / 10 : null,
+      }));
+
+      stats.chunks++;
+      stats.points += points.length;
+      stats.pointsMatched += points.filter((p) => p.roadId).length;
+      if (!dryRun) await Track.updateOne({ _id }, { $set: { points } });
+    }
+  }
+
+  return stats;
+}
+
+try {
+  await mongoose.connect(mongoUrl, { serverSelectionTimeoutMS: 5000 });
+  logger.info(
+    `🛣️ 开始道路匹配${all ? " (全部数据)" : ""}${dryRun ? " (dry-run，不写入)" : ""}`,
+  );
+
+  const stats = await match();
+  logger.info("✅ 道路匹配完成", stats);
+} catch (e) {
+  logger.error("❌ 道路匹配失败", e);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
@@ -0,0 +1,87 @@
+/**
+ * @file migrate_distress.js
+ * @description 病害字段迁移：Record.pavementDistress (逗号分隔字符串) -> Record.distresses (结构化条目)
+ * 1. 字典为空时写入内置字典 (与服务启动后首次提交记录时的行为一致)。
+ * 2. 逐批读取仍含 pavementDistress 的记录，按字典名称与别名转换后删除旧字段；
+ *    无法识别的名称归入 "other"，原文保存在 note 中。
+ * 可重复执行：已迁移的记录不再含旧字段，不会被再次处理。
+ *
+ * 用法：
+ *   npm run migrate:distress            # 执行迁移
+ *   npm run migrate:distress -- --dry-run   # 只统计，不写入
+ */
+
+import mongoose from "mongoose";
+import { mongoUrl } from "../config/config.js";
+import { DistressType, Record } from "../model/models.js";
+import {
+  buildDistressIndex,
+  buildDistressSeedOps,
+  buildLegacyDistressUpdate,
+} from "../utils/distress_helper.js";
+import { logger } from "../utils/logger.js";
+
+// 每批写入的记录数
+const BATCH_SIZE = 500;
+
+const dryRun = process.argv.includes("--dry-run");
+
+/**
+ * 执行迁移
+ * @returns {Promise<{scanned: number, migrated: number, unmatched: number}>}
+ *   unmatched 为含无法识别名称 (归入 other) 的记录数
+ */
+async function migrate() {
+  if ((await DistressType.countDocuments()) === 0 && !dryRun) {
+    await DistressType.bulkWrite(buildDistressSeedOps());
+    logger.info("📚 病害字典为空，已写入内置字典");
+  }
+  const index = buildDistressIndex(await DistressType.find().lean());
+
+  const stats = { scanned: 0, migrated: 0, unmatched: 0 };
+  let ops = [];
+
+  const flush = async () => {
+    if (ops.length === 0) return;
+    if (!dryRun) {
+      const res = await Record.collection.bulkWrite(ops, { ordered: false });
+      stats.migrated += res.modifiedCount;
+    }
+    ops = [];
+  };
+
+  // 旧字段已不在 Schema 中，直接读取原始集合
+  const cursor = Record.collection.find(
+    { pavementDistress: { $exists: true } },
+    { projection: { pavementDistress: 1, distresses: 1 } },
+  );
+  for await (const doc of cursor) {
+    stats.scanned++;
+    const update = buildLegacyDistressUpdate(doc, index);
+    if (update.$set?.distresses.some((d) => d.note)) stats.unmatched++;
+
+    ops.push({ updateOne: { filter: { _id: doc._id }, update } });
+    if (ops.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  return stats;
+}
+
+try {
+  await mongoose.connect(mongoUrl, { serverSelectionTimeoutMS: 5000 });
+  logger.info(`🚚 开始迁移病害字段${dryRun ? " (dry-run，不写入)" : ""}`);
+
+  const stats = await migrate();
+  logger.info("✅ 病害字段迁移完成", stats);
+  if (stats.unmatched > 0) {
+    logger.warn(
+      `⚠️ ${stats.unmatched} 条记录含字典中不存在的名称，已归入 "other" (原名称见 note)，请人工复核`,
+    );
+  }
+} catch (e) {
+  logger.error("❌ 病害字段迁移失败", e);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
@@ -0,0 +1,14 @@
+/**
+ * @file server.js
+ * @description 服务进程入口 (npm start)
+ * 启动逻辑见 bootstrap.js；app.js 可被测试直接导入而不会连接数据库或监听端口。
+ */
+
+import { start } from "./bootstrap.js";
+import { logger } from "./utils/logger.js";
+
+start().catch((err) => {
+  // 数据库连接失败等启动错误是致命错误，直接退出，由 PM2 / 容器编排重启
+  logger.error("❌ 服务启动失败", err);
+  process.exit(1);
+});
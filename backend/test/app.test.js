@@ -4,9 +4,14 @@
  */
 
 import { jest } from "@jest/globals";
+import bcrypt from "bcryptjs";
 import "dotenv/config"; // 加载环境变量
+import jwt from "jsonwebtoken";
 import { MongoMemoryServer } from "mongodb-memory-server";
 import mongoose from "mongoose";
+import { mkdtemp, rm } from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
 import request from "supertest";
 
 // Mock 阿里云 OSS
@@ -17,22 +22,58 @@ jest.mock("../utils/oss_helper.js", () => ({
     SecurityToken: "mock-token",
     Expiration: "2099-01-01T00:00:00Z",
   }),
+  getSignedUrl: jest.fn(
+    (key, { process }) =>
+      `https://signed.oss/${key}?Signature=mock${process ? `&x-oss-process=${process}` : ""}`,
+  ),
 }));
 
 import { app } from "../app.js";
-import { Record, Task, User } from "../model/models.js";
+import { audit, auth, server, storage } from "../config/config.js";
+import { createSignedReadUrl } from "../utils/local_storage_helper.js";
+import { getStsToken } from "../utils/oss_helper.js";
+import {
+  AuditEvent,
+  DistressType,
+  LoginAttempt,
+  Record,
+  Road,
+  RoadSection,
+  Session,
+  Task,
+  Track,
+  User,
+  WorkOrder,
+} from "../model/models.js";
 
 let mongoServer;
 
+/**
+ * 直接在库中创建用户并签发 Access Token
+ * @returns {Promise<{user: Object, auth: string}>} auth 为可直接放入 Authorization 头的字符串
+ */
+const createUserWithToken = async (role = "inspector", username) => {
+  const user = await User.create({
+    username: username || `${role}_${new mongoose.Types.ObjectId()}`,
+    hashedPassword: "xxx",
+    role,
+  });
+  const token = jwt.sign(
+    { id: user.id, role: user.role, username: user.username },
+    process.env.JWT_ACCESS_SECRET,
+    { expiresIn: "1h" },
+  );
+  return { user, auth: `Bearer ${token}` };
+};
+
 // ============================================================
 // 测试生命周期钩子
 // ============================================================
 
+// app.js 导入时不连接数据库 (连接由 bootstrap.js 负责)，测试直接连接内存数据库
 beforeAll(async () => {
   mongoServer = await MongoMemoryServer.create();
-  const uri = mongoServer.getUri();
-  await mongoose.disconnect();
-  await mongoose.connect(uri);
+  await mongoose.connect(mongoServer.getUri());
 }, 60000); // 60秒超时
 
 afterEach(async () => {
@@ -72,7 +113,7 @@ describe("🚀 Road Inspection API Integration Tests", () => {
       await User.create({ username: "existing_user", hashedPassword: "xxx" });
       const res = await request(app.callback())
         .post("/api/auth/register")
-        .send({ username: "existing_user", password: "123" });
+        .send({ username: "existing_user", password: "password123" });
 
       expect(res.body.code).toBe(409);
       // 【修正】直接精确匹配字符串，避免正则问题
@@ -82,60 +123,562 @@ describe("🚀 Road Inspection API Integration Tests", () => {
     it("POST /api/auth/login - 输入正确密码应登录成功", async () => {
       await request(app.callback()).post("/api/auth/register").send({
         username: "login_test",
-        password: "securePass",
+        password: "securePass1",
       });
       const res = await request(app.callback())
         .post("/api/auth/login")
-        .send({ username: "login_test", password: "securePass" });
+        .send({ username: "login_test", password: "securePass1" });
       expect(res.status).toBe(200);
     });
 
     it("POST /api/auth/login - 密码错误应拒绝登录", async () => {
       await request(app.callback()).post("/api/auth/register").send({
         username: "wrong_pass_user",
-        password: "correctPass",
+        password: "correctPass1",
       });
       const res = await request(app.callback())
         .post("/api/auth/login")
         .send({ username: "wrong_pass_user", password: "WRONG_PASS" });
       expect(res.body.code).toBe(401);
     });
+
+    it("POST /api/auth/register - 不符合密码策略应拒绝", async () => {
+      const res = await request(app.callback())
+        .post("/api/auth/register")
+        .send({ username: "weak_pass", password: "abcdefgh" });
+
+      expect(res.status).toBe(400);
+      expect(res.body.errors[0].field).toBe("password");
+      expect(await User.countDocuments({ username: "weak_pass" })).toBe(0);
+    });
+
+    it("GET /api/auth/password-policy - 无需登录即可获取", async () => {
+      const res = await request(app.callback()).get(
+        "/api/auth/password-policy",
+      );
+      expect(res.body.code).toBe(200);
+      expect(res.body.data.minLength).toBe(auth.passwordPolicy.minLength);
+      expect(res.body.data.description).toContain("数字");
+    });
+
+    it("X-Request-Id - 应沿用客户端传入的 ID 并回传，缺失或非法时生成新 ID", async () => {
+      const send = (id) => {
+        const req = request(app.callback()).get("/api/auth/password-policy");
+        return id === undefined ? req : req.set("X-Request-Id", id);
+      };
+
+      expect((await send("android-123")).headers["x-request-id"]).toBe(
+        "android-123",
+      );
+      const generated = (await send()).headers["x-request-id"];
+      expect(generated).toMatch(/^[\da-f-]{36}$/);
+      const sanitized = (await send("bad id\twith spaces")).headers[
+        "x-request-id"
+      ];
+      expect(sanitized).not.toContain(" ");
+    });
+
+    it("CORS - 仅对 CORS_ORIGINS 中的来源返回跨域响应头，预检请求无需登录", async () => {
+      const original = server.corsOrigins;
+      server.corsOrigins = ["http://localhost:5173"];
+      try {
+        const preflight = await request(app.callback())
+          .options("/api/user/profile")
+          .set("Origin", "http://localhost:5173")
+          .set("Access-Control-Request-Method", "GET");
+        expect(preflight.status).toBe(204);
+        expect(preflight.headers["access-control-allow-origin"]).toBe(
+          "http://localhost:5173",
+        );
+
+        const foreign = await request(app.callback())
+          .get("/api/auth/password-policy")
+          .set("Origin", "http://evil.example.com");
+        expect(foreign.headers["access-control-allow-origin"]).toBeUndefined();
+      } finally {
+        server.corsOrigins = original;
+      }
+    });
+
+    it("POST /api/auth/register - 应忽略客户端传入的 role", async () => {
+      const res = await request(app.callback())
+        .post("/api/auth/register")
+        .send({
+          username: "fake_admin",
+          password: "password123",
+          role: "admin",
+        });
+
+      expect(res.body.code).toBe(200);
+      expect(res.body.data.role).toBe("inspector");
+      const saved = await User.findOne({ username: "fake_admin" });
+      expect(saved.role).toBe("inspector");
+    });
+
+    describe("登录防暴力破解", () => {
+      const originalPolicy = { ...auth.loginLimit.user };
+
+      afterEach(() => {
+        auth.loginLimit.user = { ...originalPolicy };
+      });
+
+      const login = (password) =>
+        request(app.callback())
+          .post("/api/auth/login")
+          .send({ username: "brute_target", password });
+
+      beforeEach(async () => {
+        await User.create({
+          username: "brute_target",
+          hashedPassword: await bcrypt.hash("password123", 4),
+        });
+      });
+
+      it("连续失败后应进入退避并返回 429 与 Retry-After", async () => {
+        auth.loginLimit.user = { backoffAfter: 2, maxFailures: 100 };
+
+        expect((await login("wrong_1")).status).toBe(401);
+        expect((await login("wrong_2")).status).toBe(401);
+
+        // 退避期间即使密码正确也直接拒绝
+        const blocked = await login("password123");
+        expect(blocked.status).toBe(429);
+        expect(Number(blocked.headers["retry-after"])).toBeGreaterThanOrEqual(
+          1,
+        );
+        expect(blocked.body.data.locked).toBe(false);
+      });
+
+      it("达到失败上限应锁定账号，管理员解锁后可登录", async () => {
+        auth.loginLimit.user = { backoffAfter: 100, maxFailures: 3 };
+
+        expect((await login("wrong_1")).status).toBe(401);
+        expect((await login("wrong_2")).status).toBe(401);
+        const locked = await login("wrong_3");
+        expect(locked.status).toBe(429);
+        expect(locked.body.data.locked).toBe(true);
+        expect(Number(locked.headers["retry-after"])).toBeGreaterThan(60);
+
+        expect((await login("password123")).status).toBe(429);
+
+        const { auth: adminAuth } = await createUserWithToken("admin");
+        const target = await User.findOne({ username: "brute_target" });
+        const unlock = await request(app.callback())
+          .post(`/api/admin/users/${target.id}/unlock`)
+          .set("Authorization", adminAuth);
+        expect(unlock.body.message).toBe("账号已解锁");
+
+        expect((await login("password123")).status).toBe(200);
+      });
+
+      it("用户名不存在同样计入失败次数", async () => {
+        auth.loginLimit.user = { backoffAfter: 100, maxFailures: 2 };
+        const ghost = () =>
+          request(app.callback())
+            .post("/api/auth/login")
+            .send({ username: "ghost_user", password: "password123" });
+
+        expect((await ghost()).status).toBe(401);
+        expect((await ghost()).status).toBe(429);
+        expect(
+          await LoginAttempt.findOne({ key: "user:ghost_user" }),
+        ).toMatchObject({ failures: 2, locked: true });
+      });
+
+      it("登录成功应清除该用户名的失败计数", async () => {
+        await login("wrong_1");
+        expect((await login("password123")).status).toBe(200);
+        expect(
+          await LoginAttempt.countDocuments({ key: "user:brute_target" }),
+        ).toBe(0);
+      });
+    });
+
+    describe("多设备会话", () => {
+      const ANDROID_UA =
+        "Mozilla/5.0 (Linux; Android 14; Pixel 7 Build/UQ1A; wv) AppleWebKit/537.36";
+
+      /** 创建用户并在两台设备上登录 */
+      const loginOnTwoDevices = async () => {
+        await User.create({
+          username: "multi_device",
+          hashedPassword: await bcrypt.hash("password123", 4),
+        });
+        const login = () =>
+          request(app.callback())
+            .post("/api/auth/login")
+            .set("User-Agent", ANDROID_UA)
+            .send({ username: "multi_device", password: "password123" })
+            .then((res) => res.body.data);
+        return [await login(), await login()];
+      };
+
+      const refresh = (refreshToken) =>
+        request(app.callback())
+          .post("/api/auth/refresh")
+          .send({ refreshToken });
+
+      it("第二台设备登录不应影响第一台设备刷新", async () => {
+        const [phoneA, phoneB] = await loginOnTwoDevices();
+
+        expect((await refresh(phoneA.refreshToken)).body.code).toBe(200);
+        expect((await refresh(phoneB.refreshToken)).body.code).toBe(200);
+      });
+
+      it("旧 Refresh Token 被重放时应吊销整条会话", async () => {
+        const [phoneA, phoneB] = await loginOnTwoDevices();
+
+        const rotated = await refresh(phoneA.refreshToken);
+        expect(rotated.body.code).toBe(200);
+        const { refreshToken: newToken } = rotated.body.data;
+        expect(newToken).not.toBe(phoneA.refreshToken);
+
+        // 攻击者重放旧 Token
+        const replay = await refresh(phoneA.refreshToken);
+        expect(replay.body.code).toBe(403);
+
+        // 本人手中的新 Token 同样失效，但另一台设备不受影响
+        expect((await refresh(newToken)).body.code).toBe(403);
+        expect((await refresh(phoneB.refreshToken)).body.code).toBe(200);
+
+        const revoked = await Session.findOne({ revokedReason: "reuse" });
+        expect(revoked.userId.toString()).toBe(phoneA.id);
+      });
+
+      it("Refresh Token 应以哈希形式保存", async () => {
+        const [phoneA] = await loginOnTwoDevices();
+        const sessions = await Session.find({ userId: phoneA.id }).select(
+          "+tokenHash",
+        );
+        expect(sessions).toHaveLength(2);
+        sessions.forEach((s) => {
+          expect(s.tokenHash).not.toBe(phoneA.refreshToken);
+          expect(s.tokenHash).toMatch(/^[a-f\d]{64}$/);
+        });
+      });
+
+      it("GET/DELETE /api/user/:id/sessions - 应列出并下线指定设备", async () => {
+        const [phoneA, phoneB] = await loginOnTwoDevices();
+        const authA = `Bearer ${phoneA.accessToken}`;
+
+        const list = await request(app.callback())
+          .get(`/api/user/${phoneA.id}/sessions`)
+          .set("Authorization", authA);
+        expect(list.body.code).toBe(200);
+        expect(list.body.data).toHaveLength(2);
+        expect(list.body.data[0].deviceName).toBe("Pixel 7 (Android 14)");
+        const other = list.body.data.find((s) => !s.current);
+        expect(list.body.data.filter((s) => s.current)).toHaveLength(1);
+
+        const del = await request(app.callback())
+          .delete(`/api/user/${phoneA.id}/sessions/${other.id}`)
+          .set("Authorization", authA);
+        expect(del.body.code).toBe(200);
+
+        expect((await refresh(phoneB.refreshToken)).body.code).toBe(403);
+        expect((await refresh(phoneA.refreshToken)).body.code).toBe(200);
+
+        const again = await request(app.callback())
+          .delete(`/api/user/${phoneA.id}/sessions/${other.id}`)
+          .set("Authorization", authA);
+        expect(again.body.code).toBe(404);
+      });
+
+      it("GET /api/user/:id/sessions - 不能查看其他用户的设备", async () => {
+        const [phoneA] = await loginOnTwoDevices();
+        const { auth } = await createUserWithToken();
+        const res = await request(app.callback())
+          .get(`/api/user/${phoneA.id}/sessions`)
+          .set("Authorization", auth);
+        expect(res.status).toBe(403);
+      });
+
+      it("POST /api/auth/logout - 只注销当前设备", async () => {
+        const [phoneA, phoneB] = await loginOnTwoDevices();
+
+        await request(app.callback())
+          .post("/api/auth/logout")
+          .set("Authorization", `Bearer ${phoneA.accessToken}`)
+          .send({ refreshToken: phoneA.refreshToken });
+
+        expect((await refresh(phoneA.refreshToken)).body.code).toBe(403);
+        expect((await refresh(phoneB.refreshToken)).body.code).toBe(200);
+      });
+    });
+  });
+
+  // ----------------------------------------------------------
+  // 1.1 Admin Module
+  // ----------------------------------------------------------
+  describe("🛡️ Admin Module", () => {
+    it("GET /api/admin/users - 巡检员访问应返回 403", async () => {
+      const { auth } = await createUserWithToken("inspector");
+      const res = await request(app.callback())
+        .get("/api/admin/users")
+        .set("Authorization", auth);
+
+      expect(res.status).toBe(403);
+    });
+
+    it("GET /api/admin/users - 应分页返回用户并默认过滤已停用用户", async () => {
+      const { auth } = await createUserWithToken("admin", "admin_root");
+      await User.create({ username: "active_1", hashedPassword: "xxx" });
+      await User.create({ username: "active_2", hashedPassword: "xxx" });
+      await User.create({
+        username: "deleted_1",
+        hashedPassword: "xxx",
+        deletedAt: new Date(),
+      });
+
+      const res = await request(app.callback())
+        .get("/api/admin/users?page=1&pageSize=2")
+        .set("Authorization", auth);
+
+      expect(res.body.code).toBe(200);
+      expect(res.body.data.total).toBe(3); // admin_root + active_1 + active_2
+      expect(res.body.data.list).toHaveLength(2);
+      const names = res.body.data.list.map((u) => u.username);
+      expect(names).not.toContain("deleted_1");
+
+      const deletedRes = await request(app.callback())
+        .get("/api/admin/users?deleted=true")
+        .set("Authorization", auth);
+      expect(deletedRes.body.data.total).toBe(1);
+      expect(deletedRes.body.data.list[0].username).toBe("deleted_1");
+    });
+
+    it("POST /api/admin/users - 应创建巡检员账号", async () => {
+      const { auth } = await createUserWithToken("admin");
+      const res = await request(app.callback())
+        .post("/api/admin/users")
+        .set("Authorization", auth)
+        .send({ username: "new_inspector", password: "password123" });
+
+      expect(res.body.code).toBe(200);
+      expect(res.body.data.role).toBe("inspector");
+      expect(await User.countDocuments({ username: "new_inspector" })).toBe(1);
+    });
+
+    it("PATCH /api/admin/users/:id/role - 应修改角色并拒绝非法取值", async () => {
+      const { auth } = await createUserWithToken("admin");
+      const target = await User.create({
+        username: "to_promote",
+        hashedPassword: "xxx",
+      });
+
+      const bad = await request(app.callback())
+        .patch(`/api/admin/users/${target.id}/role`)
+        .set("Authorization", auth)
+        .send({ role: "superuser" });
+      expect(bad.body.code).toBe(400);
+
+      const res = await request(app.callback())
+        .patch(`/api/admin/users/${target.id}/role`)
+        .set("Authorization", auth)
+        .send({ role: "admin" });
+      expect(res.body.code).toBe(200);
+      expect((await User.findById(target.id)).role).toBe("admin");
+    });
+
+    it("DELETE + restore - 停用后无法登录，恢复后可再次登录", async () => {
+      const { auth } = await createUserWithToken("admin");
+      await request(app.callback())
+        .post("/api/auth/register")
+        .send({ username: "soft_del", password: "password123" });
+      const target = await User.findOne({ username: "soft_del" });
+
+      const delRes = await request(app.callback())
+        .delete(`/api/admin/users/${target.id}`)
+        .set("Authorization", auth);
+      expect(delRes.body.code).toBe(200);
+
+      // 密码错误时与普通失败一致，不暴露账号已停用，且计入失败次数
+      const wrongRes = await request(app.callback())
+        .post("/api/auth/login")
+        .send({ username: "soft_del", password: "wrong-password" });
+      expect(wrongRes.status).toBe(401);
+      expect(
+        (await LoginAttempt.findOne({ key: "user:soft_del" })).failures,
+      ).toBe(1);
+
+      const loginRes = await request(app.callback())
+        .post("/api/auth/login")
+        .send({ username: "soft_del", password: "password123" });
+      expect(loginRes.body.code).toBe(403);
+
+      const restoreRes = await request(app.callback())
+        .post(`/api/admin/users/${target.id}/restore`)
+        .set("Authorization", auth);
+      expect(restoreRes.body.code).toBe(200);
+
+      const reLogin = await request(app.callback())
+        .post("/api/auth/login")
+        .send({ username: "soft_del", password: "password123" });
+      expect(reLogin.body.code).toBe(200);
+    });
+
+    it("POST /api/admin/users/:id/revoke - 应作废 Refresh Token", async () => {
+      const { auth } = await createUserWithToken("admin");
+      const reg = await request(app.callback())
+        .post("/api/auth/register")
+        .send({ username: "revoke_me", password: "password123" });
+      const { id, refreshToken } = reg.body.data;
+
+      const res = await request(app.callback())
+        .post(`/api/admin/users/${id}/revoke`)
+        .set("Authorization", auth);
+      expect(res.body.code).toBe(200);
+
+      const refreshRes = await request(app.callback())
+        .post("/api/auth/refresh")
+        .send({ refreshToken });
+      expect(refreshRes.body.code).toBe(403);
+    });
   });
 
   // ----------------------------------------------------------
   // 2. OSS Module
   // ----------------------------------------------------------
   describe("☁️ OSS Module", () => {
-    it("GET /api/oss/sts - 应该返回模拟的 Token", async () => {
-      const res = await request(app.callback()).get("/api/oss/sts");
+    it("GET /api/storage/credentials - 应返回当前驱动的凭证", async () => {
+      const { auth } = await createUserWithToken();
+      const res = await request(app.callback())
+        .get("/api/storage/credentials")
+        .set("Authorization", auth);
       expect(res.status).toBe(200);
+      expect(res.body.data.provider).toBe("aliyun");
       expect(res.body.data.AccessKeyId).toBe("mock-id");
     });
+
+    it("GET /api/oss/sts - 旧地址已移除", async () => {
+      const { auth } = await createUserWithToken();
+      const res = await request(app.callback())
+        .get("/api/oss/sts")
+        .set("Authorization", auth);
+      expect(res.status).toBe(404);
+    });
+
+    it("GET /api/storage/credentials - STS Policy 应限定在用户与任务目录下", async () => {
+      const { user, auth } = await createUserWithToken();
+      const res = await request(app.callback())
+        .get("/api/storage/credentials?taskId=task-1")
+        .set("Authorization", auth);
+      expect(res.status).toBe(200);
+      expect(res.body.data.prefix).toBe(`images/${user.id}/task-1/`);
+      expect(getStsToken).toHaveBeenLastCalledWith(`images/${user.id}/task-1/`);
+
+      const invalid = await request(app.callback())
+        .get("/api/storage/credentials?taskId=../other")
+        .set("Authorization", auth);
+      expect(invalid.status).toBe(400);
+    });
+
+    describe("local 驱动", () => {
+      const original = { provider: storage.provider, ...storage.local };
+
+      beforeAll(async () => {
+        storage.provider = "local";
+        storage.local.rootDir = await mkdtemp(
+          path.join(os.tmpdir(), "storage-"),
+        );
+        storage.local.signingSecret = "test_signing_secret";
+      });
+
+      afterAll(async () => {
+        await rm(storage.local.rootDir, { recursive: true, force: true });
+        storage.provider = original.provider;
+        Object.assign(storage.local, {
+          rootDir: original.rootDir,
+          signingSecret: original.signingSecret,
+        });
+      });
+
+      it("应能凭签名上传并通过 serverUrl 读回文件", async () => {
+        const { auth } = await createUserWithToken();
+        const cred = await request(app.callback())
+          .get("/api/storage/credentials?taskId=task-1")
+          .set("Authorization", auth);
+        const { provider, prefix, expires, signature } = cred.body.data;
+        expect(provider).toBe("local");
+
+        const key = `${prefix}1700000000000_a.jpg`;
+        const upload = await request(app.callback())
+          .put(`/storage/local/${key}`)
+          .query({ prefix, expires, signature })
+          .set("Content-Type", "image/jpeg")
+          .send(Buffer.from("fake-jpeg"));
+        expect(upload.status).toBe(200);
+        expect(upload.body.data.url).toMatch(
+          new RegExp(`/storage/local/${key}$`),
+        );
+
+        // 同一凭证不能写入其他用户的目录
+        const foreign = await request(app.callback())
+          .put("/storage/local/images/someone-else/task-1/1_a.jpg")
+          .query({ prefix, expires, signature })
+          .send(Buffer.from("x"));
+        expect(foreign.status).toBe(403);
+
+        // 读取必须携带签名
+        const unsigned = await request(app.callback()).get(
+          `/storage/local/${key}`,
+        );
+        expect(unsigned.status).toBe(403);
+
+        const signedUrl = new URL(
+          createSignedReadUrl(key, storage.readUrlExpireTime),
+        );
+        const file = await request(app.callback()).get(
+          `${signedUrl.pathname}${signedUrl.search}`,
+        );
+        expect(file.status).toBe(200);
+        expect(file.headers["content-type"]).toBe("image/jpeg");
+        expect(Buffer.from(file.body).toString()).toBe("fake-jpeg");
+      });
+
+      it("签名错误或路径越界应拒绝上传", async () => {
+        const forged = await request(app.callback())
+          .put("/storage/local/images/a.jpg")
+          .query({ prefix: "images/", expires: 9999999999, signature: "x" })
+          .send(Buffer.from("x"));
+        expect(forged.status).toBe(403);
+
+        const traversal = await request(app.callback()).get(
+          "/storage/local/images/..%2F..%2Fpackage.json",
+        );
+        expect(traversal.status).toBe(400);
+      });
+    });
   });
 
   // ----------------------------------------------------------
   // 3. Task Module
   // ----------------------------------------------------------
   describe("📋 Task Module", () => {
-    // 【修正】创建一个真实的 ObjectId，而不是用 "user-001" 这种字符串
-    // 否则 mongoose 校验会失败 (CastError)
-    const mockInspectorId = new mongoose.Types.ObjectId();
-
-    const taskData = {
-      taskId: "uuid-task-001",
-      title: "周五高新南路巡检",
-      inspectorId: mockInspectorId, // 这里必须是 ObjectId 对象
-      startTime: 1700000000000,
-    };
+    let inspector;
+    let auth;
+    let taskData;
+
+    beforeEach(async () => {
+      ({ user: inspector, auth } = await createUserWithToken());
+      taskData = {
+        taskId: "uuid-task-001",
+        title: "周五高新南路巡检",
+        inspectorId: inspector._id, // 这里必须是 ObjectId 对象
+        startTime: 1700000000000,
+      };
+    });
 
     it("POST /api/task/create - 重复提交相同 TaskId 不应创建多条数据", async () => {
       const res1 = await request(app.callback())
         .post("/api/task/create")
+        .set("Authorization", auth)
         .send(taskData);
       expect(res1.body.code).toBe(200);
 
       const res2 = await request(app.callback())
         .post("/api/task/create")
+        .set("Authorization", auth)
         .send(taskData);
       expect(res2.body.code).toBe(200);
 
@@ -143,10 +686,57 @@ describe("🚀 Road Inspection API Integration Tests", () => {
       expect(count).toBe(1);
     });
 
+    it("POST /api/task/create - 参数非法应返回 400 与逐字段错误", async () => {
+      const res = await request(app.callback())
+        .post("/api/task/create")
+        .set("Authorization", auth)
+        .send({ ...taskData, inspectorId: "abc", startTime: 1700000000 });
+
+      expect(res.status).toBe(400);
+      expect(res.body.errors.map((e) => e.field)).toEqual([
+        "inspectorId",
+        "startTime",
+      ]);
+    });
+
+    it("POST /api/task/create - 不能为其他巡检员创建任务", async () => {
+      const { user: other } = await createUserWithToken();
+      const res = await request(app.callback())
+        .post("/api/task/create")
+        .set("Authorization", auth)
+        .send({ ...taskData, inspectorId: other._id });
+
+      expect(res.status).toBe(403);
+    });
+
+    it("POST /api/task/create - 重复提交返回 duplicate，内容不一致返回 409", async () => {
+      const res1 = await request(app.callback())
+        .post("/api/task/create")
+        .set("Authorization", auth)
+        .send(taskData);
+      expect(res1.body.data.status).toBe("created");
+
+      const res2 = await request(app.callback())
+        .post("/api/task/create")
+        .set("Authorization", auth)
+        .send(taskData);
+      expect(res2.body.data.status).toBe("duplicate");
+
+      const res3 = await request(app.callback())
+        .post("/api/task/create")
+        .set("Authorization", auth)
+        .send({ ...taskData, title: "另一个任务" });
+      expect(res3.status).toBe(409);
+      expect(res3.body.conflicts).toEqual([
+        { field: "title", existing: taskData.title, incoming: "另一个任务" },
+      ]);
+    });
+
     it("POST /api/task/finish - 应该更新任务状态", async () => {
       await Task.create(taskData);
       const res = await request(app.callback())
         .post("/api/task/finish")
+        .set("Authorization", auth)
         .send({ taskId: taskData.taskId, endTime: 1700000999999 });
 
       expect(res.body.code).toBe(200);
@@ -154,10 +744,23 @@ describe("🚀 Road Inspection API Integration Tests", () => {
       expect(finishedTask.isFinished).toBe(true);
     });
 
+    it("POST /api/task/finish - 不能结束他人的任务", async () => {
+      await Task.create(taskData);
+      const { auth: otherAuth } = await createUserWithToken();
+
+      const res = await request(app.callback())
+        .post("/api/task/finish")
+        .set("Authorization", otherAuth)
+        .send({ taskId: taskData.taskId, endTime: 1700000999999 });
+
+      expect(res.status).toBe(403);
+      const task = await Task.findOne({ taskId: taskData.taskId });
+      expect(task.isFinished).toBe(false);
+    });
+
     it("GET /api/task/list - 应该只返回指定用户的任务且按时间倒序排列", async () => {
       // 1. 准备测试数据
-      // 创建两个不同的用户 ID (模拟 ObjectId)
-      const userA = new mongoose.Types.ObjectId();
+      const userA = inspector._id;
       const userB = new mongoose.Types.ObjectId();
 
       // 为 User A 创建任务 (一个是旧的，一个是新的)
@@ -182,10 +785,10 @@ describe("🚀 Road Inspection API Integration Tests", () => {
         startTime: 1500,
       });
 
-      // 2. 发起请求：查询 User A 的任务
-      const res = await request(app.callback()).get(
-        `/api/task/list?userId=${userA.toHexString()}`,
-      );
+      // 2. 发起请求：User A 查询自己的任务
+      const res = await request(app.callback())
+        .get(`/api/task/list?userId=${userA.toHexString()}`)
+        .set("Authorization", auth);
 
       // 3. 断言验证
       expect(res.status).toBe(200);
@@ -198,16 +801,178 @@ describe("🚀 Road Inspection API Integration Tests", () => {
       // 验证 inspectorId 是否正确
       expect(res.body.data[0].inspectorId).toBe(userA.toHexString());
     });
+
+    it("GET /api/task/list - 不传 userId 时应返回自己的任务", async () => {
+      await Task.create(taskData);
+      const res = await request(app.callback())
+        .get("/api/task/list")
+        .set("Authorization", auth);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toHaveLength(1);
+    });
+
+    it("GET /api/task/list - 巡检员查询他人任务应返回 403", async () => {
+      const { user: other } = await createUserWithToken();
+      const res = await request(app.callback())
+        .get(`/api/task/list?userId=${other.id}`)
+        .set("Authorization", auth);
+
+      expect(res.status).toBe(403);
+    });
+
+    it("GET /api/task/list - 审核员可查询他人任务", async () => {
+      await Task.create(taskData);
+      const { auth: reviewerAuth } = await createUserWithToken("reviewer");
+      const res = await request(app.callback())
+        .get(`/api/task/list?userId=${inspector.id}`)
+        .set("Authorization", reviewerAuth);
+
+      expect(res.body.code).toBe(200);
+      expect(res.body.data.map((t) => t.taskId)).toEqual([taskData.taskId]);
+    });
+
+    it("审核员对他人任务只读：不能结束任务、上传轨迹或提交记录", async () => {
+      await Task.create(taskData);
+      const { user: reviewer, auth: reviewerAuth } =
+        await createUserWithToken("reviewer");
+
+      const finish = await request(app.callback())
+        .post("/api/task/finish")
+        .set("Authorization", reviewerAuth)
+        .send({ taskId: taskData.taskId, endTime: 1700000999999 });
+      expect(finish.status).toBe(403);
+
+      const track = await request(app.callback())
+        .post(`/api/task/${taskData.taskId}/track`)
+        .set("Authorization", reviewerAuth)
+        .send({
+          seq: 0,
+          points: [{ t: 1700000000000, lat: 30.5, lng: 104.1 }],
+        });
+      expect(track.status).toBe(403);
+
+      const submit = await request(app.callback())
+        .post("/api/record/submit")
+        .set("Authorization", reviewerAuth)
+        .send({
+          recordId: "reviewer-rec-1",
+          taskId: taskData.taskId,
+          serverUrl: `http://oss/images/${reviewer.id}/${taskData.taskId}/img.jpg`,
+          captureTime: Date.now(),
+          latitude: 30.5,
+          longitude: 104.1,
+        });
+      expect(submit.status).toBe(403);
+
+      const task = await Task.findOne({ taskId: taskData.taskId });
+      expect(task.isFinished).toBe(false);
+      expect(await Track.countDocuments({ taskId: taskData.taskId })).toBe(0);
+      expect(await Record.countDocuments({ taskId: taskData.taskId })).toBe(0);
+    });
+
+    it("GET /api/task/list - 管理员可以查询任意用户的任务", async () => {
+      await Task.create(taskData);
+      const { auth: adminAuth } = await createUserWithToken("admin");
+      const res = await request(app.callback())
+        .get(`/api/task/list?userId=${inspector.id}`)
+        .set("Authorization", adminAuth);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toHaveLength(1);
+    });
+
+    it("GET /api/task/list - 分页模式应返回 total 与 nextCursor 并可翻页", async () => {
+      // startTime 相同的任务也应按 _id 稳定翻页，不重不漏
+      for (let i = 0; i < 5; i++) {
+        await Task.create({
+          taskId: `page-task-${i}`,
+          title: `分页任务 ${i}`,
+          inspectorId: inspector._id,
+          startTime: i < 3 ? 1000 : 2000,
+        });
+      }
+
+      const seen = [];
+      let cursor = "";
+      for (let page = 0; page < 3; page++) {
+        const res = await request(app.callback())
+          .get(`/api/task/list?limit=2&cursor=${cursor}`)
+          .set("Authorization", auth);
+
+        expect(res.status).toBe(200);
+        expect(res.body.total).toBe(5);
+        seen.push(...res.body.data.map((t) => t.taskId));
+        cursor = res.body.nextCursor;
+        if (!cursor) break;
+      }
+
+      expect(cursor).toBeNull();
+      expect(seen).toHaveLength(5);
+      expect(new Set(seen).size).toBe(5);
+      // 倒序：startTime=2000 的两条在前
+      expect(seen.slice(0, 2).sort()).toEqual(["page-task-3", "page-task-4"]);
+    });
+
+    it("GET /api/task/list - 应支持状态、时间范围与标题过滤", async () => {
+      await Task.create({
+        taskId: "filter-1",
+        title: "人民南路巡检",
+        inspectorId: inspector._id,
+        startTime: 1000,
+        isFinished: true,
+      });
+      await Task.create({
+        taskId: "filter-2",
+        title: "天府大道巡检",
+        inspectorId: inspector._id,
+        startTime: 3000,
+      });
+
+      const finished = await request(app.callback())
+        .get("/api/task/list?status=finished")
+        .set("Authorization", auth);
+      expect(finished.body.data.map((t) => t.taskId)).toEqual(["filter-1"]);
+
+      const ranged = await request(app.callback())
+        .get("/api/task/list?from=2000&to=4000")
+        .set("Authorization", auth);
+      expect(ranged.body.data.map((t) => t.taskId)).toEqual(["filter-2"]);
+
+      const searched = await request(app.callback())
+        .get(`/api/task/list?keyword=${encodeURIComponent("人民")}`)
+        .set("Authorization", auth);
+      expect(searched.body.data.map((t) => t.taskId)).toEqual(["filter-1"]);
+    });
+
+    it("GET /api/task/list - 非法游标应返回 400", async () => {
+      const res = await request(app.callback())
+        .get("/api/task/list?cursor=not-a-cursor")
+        .set("Authorization", auth);
+      expect(res.status).toBe(400);
+    });
   });
 
   // ----------------------------------------------------------
   // 4. Record Module
   // ----------------------------------------------------------
   describe("📷 Record Module", () => {
+    let inspector;
+    let auth;
+
+    /** 当前巡检员上传目录下的照片地址 (images/{userId}/{taskId}/) */
+    const photoUrl = (taskId, name) =>
+      `http://oss/images/${inspector.id}/${taskId}/${name}`;
+
+    beforeEach(async () => {
+      ({ user: inspector, auth } = await createUserWithToken());
+    });
+
     it("POST /api/record/submit - 应该正确存储 GeoJSON [Lng, Lat] 格式", async () => {
       const recordData = {
+        recordId: "uuid-record-001",
         taskId: "uuid-task-001",
-        serverUrl: "http://oss/img.jpg",
+        serverUrl: photoUrl("uuid-task-001", "img.jpg"),
         captureTime: Date.now(),
         latitude: 30.5,
         longitude: 104.1,
@@ -215,6 +980,7 @@ describe("🚀 Road Inspection API Integration Tests", () => {
       };
       const res = await request(app.callback())
         .post("/api/record/submit")
+        .set("Authorization", auth)
         .send(recordData);
 
       expect(res.body.code).toBe(200);
@@ -223,13 +989,234 @@ describe("🚀 Road Inspection API Integration Tests", () => {
       expect(savedRecord.location.coordinates[1]).toBe(30.5);
     });
 
-    it("GET /api/record/list - 应该根据 taskId 获取记录", async () => {
-      const tid = "uuid-task-query";
-
-      // 【修正】手动 create 数据时，必须包含 required 的 location 字段
-      const mockLocation = { type: "Point", coordinates: [104.0, 30.0] };
+    it("POST /api/record/submit - 重复提交同一 recordId 应幂等返回成功", async () => {
+      const recordData = {
+        recordId: "uuid-record-dup",
+        taskId: "uuid-task-001",
+        serverUrl: photoUrl("uuid-task-001", "img.jpg"),
+        captureTime: Date.now(),
+        latitude: 30.5,
+        longitude: 104.1,
+      };
+
+      const first = await request(app.callback())
+        .post("/api/record/submit")
+        .set("Authorization", auth)
+        .send(recordData);
+      const second = await request(app.callback())
+        .post("/api/record/submit")
+        .set("Authorization", auth)
+        .send({
+          ...recordData,
+          serverUrl: photoUrl("uuid-task-001", "other.jpg"),
+        });
+
+      expect(first.body.data.status).toBe("created");
+      expect(second.status).toBe(200);
+      expect(second.body.data.status).toBe("duplicate");
+
+      const saved = await Record.find({ recordId: "uuid-record-dup" });
+      expect(saved).toHaveLength(1);
+      expect(saved[0].serverUrl).toBe(photoUrl("uuid-task-001", "img.jpg"));
+    });
+
+    it("POST /api/record/submit - 缺少必填字段应返回 400", async () => {
+      const res = await request(app.callback())
+        .post("/api/record/submit")
+        .set("Authorization", auth)
+        .send({ taskId: "uuid-task-001", latitude: 30.5, longitude: 104.1 });
+
+      expect(res.status).toBe(400);
+    });
+
+    it("POST /api/record/submit - 纬度越界应返回 400 与字段错误", async () => {
+      const res = await request(app.callback())
+        .post("/api/record/submit")
+        .set("Authorization", auth)
+        .send({
+          recordId: "uuid-record-bad",
+          taskId: "uuid-task-001",
+          serverUrl: photoUrl("uuid-task-001", "img.jpg"),
+          captureTime: Date.now(),
+          latitude: 130.5,
+          longitude: 104.1,
+        });
+
+      expect(res.status).toBe(400);
+      expect(res.body.errors).toEqual([
+        { field: "latitude", message: "需在 -90 ~ 90 之间" },
+      ]);
+    });
+
+    it("POST /api/record/submit - serverUrl 不在自己的上传目录内应返回 400", async () => {
+      const { user: other } = await createUserWithToken();
+      const res = await request(app.callback())
+        .post("/api/record/submit")
+        .set("Authorization", auth)
+        .send({
+          recordId: "uuid-record-foreign",
+          taskId: "uuid-task-001",
+          serverUrl: `http://oss/images/${other.id}/uuid-task-001/img.jpg`,
+          captureTime: Date.now(),
+          latitude: 30.5,
+          longitude: 104.1,
+        });
+
+      expect(res.status).toBe(400);
+      expect(res.body.errors).toEqual([
+        { field: "serverUrl", message: "不在当前用户的上传目录内" },
+      ]);
+    });
+
+    it("POST /api/record/submit - 应保存结构化病害条目并兼容旧版 pavementDistress", async () => {
+      const base = {
+        taskId: "uuid-task-001",
+        serverUrl: photoUrl("uuid-task-001", "img.jpg"),
+        captureTime: Date.now(),
+        latitude: 30.5,
+        longitude: 104.1,
+      };
+
+      const structured = await request(app.callback())
+        .post("/api/record/submit")
+        .set("Authorization", auth)
+        .send({
+          ...base,
+          recordId: "uuid-record-distress",
+          distresses: [
+            {
+              type: "pothole",
+              severity: "severe",
+              extent: 0.8,
+              bbox: { x: 0.2, y: 0.5, width: 0.3, height: 0.2 },
+              source: "ai",
+              confidence: 0.92,
+            },
+            { type: "车辙", severity: "light", extent: 15 },
+          ],
+        });
+      expect(structured.body.code).toBe(200);
+
+      const legacy = await request(app.callback())
+        .post("/api/record/submit")
+        .set("Authorization", auth)
+        .send({
+          ...base,
+          recordId: "uuid-record-legacy",
+          pavementDistress: "坑槽,路面积水",
+        });
+      expect(legacy.body.code).toBe(200);
+
+      const saved = await Record.findOne({
+        recordId: "uuid-record-distress",
+      }).lean();
+      expect(saved.distresses).toEqual([
+        expect.objectContaining({
+          type: "pothole",
+          unit: "m2",
+          bbox: { x: 0.2, y: 0.5, width: 0.3, height: 0.2 },
+          source: "ai",
+        }),
+        expect.objectContaining({ type: "rutting", unit: "m", extent: 15 }),
+      ]);
+
+      const legacySaved = await Record.findOne({
+        recordId: "uuid-record-legacy",
+      }).lean();
+      expect(legacySaved.pavementDistress).toBeUndefined();
+      expect(legacySaved.distresses.map((d) => [d.type, d.note])).toEqual([
+        ["pothole", null],
+        ["other", "路面积水"],
+      ]);
+    });
+
+    it("POST /api/record/submit - 未知病害类型应返回 400", async () => {
+      const res = await request(app.callback())
+        .post("/api/record/submit")
+        .set("Authorization", auth)
+        .send({
+          recordId: "uuid-record-unknown",
+          taskId: "uuid-task-001",
+          serverUrl: photoUrl("uuid-task-001", "img.jpg"),
+          captureTime: Date.now(),
+          latitude: 30.5,
+          longitude: 104.1,
+          distresses: [{ type: "no_such_type" }],
+        });
+
+      expect(res.status).toBe(400);
+      expect(res.body.errors[0].field).toBe("distresses[0].type");
+    });
+
+    it("POST /api/record/batch - 应逐条返回 created / duplicate / invalid", async () => {
+      const make = (recordId) => ({
+        recordId,
+        taskId: "uuid-task-batch",
+        serverUrl: photoUrl("uuid-task-batch", `${recordId}.jpg`),
+        captureTime: Date.now(),
+        latitude: 30.5,
+        longitude: 104.1,
+        iri: 3.2,
+      });
+      await Record.create({
+        ...make("batch-old"),
+        rawLat: 30.5,
+        rawLng: 104.1,
+        location: { type: "Point", coordinates: [104.1, 30.5] },
+      });
+
+      const res = await request(app.callback())
+        .post("/api/record/batch")
+        .set("Authorization", auth)
+        .send({
+          records: [
+            make("batch-1"),
+            make("batch-old"),
+            make("batch-1"), // 同一批次内重复
+            { ...make("batch-bad"), latitude: 999 },
+          ],
+        });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({
+        created: 1,
+        duplicate: 2,
+        invalid: 1,
+      });
+      expect(res.body.data.results.map((r) => r.status)).toEqual([
+        "created",
+        "duplicate",
+        "duplicate",
+        "invalid",
+      ]);
+      expect(await Record.countDocuments({ taskId: "uuid-task-batch" })).toBe(
+        2,
+      );
+    });
+
+    it("POST /api/record/batch - 超过数量上限应返回 400", async () => {
+      const res = await request(app.callback())
+        .post("/api/record/batch")
+        .set("Authorization", auth)
+        .send({ records: Array.from({ length: 201 }, () => ({})) });
+
+      expect(res.status).toBe(400);
+    });
+
+    it("GET /api/record/list - 应该根据 taskId 获取记录", async () => {
+      const tid = "uuid-task-query";
+      await Task.create({
+        taskId: tid,
+        title: "记录查询任务",
+        inspectorId: inspector._id,
+        startTime: 1000,
+      });
+
+      // 【修正】手动 create 数据时，必须包含 required 的 location 字段
+      const mockLocation = { type: "Point", coordinates: [104.0, 30.0] };
 
       await Record.create({
+        recordId: "rec-1",
         taskId: tid,
         captureTime: 1000,
         serverUrl: "url1",
@@ -238,6 +1225,7 @@ describe("🚀 Road Inspection API Integration Tests", () => {
         rawLng: 104.0,
       });
       await Record.create({
+        recordId: "rec-2",
         taskId: tid,
         captureTime: 2000,
         serverUrl: "url2",
@@ -246,12 +1234,1928 @@ describe("🚀 Road Inspection API Integration Tests", () => {
         rawLng: 104.0,
       });
 
-      const res = await request(app.callback()).get(
-        `/api/record/list?taskId=${tid}`,
-      );
+      const res = await request(app.callback())
+        .get(`/api/record/list?taskId=${tid}`)
+        .set("Authorization", auth);
 
       expect(res.body.code).toBe(200);
       expect(res.body.data).toHaveLength(2);
     });
+
+    it("POST /api/record/submit + batch - 不能向他人的任务提交记录", async () => {
+      const { user: other } = await createUserWithToken();
+      await Task.create({
+        taskId: "uuid-task-other",
+        title: "他人的任务",
+        inspectorId: other._id,
+        startTime: 1000,
+      });
+      const makeRecord = (recordId, taskId) => ({
+        recordId,
+        taskId,
+        serverUrl: photoUrl(taskId, "img.jpg"),
+        captureTime: Date.now(),
+        latitude: 30.5,
+        longitude: 104.1,
+        address: "成都市武侯区",
+      });
+
+      const single = await request(app.callback())
+        .post("/api/record/submit")
+        .set("Authorization", auth)
+        .send(makeRecord("foreign-rec-1", "uuid-task-other"));
+      expect(single.status).toBe(403);
+
+      // 服务器上尚不存在的任务照常接收 (离线时记录可能先于任务到达)
+      const batch = await request(app.callback())
+        .post("/api/record/batch")
+        .set("Authorization", auth)
+        .send({
+          records: [
+            makeRecord("foreign-rec-2", "uuid-task-other"),
+            makeRecord("offline-rec-1", "uuid-task-not-synced"),
+          ],
+        });
+      expect(batch.body.data.results.map((r) => r.status)).toEqual([
+        "invalid",
+        "created",
+      ]);
+      expect(await Record.countDocuments({ taskId: "uuid-task-other" })).toBe(
+        0,
+      );
+    });
+
+    it("GET /api/record/list - 巡检员查询他人任务的记录应返回 403", async () => {
+      const { user: other } = await createUserWithToken();
+      await Task.create({
+        taskId: "uuid-task-other",
+        title: "他人的任务",
+        inspectorId: other._id,
+        startTime: 1000,
+      });
+
+      const res = await request(app.callback())
+        .get("/api/record/list?taskId=uuid-task-other")
+        .set("Authorization", auth);
+
+      expect(res.status).toBe(403);
+    });
+
+    it("GET /api/record/list - 应支持 IRI 阈值、病害类型过滤与游标分页", async () => {
+      const tid = "uuid-task-paging";
+      await Task.create({
+        taskId: tid,
+        title: "记录分页任务",
+        inspectorId: inspector._id,
+        startTime: 1000,
+      });
+      for (let i = 0; i < 4; i++) {
+        await Record.create({
+          recordId: `page-rec-${i}`,
+          taskId: tid,
+          captureTime: 1000 + i,
+          serverUrl: `url${i}`,
+          location: { type: "Point", coordinates: [104.0, 30.0] },
+          rawLat: 30.0,
+          rawLng: 104.0,
+          iri: i * 2,
+          distresses: [{ type: i % 2 === 0 ? "pothole" : "alligator_crack" }],
+        });
+      }
+
+      const filtered = await request(app.callback())
+        .get(
+          `/api/record/list?taskId=${tid}&iriMin=2&distress=${encodeURIComponent("坑槽")}`,
+        )
+        .set("Authorization", auth);
+      expect(filtered.body.data.map((r) => r.recordId)).toEqual(["page-rec-2"]);
+
+      const first = await request(app.callback())
+        .get(`/api/record/list?taskId=${tid}&limit=3`)
+        .set("Authorization", auth);
+      expect(first.body.total).toBe(4);
+      expect(first.body.data).toHaveLength(3);
+      expect(first.body.nextCursor).toBeTruthy();
+
+      const second = await request(app.callback())
+        .get(
+          `/api/record/list?taskId=${tid}&limit=3&cursor=${first.body.nextCursor}`,
+        )
+        .set("Authorization", auth);
+      expect(second.body.data.map((r) => r.recordId)).toEqual(["page-rec-3"]);
+      expect(second.body.nextCursor).toBeNull();
+    });
+
+    it("GET /api/record/:recordId/photo - 应返回签名地址与缩略图，且校验任务归属", async () => {
+      const { auth: otherAuth } = await createUserWithToken();
+      await Task.create({
+        taskId: "uuid-task-photo",
+        title: "照片任务",
+        inspectorId: inspector._id,
+        startTime: 1000,
+      });
+      await Record.create({
+        recordId: "photo-rec",
+        taskId: "uuid-task-photo",
+        captureTime: 1000,
+        serverUrl:
+          "https://road-bucket.oss-cn-shanghai.aliyuncs.com/images/uuid-task-photo/1_a.jpg",
+        location: { type: "Point", coordinates: [104.0, 30.0] },
+        rawLat: 30.0,
+        rawLng: 104.0,
+      });
+
+      const res = await request(app.callback())
+        .get("/api/record/photo-rec/photo?variants=thumb,medium")
+        .set("Authorization", auth);
+      expect(res.status).toBe(200);
+      expect(res.body.data.url).toBe(
+        "https://signed.oss/images/uuid-task-photo/1_a.jpg?Signature=mock",
+      );
+      expect(res.body.data.thumbnails.thumb).toContain(
+        "x-oss-process=image/resize,w_240",
+      );
+      expect(res.body.data.thumbnails.medium).toContain("w_960");
+      expect(res.body.data.expiresAt).toBeGreaterThan(Date.now());
+
+      const list = await request(app.callback())
+        .get("/api/record/list?taskId=uuid-task-photo&signUrls=true")
+        .set("Authorization", auth);
+      expect(list.body.data[0].photo.thumbnails.thumb).toContain("w_240");
+
+      const forbidden = await request(app.callback())
+        .get("/api/record/photo-rec/photo")
+        .set("Authorization", otherAuth);
+      expect(forbidden.status).toBe(403);
+
+      const badVariant = await request(app.callback())
+        .get("/api/record/photo-rec/photo?variants=huge")
+        .set("Authorization", auth);
+      expect(badVariant.status).toBe(400);
+    });
+  });
+
+  // ----------------------------------------------------------
+  // 4.1 Geo Query Module
+  // ----------------------------------------------------------
+  describe("🗺️ Geo Query Module", () => {
+    let auth;
+    const junction = [104.0, 30.0];
+
+    /** 在 junction 以东 meters 米处构造一条记录 */
+    const recordAt = (recordId, taskId, meters, extra = {}) => {
+      const lng = junction[0] + meters / 96490; // 北纬 30 度处 1 度经度约 96.49km
+      return {
+        recordId,
+        taskId,
+        serverUrl: `http://oss/${recordId}.jpg`,
+        captureTime: 1700000000000,
+        location: { type: "Point", coordinates: [lng, junction[1]] },
+        rawLat: junction[1],
+        rawLng: lng,
+        ...extra,
+      };
+    };
+
+    beforeEach(async () => {
+      await Record.createIndexes(); // $near 依赖 2dsphere 索引
+      const { user, auth: token } = await createUserWithToken();
+      auth = token;
+      const { user: other } = await createUserWithToken();
+
+      await Task.create({
+        taskId: "geo-task",
+        title: "路口巡检",
+        inspectorId: user._id,
+        startTime: 1000,
+      });
+      await Task.create({
+        taskId: "geo-task-other",
+        title: "他人的任务",
+        inspectorId: other._id,
+        startTime: 1000,
+      });
+
+      await Record.create([
+        recordAt("r-50m", "geo-task", 50, {
+          distresses: [{ type: "pothole", severity: "severe" }],
+          iri: 5.2,
+        }),
+        recordAt("r-150m", "geo-task", 150, {
+          distresses: [{ type: "alligator_crack" }],
+          iri: 3.1,
+        }),
+        recordAt("r-500m", "geo-task", 500, {
+          distresses: [{ type: "pothole", severity: "light" }],
+        }),
+        recordAt("r-other", "geo-task-other", 20, {
+          distresses: [{ type: "pothole" }],
+        }),
+      ]);
+    });
+
+    it("GET /api/record/near - 应按距离返回半径内的本人记录", async () => {
+      const res = await request(app.callback())
+        .get(
+          `/api/record/near?lng=${junction[0]}&lat=${junction[1]}&radius=200`,
+        )
+        .set("Authorization", auth);
+
+      expect(res.body.code).toBe(200);
+      expect(res.body.data.map((r) => r.recordId)).toEqual(["r-50m", "r-150m"]);
+      expect(res.body.data[0].distance).toBeGreaterThan(45);
+      expect(res.body.data[0].distance).toBeLessThan(55);
+    });
+
+    it("GET /api/record/near - 应支持病害类型与 IRI 过滤", async () => {
+      const res = await request(app.callback())
+        .get(
+          `/api/record/near?lng=${junction[0]}&lat=${junction[1]}&radius=1000&distress=坑槽&iriMin=4`,
+        )
+        .set("Authorization", auth);
+
+      expect(res.body.data.map((r) => r.recordId)).toEqual(["r-50m"]);
+
+      // 同一病害条目需同时满足类型与严重程度
+      const severe = await request(app.callback())
+        .get(
+          `/api/record/near?lng=${junction[0]}&lat=${junction[1]}&radius=1000&distress=pothole&severity=severe,moderate`,
+        )
+        .set("Authorization", auth);
+      expect(severe.body.data.map((r) => r.recordId)).toEqual(["r-50m"]);
+    });
+
+    it("GET /api/record/near - 非法坐标应返回 400", async () => {
+      const res = await request(app.callback())
+        .get("/api/record/near?lng=200&lat=30")
+        .set("Authorization", auth);
+      expect(res.status).toBe(400);
+    });
+
+    it("POST /api/record/within - bbox 查询", async () => {
+      const res = await request(app.callback())
+        .post("/api/record/within")
+        .set("Authorization", auth)
+        .send({ bbox: [103.999, 29.999, 104.002, 30.001] });
+
+      expect(res.body.code).toBe(200);
+      expect(res.body.data.map((r) => r.recordId).sort()).toEqual([
+        "r-150m",
+        "r-50m",
+      ]);
+    });
+
+    it("POST /api/record/along - 应按沿线里程返回缓冲区内记录", async () => {
+      const res = await request(app.callback())
+        .post("/api/record/along")
+        .set("Authorization", auth)
+        .send({
+          line: [
+            [104.0, 30.0001],
+            [104.01, 30.0001],
+          ],
+          buffer: 30,
+        });
+
+      expect(res.body.code).toBe(200);
+      expect(res.body.data.map((r) => r.recordId)).toEqual([
+        "r-50m",
+        "r-150m",
+        "r-500m",
+      ]);
+      expect(res.body.data[0].offset).toBeLessThan(15);
+    });
+
+    it("POST /api/record/along - 长折线应返回有界结果", async () => {
+      // 沿纬线 30.0001 东行的 5000 个点 (约 1 米一个点)
+      const line = Array.from({ length: 5000 }, (_, i) => [
+        104.0 + i * 0.00001,
+        30.0001,
+      ]);
+      const res = await request(app.callback())
+        .post("/api/record/along")
+        .set("Authorization", auth)
+        .send({ line, buffer: 30, limit: 2 });
+
+      expect(res.body.code).toBe(200);
+      expect(res.body.data.map((r) => r.recordId)).toEqual(["r-50m", "r-150m"]);
+
+      const tooLong = await request(app.callback())
+        .post("/api/record/along")
+        .set("Authorization", auth)
+        .send({ line: [...line, [104.06, 30.0001]] });
+      expect(tooLong.status).toBe(400);
+    });
+
+    it("POST /api/record/within - polygon 顶点过多应返回 400", async () => {
+      const polygon = Array.from({ length: 5001 }, (_, i) => {
+        const angle = (i / 5001) * 2 * Math.PI;
+        return [104.0 + 0.01 * Math.cos(angle), 30.0 + 0.01 * Math.sin(angle)];
+      });
+      const res = await request(app.callback())
+        .post("/api/record/within")
+        .set("Authorization", auth)
+        .send({ polygon });
+      expect(res.status).toBe(400);
+    });
+
+    it("GET /api/record/near - 指定他人任务应返回 403", async () => {
+      const res = await request(app.callback())
+        .get(
+          `/api/record/near?lng=${junction[0]}&lat=${junction[1]}&taskId=geo-task-other`,
+        )
+        .set("Authorization", auth);
+      expect(res.status).toBe(403);
+    });
+  });
+
+  // ----------------------------------------------------------
+  // 4.2 Track Module
+  // ----------------------------------------------------------
+  describe("🛰️ Track Module", () => {
+    let auth;
+    const taskId = "track-task";
+
+    /** 生成 count 个向东行驶的轨迹点，每点间隔 1 秒、约 10 米 */
+    const makePoints = (startIndex, count) =>
+      Array.from({ length: count }, (_, i) => {
+        const n = startIndex + i;
+        return {
+          t: 1700000000000 + n * 1000,
+          lat: 30.0,
+          lng: 104.0 + n * 0.0001,
+          distance: n * 10,
+          iri: n % 5 === 0 ? 2 + (n % 3) : null,
+          segmentLength: n % 5 === 0 ? 50 : null,
+        };
+      });
+
+    beforeEach(async () => {
+      const { user, auth: token } = await createUserWithToken();
+      auth = token;
+      await Task.create({
+        taskId,
+        title: "轨迹任务",
+        inspectorId: user._id,
+        startTime: 1700000000000,
+      });
+    });
+
+    it("POST /api/task/:taskId/track - 重传相同分片应幂等", async () => {
+      const chunks = [
+        { seq: 0, points: makePoints(0, 10) },
+        { seq: 1, points: makePoints(10, 10) },
+      ];
+
+      const res1 = await request(app.callback())
+        .post(`/api/task/${taskId}/track`)
+        .set("Authorization", auth)
+        .send({ chunks });
+      expect(res1.body.code).toBe(200);
+      expect(res1.body.data.created).toBe(2);
+
+      const res2 = await request(app.callback())
+        .post(`/api/task/${taskId}/track`)
+        .set("Authorization", auth)
+        .send({ chunks });
+      expect(res2.body.data.duplicate).toBe(2);
+      expect(await Track.countDocuments({ taskId })).toBe(2);
+    });
+
+    it("POST /api/task/:taskId/track - 无效分片应单独标记而不影响其他分片", async () => {
+      const res = await request(app.callback())
+        .post(`/api/task/${taskId}/track`)
+        .set("Authorization", auth)
+        .send({
+          chunks: [
+            { seq: 0, points: makePoints(0, 5) },
+            { seq: 1, points: [{ t: 1, lat: 95, lng: 104 }] },
+          ],
+        });
+
+      expect(res.body.data.created).toBe(1);
+      expect(res.body.data.invalid).toBe(1);
+      expect(res.body.data.results[1].status).toBe("invalid");
+    });
+
+    it("GET /api/task/:taskId/track - 应按时间拼接分片并支持抽稀", async () => {
+      await request(app.callback())
+        .post(`/api/task/${taskId}/track`)
+        .set("Authorization", auth)
+        .send({
+          chunks: [
+            { seq: 1, points: makePoints(50, 50) },
+            { seq: 0, points: makePoints(0, 50) },
+          ],
+        });
+
+      const full = await request(app.callback())
+        .get(`/api/task/${taskId}/track`)
+        .set("Authorization", auth);
+      expect(full.body.data.totalPoints).toBe(100);
+      const times = full.body.data.points.map((p) => p.t);
+      expect(times).toEqual([...times].sort((a, b) => a - b));
+
+      const sampled = await request(app.callback())
+        .get(`/api/task/${taskId}/track?maxPoints=10`)
+        .set("Authorization", auth);
+      expect(sampled.body.data.points.length).toBeLessThanOrEqual(10);
+      expect(sampled.body.data.points[0].t).toBe(times[0]);
+      expect(sampled.body.data.points.at(-1).t).toBe(times.at(-1));
+    });
+
+    it("POST /api/task/:taskId/track - 不能向他人任务上传轨迹", async () => {
+      const { auth: otherAuth } = await createUserWithToken();
+      const res = await request(app.callback())
+        .post(`/api/task/${taskId}/track`)
+        .set("Authorization", otherAuth)
+        .send({ seq: 0, points: makePoints(0, 3) });
+      expect(res.status).toBe(403);
+    });
+  });
+
+  // ----------------------------------------------------------
+  // 4.3 Report Module
+  // ----------------------------------------------------------
+  describe("📊 Report Module", () => {
+    it("GET /api/task/:taskId/report - 应输出分段等级与全程汇总", async () => {
+      const { user, auth } = await createUserWithToken();
+      await Task.create({
+        taskId: "report-task",
+        title: "报表任务",
+        inspectorId: user._id,
+        startTime: 1000,
+      });
+
+      // 0~100m IRI=1.5, 100~200m IRI=5
+      const points = Array.from({ length: 21 }, (_, n) => ({
+        t: 1700000000000 + n * 1000,
+        lat: 30,
+        lng: 104 + n * 0.0001,
+        distance: n * 10,
+        iri: n > 0 && n % 5 === 0 ? (n <= 10 ? 1.5 : 5) : null,
+        segmentLength: n > 0 && n % 5 === 0 ? 50 : null,
+      }));
+      await request(app.callback())
+        .post("/api/task/report-task/track")
+        .set("Authorization", auth)
+        .send({ seq: 0, points });
+
+      await Record.create({
+        recordId: "report-rec",
+        taskId: "report-task",
+        serverUrl: "http://oss/r.jpg",
+        captureTime: 1700000000000 + 15000, // 约 150m 处
+        location: { type: "Point", coordinates: [104.0015, 30] },
+        rawLat: 30,
+        rawLng: 104.0015,
+        iri: 5,
+        distresses: [{ type: "pothole", severity: "moderate" }],
+      });
+
+      const res = await request(app.callback())
+        .get("/api/task/report-task/report?segmentLength=100")
+        .set("Authorization", auth);
+
+      expect(res.body.code).toBe(200);
+      const { segments, summary, source } = res.body.data;
+      expect(source).toBe("track");
+      expect(segments).toHaveLength(2);
+      expect(segments[0].grade).toBe("good");
+      expect(segments[1].grade).toBe("moderate");
+      expect(segments[1].distress).toEqual({ pothole: 1 });
+      expect(res.body.data.distressTypes.pothole).toBe("坑槽");
+      expect(summary.weightedAvgIri).toBeCloseTo(3.25, 2);
+      expect(summary.bandPercent.good).toBe(50);
+    });
+
+    it("GET /api/task/:taskId/report - 分段长度越界应返回 400", async () => {
+      const { auth } = await createUserWithToken();
+      const res = await request(app.callback())
+        .get("/api/task/any/report?segmentLength=5")
+        .set("Authorization", auth);
+      expect(res.status).toBe(400);
+    });
+  });
+
+  // ----------------------------------------------------------
+  // 4.4 Export Module
+  // ----------------------------------------------------------
+  describe("📦 Export Module", () => {
+    let auth;
+
+    beforeEach(async () => {
+      const created = await createUserWithToken();
+      auth = created.auth;
+      await Task.create({
+        taskId: "export-task",
+        title: "导出任务",
+        inspectorId: created.user._id,
+        startTime: 1000,
+      });
+      await Record.create({
+        recordId: "export-rec",
+        taskId: "export-task",
+        serverUrl: "http://oss/e.jpg",
+        captureTime: 2000,
+        address: "测试路",
+        location: { type: "Point", coordinates: [104.06, 30.64] },
+        rawLat: 30.64,
+        rawLng: 104.06,
+        iri: 7,
+        distresses: [{ type: "pothole", severity: "severe" }],
+      });
+    });
+
+    it("GET /api/task/:taskId/export - 默认导出 GeoJSON", async () => {
+      const res = await request(app.callback())
+        .get("/api/task/export-task/export")
+        .set("Authorization", auth);
+
+      expect(res.status).toBe(200);
+      expect(res.headers["content-type"]).toContain("application/geo+json");
+      expect(res.headers["content-disposition"]).toContain(
+        "task-export-task.geojson",
+      );
+      const fc = JSON.parse(res.text);
+      expect(fc.features).toHaveLength(1);
+      expect(fc.features[0].properties.grade).toBe("poor");
+    });
+
+    it("GET /api/task/:taskId/export?format=kml - 应输出 KML", async () => {
+      const res = await request(app.callback())
+        .get("/api/task/export-task/export?format=kml")
+        .set("Authorization", auth);
+
+      expect(res.status).toBe(200);
+      expect(res.text).toContain("<name>导出任务</name>");
+      expect(res.text).toContain("#iri-poor");
+    });
+
+    it("GET /api/record/export?format=csv - 应按条件导出", async () => {
+      const hit = await request(app.callback())
+        .get("/api/record/export?format=csv&iriMin=6")
+        .set("Authorization", auth);
+      expect(hit.status).toBe(200);
+      expect(hit.text).toContain("export-rec");
+      expect(hit.text).toContain("坑槽(重)");
+
+      const miss = await request(app.callback())
+        .get("/api/record/export?format=csv&bbox=0,0,1,1")
+        .set("Authorization", auth);
+      expect(miss.text).not.toContain("export-rec");
+    });
+
+    it("GET /api/task/:taskId/export - 非本人任务应返回 403", async () => {
+      const other = await createUserWithToken("inspector", "export_other");
+      const res = await request(app.callback())
+        .get("/api/task/export-task/export")
+        .set("Authorization", other.auth);
+      expect(res.status).toBe(403);
+    });
+
+    it("GET /api/record/export - 不支持的格式应返回 400", async () => {
+      const res = await request(app.callback())
+        .get("/api/record/export?format=shp")
+        .set("Authorization", auth);
+      expect(res.status).toBe(400);
+    });
+  });
+
+  // ----------------------------------------------------------
+  // 4.5 Distress Dictionary Module
+  // ----------------------------------------------------------
+  describe("📚 Distress Dictionary Module", () => {
+    it("GET /api/distress-types - 字典为空时应写入内置字典", async () => {
+      const { auth } = await createUserWithToken();
+      const res = await request(app.callback())
+        .get("/api/distress-types")
+        .set("Authorization", auth);
+
+      expect(res.body.code).toBe(200);
+      expect(res.body.data.map((t) => t.name)).toEqual([
+        "坑槽",
+        "龟裂",
+        "车辙",
+        "纵向裂缝",
+        "沉陷",
+        "松散",
+        "泛油",
+        "其他",
+      ]);
+      expect(await DistressType.countDocuments()).toBe(8);
+    });
+
+    it("POST /api/admin/distress-types - 管理员可新增类型，名称冲突返回 409", async () => {
+      const { auth } = await createUserWithToken("admin");
+
+      const created = await request(app.callback())
+        .post("/api/admin/distress-types")
+        .set("Authorization", auth)
+        .send({
+          code: "transverse_crack",
+          name: "横向裂缝",
+          aliases: ["横缝"],
+          unit: "m",
+          sortOrder: 45,
+        });
+      expect(created.body.code).toBe(200);
+      expect(created.body.data.aliases).toEqual(["横缝"]);
+
+      const conflict = await request(app.callback())
+        .post("/api/admin/distress-types")
+        .set("Authorization", auth)
+        .send({ code: "crack2", name: "裂缝", aliases: ["网裂"] });
+      expect(conflict.status).toBe(409);
+
+      const badCode = await request(app.callback())
+        .post("/api/admin/distress-types")
+        .set("Authorization", auth)
+        .send({ code: "Bad Code", name: "测试" });
+      expect(badCode.status).toBe(400);
+
+      const event = await AuditEvent.findOne({
+        action: "distress.type_create",
+      });
+      expect(event.targetId).toBe("transverse_crack");
+    });
+
+    it("POST /api/admin/distress-types - 巡检员应返回 403", async () => {
+      const { auth } = await createUserWithToken();
+      const res = await request(app.callback())
+        .post("/api/admin/distress-types")
+        .set("Authorization", auth)
+        .send({ code: "patch", name: "修补" });
+      expect(res.status).toBe(403);
+    });
+
+    it("PATCH /api/admin/distress-types/:code - 停用后不再接受该类型的新记录", async () => {
+      const admin = await createUserWithToken("admin");
+      const inspector = await createUserWithToken();
+      const submit = (recordId) =>
+        request(app.callback())
+          .post("/api/record/submit")
+          .set("Authorization", inspector.auth)
+          .send({
+            recordId,
+            taskId: "distress-task",
+            serverUrl: `http://oss/images/${inspector.user.id}/distress-task/${recordId}.jpg`,
+            captureTime: Date.now(),
+            latitude: 30.5,
+            longitude: 104.1,
+            distresses: [{ type: "bleeding" }],
+          });
+      const patch = (body) =>
+        request(app.callback())
+          .patch("/api/admin/distress-types/bleeding")
+          .set("Authorization", admin.auth)
+          .send(body);
+
+      expect((await submit("d-before")).body.code).toBe(200);
+
+      const disabled = await patch({ active: false });
+      expect(disabled.body.data.active).toBe(false);
+      expect((await submit("d-after")).status).toBe(400);
+
+      // 恢复，避免字典缓存影响后续用例
+      expect((await patch({ active: true })).body.code).toBe(200);
+      expect((await submit("d-restored")).body.code).toBe(200);
+
+      const missing = await request(app.callback())
+        .patch("/api/admin/distress-types/no_such_type")
+        .set("Authorization", admin.auth)
+        .send({ active: false });
+      expect(missing.status).toBe(404);
+    });
+  });
+
+  // ----------------------------------------------------------
+  // 4.6 Review Module
+  // ----------------------------------------------------------
+  describe("🧐 Review Module", () => {
+    let inspector;
+    let reviewer;
+
+    const makeRecord = (recordId, taskId, captureTime, extra = {}) => ({
+      recordId,
+      taskId,
+      serverUrl: `http://oss/${recordId}.jpg`,
+      captureTime,
+      location: { type: "Point", coordinates: [104.06, 30.64] },
+      rawLat: 30.64,
+      rawLng: 104.06,
+      distresses: [{ type: "pothole", severity: "light" }],
+      ...extra,
+    });
+
+    const review = (recordId, body, auth = reviewer.auth) =>
+      request(app.callback())
+        .post(`/api/record/${recordId}/review`)
+        .set("Authorization", auth)
+        .send(body);
+
+    const queue = (query = "", auth = reviewer.auth) =>
+      request(app.callback())
+        .get(`/api/review/queue${query}`)
+        .set("Authorization", auth);
+
+    beforeEach(async () => {
+      inspector = await createUserWithToken();
+      reviewer = await createUserWithToken("reviewer");
+      for (const taskId of ["review-a", "review-b"]) {
+        await Task.create({
+          taskId,
+          title: taskId,
+          inspectorId: inspector.user._id,
+          startTime: 1000,
+        });
+      }
+      await Record.create([
+        makeRecord("rv-1", "review-a", 3000),
+        makeRecord("rv-2", "review-a", 2000),
+        makeRecord("rv-3", "review-b", 4000, {
+          location: { type: "Point", coordinates: [116.4, 39.9] },
+          rawLat: 39.9,
+          rawLng: 116.4,
+        }),
+      ]);
+      // 审核功能上线前的旧记录没有 review 字段
+      await Record.collection.updateOne(
+        { recordId: "rv-3" },
+        { $unset: { review: "" } },
+      );
+    });
+
+    it("GET /api/review/queue - 按拍摄时间返回待审核记录 (含旧记录)，可按任务与区域过滤", async () => {
+      const all = await queue();
+      expect(all.body.code).toBe(200);
+      expect(all.body.total).toBe(3);
+      expect(all.body.data.map((r) => r.recordId)).toEqual([
+        "rv-2",
+        "rv-1",
+        "rv-3",
+      ]);
+
+      expect(all.body.tasks.map((t) => t.taskId).sort()).toEqual([
+        "review-a",
+        "review-b",
+      ]);
+
+      const byTask = await queue("?taskId=review-a&limit=1");
+      expect(byTask.body.data.map((r) => r.recordId)).toEqual(["rv-2"]);
+      expect(byTask.body.nextCursor).toBeTruthy();
+      expect(byTask.body.tasks).toEqual([
+        {
+          taskId: "review-a",
+          title: "review-a",
+          inspectorId: inspector.user.id,
+          startTime: 1000,
+        },
+      ]);
+
+      const byArea = await queue("?bbox=116,39,117,40");
+      expect(byArea.body.data.map((r) => r.recordId)).toEqual(["rv-3"]);
+
+      expect((await queue("?taskId=no-such-task")).status).toBe(404);
+      expect((await queue("?status=unknown")).status).toBe(400);
+    });
+
+    it("GET /api/review/queue - 巡检员应返回 403", async () => {
+      expect((await queue("", inspector.auth)).status).toBe(403);
+    });
+
+    it("POST /api/record/:recordId/review - 确认后记录审核员与时间，并移出待审核队列", async () => {
+      const res = await review("rv-1", {
+        status: "confirmed",
+        comment: "属实",
+      });
+
+      expect(res.body.code).toBe(200);
+      expect(res.body.data.review).toMatchObject({
+        status: "confirmed",
+        reviewerId: reviewer.user.id,
+        reviewerName: reviewer.user.username,
+        comment: "属实",
+      });
+      expect(res.body.data.review.reviewedAt).toBeTruthy();
+
+      const pending = await queue("?taskId=review-a");
+      expect(pending.body.data.map((r) => r.recordId)).toEqual(["rv-2"]);
+      const confirmed = await queue("?status=confirmed,rejected");
+      expect(confirmed.body.data.map((r) => r.recordId)).toEqual(["rv-1"]);
+
+      const event = await AuditEvent.findOne({ action: "record.review" });
+      expect(event.targetId).toBe("rv-1");
+      expect(event.detail.status).toEqual({ from: "pending", to: "confirmed" });
+    });
+
+    it("POST /api/record/:recordId/review - 修正时替换病害条目，并保留最初提交的条目", async () => {
+      const first = await review("rv-1", {
+        status: "corrected",
+        distresses: [{ type: "车辙", severity: "moderate", extent: 12 }],
+      });
+      expect(first.body.code).toBe(200);
+      expect(first.body.data.distresses).toEqual([
+        expect.objectContaining({ type: "rutting", unit: "m", extent: 12 }),
+      ]);
+
+      await review("rv-1", { status: "corrected", distresses: [] });
+
+      const saved = await Record.findOne({ recordId: "rv-1" }).lean();
+      expect(saved.distresses).toEqual([]);
+      expect(saved.review.originalDistresses).toEqual([
+        expect.objectContaining({ type: "pothole", severity: "light" }),
+      ]);
+    });
+
+    it("POST /api/record/:recordId/review - 参数非法、记录不存在或巡检员审核应被拒绝", async () => {
+      expect((await review("rv-1", { status: "corrected" })).status).toBe(400);
+      expect(
+        (
+          await review("rv-1", {
+            status: "confirmed",
+            distresses: [{ type: "pothole" }],
+          })
+        ).status,
+      ).toBe(400);
+      expect(
+        (
+          await review("rv-1", {
+            status: "corrected",
+            distresses: [{ type: "积水" }],
+          })
+        ).status,
+      ).toBe(400);
+      expect((await review("rv-1", { status: "pending" })).status).toBe(400);
+      expect((await review("no-such", { status: "confirmed" })).status).toBe(
+        404,
+      );
+      expect(
+        (await review("rv-1", { status: "confirmed" }, inspector.auth)).status,
+      ).toBe(403);
+    });
+
+    it("审核员可查看他人任务的记录，但不能上传轨迹", async () => {
+      const list = await request(app.callback())
+        .get("/api/record/list?taskId=review-a")
+        .set("Authorization", reviewer.auth);
+      expect(list.body.data).toHaveLength(2);
+      expect(list.body.data[0].review.status).toBe("pending");
+
+      const track = await request(app.callback())
+        .post("/api/task/review-a/track")
+        .set("Authorization", reviewer.auth)
+        .send({ seq: 0, points: [{ t: 1000, lat: 30.64, lng: 104.06 }] });
+      expect(track.status).toBe(403);
+    });
+  });
+
+  // ----------------------------------------------------------
+  // 4.7 Work Order Module
+  // ----------------------------------------------------------
+  describe("🛠️ Work Order Module", () => {
+    let admin;
+    let crew;
+    let reviewer;
+    let inspector;
+
+    const makeRecord = (recordId, lat, captureTime, extra = {}) => ({
+      recordId,
+      taskId: "wo-task",
+      serverUrl: `http://oss/${recordId}.jpg`,
+      captureTime,
+      location: { type: "Point", coordinates: [104.06, lat] },
+      rawLat: lat,
+      rawLng: 104.06,
+      distresses: [{ type: "pothole", severity: "moderate" }],
+      review: { status: "confirmed" },
+      ...extra,
+    });
+
+    const transition = (id, body, auth) =>
+      request(app.callback())
+        .post(`/api/work-orders/${id}/transition`)
+        .set("Authorization", auth)
+        .send(body);
+
+    const createOrder = (body) =>
+      request(app.callback())
+        .post("/api/admin/work-orders")
+        .set("Authorization", admin.auth)
+        .send(body);
+
+    beforeEach(async () => {
+      admin = await createUserWithToken("admin");
+      crew = await createUserWithToken();
+      reviewer = await createUserWithToken("reviewer");
+      inspector = await createUserWithToken();
+      await Task.create({
+        taskId: "wo-task",
+        title: "工单任务",
+        inspectorId: inspector.user._id,
+        startTime: 1000,
+      });
+      // wo-1 / wo-2 相距约 11 米，wo-3 约 1.1 公里外；wo-4 被驳回，wo-5 待审核
+      await Record.create([
+        makeRecord("wo-1", 30.64, 2000, { address: "人民南路" }),
+        makeRecord("wo-2", 30.6401, 3000),
+        makeRecord("wo-3", 30.65, 4000),
+        makeRecord("wo-4", 30.66, 5000, { review: { status: "rejected" } }),
+        makeRecord("wo-5", 30.67, 6000, { review: { status: "pending" } }),
+      ]);
+    });
+
+    it("POST /api/admin/work-orders/generate - 按位置聚合已确认的记录，重复执行不重复生成", async () => {
+      const res = await request(app.callback())
+        .post("/api/admin/work-orders/generate")
+        .set("Authorization", admin.auth)
+        .send({ taskId: "wo-task" });
+
+      expect(res.body.code).toBe(200);
+      expect(res.body.data.map((o) => o.recordIds)).toEqual([
+        ["wo-1", "wo-2"],
+        ["wo-3"],
+      ]);
+      expect(res.body.data[0]).toMatchObject({
+        status: "open",
+        title: "人民南路 坑槽维修",
+        taskIds: ["wo-task"],
+        distressTypes: ["pothole"],
+        beforePhotos: ["http://oss/wo-1.jpg", "http://oss/wo-2.jpg"],
+      });
+
+      const again = await request(app.callback())
+        .post("/api/admin/work-orders/generate")
+        .set("Authorization", admin.auth)
+        .send({});
+      expect(again.body.data).toHaveLength(0);
+      expect(await WorkOrder.countDocuments()).toBe(2);
+
+      const missing = await request(app.callback())
+        .post("/api/admin/work-orders/generate")
+        .set("Authorization", admin.auth)
+        .send({ taskId: "no-such-task" });
+      expect(missing.status).toBe(404);
+    });
+
+    it("POST /api/admin/work-orders - 指定维修人员时直接派单，记录已关联工单应返回 409", async () => {
+      const res = await createOrder({
+        recordIds: ["wo-1"],
+        assigneeId: crew.user.id,
+      });
+      expect(res.body.code).toBe(200);
+      expect(res.body.data).toMatchObject({
+        status: "assigned",
+        assigneeId: crew.user.id,
+      });
+      expect(res.body.data.history).toHaveLength(1);
+
+      expect((await createOrder({ recordIds: ["wo-1", "wo-2"] })).status).toBe(
+        409,
+      );
+      expect((await createOrder({ recordIds: ["no-such"] })).status).toBe(400);
+
+      // 并发创建同一条记录的工单：唯一索引保证只有一个成功
+      await WorkOrder.init();
+      const racing = await Promise.all([
+        createOrder({ recordIds: ["wo-3"] }),
+        createOrder({ recordIds: ["wo-3"] }),
+      ]);
+      expect(racing.map((r) => r.status).sort()).toEqual([200, 409]);
+      expect(await WorkOrder.countDocuments({ recordIds: "wo-3" })).toBe(1);
+      expect(
+        (
+          await request(app.callback())
+            .post("/api/admin/work-orders")
+            .set("Authorization", crew.auth)
+            .send({ recordIds: ["wo-2"] })
+        ).status,
+      ).toBe(403);
+    });
+
+    it("完整流转：派单 → 开工 → 完工 → 引用修复后的复查记录验收", async () => {
+      const { id } = (await createOrder({ recordIds: ["wo-1", "wo-2"] })).body
+        .data;
+
+      const assigned = await transition(
+        id,
+        { to: "assigned", assigneeId: crew.user.id, comment: "本周内完成" },
+        admin.auth,
+      );
+      expect(assigned.body.data.status).toBe("assigned");
+
+      expect(
+        (await transition(id, { to: "in_progress" }, crew.auth)).body.data
+          .status,
+      ).toBe("in_progress");
+
+      expect((await transition(id, { to: "repaired" }, crew.auth)).status).toBe(
+        400,
+      );
+      const repaired = await transition(
+        id,
+        { to: "repaired", afterPhotos: ["http://oss/after.jpg"] },
+        crew.auth,
+      );
+      expect(repaired.body.data.afterPhotos).toEqual(["http://oss/after.jpg"]);
+
+      // 复查记录：修复之前拍摄的、距离过远的都不能用于验收
+      await Record.create([
+        makeRecord("wo-old", 30.64, 1000),
+        makeRecord("wo-far", 30.7, Date.now() + 1000),
+        makeRecord("wo-check", 30.64005, Date.now() + 1000, {
+          distresses: [],
+        }),
+      ]);
+      for (const verifyRecordId of ["wo-old", "wo-far", "wo-1", "no-such"]) {
+        expect(
+          (
+            await transition(
+              id,
+              { to: "verified", verifyRecordId },
+              reviewer.auth,
+            )
+          ).status,
+        ).toBe(400);
+      }
+      expect(
+        (
+          await transition(
+            id,
+            { to: "verified", verifyRecordId: "wo-check" },
+            crew.auth,
+          )
+        ).status,
+      ).toBe(403);
+
+      const verified = await transition(
+        id,
+        { to: "verified", verifyRecordId: "wo-check" },
+        reviewer.auth,
+      );
+      expect(verified.body.data).toMatchObject({
+        status: "verified",
+        verifyRecordId: "wo-check",
+      });
+      expect(verified.body.data.history.map((h) => h.to)).toEqual([
+        "assigned",
+        "in_progress",
+        "repaired",
+        "verified",
+      ]);
+      expect(verified.body.data.history[0].comment).toBe("本周内完成");
+
+      const detail = await request(app.callback())
+        .get(`/api/work-orders/${id}`)
+        .set("Authorization", crew.auth);
+      expect(detail.body.data.records.map((r) => r.recordId)).toEqual([
+        "wo-1",
+        "wo-2",
+      ]);
+      expect(detail.body.data.verifyRecord.recordId).toBe("wo-check");
+
+      const events = await AuditEvent.find({
+        action: "workorder.transition",
+        outcome: "success",
+      });
+      expect(events).toHaveLength(4);
+    });
+
+    it("POST /api/work-orders/:id/transition - 非法流转返回 409，非维修人员开工返回 403", async () => {
+      const { id } = (
+        await createOrder({ recordIds: ["wo-1"], assigneeId: crew.user.id })
+      ).body.data;
+
+      const skip = await transition(id, { to: "verified" }, admin.auth);
+      expect(skip.status).toBe(409);
+      expect(skip.body.data.allowed).toEqual(["in_progress", "open"]);
+
+      expect(
+        (await transition(id, { to: "in_progress" }, inspector.auth)).status,
+      ).toBe(403);
+      expect(
+        (await transition(id, { to: "in_progress" }, reviewer.auth)).status,
+      ).toBe(403);
+      expect(
+        await AuditEvent.countDocuments({
+          action: "workorder.transition",
+          outcome: "denied",
+        }),
+      ).toBe(1);
+
+      // 取消派单后清空维修人员
+      const reopened = await transition(id, { to: "open" }, admin.auth);
+      expect(reopened.body.data.status).toBe("open");
+      expect(reopened.body.data.assigneeId).toBeNull();
+    });
+
+    it("维修人员只能查看指派给自己的工单；开工后不能删除，已验收不能修改", async () => {
+      const mine = (
+        await createOrder({ recordIds: ["wo-1"], assigneeId: crew.user.id })
+      ).body.data;
+      const other = (await createOrder({ recordIds: ["wo-3"] })).body.data;
+
+      const list = await request(app.callback())
+        .get("/api/work-orders")
+        .set("Authorization", crew.auth);
+      expect(list.body.data.map((o) => o.id)).toEqual([mine.id]);
+      expect(
+        (
+          await request(app.callback())
+            .get(`/api/work-orders/${other.id}`)
+            .set("Authorization", crew.auth)
+        ).status,
+      ).toBe(403);
+
+      const all = await request(app.callback())
+        .get("/api/work-orders?status=open")
+        .set("Authorization", reviewer.auth);
+      expect(all.body.data.map((o) => o.id)).toEqual([other.id]);
+
+      const patch = await request(app.callback())
+        .patch(`/api/admin/work-orders/${other.id}`)
+        .set("Authorization", admin.auth)
+        .send({ assigneeId: crew.user.id });
+      expect(patch.status).toBe(409);
+
+      await transition(mine.id, { to: "in_progress" }, crew.auth);
+      const del = await request(app.callback())
+        .delete(`/api/admin/work-orders/${mine.id}`)
+        .set("Authorization", admin.auth);
+      expect(del.status).toBe(409);
+
+      const removed = await request(app.callback())
+        .delete(`/api/admin/work-orders/${other.id}`)
+        .set("Authorization", admin.auth);
+      expect(removed.body.code).toBe(200);
+      expect(await WorkOrder.exists({ _id: other.id })).toBeNull();
+    });
+  });
+
+  // ----------------------------------------------------------
+  // 4.8 Compare Module
+  // ----------------------------------------------------------
+  describe("🔀 Compare Module", () => {
+    let inspector;
+
+    // 沿纬线向东约 193 米，每 5 个点上报一段 IRI
+    const uploadTrack = (taskId, auth, iriAt) =>
+      request(app.callback())
+        .post(`/api/task/${taskId}/track`)
+        .set("Authorization", auth)
+        .send({
+          seq: 0,
+          points: Array.from({ length: 21 }, (_, n) => ({
+            t: 1700000000000 + n * 1000,
+            lat: 30,
+            lng: 104 + n * 0.0001,
+            distance: n * 10,
+            iri: n > 0 && n % 5 === 0 ? iriAt(n) : null,
+            segmentLength: n > 0 && n % 5 === 0 ? 50 : null,
+          })),
+        });
+
+    const makeRecord = (recordId, taskId, lng, type) => ({
+      recordId,
+      taskId,
+      serverUrl: `http://oss/${recordId}.jpg`,
+      captureTime: 1700000000000,
+      location: { type: "Point", coordinates: [lng, 30] },
+      rawLat: 30,
+      rawLng: lng,
+      distresses: [{ type, severity: "moderate" }],
+    });
+
+    const compareTasks = (body, auth = inspector.auth) =>
+      request(app.callback())
+        .post("/api/task/compare")
+        .set("Authorization", auth)
+        .send(body);
+
+    beforeEach(async () => {
+      inspector = await createUserWithToken();
+      const other = await createUserWithToken();
+      await Task.create([
+        {
+          taskId: "cmp-a",
+          title: "101国道 - A路段",
+          inspectorId: inspector.user._id,
+          startTime: 1000,
+        },
+        {
+          taskId: "cmp-other",
+          title: "101国道 - A路段",
+          inspectorId: other.user._id,
+          startTime: 3000,
+        },
+        {
+          taskId: "cmp-b",
+          title: "101国道 - A路段",
+          inspectorId: inspector.user._id,
+          startTime: 5000,
+        },
+      ]);
+
+      // 基准巡检全程 IRI=2；对比巡检后 100 米升至 5
+      await uploadTrack("cmp-a", inspector.auth, () => 2);
+      await uploadTrack("cmp-other", other.auth, () => 2);
+      await uploadTrack("cmp-b", inspector.auth, (n) => (n <= 10 ? 2 : 5));
+
+      await Record.create([
+        makeRecord("cmp-a-1", "cmp-a", 104.0005, "pothole"),
+        makeRecord("cmp-b-1", "cmp-b", 104.00052, "pothole"),
+        makeRecord("cmp-b-2", "cmp-b", 104.0015, "alligator_crack"),
+      ]);
+    });
+
+    it("POST /api/task/compare - 指定两个任务时以基准轨迹为参考线，报告恶化路段与新增病害", async () => {
+      const res = await compareTasks({
+        baseTaskId: "cmp-a",
+        targetTaskId: "cmp-b",
+      });
+
+      expect(res.body.code).toBe(200);
+      const { data } = res.body;
+      expect(data.baseTask.taskId).toBe("cmp-a");
+      expect(data.targetTask.taskId).toBe("cmp-b");
+      expect(data.reference.source).toBe("track");
+      expect(data.segments.map((s) => s.change)).toEqual([
+        "stable",
+        "deteriorated",
+      ]);
+      expect(data.segments[1]).toMatchObject({ baseIri: 2, targetIri: 5 });
+      expect(data.distresses.added).toEqual([
+        expect.objectContaining({
+          recordId: "cmp-b-2",
+          type: "alligator_crack",
+        }),
+      ]);
+      expect(data.distresses.persisting).toHaveLength(1);
+      expect(data.distresses.disappeared).toHaveLength(0);
+      expect(data.summary).toMatchObject({
+        deterioratedCount: 1,
+        addedCount: 1,
+        persistingCount: 1,
+      });
+      expect(data.distressTypes.alligator_crack).toBe("龟裂");
+    });
+
+    it("POST /api/task/compare - 指定路段与时间范围时取经过该路段的最早与最晚两次巡检", async () => {
+      const line = [
+        [104, 30],
+        [104.002, 30],
+      ];
+
+      const mine = await compareTasks({ line, from: 0 });
+      expect(mine.body.code).toBe(200);
+      expect(mine.body.data.reference.source).toBe("line");
+      // 巡检员只能对比本人名下的巡检
+      expect(mine.body.data.tasks.map((t) => t.taskId)).toEqual([
+        "cmp-a",
+        "cmp-b",
+      ]);
+      expect(mine.body.data.summary.deterioratedCount).toBe(1);
+
+      const reviewer = await createUserWithToken("reviewer");
+      const all = await compareTasks({ line }, reviewer.auth);
+      expect(all.body.data.tasks).toHaveLength(3);
+      expect(all.body.data.baseTask.taskId).toBe("cmp-a");
+      expect(all.body.data.targetTask.taskId).toBe("cmp-b");
+
+      const single = await compareTasks({ line, to: 2000 });
+      expect(single.status).toBe(404);
+
+      const elsewhere = await compareTasks({
+        line: [
+          [116.4, 39.9],
+          [116.41, 39.9],
+        ],
+      });
+      expect(elsewhere.status).toBe(404);
+    });
+
+    it("POST /api/task/compare - 参数不完整或越权应被拒绝", async () => {
+      expect((await compareTasks({})).status).toBe(400);
+      expect((await compareTasks({ baseTaskId: "cmp-a" })).status).toBe(400);
+      expect(
+        (await compareTasks({ baseTaskId: "cmp-a", targetTaskId: "cmp-a" }))
+          .status,
+      ).toBe(400);
+      expect(
+        (await compareTasks({ line: [[104, 30]], baseTaskId: "cmp-a" })).status,
+      ).toBe(400);
+      expect(
+        (
+          await compareTasks({
+            baseTaskId: "cmp-a",
+            targetTaskId: "cmp-other",
+          })
+        ).status,
+      ).toBe(403);
+    });
+  });
+
+  // ----------------------------------------------------------
+  // 4.9 Road Module
+  // ----------------------------------------------------------
+  describe("🛣️ Road Module", () => {
+    let admin;
+    let inspector;
+
+    // 沿经线向北约 1112 米，起点桩号 K12+000
+    const centreline = [
+      [104, 30],
+      [104, 30.005],
+      [104, 30.01],
+    ];
+
+    const createRoad = (body = {}) =>
+      request(app.callback())
+        .post("/api/admin/roads")
+        .set("Authorization", admin.auth)
+        .send({
+          code: "G101",
+          name: "川藏线",
+          centreline,
+          startChainage: 12000,
+          ...body,
+        });
+
+    const createSection = (roadId, body = {}) =>
+      request(app.callback())
+        .post(`/api/admin/roads/${roadId}/sections`)
+        .set("Authorization", admin.auth)
+        .send({
+          name: "K12+000 ~ K12+500 养护段",
+          startChainage: 12000,
+          endChainage: 12500,
+          ...body,
+        });
+
+    beforeEach(async () => {
+      admin = await createUserWithToken("admin");
+      inspector = await createUserWithToken();
+    });
+
+    it("POST /api/admin/roads - 管理员新增道路与路段，路段不能重叠", async () => {
+      const res = await createRoad();
+      expect(res.body.code).toBe(200);
+      expect(res.body.data.startStake).toBe("K12+000");
+      expect(res.body.data.length).toBeCloseTo(1112, -1);
+      expect((await createRoad()).status).toBe(409);
+
+      const roadId = res.body.data.id;
+      const section = await createSection(roadId);
+      expect(section.body.code).toBe(200);
+      expect(section.body.data.endStake).toBe("K12+500");
+      expect(section.body.data.centreline.length).toBeGreaterThanOrEqual(2);
+
+      expect(
+        (
+          await createSection(roadId, {
+            startChainage: 12400,
+            endChainage: 12600,
+          })
+        ).status,
+      ).toBe(409);
+      // 超出道路桩号范围
+      expect(
+        (
+          await createSection(roadId, {
+            startChainage: 12500,
+            endChainage: 14000,
+          })
+        ).status,
+      ).toBe(400);
+
+      expect(
+        await AuditEvent.countDocuments({
+          action: { $in: ["road.create", "road.section_create"] },
+        }),
+      ).toBe(2);
+    });
+
+    it("POST /api/admin/roads - 巡检员无权维护路网", async () => {
+      const res = await request(app.callback())
+        .post("/api/admin/roads")
+        .set("Authorization", inspector.auth)
+        .send({ code: "G101", name: "川藏线", centreline });
+      expect(res.status).toBe(403);
+      expect(await Road.countDocuments()).toBe(0);
+    });
+
+    it("GET /api/roads - 列出道路与路段，locate 返回桩号", async () => {
+      const roadId = (await createRoad()).body.data.id;
+      await createSection(roadId);
+
+      const list = await request(app.callback())
+        .get("/api/roads?keyword=g10")
+        .set("Authorization", inspector.auth);
+      expect(list.body.data).toHaveLength(1);
+      expect(list.body.data[0].sections).toHaveLength(1);
+      expect(list.body.data[0].centreline).toBeUndefined();
+
+      // 道路东侧约 9.6 米、距起点约 222 米
+      const located = await request(app.callback())
+        .get("/api/roads/locate?lng=104.0001&lat=30.002")
+        .set("Authorization", inspector.auth);
+      expect(located.body.data).toMatchObject({
+        code: "G101",
+        stake: "K12+222",
+        sectionName: "K12+000 ~ K12+500 养护段",
+      });
+
+      const far = await request(app.callback())
+        .get("/api/roads/locate?lng=104.01&lat=30.002")
+        .set("Authorization", inspector.auth);
+      expect(far.status).toBe(404);
+    });
+
+    it("PATCH /api/admin/roads/:id - 修改中心线时重新截取路段，路段超出范围返回 409", async () => {
+      const roadId = (await createRoad()).body.data.id;
+      await createSection(roadId);
+
+      const patchRoad = (body) =>
+        request(app.callback())
+          .patch(`/api/admin/roads/${roadId}`)
+          .set("Authorization", admin.auth)
+          .send(body);
+
+      // 缩短到约 556 米：路段仍在范围内，中心线随之截取
+      const shorter = await patchRoad({ centreline: centreline.slice(0, 2) });
+      expect(shorter.body.code).toBe(200);
+      const section = await RoadSection.findOne({ roadId });
+      expect(section.centreline.coordinates.at(-1)[1]).toBeLessThan(30.005);
+
+      // 起点桩号后移后路段落在道路之外
+      expect((await patchRoad({ startChainage: 12100 })).status).toBe(409);
+      expect((await Road.findById(roadId)).startChainage).toBe(12000);
+    });
+
+    it("POST /api/task/create - 可指定计划巡检的道路与路段", async () => {
+      const roadId = (await createRoad()).body.data.id;
+      const sectionId = (await createSection(roadId)).body.data.id;
+      const createTask = (body) =>
+        request(app.callback())
+          .post("/api/task/create")
+          .set("Authorization", inspector.auth)
+          .send({
+            taskId: "road-task",
+            title: "G101 巡检",
+            inspectorId: inspector.user._id,
+            startTime: 1700000000000,
+            ...body,
+          });
+
+      expect(
+        (await createTask({ sectionId: new mongoose.Types.ObjectId() })).status,
+      ).toBe(400);
+
+      const res = await createTask({ roadId, sectionId });
+      expect(res.body.code).toBe(200);
+      const task = await Task.findOne({ taskId: "road-task" });
+      expect(String(task.roadId)).toBe(roadId);
+      expect(String(task.sectionId)).toBe(sectionId);
+
+      const filtered = await request(app.callback())
+        .get(`/api/task/list?roadId=${roadId}`)
+        .set("Authorization", inspector.auth);
+      expect(filtered.body.data.map((t) => t.taskId)).toEqual(["road-task"]);
+    });
+
+    it("记录与轨迹提交时匹配道路并计算桩号", async () => {
+      const roadId = (await createRoad()).body.data.id;
+      await Task.create({
+        taskId: "road-task",
+        title: "G101 巡检",
+        inspectorId: inspector.user._id,
+        startTime: 1700000000000,
+        roadId,
+      });
+
+      const submit = await request(app.callback())
+        .post("/api/record/submit")
+        .set("Authorization", inspector.auth)
+        .send({
+          recordId: "road-record",
+          taskId: "road-task",
+          serverUrl: `http://oss/images/${inspector.user.id}/road-task/img.jpg`,
+          captureTime: Date.now(),
+          latitude: 30.002,
+          longitude: 104.0001,
+          address: "甘孜州康定市",
+        });
+      expect(submit.body.code).toBe(200);
+      const record = await Record.findOne({ recordId: "road-record" });
+      expect(record.road.code).toBe("G101");
+      expect(record.road.stake).toBe("K12+222");
+
+      // 第一个点在道路上，第二个点偏离约 96 米
+      await request(app.callback())
+        .post("/api/task/road-task/track")
+        .set("Authorization", inspector.auth)
+        .send({
+          chunks: [
+            {
+              seq: 0,
+              points: [
+                { t: 1700000000000, lat: 30.001, lng: 104 },
+                { t: 1700000001000, lat: 30.002, lng: 104.001 },
+              ],
+            },
+          ],
+        });
+      const track = await request(app.callback())
+        .get("/api/task/road-task/track")
+        .set("Authorization", inspector.auth);
+      const [onRoad, offRoad] = track.body.data.points;
+      expect(onRoad.stake).toBe("K12+111");
+      expect(String(onRoad.roadId)).toBe(roadId);
+      expect(offRoad.roadId).toBeNull();
+      expect(offRoad.stake).toBeUndefined();
+    });
+  });
+
+  // ----------------------------------------------------------
+  // 5. User Module
+  // ----------------------------------------------------------
+  describe("👤 User Module", () => {
+    it("PATCH /api/user/:id - 应允许修改自己的用户名", async () => {
+      const { user, auth } = await createUserWithToken();
+      const res = await request(app.callback())
+        .patch(`/api/user/${user.id}`)
+        .set("Authorization", auth)
+        .send({ newUsername: "renamed_self" });
+
+      expect(res.body.code).toBe(200);
+      expect(res.body.data.username).toBe("renamed_self");
+    });
+
+    it("PATCH /api/user/:id - 不能修改他人的资料", async () => {
+      const { auth } = await createUserWithToken();
+      const victim = await User.create({
+        username: "victim",
+        hashedPassword: "xxx",
+      });
+
+      const res = await request(app.callback())
+        .patch(`/api/user/${victim.id}`)
+        .set("Authorization", auth)
+        .send({ newUsername: "hacked" });
+
+      expect(res.status).toBe(403);
+      expect((await User.findById(victim.id)).username).toBe("victim");
+    });
+
+    describe("修改密码", () => {
+      /** 创建用户 (密码 password123) 并在两台设备上登录 */
+      const loginOnTwoDevices = async () => {
+        await User.create({
+          username: "change_pass",
+          hashedPassword: await bcrypt.hash("password123", 4),
+        });
+        const login = (password = "password123") =>
+          request(app.callback())
+            .post("/api/auth/login")
+            .send({ username: "change_pass", password })
+            .then((res) => res.body);
+        const [a, b] = [(await login()).data, (await login()).data];
+        return { a, b, login };
+      };
+
+      const refresh = (refreshToken) =>
+        request(app.callback())
+          .post("/api/auth/refresh")
+          .send({ refreshToken });
+
+      const changePassword = (session, body) =>
+        request(app.callback())
+          .patch(`/api/user/${session.id}`)
+          .set("Authorization", `Bearer ${session.accessToken}`)
+          .send(body);
+
+      it("未提供当前密码应拒绝", async () => {
+        const { a } = await loginOnTwoDevices();
+        const res = await changePassword(a, { newPassword: "newPass456" });
+
+        expect(res.status).toBe(400);
+        expect(res.body.errors[0].field).toBe("currentPassword");
+      });
+
+      it("新密码不符合策略应拒绝", async () => {
+        const { a } = await loginOnTwoDevices();
+        const res = await changePassword(a, {
+          newPassword: "short1",
+          currentPassword: "password123",
+        });
+
+        expect(res.status).toBe(400);
+        expect(res.body.errors[0].field).toBe("newPassword");
+      });
+
+      it("当前密码错误应拒绝并记录审计事件", async () => {
+        const { a, login } = await loginOnTwoDevices();
+        const res = await changePassword(a, {
+          newPassword: "newPass456",
+          currentPassword: "wrongPass1",
+        });
+
+        expect(res.status).toBe(400);
+        expect(res.body.errors[0].field).toBe("currentPassword");
+        expect((await login()).code).toBe(200);
+
+        const event = await AuditEvent.findOne({
+          action: "user.password_change",
+        });
+        expect(event.outcome).toBe("failure");
+        expect(event.actorId.toString()).toBe(a.id);
+      });
+
+      it("当前密码连续错误应与登录共用计数并返回 429", async () => {
+        const originalPolicy = { ...auth.loginLimit.user };
+        auth.loginLimit.user = { backoffAfter: 100, maxFailures: 3 };
+        try {
+          const { a, login } = await loginOnTwoDevices();
+          const guess = (currentPassword) =>
+            changePassword(a, { newPassword: "newPass456", currentPassword });
+
+          expect((await guess("wrongPass1")).status).toBe(400);
+          expect((await guess("wrongPass2")).status).toBe(400);
+          const locked = await guess("wrongPass3");
+          expect(locked.status).toBe(429);
+          expect(Number(locked.headers["retry-after"])).toBeGreaterThan(60);
+
+          // 锁定期间即使当前密码正确也拒绝，登录同样被锁定
+          expect((await guess("password123")).status).toBe(429);
+          expect((await login()).code).toBe(429);
+        } finally {
+          auth.loginLimit.user = originalPolicy;
+        }
+      });
+
+      it("修改成功后应吊销其他设备的会话并记录审计事件", async () => {
+        const { a, b, login } = await loginOnTwoDevices();
+        const res = await changePassword(a, {
+          newPassword: "newPass456",
+          currentPassword: "password123",
+        });
+        expect(res.body.code).toBe(200);
+
+        // 当前设备保持登录，另一台设备被强制下线
+        expect((await refresh(a.refreshToken)).body.code).toBe(200);
+        expect((await refresh(b.refreshToken)).body.code).toBe(403);
+
+        expect((await login("password123")).code).toBe(401);
+        expect((await login("newPass456")).code).toBe(200);
+
+        const event = await AuditEvent.findOne({
+          action: "user.password_change",
+        });
+        expect(event.outcome).toBe("success");
+        expect(event.targetId).toBe(a.id);
+        expect(event.detail).toEqual({ byAdmin: false, revokedSessions: 1 });
+      });
+
+      it("管理员重置他人密码无需当前密码，并吊销其全部会话", async () => {
+        const { a } = await loginOnTwoDevices();
+        const { auth: adminAuth } = await createUserWithToken("admin");
+
+        const res = await request(app.callback())
+          .patch(`/api/user/${a.id}`)
+          .set("Authorization", adminAuth)
+          .send({ newPassword: "resetPass789" });
+        expect(res.body.code).toBe(200);
+
+        expect((await refresh(a.refreshToken)).body.code).toBe(403);
+        expect(
+          await Session.countDocuments({ userId: a.id, revokedAt: null }),
+        ).toBe(0);
+      });
+    });
+  });
+
+  // ----------------------------------------------------------
+  // 6. Audit Module
+  // ----------------------------------------------------------
+  describe("📜 Audit Module", () => {
+    const listEvents = (auth, query = {}) =>
+      request(app.callback())
+        .get("/api/admin/audit-events")
+        .query(query)
+        .set("Authorization", auth);
+
+    it("登录成功与失败都应记录审计事件", async () => {
+      await User.create({
+        username: "audit_login",
+        hashedPassword: await bcrypt.hash("password123", 4),
+      });
+      const login = (password) =>
+        request(app.callback())
+          .post("/api/auth/login")
+          .set("User-Agent", "audit-test")
+          .send({ username: "audit_login", password });
+
+      await login("wrongPass1");
+      const ok = await login("password123");
+
+      const events = await AuditEvent.find({ action: "auth.login" }).sort({
+        createdAt: 1,
+      });
+      expect(events.map((e) => e.outcome)).toEqual(["failure", "success"]);
+      expect(events[0].actorId).toBeNull();
+      expect(events[0].detail.username).toBe("audit_login");
+      expect(events[1].actorId.toString()).toBe(ok.body.data.id);
+      expect(events[1].userAgent).toBe("audit-test");
+      expect(events[1].ip).toBeTruthy();
+      // 审计记录中不得出现密码
+      expect(JSON.stringify(events)).not.toContain("password123");
+    });
+
+    it("创建与结束任务应记录操作者与任务 ID", async () => {
+      const { user, auth } = await createUserWithToken();
+      await request(app.callback())
+        .post("/api/task/create")
+        .set("Authorization", auth)
+        .send({
+          taskId: "audit-task",
+          title: "审计测试",
+          inspectorId: user.id,
+          startTime: Date.now(),
+        });
+      await request(app.callback())
+        .post("/api/task/finish")
+        .set("Authorization", auth)
+        .send({ taskId: "audit-task", endTime: Date.now() });
+
+      const events = await AuditEvent.find({ targetId: "audit-task" }).sort({
+        createdAt: 1,
+      });
+      expect(events.map((e) => e.action)).toEqual([
+        "task.create",
+        "task.finish",
+      ]);
+      events.forEach((e) => {
+        expect(e.actorId.toString()).toBe(user.id);
+        expect(e.actorName).toBe(user.username);
+        expect(e.targetType).toBe("task");
+      });
+      expect(events[0].detail.status).toBe("created");
+    });
+
+    it("GET /api/admin/audit-events - 巡检员访问应返回 403", async () => {
+      const { auth } = await createUserWithToken("inspector");
+      expect((await listEvents(auth)).status).toBe(403);
+    });
+
+    it("GET /api/admin/audit-events - 应支持过滤与游标分页", async () => {
+      const { auth } = await createUserWithToken("admin");
+      const base = Date.now() - 10000;
+      await AuditEvent.create(
+        [0, 1, 2].map((i) => ({
+          action: "auth.logout",
+          outcome: "success",
+          createdAt: new Date(base + i * 1000),
+          expiresAt: new Date(base + 86400000),
+        })),
+      );
+      await AuditEvent.create({
+        action: "auth.login",
+        outcome: "failure",
+        expiresAt: new Date(base + 86400000),
+      });
+
+      const page1 = await listEvents(auth, { action: "auth.logout", limit: 2 });
+      expect(page1.body.code).toBe(200);
+      expect(page1.body.total).toBe(3);
+      expect(page1.body.data).toHaveLength(2);
+      expect(new Date(page1.body.data[0].createdAt).getTime()).toBe(
+        base + 2000,
+      );
+
+      const page2 = await listEvents(auth, {
+        action: "auth.logout",
+        limit: 2,
+        cursor: page1.body.nextCursor,
+      });
+      expect(page2.body.data).toHaveLength(1);
+      expect(page2.body.nextCursor).toBeNull();
+
+      const failures = await listEvents(auth, { outcome: "failure" });
+      expect(failures.body.data.map((e) => e.action)).toEqual(["auth.login"]);
+
+      const bad = await listEvents(auth, { action: "unknown.action" });
+      expect(bad.status).toBe(400);
+    });
+
+    it("POST /api/admin/audit-events/prune - 应删除超过保留期的事件", async () => {
+      const { auth } = await createUserWithToken("admin");
+      const DAY_MS = 24 * 60 * 60 * 1000;
+      const expiresAt = new Date(Date.now() + DAY_MS);
+      await AuditEvent.create([
+        {
+          action: "auth.login",
+          createdAt: new Date(Date.now() - (audit.retentionDays + 1) * DAY_MS),
+          expiresAt,
+        },
+        { action: "auth.login", expiresAt },
+      ]);
+
+      const res = await request(app.callback())
+        .post("/api/admin/audit-events/prune")
+        .set("Authorization", auth);
+      expect(res.body.code).toBe(200);
+      expect(res.body.data.deletedCount).toBe(1);
+
+      // 剩余 1 条未过期事件 + 本次清理操作自身的审计事件
+      expect(await AuditEvent.countDocuments({ action: "auth.login" })).toBe(1);
+      expect(await AuditEvent.countDocuments({ action: "audit.prune" })).toBe(
+        1,
+      );
+    });
+  });
+
+  describe("🩺 Ops Module", () => {
+    const original = { provider: storage.provider, ...storage.local };
+
+    beforeAll(async () => {
+      storage.provider = "local";
+      storage.local.rootDir = await mkdtemp(path.join(os.tmpdir(), "ops-"));
+      storage.local.signingSecret = "test_signing_secret";
+    });
+
+    afterAll(async () => {
+      await rm(storage.local.rootDir, { recursive: true, force: true });
+      storage.provider = original.provider;
+      Object.assign(storage.local, {
+        rootDir: original.rootDir,
+        signingSecret: original.signingSecret,
+      });
+    });
+
+    it("GET /healthz - 无需登录即返回 200", async () => {
+      const res = await request(app.callback()).get("/healthz");
+      expect(res.status).toBe(200);
+      expect(res.body.data.status).toBe("ok");
+    });
+
+    it("GET /readyz - 数据库与存储可用时返回 200", async () => {
+      const res = await request(app.callback()).get("/readyz");
+      expect(res.status).toBe(200);
+      expect(res.body.data.checks).toEqual({
+        mongo: { status: "up" },
+        storage: { provider: "local", status: "up" },
+      });
+    });
+
+    it("GET /readyz - 停机排空期间返回 503", async () => {
+      app.context.shuttingDown = true;
+      try {
+        const res = await request(app.callback()).get("/readyz");
+        expect(res.status).toBe(503);
+        expect(res.body.data.status).toBe("shutting_down");
+      } finally {
+        delete app.context.shuttingDown;
+      }
+    });
+
+    it("GET /readyz - 存储不可用时返回 503", async () => {
+      storage.local.signingSecret = undefined;
+      try {
+        const res = await request(app.callback()).get("/readyz");
+        expect(res.status).toBe(503);
+        expect(res.body.data.checks.storage.status).toBe("down");
+        expect(res.body.data.checks.mongo.status).toBe("up");
+      } finally {
+        storage.local.signingSecret = "test_signing_secret";
+      }
+    });
+
+    it("GET /metrics - 应输出按路由的请求数、耗时直方图与进行中任务数", async () => {
+      const { user, auth } = await createUserWithToken();
+      await Task.create({
+        taskId: "metrics-task",
+        title: "指标测试",
+        inspectorId: user.id,
+        startTime: Date.now(),
+      });
+      await request(app.callback())
+        .post("/api/record/submit")
+        .set("Authorization", auth)
+        .send({ recordId: "metrics-record" });
+
+      const res = await request(app.callback()).get("/metrics");
+      expect(res.status).toBe(200);
+      expect(res.headers["content-type"]).toContain("text/plain");
+      expect(res.text).toContain(
+        'http_requests_total{method="POST",route="/api/record/submit",status="400"}',
+      );
+      expect(res.text).toContain(
+        'http_request_duration_seconds_count{method="POST",route="/api/record/submit"}',
+      );
+      expect(res.text).toMatch(
+        /road_records_ingested_total\{endpoint="submit",status="invalid"\} \d+/,
+      );
+      expect(res.text).toContain("road_active_tasks 1\n");
+    });
   });
 });
@@ -0,0 +1,52 @@
+/**
+ * @file audit_helper.test.js
+ * @description 审计日志辅助工具单元测试 (纯函数，无需数据库)
+ */
+
+import {
+  AUDIT_ACTIONS,
+  getAuditExpiry,
+  getRetentionCutoff,
+  redactDetail,
+} from "../utils/audit_helper.js";
+
+const now = 1700000000000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe("📜 audit_helper", () => {
+  it("AUDIT_ACTIONS - 应符合 {对象}.{动作} 格式且不重复", () => {
+    AUDIT_ACTIONS.forEach((action) =>
+      expect(action).toMatch(/^[a-z]+\.[a-z_]+$/),
+    );
+    expect(new Set(AUDIT_ACTIONS).size).toBe(AUDIT_ACTIONS.length);
+  });
+
+  it("redactDetail - 应递归脱敏密码与 Token 字段", () => {
+    const detail = {
+      username: "zhang",
+      newPassword: "secret1",
+      nested: { refreshToken: "abc", count: 2 },
+      list: [{ signature: "x", prefix: "images/u1/" }],
+    };
+    expect(redactDetail(detail)).toEqual({
+      username: "zhang",
+      newPassword: "[REDACTED]",
+      nested: { refreshToken: "[REDACTED]", count: 2 },
+      list: [{ signature: "[REDACTED]", prefix: "images/u1/" }],
+    });
+    // 不修改原对象
+    expect(detail.newPassword).toBe("secret1");
+  });
+
+  it("redactDetail - 非对象原样返回", () => {
+    expect(redactDetail(null)).toBeNull();
+    expect(redactDetail("text")).toBe("text");
+    const date = new Date(now);
+    expect(redactDetail({ at: date }).at).toBe(date);
+  });
+
+  it("getAuditExpiry / getRetentionCutoff - 应按保留天数前后推算", () => {
+    expect(getAuditExpiry(30, now).getTime()).toBe(now + 30 * DAY_MS);
+    expect(getRetentionCutoff(30, now).getTime()).toBe(now - 30 * DAY_MS);
+  });
+});
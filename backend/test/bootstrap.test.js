@@ -0,0 +1,92 @@
+/**
+ * @file bootstrap.test.js
+ * @description 启动与优雅停机单元测试 (使用独立的 Koa 实例，无需数据库)
+ */
+
+import { jest } from "@jest/globals";
+import Koa from "koa";
+import http from "node:http";
+import { setTimeout as delay } from "node:timers/promises";
+import { createShutdown, listen } from "../bootstrap.js";
+
+/**
+ * 创建一个处理耗时可控的 Koa 应用 (GET /slow?ms=200)
+ * @param {Function} [onHandled] - 请求处理完成时回调
+ */
+const createSlowApp = (onHandled = () => {}) => {
+  const koaApp = new Koa();
+  koaApp.use(async (ctx) => {
+    await delay(Number(ctx.query.ms) || 0);
+    ctx.body = { code: 200 };
+    onHandled();
+  });
+  return koaApp;
+};
+
+/** 发起请求，返回 { status } 或 { error } */
+const get = (httpServer, ms) =>
+  new Promise((resolve) => {
+    const { port } = httpServer.address();
+    http
+      .get(`http://127.0.0.1:${port}/slow?ms=${ms}`, (res) => {
+        res.resume();
+        res.on("end", () => resolve({ status: res.statusCode }));
+      })
+      .on("error", (error) => resolve({ error }));
+  });
+
+describe("🚦 bootstrap", () => {
+  it("停机时应等待进行中的请求完成，再关闭数据库连接", async () => {
+    const order = [];
+    const koaApp = createSlowApp(() => order.push("request"));
+    const httpServer = await listen(koaApp, { port: 0, host: "127.0.0.1" });
+    const closeDatabase = jest.fn(async () => order.push("db"));
+    const shutdown = createShutdown(httpServer, {
+      koaApp,
+      timeoutMs: 2000,
+      closeDatabase,
+    });
+
+    const inflight = get(httpServer, 200);
+    await delay(50); // 确保请求已进入处理
+
+    const [result, res] = await Promise.all([shutdown("SIGTERM"), inflight]);
+    expect(res.status).toBe(200);
+    expect(result.timedOut).toBe(false);
+    expect(order).toEqual(["request", "db"]);
+    expect(koaApp.context.shuttingDown).toBe(true);
+    expect(httpServer.listening).toBe(false);
+
+    // 重复调用返回同一次停机的结果，不会重复关闭数据库
+    await shutdown("SIGINT");
+    expect(closeDatabase).toHaveBeenCalledTimes(1);
+  });
+
+  it("超过等待时间后应强制断开剩余连接", async () => {
+    const koaApp = createSlowApp();
+    const httpServer = await listen(koaApp, { port: 0, host: "127.0.0.1" });
+    const closeDatabase = jest.fn(async () => {});
+    const shutdown = createShutdown(httpServer, {
+      koaApp,
+      timeoutMs: 100,
+      closeDatabase,
+    });
+
+    const inflight = get(httpServer, 500);
+    await delay(50);
+
+    const result = await shutdown("SIGTERM");
+    expect(result.timedOut).toBe(true);
+    expect((await inflight).error).toBeDefined();
+    expect(closeDatabase).toHaveBeenCalledTimes(1);
+  });
+
+  it("listen - 端口被占用时应 reject", async () => {
+    const first = await listen(createSlowApp(), { port: 0, host: "127.0.0.1" });
+    const { port } = first.address();
+    await expect(
+      listen(createSlowApp(), { port, host: "127.0.0.1" }),
+    ).rejects.toThrow("EADDRINUSE");
+    await new Promise((resolve) => first.close(resolve));
+  });
+});
@@ -0,0 +1,198 @@
+/**
+ * @file compare_helper.test.js
+ * @description 巡检对比 (变化检测) 单元测试 (纯函数，无需数据库)
+ */
+
+import {
+  buildReferenceLine,
+  classifyChange,
+  collectDistresses,
+  compareInspections,
+  matchDistresses,
+} from "../utils/compare_helper.js";
+
+// 沿经线向北，0.0001° 纬度约 11.1 米，轨迹全长 0.0026° 约 289 米
+const LNG = 104;
+const lineAt = (lat) => [LNG, lat];
+
+const makeTrack = (iriAt) =>
+  Array.from({ length: 27 }, (_, k) => ({
+    t: 1000 + k * 1000,
+    lat: 30 + k * 0.0001,
+    lng: LNG,
+    iri: k === 0 ? null : iriAt(k),
+    segmentLength: k === 0 ? null : 11.1,
+  }));
+
+const makeRecord = (recordId, lat, distresses, extra = {}) => ({
+  recordId,
+  taskId: "t",
+  captureTime: Math.round(lat * 1e6),
+  location: { type: "Point", coordinates: lineAt(lat) },
+  iri: null,
+  distresses,
+  ...extra,
+});
+
+describe("🔀 compare_helper", () => {
+  it("buildReferenceLine - 优先使用轨迹，没有轨迹时按拍摄时间连接记录", () => {
+    const track = makeTrack(() => 2);
+    expect(buildReferenceLine({ trackPoints: track, records: [] })).toEqual({
+      source: "track",
+      line: track.map((p) => [p.lng, p.lat]),
+    });
+
+    const records = [
+      makeRecord("b", 30.002, []),
+      makeRecord("a", 30.001, []),
+      makeRecord("a2", 30.001, [], { captureTime: 30001001 }),
+    ];
+    expect(buildReferenceLine({ trackPoints: [], records })).toEqual({
+      source: "records",
+      line: [lineAt(30.001), lineAt(30.002)],
+    });
+
+    expect(
+      buildReferenceLine({ trackPoints: track.slice(0, 1), records: [] }),
+    ).toBeNull();
+  });
+
+  it("collectDistresses - 每种类型计一处并取最重的严重程度，驳回的记录不参与", () => {
+    const items = collectDistresses([
+      makeRecord("r1", 30, [
+        { type: "pothole", severity: "light" },
+        { type: "pothole", severity: "severe" },
+        { type: "rutting", severity: null },
+      ]),
+      makeRecord("r2", 30.001, [{ type: "pothole", severity: "light" }], {
+        review: { status: "rejected" },
+      }),
+    ]);
+
+    expect(
+      items.map(({ type, severity, recordId }) => [type, severity, recordId]),
+    ).toEqual([
+      ["pothole", "severe", "r1"],
+      ["rutting", null, "r1"],
+    ]);
+  });
+
+  it("matchDistresses - 同类病害按距离由近到远一一配对", () => {
+    const at = (type, lat, id) => ({ type, coordinates: lineAt(lat), id });
+    const base = [at("pothole", 30, "b1"), at("rutting", 30.001, "b2")];
+    const target = [
+      at("pothole", 30.0002, "t1"), // 约 22 米，超出匹配距离
+      at("pothole", 30.00005, "t2"), // 约 5.5 米
+      at("alligator_crack", 30.001, "t3"), // 类型不同
+    ];
+
+    const { persisting, added, disappeared } = matchDistresses(
+      base,
+      target,
+      15,
+    );
+    expect(persisting).toHaveLength(1);
+    expect(persisting[0]).toMatchObject({ type: "pothole", distance: 5.6 });
+    expect(persisting[0].base.id).toBe("b1");
+    expect(persisting[0].target.id).toBe("t2");
+    expect(added.map((d) => d.id)).toEqual(["t1", "t3"]);
+    expect(disappeared.map((d) => d.id)).toEqual(["b2"]);
+  });
+
+  it("classifyChange - 增幅超过阈值为恶化，降幅超过阈值为好转", () => {
+    expect(classifyChange(1.5, 1)).toBe("deteriorated");
+    expect(classifyChange(1, 1)).toBe("stable");
+    expect(classifyChange(-1.2, 1)).toBe("improved");
+    expect(classifyChange(null, 1)).toBeNull();
+  });
+
+  it("compareInspections - 按参考线分段报告恶化路段、新增与消失的病害", () => {
+    const base = {
+      trackPoints: makeTrack(() => 2),
+      records: [
+        makeRecord("b-pothole", 30.0005, [
+          { type: "pothole", severity: "light" },
+        ]),
+        makeRecord("b-rutting", 30.0015, [
+          { type: "rutting", severity: "moderate" },
+        ]),
+      ],
+    };
+    const target = {
+      // 前 100 米 IRI 由 2 升至 4
+      trackPoints: makeTrack((k) => (k <= 8 ? 4 : 2)),
+      records: [
+        makeRecord("t-pothole", 30.00055, [
+          { type: "pothole", severity: "severe" },
+        ]),
+        makeRecord("t-new", 30.0025, [{ type: "pothole", severity: "light" }]),
+        // 驳回的记录与偏离参考线约 500 米的记录不参与比较
+        makeRecord("t-rejected", 30.0015, [{ type: "rutting" }], {
+          review: { status: "rejected" },
+        }),
+        makeRecord("t-far", 30.0015, [{ type: "rutting" }], {
+          location: { type: "Point", coordinates: [104.0052, 30.0015] },
+        }),
+      ],
+    };
+    const { line } = buildReferenceLine(base);
+
+    const result = compareInspections({
+      line,
+      base,
+      target,
+      segmentLength: 100,
+      bufferMeters: 30,
+      matchRadiusMeters: 15,
+      iriIncreaseThreshold: 1,
+    });
+
+    expect(result.length).toBeCloseTo(289.1, 0);
+    expect(result.base).toEqual({
+      iriSource: "track",
+      sampleCount: 26,
+      distressCount: 2,
+    });
+    expect(result.target.distressCount).toBe(2);
+
+    expect(result.segments.map((s) => s.change)).toEqual([
+      "deteriorated",
+      "stable",
+      "stable",
+    ]);
+    expect(result.segments[0]).toMatchObject({
+      baseIri: 2,
+      targetIri: 4,
+      delta: 2,
+      persisting: 1,
+    });
+    expect(result.segments[1].disappeared).toBe(1);
+    expect(result.segments[2].added).toBe(1);
+
+    expect(result.distresses.added.map((d) => d.recordId)).toEqual(["t-new"]);
+    expect(result.distresses.disappeared.map((d) => d.recordId)).toEqual([
+      "b-rutting",
+    ]);
+    expect(result.distresses.persisting[0]).toMatchObject({
+      type: "pothole",
+      base: { recordId: "b-pothole", severity: "light" },
+      target: { recordId: "t-pothole", severity: "severe" },
+    });
+    expect(result.distresses.added[0].distanceAlong).toBe(278);
+
+    expect(result.summary).toMatchObject({
+      segmentCount: 3,
+      comparedCount: 3,
+      deterioratedCount: 1,
+      deterioratedLength: 100,
+      improvedCount: 0,
+      addedCount: 1,
+      disappearedCount: 1,
+      persistingCount: 1,
+      addedByType: { pothole: 1 },
+      disappearedByType: { rutting: 1 },
+    });
+    expect(result.summary.baseAvgIri).toBe(2);
+    expect(result.summary.targetAvgIri).toBeGreaterThan(2.5);
+  });
+});
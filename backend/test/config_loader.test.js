@@ -0,0 +1,106 @@
+/**
+ * @file config_loader.test.js
+ * @description 配置读取与校验工具单元测试 (不读取真实环境变量)
+ */
+
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import {
+  createConfigReader,
+  loadConfigFile,
+  resolveProfile,
+} from "../config/config_loader.js";
+
+describe("⚙️ config_loader", () => {
+  it("resolveProfile - APP_ENV 优先于 NODE_ENV，支持简写，非法取值抛出异常", () => {
+    expect(resolveProfile({})).toBe("development");
+    expect(resolveProfile({ NODE_ENV: "test" })).toBe("test");
+    expect(resolveProfile({ APP_ENV: "prod", NODE_ENV: "test" })).toBe(
+      "production",
+    );
+    expect(() => resolveProfile({ APP_ENV: "staging" })).toThrow("staging");
+  });
+
+  it("按来源优先级取值，空字符串视为未设置", () => {
+    const read = createConfigReader([
+      { PORT: "", HOST: "10.0.0.1", RATIO: "0.5" },
+      { PORT: "8080", HOST: "127.0.0.1" },
+    ]);
+    expect(read.integer("PORT", { default: 3000 })).toBe(8080);
+    expect(read.number("RATIO", { default: 1, min: 0 })).toBe(0.5);
+    expect(read.string("HOST")).toBe("10.0.0.1");
+    expect(read.string("MISSING", { default: "x" })).toBe("x");
+    expect(read.errors).toEqual([]);
+  });
+
+  it("非法取值应收集错误并由 assertValid 一次性抛出", () => {
+    const read = createConfigReader([
+      {
+        PORT: "abc",
+        LOG_LEVEL: "verbose",
+        EXPIRES: "15 minutes",
+        CLASSES: "digit,emoji",
+        BANDS: "2,1,6,8",
+        RATIO: "1.5x",
+      },
+    ]);
+    read.integer("PORT", { default: 3000, min: 1, max: 65535 });
+    read.number("RATIO", { default: 1, min: 0 });
+    read.string("LOG_LEVEL", { oneOf: ["debug", "info"] });
+    read.duration("EXPIRES");
+    read.list("CLASSES", { oneOf: ["letter", "digit"] });
+    read.numberList("BANDS", { length: 4, ascending: true });
+    read.string("SECRET", { required: true });
+
+    expect(read.errors).toHaveLength(7);
+    expect(() => read.assertValid("production")).toThrow(
+      /配置校验失败 \(profile=production\)[\s\S]*PORT[\s\S]*SECRET: 必填/,
+    );
+  });
+
+  it("list / numberList - 按逗号拆分并转换", () => {
+    const read = createConfigReader([
+      { ORIGINS: " http://a.com , *,", BANDS: "1.5, 3,4.5,9" },
+    ]);
+    expect(read.list("ORIGINS")).toEqual(["http://a.com", "*"]);
+    expect(read.list("NONE")).toEqual([]);
+    expect(
+      read.numberList("BANDS", { length: 4, min: 0, ascending: true }),
+    ).toEqual([1.5, 3, 4.5, 9]);
+  });
+
+  describe("loadConfigFile", () => {
+    let dir;
+
+    beforeAll(async () => {
+      dir = await mkdtemp(path.join(os.tmpdir(), "config-"));
+    });
+
+    afterAll(async () => {
+      await rm(dir, { recursive: true, force: true });
+    });
+
+    it("应将值统一转换为字符串，数组按逗号拼接", async () => {
+      const file = path.join(dir, "app.json");
+      await writeFile(
+        file,
+        JSON.stringify({ PORT: 8080, CORS_ORIGINS: ["http://a.com", "*"] }),
+      );
+      expect(loadConfigFile(file)).toEqual({
+        PORT: "8080",
+        CORS_ORIGINS: "http://a.com,*",
+      });
+      expect(loadConfigFile(undefined)).toEqual({});
+    });
+
+    it("文件不存在或格式错误时应抛出异常", async () => {
+      const file = path.join(dir, "bad.json");
+      await writeFile(file, "[1, 2]");
+      expect(() => loadConfigFile(file)).toThrow("必须是 JSON 对象");
+      expect(() => loadConfigFile(path.join(dir, "none.json"))).toThrow(
+        "无法读取配置文件",
+      );
+    });
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * @file distress_helper.test.js
+ * @description 病害条目转换与字典匹配单元测试 (纯函数，无需数据库)
+ */
+
+import {
+  buildDistressIndex,
+  buildLegacyDistressUpdate,
+  DEFAULT_DISTRESS_TYPES,
+  findDistressLabelConflict,
+  formatDistressSummary,
+  getDistressCodes,
+  normalizeDistresses,
+  parseLegacyDistress,
+  splitDistressLabels,
+} from "../utils/distress_helper.js";
+
+const index = buildDistressIndex([
+  ...DEFAULT_DISTRESS_TYPES,
+  { code: "patch", name: "修补", unit: "m2", aliases: [], active: false },
+]);
+
+describe("🕳️ distress_helper", () => {
+  it("splitDistressLabels - 兼容字符串、分隔字符串与数组", () => {
+    expect(splitDistressLabels("坑槽")).toEqual(["坑槽"]);
+    expect(splitDistressLabels("坑槽, 龟裂、车辙")).toEqual([
+      "坑槽",
+      "龟裂",
+      "车辙",
+    ]);
+    expect(splitDistressLabels(["车辙"])).toEqual(["车辙"]);
+    expect(splitDistressLabels(null)).toEqual([]);
+  });
+
+  it("parseLegacyDistress - 按名称与别名匹配，未知名称归入 other 并保留原文", () => {
+    const entries = parseLegacyDistress("坑槽,网裂,裂缝,坑槽", index);
+    expect(entries.map((d) => [d.type, d.note])).toEqual([
+      ["pothole", null],
+      ["alligator_crack", null],
+      ["other", "裂缝"],
+    ]);
+    expect(entries[0]).toMatchObject({
+      severity: null,
+      extent: null,
+      unit: "m2",
+      source: "manual",
+    });
+  });
+
+  it("findDistressLabelConflict - 名称与别名不能与其他类型重复", () => {
+    expect(findDistressLabelConflict(index, ["横向裂缝", "网裂"])).toBe("网裂");
+    expect(findDistressLabelConflict(index, ["Pothole"])).toBeNull();
+    expect(findDistressLabelConflict(index, ["pothole"])).toBe("pothole");
+    // 修改自身时不算冲突
+    expect(
+      findDistressLabelConflict(index, ["龟裂", "网裂"], "alligator_crack"),
+    ).toBeNull();
+  });
+
+  it("normalizeDistresses - 接受 code 或名称，unit 取自字典", () => {
+    const { distresses, errors } = normalizeDistresses(
+      [
+        {
+          type: "车辙",
+          severity: "moderate",
+          extent: 8.5,
+          unit: "m2", // 客户端传入的单位被忽略
+          bbox: { x: 0.1, y: 0.2, width: 0.3, height: 0.4 },
+          source: "ai",
+          confidence: 0.87,
+        },
+        { type: "pothole", note: "  井盖旁  " },
+      ],
+      index,
+    );
+    expect(errors).toBeUndefined();
+    expect(distresses[0]).toEqual({
+      type: "rutting",
+      severity: "moderate",
+      extent: 8.5,
+      unit: "m",
+      bbox: { x: 0.1, y: 0.2, width: 0.3, height: 0.4 },
+      source: "ai",
+      confidence: 0.87,
+      note: null,
+    });
+    expect(distresses[1]).toMatchObject({
+      type: "pothole",
+      source: "manual",
+      note: "井盖旁",
+    });
+  });
+
+  it("normalizeDistresses - 非法条目应返回带下标的 errors", () => {
+    const fieldsOf = (list) =>
+      normalizeDistresses(list, index).errors.map((e) => e.field);
+
+    expect(fieldsOf("坑槽")).toEqual(["distresses"]);
+    expect(fieldsOf([{ type: "pothole", confidence: 1.2 }])).toEqual([
+      "distresses[0].confidence",
+    ]);
+    expect(
+      fieldsOf([
+        { type: "pothole", bbox: { x: 0.8, y: 0, width: 0.5, height: 0.1 } },
+      ]),
+    ).toEqual(["distresses[0].bbox"]);
+    // 未知类型与已停用类型
+    expect(fieldsOf([{ type: "pothole" }, { type: "积水" }])).toEqual([
+      "distresses[1].type",
+    ]);
+    expect(fieldsOf([{ type: "patch" }])).toEqual(["distresses[0].type"]);
+    expect(
+      fieldsOf(Array.from({ length: 21 }, () => ({ type: "pothole" }))),
+    ).toEqual(["distresses"]);
+  });
+
+  it("getDistressCodes / formatDistressSummary - 去重与可读文本", () => {
+    const record = {
+      distresses: [
+        { type: "pothole", severity: "severe", extent: 1.5, unit: "m2" },
+        { type: "pothole", severity: null, extent: null },
+        { type: "other", note: "路面积水" },
+        { type: "unknown_code" },
+      ],
+    };
+    expect(getDistressCodes(record)).toEqual([
+      "pothole",
+      "other",
+      "unknown_code",
+    ]);
+    expect(getDistressCodes({})).toEqual([]);
+
+    const names = new Map([
+      ["pothole", "坑槽"],
+      ["other", "其他"],
+    ]);
+    expect(formatDistressSummary(record.distresses, names)).toBe(
+      "坑槽(重, 1.5m2); 坑槽; 其他(路面积水); unknown_code",
+    );
+  });
+
+  it("buildLegacyDistressUpdate - 转换旧字段，已有条目的记录只删除旧字段", () => {
+    expect(
+      buildLegacyDistressUpdate({ pavementDistress: "沉陷" }, index),
+    ).toEqual({
+      $unset: { pavementDistress: "" },
+      $set: { distresses: [expect.objectContaining({ type: "subsidence" })] },
+    });
+    expect(
+      buildLegacyDistressUpdate(
+        { pavementDistress: "沉陷", distresses: [{ type: "pothole" }] },
+        index,
+      ),
+    ).toEqual({ $unset: { pavementDistress: "" } });
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * @file export_helper.test.js
+ * @description 记录导出格式单元测试 (纯函数，无需数据库)
+ */
+
+import {
+  serializeRecords,
+  toCsv,
+  toGeoJSON,
+  toKml,
+} from "../utils/export_helper.js";
+
+const distressNames = new Map([["pothole", "坑槽"]]);
+
+const records = [
+  {
+    recordId: "r1",
+    taskId: "t1",
+    serverUrl: "http://oss/r1.jpg?a=1&b=2",
+    captureTime: Date.UTC(2026, 0, 1),
+    address: "人民南路, 3段",
+    location: { type: "Point", coordinates: [104.06, 30.64] },
+    rawLat: 30.64,
+    rawLng: 104.06,
+    iri: 1.5,
+    distresses: [
+      { type: "pothole", severity: "severe", extent: 0.5, unit: "m2" },
+      { type: "rutting", severity: null, extent: null },
+    ],
+  },
+  {
+    recordId: "r2",
+    taskId: "t1",
+    serverUrl: "http://oss/r2.jpg",
+    captureTime: Date.UTC(2026, 0, 2),
+    location: { type: "Point", coordinates: [104.07, 30.65] },
+    rawLat: 30.65,
+    rawLng: 104.07,
+    iri: null,
+    distresses: [],
+  },
+];
+
+describe("📦 export_helper", () => {
+  it("toGeoJSON - 应以 location 作为几何并附带等级属性", () => {
+    const fc = toGeoJSON(records);
+    expect(fc.type).toBe("FeatureCollection");
+    expect(fc.features).toHaveLength(2);
+    expect(fc.features[0].geometry).toEqual({
+      type: "Point",
+      coordinates: [104.06, 30.64],
+    });
+    expect(fc.features[0].properties.grade).toBe("good");
+    expect(fc.features[1].properties.grade).toBeNull();
+    expect(
+      toGeoJSON(records, { distressNames }).features[0].properties
+        .distressSummary,
+    ).toBe("坑槽(重, 0.5m2); rutting");
+  });
+
+  it("toKml - 应按 IRI 等级引用样式并转义照片链接", () => {
+    const kml = toKml(records, { name: "测试<任务>", distressNames });
+    expect(kml).toContain("<name>测试&lt;任务&gt;</name>");
+    expect(kml).toContain("<name>坑槽(重, 0.5m2); rutting</name>");
+    expect(kml).toContain("<name>巡检记录</name>");
+    // #00E676 -> ff76e600 (aabbggrr)
+    expect(kml).toContain("<color>ff76e600</color>");
+    expect(kml).toContain("<styleUrl>#iri-good</styleUrl>");
+    expect(kml).toContain("<styleUrl>#iri-none</styleUrl>");
+    expect(kml).toContain("http://oss/r1.jpg?a=1&amp;b=2");
+    expect(kml).toContain("<coordinates>104.06,30.64,0</coordinates>");
+  });
+
+  it("toCsv - 应输出表头与转义后的行", () => {
+    const csv = toCsv(records, { distressNames });
+    const lines = csv
+      .replace(/^\uFEFF/, "")
+      .trim()
+      .split("\r\n");
+    expect(csv.startsWith("\uFEFF")).toBe(true);
+    expect(lines[0]).toBe(
+      "recordId,taskId,captureTime,rawLat,rawLng,address,iri,grade,distresses,serverUrl",
+    );
+    expect(lines[1]).toContain('"人民南路, 3段"');
+    expect(lines[1]).toContain(',1.5,优,"坑槽(重, 0.5m2); rutting",');
+    expect(lines[2]).toBe(
+      "r2,t1,2026-01-02T00:00:00.000Z,30.65,104.07,,,,,http://oss/r2.jpg",
+    );
+  });
+
+  it("serializeRecords - 不支持的格式应抛出异常", () => {
+    expect(() => serializeRecords("shp", records)).toThrow();
+  });
+});
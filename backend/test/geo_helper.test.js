@@ -0,0 +1,74 @@
+/**
+ * @file geo_helper.test.js
+ * @description 地理计算工具单元测试 (纯函数，无需数据库)
+ */
+
+import {
+  bboxOf,
+  haversineDistance,
+  isValidLngLat,
+  polylineLength,
+  projectOntoPolyline,
+  ringToPolygon,
+} from "../utils/geo_helper.js";
+
+describe("🧭 geo_helper", () => {
+  it("haversineDistance - 赤道上经度相差 0.001 度约 111 米", () => {
+    const d = haversineDistance([0, 0], [0.001, 0]);
+    expect(d).toBeGreaterThan(110);
+    expect(d).toBeLessThan(112);
+  });
+
+  it("isValidLngLat - 应拒绝越界与非数字坐标", () => {
+    expect(isValidLngLat(104.1, 30.5)).toBe(true);
+    expect(isValidLngLat(181, 30)).toBe(false);
+    expect(isValidLngLat(104, -91)).toBe(false);
+    expect(isValidLngLat(NaN, 30)).toBe(false);
+  });
+
+  it("projectOntoPolyline - 应返回偏移距离与沿线里程", () => {
+    // 一条沿纬线向东的折线，总长约 222 米
+    const line = [
+      [104.0, 30.0],
+      [104.001, 30.0],
+      [104.002, 30.0],
+    ];
+    // 位于第二段中点正北约 11 米处
+    const { offset, distanceAlong, segmentIndex } = projectOntoPolyline(
+      [104.0015, 30.0001],
+      line,
+    );
+
+    expect(segmentIndex).toBe(1);
+    expect(offset).toBeGreaterThan(10);
+    expect(offset).toBeLessThan(12);
+    expect(distanceAlong).toBeCloseTo(polylineLength(line) * 0.75, -1);
+  });
+
+  it("bboxOf - 缓冲距离应向四周外扩", () => {
+    const [minLng, minLat, maxLng, maxLat] = bboxOf(
+      [
+        [104.0, 30.0],
+        [104.01, 30.01],
+      ],
+      100,
+    );
+    expect(minLng).toBeLessThan(104.0);
+    expect(minLat).toBeLessThan(30.0);
+    expect(maxLng).toBeGreaterThan(104.01);
+    expect(maxLat).toBeGreaterThan(30.01);
+    // 100 米约合 0.0009 度纬度
+    expect(30.0 - minLat).toBeCloseTo(0.0009, 4);
+  });
+
+  it("ringToPolygon - 未闭合的顶点应自动闭合", () => {
+    const polygon = ringToPolygon([
+      [0, 0],
+      [1, 0],
+      [1, 1],
+    ]);
+    const ring = polygon.coordinates[0];
+    expect(ring).toHaveLength(4);
+    expect(ring[3]).toEqual([0, 0]);
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * @file local_storage_helper.test.js
+ * @description 本地磁盘存储驱动单元测试 (使用临时目录，无需数据库)
+ */
+
+import { mkdtemp, rm } from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { Readable } from "node:stream";
+import { storage } from "../config/config.js";
+import {
+  createUploadCredentials,
+  normalizeObjectKey,
+  openObject,
+  saveObject,
+  verifyUploadSignature,
+} from "../utils/local_storage_helper.js";
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+describe("💽 local_storage_helper", () => {
+  const original = { ...storage.local };
+
+  beforeAll(async () => {
+    storage.local.rootDir = await mkdtemp(path.join(os.tmpdir(), "storage-"));
+    storage.local.signingSecret = "test_signing_secret";
+    storage.local.publicUrl = "http://lab.local:3000";
+  });
+
+  afterAll(async () => {
+    await rm(storage.local.rootDir, { recursive: true, force: true });
+    Object.assign(storage.local, original);
+  });
+
+  it("normalizeObjectKey - 应拒绝路径穿越与非法字符", () => {
+    expect(normalizeObjectKey("images/t1/1700_a.jpg")).toBe(
+      "images/t1/1700_a.jpg",
+    );
+    expect(normalizeObjectKey("images/../etc/passwd")).toBeNull();
+    expect(normalizeObjectKey("/abs/path.jpg")).toBeNull();
+    expect(normalizeObjectKey("images//a.jpg")).toBeNull();
+    expect(normalizeObjectKey("images/a b.jpg")).toBeNull();
+    expect(normalizeObjectKey("")).toBeNull();
+  });
+
+  it("createUploadCredentials - 签名应覆盖前缀与过期时间", () => {
+    const cred = createUploadCredentials({ prefix: "images/" });
+    expect(cred.provider).toBe("local");
+    expect(cred.uploadUrl).toBe("http://lab.local:3000/storage/local");
+
+    expect(verifyUploadSignature("images/t1/a.jpg", cred)).toBeNull();
+    expect(verifyUploadSignature("other/a.jpg", cred)).toBe(
+      "文件路径超出授权范围",
+    );
+    expect(
+      verifyUploadSignature("images/t1/a.jpg", { ...cred, prefix: "" }),
+    ).toBe("签名无效");
+    expect(
+      verifyUploadSignature("images/t1/a.jpg", {
+        ...cred,
+        expires: cred.expires + 60,
+      }),
+    ).toBe("签名无效");
+    expect(verifyUploadSignature("images/t1/a.jpg", {})).toBe("缺少签名参数");
+  });
+
+  it("verifyUploadSignature - 过期的签名应被拒绝", () => {
+    const cred = createUploadCredentials({ prefix: "images/" });
+    jest.spyOn(Date, "now").mockReturnValue((cred.expires + 1) * 1000);
+    try {
+      expect(verifyUploadSignature("images/a.jpg", cred)).toBe("链接已过期");
+    } finally {
+      Date.now.mockRestore();
+    }
+  });
+
+  it("saveObject / openObject - 应写入并读回文件", async () => {
+    const size = await saveObject(
+      "images/t1/a.jpg",
+      Readable.from([Buffer.from("fake-jpeg")]),
+    );
+    expect(size).toBe(9);
+
+    const object = await openObject("images/t1/a.jpg");
+    expect(object.contentType).toBe("image/jpeg");
+    expect((await readAll(object.stream)).toString()).toBe("fake-jpeg");
+    expect(await openObject("images/t1/missing.jpg")).toBeNull();
+  });
+
+  it("saveObject - 超过大小上限应报错且不留下文件", async () => {
+    storage.local.maxObjectSize = 4;
+    try {
+      await expect(
+        saveObject("images/t1/big.jpg", Readable.from([Buffer.alloc(8)])),
+      ).rejects.toMatchObject({ code: "OBJECT_TOO_LARGE" });
+      expect(await openObject("images/t1/big.jpg")).toBeNull();
+    } finally {
+      storage.local.maxObjectSize = original.maxObjectSize;
+    }
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * @file login_limit_helper.test.js
+ * @description 登录防暴力破解计算逻辑单元测试 (纯函数，无需数据库)
+ */
+
+import {
+  computeBlock,
+  getRetryAfterSeconds,
+  userAttemptKey,
+} from "../utils/login_limit_helper.js";
+
+const limits = {
+  baseDelayMs: 1000,
+  maxDelayMs: 8000,
+  lockDurationMs: 60000,
+};
+const policy = { backoffAfter: 3, maxFailures: 10 };
+const now = 1700000000000;
+
+describe("🔒 login_limit_helper", () => {
+  it("computeBlock - 未达到退避阈值时不封禁", () => {
+    expect(computeBlock(2, policy, limits, now)).toEqual({
+      blockedUntil: null,
+      locked: false,
+    });
+  });
+
+  it("computeBlock - 退避时间应指数增长并受上限约束", () => {
+    const delays = [3, 4, 5, 6, 7].map(
+      (n) => computeBlock(n, policy, limits, now).blockedUntil - now,
+    );
+    expect(delays).toEqual([1000, 2000, 4000, 8000, 8000]);
+  });
+
+  it("computeBlock - 达到失败上限应锁定", () => {
+    expect(computeBlock(10, policy, limits, now)).toEqual({
+      blockedUntil: now + 60000,
+      locked: true,
+    });
+  });
+
+  it("getRetryAfterSeconds - 应向上取整且至少为 1 秒", () => {
+    expect(getRetryAfterSeconds(now + 1500, now)).toBe(2);
+    expect(getRetryAfterSeconds(now - 10, now)).toBe(1);
+  });
+
+  it("userAttemptKey - 用户名不区分大小写", () => {
+    expect(userAttemptKey(" Inspector_Zhang ")).toBe("user:inspector_zhang");
+  });
+});
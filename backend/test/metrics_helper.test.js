@@ -0,0 +1,74 @@
+/**
+ * @file metrics_helper.test.js
+ * @description Prometheus 指标工具单元测试 (纯函数，无需数据库)
+ */
+
+import { createRegistry, formatLabels } from "../utils/metrics_helper.js";
+
+describe("📈 metrics_helper", () => {
+  it("formatLabels - 应转义标签值，无标签时返回空串", () => {
+    expect(formatLabels({})).toBe("");
+    expect(formatLabels({ route: '/a"b\\c\nd', status: 200 })).toBe(
+      '{route="/a\\"b\\\\c\\nd",status="200"}',
+    );
+  });
+
+  it("counter - 相同标签 (与顺序无关) 应累加", async () => {
+    const registry = createRegistry();
+    const counter = registry.counter("demo_total", "示例计数");
+    counter.inc({ a: "1", b: "2" });
+    counter.inc({ b: "2", a: "1" }, 2);
+    counter.inc({ a: "x", b: "2" });
+
+    const text = await registry.render();
+    expect(text).toContain(
+      "# HELP demo_total 示例计数\n# TYPE demo_total counter",
+    );
+    expect(text).toContain('demo_total{a="1",b="2"} 3');
+    expect(text).toContain('demo_total{a="x",b="2"} 1');
+  });
+
+  it("histogram - 应输出累计分桶、_sum 与 _count", async () => {
+    const registry = createRegistry();
+    const histogram = registry.histogram("latency_seconds", "耗时", {
+      buckets: [1, 0.1],
+    });
+    histogram.observe({ route: "/a" }, 0.05);
+    histogram.observe({ route: "/a" }, 0.5);
+    histogram.observe({ route: "/a" }, 3);
+
+    const lines = (await registry.render()).split("\n");
+    expect(lines).toEqual(
+      expect.arrayContaining([
+        'latency_seconds_bucket{route="/a",le="0.1"} 1',
+        'latency_seconds_bucket{route="/a",le="1"} 2',
+        'latency_seconds_bucket{route="/a",le="+Inf"} 3',
+        'latency_seconds_sum{route="/a"} 3.55',
+        'latency_seconds_count{route="/a"} 3',
+      ]),
+    );
+  });
+
+  it("gauge - collect 失败时只输出 HELP / TYPE，不影响其他指标", async () => {
+    const registry = createRegistry();
+    registry.gauge("broken", "采集失败", {
+      collect: async () => {
+        throw new Error("db down");
+      },
+    });
+    registry.gauge("tasks", "任务数", {
+      collect: (gauge) => gauge.set({}, 7),
+    });
+
+    const text = await registry.render();
+    expect(text).toBe(
+      "# HELP broken 采集失败\n# TYPE broken gauge\n# HELP tasks 任务数\n# TYPE tasks gauge\ntasks 7\n",
+    );
+  });
+
+  it("重复注册同名指标应抛出异常", () => {
+    const registry = createRegistry();
+    registry.counter("dup_total", "x");
+    expect(() => registry.gauge("dup_total", "y")).toThrow("指标重复注册");
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * @file pagination_helper.test.js
+ * @description 游标分页工具单元测试 (纯函数，无需数据库)
+ */
+
+import {
+  buildCursorFilter,
+  decodeCursor,
+  encodeCursor,
+  parseLimit,
+  slicePage,
+} from "../utils/pagination_helper.js";
+
+const ID = "507f1f77bcf86cd799439011";
+
+describe("📄 pagination_helper", () => {
+  it("encodeCursor / decodeCursor - 应能往返编码", () => {
+    const cursor = encodeCursor(1700000000000, ID);
+    expect(decodeCursor(cursor)).toEqual({ value: 1700000000000, id: ID });
+  });
+
+  it("decodeCursor - 非法游标应返回 null", () => {
+    expect(decodeCursor("not-a-cursor")).toBeNull();
+    expect(decodeCursor(encodeCursor({ $gt: 1 }, ID))).toBeNull();
+    expect(decodeCursor(encodeCursor(1, "bad-id"))).toBeNull();
+  });
+
+  it("parseLimit - 应限制在 1 ~ 100 之间", () => {
+    expect(parseLimit(undefined)).toBe(20);
+    expect(parseLimit("0")).toBe(20);
+    expect(parseLimit("-5")).toBe(1);
+    expect(parseLimit("500")).toBe(100);
+  });
+
+  it("buildCursorFilter - 倒序时应取更小的值，并以 _id 打破平局", () => {
+    expect(buildCursorFilter("startTime", -1, { value: 10, id: ID })).toEqual({
+      $or: [{ startTime: { $lt: 10 } }, { startTime: 10, _id: { $lt: ID } }],
+    });
+  });
+
+  it("slicePage - 多取的一条用于判断是否有下一页", () => {
+    const docs = [1, 2, 3].map((n) => ({
+      _id: `${ID.slice(0, -1)}${n}`,
+      t: n,
+    }));
+
+    const more = slicePage(docs, 2, "t");
+    expect(more.items).toHaveLength(2);
+    expect(decodeCursor(more.nextCursor)).toEqual({
+      value: 2,
+      id: docs[1]._id,
+    });
+
+    const last = slicePage(docs, 3, "t");
+    expect(last.nextCursor).toBeNull();
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * @file password_helper.test.js
+ * @description 密码策略校验单元测试 (纯函数，无需数据库)
+ */
+
+import {
+  checkPassword,
+  describePasswordPolicy,
+} from "../utils/password_helper.js";
+
+const policy = {
+  minLength: 8,
+  maxLength: 72,
+  requiredClasses: ["letter", "digit"],
+};
+
+describe("🔑 password_helper", () => {
+  it("describePasswordPolicy - 应列出长度与字符类别", () => {
+    expect(describePasswordPolicy(policy)).toBe("8~72 位，须包含字母、数字");
+    expect(describePasswordPolicy({ ...policy, requiredClasses: [] })).toBe(
+      "8~72 位",
+    );
+  });
+
+  it("checkPassword - 符合策略时返回 null", () => {
+    expect(checkPassword("password123", policy)).toBeNull();
+    expect(checkPassword("a1b2c3d4", policy)).toBeNull();
+  });
+
+  it("checkPassword - 长度不足或超长应返回错误", () => {
+    expect(checkPassword("abc123", policy)).toBe(
+      "不符合密码要求 (8~72 位，须包含字母、数字)",
+    );
+    expect(checkPassword(`a1${"x".repeat(71)}`, policy)).not.toBeNull();
+  });
+
+  it("checkPassword - 缺少必需的字符类别应返回错误", () => {
+    expect(checkPassword("abcdefgh", policy)).not.toBeNull();
+    expect(checkPassword("12345678", policy)).not.toBeNull();
+
+    const strict = {
+      ...policy,
+      requiredClasses: ["lower", "upper", "digit", "symbol"],
+    };
+    expect(checkPassword("Passw0rd!", strict)).toBeNull();
+    expect(checkPassword("passw0rd!", strict)).not.toBeNull();
+    expect(checkPassword("Password1", strict)).not.toBeNull();
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * @file record_helper.test.js
+ * @description 记录提交数据转换单元测试 (纯函数，无需数据库)
+ */
+
+import {
+  buildDistressIndex,
+  DEFAULT_DISTRESS_TYPES,
+} from "../utils/distress_helper.js";
+import { normalizeRecordInput } from "../utils/record_helper.js";
+
+const valid = {
+  recordId: "r1",
+  taskId: "t1",
+  serverUrl: "http://oss/images/u1/t1/r1.jpg",
+  captureTime: 1700000000000,
+  latitude: 30.5,
+  longitude: 104.1,
+};
+const options = {
+  uploaderId: "u1",
+  distressIndex: buildDistressIndex(DEFAULT_DISTRESS_TYPES),
+};
+
+describe("📷 record_helper", () => {
+  it("normalizeRecordInput - 应转换为 GeoJSON [Lng, Lat] 并保留原始经纬度", () => {
+    const { record, errors } = normalizeRecordInput(valid, options);
+    expect(errors).toBeUndefined();
+    expect(record.location).toEqual({
+      type: "Point",
+      coordinates: [104.1, 30.5],
+    });
+    expect(record.rawLat).toBe(30.5);
+    expect(record.rawLng).toBe(104.1);
+    expect(record.iri).toBeNull();
+  });
+
+  it("normalizeRecordInput - 缺少必填字段或坐标越界应返回逐字段 errors", () => {
+    expect(normalizeRecordInput(null, options).errors).toHaveLength(1);
+    expect(
+      normalizeRecordInput({ ...valid, recordId: "" }, options).errors,
+    ).toEqual([{ field: "recordId", message: "不能为空" }]);
+    expect(
+      normalizeRecordInput({ ...valid, captureTime: "abc" }, options).errors[0]
+        .field,
+    ).toBe("captureTime");
+    expect(
+      normalizeRecordInput({ ...valid, latitude: 91 }, options).errors[0].field,
+    ).toBe("latitude");
+  });
+
+  it("normalizeRecordInput - 秒级或远未来的 captureTime 应被拒绝", () => {
+    expect(
+      normalizeRecordInput({ ...valid, captureTime: 1700000000 }, options)
+        .errors,
+    ).toBeDefined();
+    expect(
+      normalizeRecordInput(
+        {
+          ...valid,
+          captureTime: Date.now() + 7 * 24 * 3600 * 1000,
+        },
+        options,
+      ).errors,
+    ).toBeDefined();
+  });
+
+  it("normalizeRecordInput - serverUrl 不在提交者的上传目录内应被拒绝", () => {
+    const outside = [
+      "http://oss/images/u2/t1/r1.jpg", // 其他用户
+      "http://oss/images/u1/t2/r1.jpg", // 其他任务
+      "http://oss/images/t1/r1.jpg", // 旧版不含用户的路径
+    ];
+    outside.forEach((serverUrl) => {
+      expect(
+        normalizeRecordInput({ ...valid, serverUrl }, options).errors,
+      ).toEqual([{ field: "serverUrl", message: "不在当前用户的上传目录内" }]);
+    });
+  });
+
+  it("normalizeRecordInput - 旧版 pavementDistress 应按字典转换为病害条目", () => {
+    const { record } = normalizeRecordInput(
+      { ...valid, pavementDistress: "坑槽,网裂" },
+      options,
+    );
+    expect(record.distresses.map((d) => d.type)).toEqual([
+      "pothole",
+      "alligator_crack",
+    ]);
+    expect(record.pavementDistress).toBeUndefined();
+    expect(normalizeRecordInput(valid, options).record.distresses).toEqual([]);
+  });
+
+  it("normalizeRecordInput - distresses 优先于旧字段，非法条目返回逐字段 errors", () => {
+    const { record } = normalizeRecordInput(
+      {
+        ...valid,
+        pavementDistress: "泛油",
+        distresses: [{ type: "rutting", severity: "severe", extent: 12 }],
+      },
+      options,
+    );
+    expect(record.distresses).toEqual([
+      expect.objectContaining({ type: "rutting", unit: "m", extent: 12 }),
+    ]);
+
+    const { errors } = normalizeRecordInput(
+      { ...valid, distresses: [{ type: "rutting", severity: "bad" }] },
+      options,
+    );
+    expect(errors[0].field).toBe("distresses[0].severity");
+  });
+});
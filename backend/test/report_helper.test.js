@@ -0,0 +1,125 @@
+/**
+ * @file report_helper.test.js
+ * @description IRI 分段报表单元测试 (纯函数，无需数据库)
+ */
+
+import {
+  buildIriReport,
+  chainageAtTime,
+  gradeIri,
+} from "../utils/report_helper.js";
+
+/** 生成沿纬线向东、每秒 10 米、每 5 个点带一段 50 米 IRI 的轨迹 */
+const makeTrack = (count, iriOf) =>
+  Array.from({ length: count }, (_, n) => ({
+    t: 1000 + n * 1000,
+    lat: 30,
+    lng: 104 + n * 0.0001,
+    distance: n * 10,
+    iri: n > 0 && n % 5 === 0 ? iriOf(n) : null,
+    segmentLength: n > 0 && n % 5 === 0 ? 50 : null,
+  }));
+
+const makeRecord = (captureTime, iri, types = []) => ({
+  captureTime,
+  iri,
+  distresses: types.map((type) => ({ type, severity: null })),
+  location: { type: "Point", coordinates: [104, 30] },
+});
+
+describe("📊 report_helper", () => {
+  it("gradeIri - 应与 HUD 的 getIriColor 区间一致 (上限含边界)", () => {
+    expect(gradeIri(2).key).toBe("good");
+    expect(gradeIri(2.01).key).toBe("fair");
+    expect(gradeIri(4).key).toBe("fair");
+    expect(gradeIri(6).key).toBe("moderate");
+    expect(gradeIri(8).key).toBe("poor");
+    expect(gradeIri(8.5).key).toBe("bad");
+    expect(gradeIri(null)).toBeNull();
+  });
+
+  it("chainageAtTime - 应在轨迹时间上线性插值", () => {
+    const chain = [
+      { t: 0, d: 0 },
+      { t: 10, d: 100 },
+    ];
+    expect(chainageAtTime(chain, 5)).toBe(50);
+    expect(chainageAtTime(chain, -1)).toBe(0);
+    expect(chainageAtTime(chain, 99)).toBe(100);
+  });
+
+  it("buildIriReport - 轨迹模式应按 100 米分段并计算加权均值与等级占比", () => {
+    // 0~200m 路段 IRI=1.5 (优)，200~400m 路段 IRI=7 (次)
+    const trackPoints = makeTrack(41, (n) => (n <= 20 ? 1.5 : 7));
+    const records = [
+      makeRecord(1000 + 5000, 1.5, ["alligator_crack"]), // 约 50m 处
+      makeRecord(1000 + 30000, 7, ["pothole", "subsidence", "pothole"]), // 约 300m 处
+    ];
+
+    const { source, segments, summary } = buildIriReport({
+      trackPoints,
+      records,
+      segmentLength: 100,
+    });
+
+    expect(source).toBe("track");
+    expect(segments).toHaveLength(4);
+    expect(segments[0].meanIri).toBe(1.5);
+    expect(segments[0].grade).toBe("good");
+    expect(segments[3].meanIri).toBe(7);
+    expect(segments[3].grade).toBe("poor");
+
+    expect(segments[0].distress).toEqual({ alligator_crack: 1 });
+    expect(segments[3].distressCount).toBe(2);
+
+    expect(summary.totalLength).toBe(400);
+    expect(summary.weightedAvgIri).toBeCloseTo(4.25, 2);
+    expect(summary.bandPercent.good).toBe(50);
+    expect(summary.bandPercent.poor).toBe(50);
+    expect(summary.distressTotals).toEqual({
+      alligator_crack: 1,
+      pothole: 1,
+      subsidence: 1,
+    });
+  });
+
+  it("buildIriReport - 审核驳回的记录不计病害，IRI 照常统计", () => {
+    const records = [
+      makeRecord(1, 3, ["pothole"]),
+      {
+        ...makeRecord(2, 5, ["pothole", "rutting"]),
+        review: { status: "rejected" },
+      },
+      { ...makeRecord(3, 4, ["rutting"]), review: { status: "corrected" } },
+    ];
+
+    const { segments, summary } = buildIriReport({
+      trackPoints: [],
+      records,
+      segmentLength: 100,
+    });
+
+    expect(segments[0].recordCount).toBe(3);
+    expect(segments[0].meanIri).toBe(4);
+    expect(summary.distressTotals).toEqual({ pothole: 1, rutting: 1 });
+  });
+
+  it("buildIriReport - 无轨迹时应退化为按记录统计", () => {
+    const records = [
+      { ...makeRecord(1, 3), location: { coordinates: [104, 30] } },
+      { ...makeRecord(2, 5), location: { coordinates: [104.0005, 30] } },
+    ];
+
+    const { source, segments, summary } = buildIriReport({
+      trackPoints: [],
+      records,
+      segmentLength: 100,
+    });
+
+    expect(source).toBe("records");
+    expect(summary.totalLength).toBeGreaterThan(40);
+    expect(segments).toHaveLength(1);
+    expect(segments[0].meanIri).toBe(4);
+    expect(segments[0].grade).toBe("fair");
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * @file review_helper.test.js
+ * @description 病害记录审核辅助函数单元测试 (纯函数，无需数据库)
+ */
+
+import {
+  buildReviewStatusFilter,
+  buildReviewUpdate,
+  getReviewStatus,
+  parseReviewStatuses,
+} from "../utils/review_helper.js";
+
+const reviewer = { id: "665f1f77bcf86cd799439011", username: "reviewer_1" };
+const now = Date.UTC(2026, 0, 1);
+
+describe("🧐 review_helper", () => {
+  it("parseReviewStatuses - 默认 pending，all 表示不过滤", () => {
+    expect(parseReviewStatuses(undefined)).toEqual(["pending"]);
+    expect(parseReviewStatuses("")).toEqual(["pending"]);
+    expect(parseReviewStatuses("confirmed, rejected,confirmed")).toEqual([
+      "confirmed",
+      "rejected",
+    ]);
+    expect(parseReviewStatuses("all")).toBeNull();
+  });
+
+  it("buildReviewStatusFilter - pending 同时匹配没有 review 字段的旧记录", () => {
+    expect(buildReviewStatusFilter(["pending"])).toEqual({
+      "review.status": { $in: ["pending", null] },
+    });
+    expect(buildReviewStatusFilter(["rejected"])).toEqual({
+      "review.status": { $in: ["rejected"] },
+    });
+    expect(buildReviewStatusFilter(null)).toEqual({});
+  });
+
+  it("getReviewStatus - 旧记录视为 pending", () => {
+    expect(getReviewStatus({})).toBe("pending");
+    expect(getReviewStatus({ review: { status: "rejected" } })).toBe(
+      "rejected",
+    );
+  });
+
+  it("buildReviewUpdate - 确认与驳回只更新审核信息", () => {
+    const { $set } = buildReviewUpdate(
+      { distresses: [{ type: "pothole" }] },
+      { status: "rejected", comment: "  非路面病害  " },
+      reviewer,
+      now,
+    );
+    expect($set).toEqual({
+      "review.status": "rejected",
+      "review.reviewerId": reviewer.id,
+      "review.reviewerName": "reviewer_1",
+      "review.reviewedAt": new Date(now),
+      "review.comment": "非路面病害",
+    });
+  });
+
+  it("buildReviewUpdate - 首次修正保存原条目，再次修正不覆盖", () => {
+    const original = [{ type: "pothole", severity: "light" }];
+    const corrected = [{ type: "rutting", severity: "severe" }];
+
+    const first = buildReviewUpdate(
+      { distresses: original },
+      { status: "corrected", distresses: corrected },
+      reviewer,
+      now,
+    );
+    expect(first.$set.distresses).toBe(corrected);
+    expect(first.$set["review.originalDistresses"]).toBe(original);
+    expect(first.$set["review.comment"]).toBeNull();
+
+    const second = buildReviewUpdate(
+      {
+        distresses: corrected,
+        review: { status: "corrected", originalDistresses: original },
+      },
+      { status: "corrected", distresses: [] },
+      reviewer,
+      now,
+    );
+    expect(second.$set.distresses).toEqual([]);
+    expect(Object.keys(second.$set)).not.toContain("review.originalDistresses");
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * @file road_helper.test.js
+ * @description 路网匹配与桩号计算单元测试 (纯函数，无需数据库)
+ */
+
+import { haversineDistance, polylineLength } from "../utils/geo_helper.js";
+import {
+  buildRoadMatch,
+  findOverlappingSection,
+  formatStake,
+  matchPoint,
+  matchTrack,
+  sliceCentreline,
+} from "../utils/road_helper.js";
+
+// 道路 A 沿经线向北约 1112 米，起点桩号 K12+000；道路 B 沿纬线向东，在 A 的中点与其相交
+const roadA = {
+  _id: "road-a",
+  code: "G101",
+  startChainage: 12000,
+  centreline: {
+    coordinates: [
+      [104, 30],
+      [104, 30.005],
+      [104, 30.01],
+    ],
+  },
+};
+const roadB = {
+  _id: "road-b",
+  code: "S203",
+  startChainage: 0,
+  centreline: {
+    coordinates: [
+      [103.995, 30.005],
+      [104.005, 30.005],
+    ],
+  },
+};
+const roads = [roadA, roadB];
+
+describe("🛣️ road_helper", () => {
+  it("formatStake - 按米四舍五入并格式化为 K公里+米", () => {
+    expect(formatStake(12340)).toBe("K12+340");
+    expect(formatStake(5.4)).toBe("K0+005");
+    expect(formatStake(999.6)).toBe("K1+000");
+    expect(formatStake(0)).toBe("K0+000");
+  });
+
+  it("sliceCentreline - 按里程截取折线并在端点插值", () => {
+    const line = roadA.centreline.coordinates;
+    const slice = sliceCentreline(line, 100, 700);
+
+    expect(slice).toHaveLength(3);
+    expect(slice[1]).toEqual([104, 30.005]);
+    expect(haversineDistance(line[0], slice[0])).toBeCloseTo(100, 1);
+    expect(polylineLength(slice)).toBeCloseTo(600, 1);
+
+    // 区间落在同一线段内时只有两个端点
+    expect(sliceCentreline(line, 10, 20)).toHaveLength(2);
+  });
+
+  it("matchPoint - 选最近的道路，优先道路在匹配距离内时优先选用", () => {
+    // 道路 A 东侧约 9.6 米
+    const match = matchPoint([104.0001, 30.002], roads, { maxOffset: 30 });
+    expect(match.road.code).toBe("G101");
+    expect(match.chainage).toBeCloseTo(12222.4, 0);
+    expect(match.offset).toBeCloseTo(9.6, 0);
+
+    // 距两条道路都约 96 米
+    expect(matchPoint([104.001, 30.002], roads, { maxOffset: 30 })).toBeNull();
+
+    // 交叉口附近：B 更近，但优先匹配 A
+    const junction = [104.0001, 30.00501];
+    expect(matchPoint(junction, roads, { maxOffset: 30 }).road.code).toBe(
+      "S203",
+    );
+    expect(
+      matchPoint(junction, roads, {
+        maxOffset: 30,
+        preferredRoadIds: [null, "road-a"],
+      }).road.code,
+    ).toBe("G101");
+  });
+
+  it("matchTrack - 经过交叉口时沿用上一个点所在的道路", () => {
+    const track = [103.999, 103.9995, 104, 104.0005].map((lng) => ({
+      lng,
+      lat: 30.005,
+    }));
+
+    // 交叉口处 (104, 30.005) 与两条道路的距离均为 0，单点匹配会取 A
+    expect(matchPoint([104, 30.005], roads, { maxOffset: 30 }).road.code).toBe(
+      "G101",
+    );
+    expect(
+      matchTrack(track, roads, { maxOffset: 30 }).map((m) => m.road.code),
+    ).toEqual(["S203", "S203", "S203", "S203"]);
+
+    // 任务计划巡检 A：第一个点就在交叉口时匹配到 A，之后离开 A 超过匹配距离时切换到 B
+    const fromJunction = matchTrack(track.slice(2), roads, {
+      maxOffset: 30,
+      plannedRoadId: "road-a",
+    });
+    expect(fromJunction.map((m) => m.road.code)).toEqual(["G101", "S203"]);
+  });
+
+  it("buildRoadMatch - 附带桩号文本与所在路段", () => {
+    const sections = [
+      {
+        _id: "sec-1",
+        roadId: "road-a",
+        startChainage: 12000,
+        endChainage: 12100,
+      },
+      {
+        _id: "sec-2",
+        roadId: "road-a",
+        startChainage: 12100,
+        endChainage: 12500,
+      },
+      { _id: "sec-3", roadId: "road-b", startChainage: 0, endChainage: 1000 },
+    ];
+    const match = matchPoint([104.0001, 30.002], roads, { maxOffset: 30 });
+
+    expect(buildRoadMatch(match, sections)).toEqual({
+      roadId: "road-a",
+      code: "G101",
+      sectionId: "sec-2",
+      chainage: 12222.4,
+      stake: "K12+222",
+      offset: 9.6,
+    });
+    expect(buildRoadMatch(match).sectionId).toBeNull();
+    expect(buildRoadMatch(null)).toBeNull();
+  });
+
+  it("findOverlappingSection - 区间首尾相接不算重叠，修改时排除自身", () => {
+    const sections = [
+      { _id: "a", startChainage: 0, endChainage: 100 },
+      { _id: "b", startChainage: 200, endChainage: 300 },
+    ];
+    expect(findOverlappingSection(sections, 100, 200)).toBeNull();
+    expect(findOverlappingSection(sections, 50, 150)._id).toBe("a");
+    expect(findOverlappingSection(sections, 150, 250)._id).toBe("b");
+    expect(findOverlappingSection(sections, 180, 320, "b")).toBeNull();
+  });
+});
@@ -0,0 +1,33 @@
+/**
+ * @file session_helper.test.js
+ * @description 登录会话辅助工具单元测试 (纯函数，无需数据库)
+ */
+
+import { hashToken, parseDeviceName } from "../utils/session_helper.js";
+
+describe("🔑 session_helper", () => {
+  it("hashToken - 相同 Token 哈希一致，且不包含原文", () => {
+    const token = "header.payload.signature";
+    expect(hashToken(token)).toBe(hashToken(token));
+    expect(hashToken(token)).toMatch(/^[a-f\d]{64}$/);
+    expect(hashToken(`${token}x`)).not.toBe(hashToken(token));
+  });
+
+  it("parseDeviceName - 应从 Android WebView 的 UA 中解析机型与系统版本", () => {
+    expect(
+      parseDeviceName(
+        "Mozilla/5.0 (Linux; Android 14; Pixel 7 Build/UQ1A.240205.002; wv) AppleWebKit/537.36 (KHTML, like Gecko) Version/4.0 Chrome/120.0 Mobile Safari/537.36",
+      ),
+    ).toBe("Pixel 7 (Android 14)");
+    expect(
+      parseDeviceName(
+        "Mozilla/5.0 (Linux; Android 10; K) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Mobile Safari/537.36",
+      ),
+    ).toBe("K (Android 10)");
+  });
+
+  it("parseDeviceName - 无法识别的 UA 应返回 null", () => {
+    expect(parseDeviceName("okhttp/3.14.9")).toBeNull();
+    expect(parseDeviceName(undefined)).toBeNull();
+  });
+});
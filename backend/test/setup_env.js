@@ -0,0 +1,10 @@
+/**
+ * @file setup_env.js
+ * @description Jest 全局环境变量 (在加载任何测试文件与被测模块之前执行)
+ * config.js 在导入时校验必填的环境变量，未提供 .env 时使用测试专用的 JWT 配置。
+ */
+
+process.env.JWT_ACCESS_SECRET ??= "test_access_secret";
+process.env.JWT_REFRESH_SECRET ??= "test_refresh_secret";
+process.env.ACCESS_TOKEN_EXPIRES ??= "15m";
+process.env.REFRESH_TOKEN_EXPIRES ??= "7d";
@@ -0,0 +1,90 @@
+/**
+ * @file storage_helper.test.js
+ * @description 对象存储抽象层单元测试 (使用 local 驱动，无需阿里云)
+ */
+
+import { storage } from "../config/config.js";
+import { verifyReadSignature } from "../utils/local_storage_helper.js";
+import {
+  getStorageDriver,
+  getUploadCredentials,
+  isOwnUpload,
+  signPhotoUrls,
+} from "../utils/storage_helper.js";
+
+describe("🗄️ storage_helper", () => {
+  const original = { provider: storage.provider, ...storage.local };
+
+  beforeAll(() => {
+    storage.provider = "local";
+    storage.local.publicUrl = "http://lab.local:3000";
+    storage.local.signingSecret = "test_signing_secret";
+  });
+
+  afterAll(() => {
+    storage.provider = original.provider;
+    storage.local.publicUrl = original.publicUrl;
+    storage.local.signingSecret = original.signingSecret;
+  });
+
+  it("getStorageDriver - 未知驱动应抛出异常", () => {
+    expect(() => getStorageDriver("s3")).toThrow("未知的存储驱动");
+  });
+
+  it("aliyun getObjectKey - 应从 Bucket 或 CDN 地址中解析 ObjectKey", () => {
+    const { getObjectKey } = getStorageDriver("aliyun");
+    expect(
+      getObjectKey(
+        "https://road.oss-cn-shanghai.aliyuncs.com/images/t1/1_a%20b.jpg",
+      ),
+    ).toBe("images/t1/1_a b.jpg");
+    expect(getObjectKey("not a url")).toBeNull();
+  });
+
+  it("signPhotoUrls - local 驱动应生成可校验的签名地址", () => {
+    const photo = signPhotoUrls(
+      "http://lab.local:3000/storage/local/images/t1/1_a.jpg",
+      { variants: ["thumb"] },
+    );
+    const url = new URL(photo.url);
+    expect(url.pathname).toBe("/storage/local/images/t1/1_a.jpg");
+    expect(
+      verifyReadSignature("images/t1/1_a.jpg", {
+        expires: url.searchParams.get("expires"),
+        signature: url.searchParams.get("signature"),
+      }),
+    ).toBeNull();
+    // 本地驱动不做图片处理，缩略图即原图
+    expect(photo.thumbnails.thumb).toBe(photo.url);
+    expect(photo.expiresAt).toBeGreaterThan(Date.now());
+  });
+
+  it("signPhotoUrls - 不属于当前存储的地址应返回 null", () => {
+    expect(signPhotoUrls("https://other.host/images/a.jpg")).toBeNull();
+  });
+
+  it("getUploadCredentials - 应按用户与任务限定 prefix 并在有效期内复用", async () => {
+    const first = await getUploadCredentials({ userId: "u1", taskId: "t1" });
+    expect(first.prefix).toBe("images/u1/t1/");
+
+    const again = await getUploadCredentials({ userId: "u1", taskId: "t1" });
+    expect(again).toBe(first);
+
+    const other = await getUploadCredentials({ userId: "u2", taskId: "t1" });
+    expect(other.prefix).toBe("images/u2/t1/");
+    expect(other.signature).not.toBe(first.signature);
+
+    const userRoot = await getUploadCredentials({ userId: "u1" });
+    expect(userRoot.prefix).toBe("images/u1/");
+  });
+
+  it("isOwnUpload - 只接受提交者自己任务目录下的地址", () => {
+    const base = "http://lab.local:3000/storage/local/images";
+    expect(isOwnUpload(`${base}/u1/t1/1_a.jpg`, "u1", "t1")).toBe(true);
+    expect(isOwnUpload(`${base}/u2/t1/1_a.jpg`, "u1", "t1")).toBe(false);
+    expect(isOwnUpload(`${base}/u1/t10/1_a.jpg`, "u1", "t1")).toBe(false);
+    expect(
+      isOwnUpload("https://other.host/images/u1/t1/a.jpg", "u1", "t1"),
+    ).toBe(false);
+  });
+});
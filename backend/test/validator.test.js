@@ -0,0 +1,131 @@
+/**
+ * @file validator.test.js
+ * @description 声明式参数校验单元测试 (纯函数，无需数据库)
+ */
+
+import { jest } from "@jest/globals";
+import {
+  formatErrors,
+  isSaneTimestamp,
+  MIN_TIMESTAMP,
+  validateSchema,
+} from "../utils/validator.js";
+
+describe("🛡️ validator", () => {
+  it("validateSchema - 合法数据应返回空数组", () => {
+    const errors = validateSchema(
+      {
+        name: { type: "string", required: true, max: 10 },
+        age: { type: "integer", min: 0 },
+        id: { type: "objectId" },
+        role: { type: "string", enum: ["admin", "inspector"] },
+      },
+      { name: "张三", age: 3, id: "507f1f77bcf86cd799439011", role: "admin" },
+    );
+    expect(errors).toEqual([]);
+  });
+
+  it("validateSchema - 应返回逐字段错误", () => {
+    const errors = validateSchema(
+      {
+        name: { type: "string", required: true },
+        age: { type: "integer" },
+        id: { type: "objectId" },
+        role: { type: "string", enum: ["admin", "inspector"] },
+        lat: { type: "latitude" },
+      },
+      { age: 1.5, id: "abc", role: "root", lat: 91 },
+    );
+    expect(errors.map((e) => e.field)).toEqual([
+      "name",
+      "age",
+      "id",
+      "role",
+      "lat",
+    ]);
+    expect(errors[0].message).toBe("不能为空");
+  });
+
+  it("validateSchema - coerce 模式应接受数字与布尔字符串", () => {
+    const schema = {
+      limit: { type: "integer", min: 1, max: 100 },
+      lng: { type: "longitude" },
+      flag: { type: "boolean" },
+    };
+    const query = { limit: "20", lng: "104.06", flag: "true" };
+    expect(validateSchema(schema, query, { coerce: true })).toEqual([]);
+    expect(validateSchema(schema, query)).toHaveLength(3);
+    expect(
+      validateSchema(schema, { limit: "500" }, { coerce: true })[0].message,
+    ).toBe("不能大于 100");
+  });
+
+  it("validateSchema - 数组元素与嵌套对象应带路径", () => {
+    const schema = {
+      line: {
+        type: "array",
+        min: 2,
+        items: { type: "array", min: 2, max: 2, items: { type: "number" } },
+      },
+      meta: { type: "object", shape: { name: { type: "string" } } },
+    };
+    const errors = validateSchema(schema, {
+      line: [[104, 30], [104, "x"], [1]],
+      meta: { name: 1 },
+    });
+    expect(errors.map((e) => e.field)).toEqual([
+      "line[1][1]",
+      "line[2]",
+      "meta.name",
+    ]);
+  });
+
+  it("validateSchema - url 应校验协议与域名白名单", () => {
+    const schema = {
+      url: { type: "url", hosts: () => ["bucket.oss-cn-chengdu.aliyuncs.com"] },
+    };
+    const ok = "https://bucket.oss-cn-chengdu.aliyuncs.com/a.jpg";
+    expect(validateSchema(schema, { url: ok })).toEqual([]);
+    expect(
+      validateSchema(schema, { url: "https://evil.com/a.jpg" }),
+    ).toHaveLength(1);
+    expect(validateSchema(schema, { url: "ftp://x/a.jpg" })).toHaveLength(1);
+    expect(validateSchema(schema, { url: "not a url" })).toHaveLength(1);
+    // 白名单为空表示不限制域名
+    expect(
+      validateSchema({ url: { type: "url", hosts: () => [] } }, { url: ok }),
+    ).toEqual([]);
+  });
+
+  it("validateSchema - check 应在内置规则通过后执行", () => {
+    const check = jest.fn((value) => (value.includes("x") ? null : "须包含 x"));
+    const schema = { code: { type: "string", max: 3, check } };
+
+    expect(validateSchema(schema, { code: "ax" })).toEqual([]);
+    expect(validateSchema(schema, { code: "ab" })).toEqual([
+      { field: "code", message: "须包含 x" },
+    ]);
+    // 长度不合法时不再调用 check
+    check.mockClear();
+    expect(validateSchema(schema, { code: "abcd" })).toHaveLength(1);
+    expect(check).not.toHaveBeenCalled();
+  });
+
+  it("isSaneTimestamp - 应拒绝秒级时间戳与远未来时间", () => {
+    expect(isSaneTimestamp(Date.now())).toBe(true);
+    expect(isSaneTimestamp(MIN_TIMESTAMP)).toBe(true);
+    expect(isSaneTimestamp(1000)).toBe(false);
+    expect(isSaneTimestamp(1700000000)).toBe(false);
+    expect(isSaneTimestamp(Date.now() + 2 * 24 * 3600 * 1000)).toBe(false);
+    expect(isSaneTimestamp(NaN)).toBe(false);
+  });
+
+  it("formatErrors - 应拼接为一句提示", () => {
+    expect(
+      formatErrors([
+        { field: "a", message: "不能为空" },
+        { field: "b", message: "必须为数字" },
+      ]),
+    ).toBe("a 不能为空; b 必须为数字");
+  });
+});
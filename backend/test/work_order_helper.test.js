@@ -0,0 +1,196 @@
+/**
+ * @file work_order_helper.test.js
+ * @description 维修工单状态流转与聚合单元测试 (纯函数，无需数据库)
+ */
+
+import {
+  buildTransitionUpdate,
+  buildWorkOrderDraft,
+  canPerformTransition,
+  clusterRecords,
+  getTransitionPayloadError,
+  getVerificationError,
+  isValidTransition,
+} from "../utils/work_order_helper.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = Date.UTC(2026, 0, 1);
+
+// 约 0.0001° 纬度 ≈ 11 米
+const makeRecord = (recordId, lat, captureTime, extra = {}) => ({
+  recordId,
+  taskId: "task-1",
+  serverUrl: `https://oss/${recordId}.jpg`,
+  captureTime,
+  location: { type: "Point", coordinates: [104, lat] },
+  distresses: [{ type: "pothole" }],
+  ...extra,
+});
+
+const admin = { id: "a1", role: "admin", username: "admin" };
+const crew = { id: "u1", role: "inspector", username: "crew" };
+const reviewer = { id: "r1", role: "reviewer", username: "reviewer" };
+
+describe("🛠️ work_order_helper", () => {
+  it("isValidTransition - 只允许既定的流转与两条回退", () => {
+    expect(isValidTransition("open", "assigned")).toBe(true);
+    expect(isValidTransition("assigned", "open")).toBe(true);
+    expect(isValidTransition("repaired", "in_progress")).toBe(true);
+    expect(isValidTransition("open", "repaired")).toBe(false);
+    expect(isValidTransition("in_progress", "assigned")).toBe(false);
+    expect(isValidTransition("verified", "open")).toBe(false);
+  });
+
+  it("canPerformTransition - 维修人员开工完工，审核员验收，管理员不受限", () => {
+    const assigned = { status: "assigned", assigneeId: "u1" };
+    const repaired = { status: "repaired", assigneeId: "u1" };
+
+    expect(canPerformTransition(crew, assigned, "in_progress")).toBe(true);
+    expect(canPerformTransition(crew, assigned, "open")).toBe(false);
+    expect(
+      canPerformTransition(
+        { ...crew, id: "u2" },
+        { status: "in_progress", assigneeId: "u1" },
+        "repaired",
+      ),
+    ).toBe(false);
+
+    expect(canPerformTransition(crew, repaired, "verified")).toBe(false);
+    expect(canPerformTransition(crew, repaired, "in_progress")).toBe(false);
+    expect(canPerformTransition(reviewer, repaired, "verified")).toBe(true);
+    expect(canPerformTransition(reviewer, repaired, "in_progress")).toBe(true);
+    expect(canPerformTransition(reviewer, assigned, "in_progress")).toBe(false);
+
+    expect(canPerformTransition(admin, { status: "open" }, "assigned")).toBe(
+      true,
+    );
+  });
+
+  it("getTransitionPayloadError - 派单、完工与验收须提供对应参数", () => {
+    expect(
+      getTransitionPayloadError({ status: "open" }, "assigned", {}),
+    ).toMatchObject({ field: "assigneeId" });
+    expect(
+      getTransitionPayloadError({ status: "in_progress" }, "repaired", {
+        afterPhotos: [],
+      }),
+    ).toMatchObject({ field: "afterPhotos" });
+    expect(
+      getTransitionPayloadError({ status: "repaired" }, "verified", {}),
+    ).toMatchObject({ field: "verifyRecordId" });
+    expect(
+      getTransitionPayloadError({ status: "assigned" }, "in_progress", {}),
+    ).toBeNull();
+  });
+
+  it("getVerificationError - 复查记录须在修复之后、工单位置附近拍摄", () => {
+    const order = {
+      recordIds: ["r-1"],
+      location: { type: "Point", coordinates: [104, 30] },
+      repairedAt: new Date(now),
+    };
+
+    expect(
+      getVerificationError(order, makeRecord("r-2", 30.0001, now + 1000), 30),
+    ).toBeNull();
+    expect(
+      getVerificationError(order, makeRecord("r-1", 30, now + 1000), 30),
+    ).toBe("不能引用工单自身的病害记录验收");
+    expect(
+      getVerificationError(order, makeRecord("r-2", 30, now - 1000), 30),
+    ).toBe("复查记录须在修复之后拍摄");
+    expect(
+      getVerificationError(order, makeRecord("r-2", 30.001, now + 1000), 30),
+    ).toMatch(/超过 30 米/);
+  });
+
+  it("buildTransitionUpdate - 写入状态时间与流转历史，取消派单与返工时清空对应字段", () => {
+    const assign = buildTransitionUpdate(
+      { status: "open" },
+      "assigned",
+      { assigneeId: "u1", comment: " 尽快 " },
+      admin,
+      now,
+    );
+    expect(assign.$set).toEqual({
+      status: "assigned",
+      assignedAt: new Date(now),
+      assigneeId: "u1",
+    });
+    expect(assign.$push.history).toEqual({
+      from: "open",
+      to: "assigned",
+      actorId: "a1",
+      actorName: "admin",
+      comment: "尽快",
+      at: new Date(now),
+    });
+
+    expect(
+      buildTransitionUpdate({ status: "assigned" }, "open", {}, admin, now)
+        .$set,
+    ).toEqual({ status: "open", assigneeId: null, assignedAt: null });
+
+    expect(
+      buildTransitionUpdate(
+        { status: "repaired" },
+        "in_progress",
+        {},
+        reviewer,
+        now,
+      ).$set,
+    ).toEqual({
+      status: "in_progress",
+      startedAt: new Date(now),
+      repairedAt: null,
+    });
+
+    expect(
+      buildTransitionUpdate(
+        { status: "repaired" },
+        "verified",
+        { verifyRecordId: "r-9" },
+        reviewer,
+        now,
+      ).$set,
+    ).toMatchObject({ verifiedAt: new Date(now), verifyRecordId: "r-9" });
+  });
+
+  it("clusterRecords - 相距不超过聚合距离的记录合并为一组", () => {
+    const clusters = clusterRecords(
+      [
+        makeRecord("a", 30, 3),
+        makeRecord("b", 30.0001, 1),
+        makeRecord("c", 30.01, 2),
+      ],
+      30,
+    );
+    expect(clusters.map((c) => c.map((r) => r.recordId))).toEqual([
+      ["b", "a"],
+      ["c"],
+    ]);
+  });
+
+  it("buildWorkOrderDraft - 以记录中心点、病害类型与照片生成工单字段", () => {
+    const draft = buildWorkOrderDraft(
+      [
+        makeRecord("a", 30, 1, { address: "人民路 1 号" }),
+        makeRecord("b", 30.0002, 2, {
+          taskId: "task-2",
+          distresses: [{ type: "pothole" }, { type: "rutting" }],
+        }),
+      ],
+      { distressNames: new Map([["pothole", "坑槽"]]), dueDays: 7, now },
+    );
+
+    expect(draft).toMatchObject({
+      title: "人民路 1 号 坑槽、rutting维修",
+      recordIds: ["a", "b"],
+      taskIds: ["task-1", "task-2"],
+      distressTypes: ["pothole", "rutting"],
+      dueDate: new Date(now + 7 * DAY_MS),
+      beforePhotos: ["https://oss/a.jpg", "https://oss/b.jpg"],
+    });
+    expect(draft.location.coordinates[1]).toBeCloseTo(30.0001, 6);
+  });
+});
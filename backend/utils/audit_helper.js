@@ -0,0 +1,76 @@
+/**
+ * @module audit_helper
+ * @description 审计日志辅助工具
+ * 审计事件持久化在 MongoDB (AuditEvent 集合)，弥补 console 日志在进程重启后丢失、无法追溯纠纷的问题。
+ * 本模块只包含事件类型清单与纯计算逻辑，读写数据库由 app.js 完成 (见 recordAudit)。
+ */
+
+import { redact } from "./logger.js";
+
+// 一天的毫秒数
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 审计事件类型，格式 {对象}.{动作}
+ * 新增事件时须同步追加，管理员查询接口以此校验 action 参数
+ */
+const AUDIT_ACTIONS = [
+  "auth.register",
+  "auth.login",
+  "auth.refresh",
+  "auth.logout",
+  "user.update",
+  "user.password_change",
+  "user.create",
+  "user.role_change",
+  "user.disable",
+  "user.restore",
+  "user.unlock",
+  "session.revoke",
+  "storage.credentials",
+  "task.create",
+  "task.finish",
+  "record.submit",
+  "record.review",
+  "distress.type_create",
+  "distress.type_update",
+  "workorder.create",
+  "workorder.update",
+  "workorder.delete",
+  "workorder.transition",
+  "road.create",
+  "road.update",
+  "road.section_create",
+  "road.section_update",
+  "audit.prune",
+];
+
+/**
+ * 脱敏审计附加信息
+ * @description 与日志使用同一套规则 (见 logger.redact)，避免敏感数据随审计记录长期留存。
+ * @param {*} detail
+ * @returns {*} 脱敏后的副本
+ */
+const redactDetail = (detail) => redact(detail);
+
+/**
+ * 计算审计事件的过期时间 (TTL)
+ * @param {number} retentionDays - 保留天数 (config.audit.retentionDays)
+ * @param {number} [now=Date.now()]
+ * @returns {Date}
+ */
+function getAuditExpiry(retentionDays, now = Date.now()) {
+  return new Date(now + retentionDays * DAY_MS);
+}
+
+/**
+ * 计算保留期的起点：早于该时间的事件应被清理
+ * @param {number} retentionDays - 保留天数
+ * @param {number} [now=Date.now()]
+ * @returns {Date}
+ */
+function getRetentionCutoff(retentionDays, now = Date.now()) {
+  return new Date(now - retentionDays * DAY_MS);
+}
+
+export { AUDIT_ACTIONS, getAuditExpiry, getRetentionCutoff, redactDetail };
@@ -0,0 +1,401 @@
+/**
+ * @module compare_helper
+ * @description 巡检对比 (变化检测)
+ * 同一条道路会被反复巡检。本模块把两次巡检 (基准 base / 对比 target) 的轨迹 IRI 与病害记录
+ * 投影到同一条参考线上，按里程分段比较：
+ * - 分段平均 IRI 增幅超过阈值判定为恶化 (deteriorated)，降幅超过阈值为好转 (improved)
+ * - 两次巡检中相距不超过匹配距离的同类病害视为同一处 (persisting)；
+ *   只出现在对比巡检中的为新增 (added)，只出现在基准巡检中的为消失 (disappeared)
+ * 本模块只包含纯计算逻辑，空间粗筛 (2dsphere 索引) 与路由见 app.js 的 Compare Routes。
+ */
+
+import { getDistressCodes } from "./distress_helper.js";
+import {
+  haversineDistance,
+  polylineLength,
+  projectOntoPolyline,
+} from "./geo_helper.js";
+import { getReviewStatus } from "./review_helper.js";
+import { downsampleTrack } from "./track_helper.js";
+
+// 参考线最多保留的顶点数 (投影计算量与顶点数成正比)
+const MAX_REFERENCE_POINTS = 500;
+
+// 严重程度排序，同一记录有多个同类条目时取最重的
+const SEVERITY_RANK = { light: 1, moderate: 2, severe: 3 };
+
+/** 分段变化类型 */
+const SEGMENT_CHANGES = ["deteriorated", "improved", "stable"];
+
+const round = (value, digits = 2) =>
+  value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * 去掉相邻的重复坐标
+ * @param {number[][]} coords - [[lng, lat], ...]
+ * @returns {number[][]}
+ */
+const dedupeCoordinates = (coords) =>
+  coords.filter(
+    (c, i) => i === 0 || c[0] !== coords[i - 1][0] || c[1] !== coords[i - 1][1],
+  );
+
+/**
+ * 由一次巡检生成参考线
+ * @description 优先使用轨迹 (按时间排序并抽稀至 MAX_REFERENCE_POINTS 个点)；
+ * 没有轨迹时按拍摄时间连接病害记录。
+ * @param {Object} inspection
+ * @param {Object[]} inspection.trackPoints - 轨迹点 (按时间升序)
+ * @param {Object[]} inspection.records - 病害记录
+ * @returns {{source: string, line: number[][]}|null} 不足 2 个不同点时返回 null
+ */
+function buildReferenceLine({ trackPoints, records }) {
+  const fromTrack = dedupeCoordinates(
+    downsampleTrack(trackPoints, MAX_REFERENCE_POINTS).map((p) => [
+      p.lng,
+      p.lat,
+    ]),
+  );
+  if (fromTrack.length >= 2) return { source: "track", line: fromTrack };
+
+  const fromRecords = dedupeCoordinates(
+    [...records]
+      .sort((a, b) => a.captureTime - b.captureTime)
+      .map((r) => r.location.coordinates),
+  );
+  if (fromRecords.length >= 2) return { source: "records", line: fromRecords };
+
+  return null;
+}
+
+/**
+ * 提取一次巡检的 IRI 样本
+ * @description 与报表一致：有轨迹 IRI 时以轨迹为准 (按 segmentLength 加权)，否则取记录的 IRI。
+ * @param {Object} inspection - { trackPoints, records }
+ * @returns {{source: string, samples: {coordinates: number[], iri: number, weight: number}[]}}
+ */
+function collectIriSamples({ trackPoints, records }) {
+  const fromTrack = trackPoints
+    .filter((p) => p.iri !== null && p.iri !== undefined)
+    .map((p) => ({
+      coordinates: [p.lng, p.lat],
+      iri: p.iri,
+      weight: p.segmentLength || 1,
+    }));
+  if (fromTrack.length > 0) return { source: "track", samples: fromTrack };
+
+  return {
+    source: "records",
+    samples: records
+      .filter((r) => r.iri !== null && r.iri !== undefined)
+      .map((r) => ({
+        coordinates: r.location.coordinates,
+        iri: r.iri,
+        weight: 1,
+      })),
+  };
+}
+
+/**
+ * 展开记录中的病害
+ * @description 每条记录的每种病害类型计为一处 (同类多个条目取最重的严重程度)；
+ * 审核驳回的记录 (误报) 不参与比较。
+ * @param {Object[]} records
+ * @returns {Object[]} { type, severity, recordId, taskId, captureTime, coordinates }
+ */
+function collectDistresses(records) {
+  return records
+    .filter((r) => getReviewStatus(r) !== "rejected")
+    .flatMap((r) =>
+      getDistressCodes(r).map((type) => {
+        const severity = r.distresses
+          .filter((d) => d.type === type && d.severity)
+          .reduce(
+            (worst, d) =>
+              SEVERITY_RANK[d.severity] > (SEVERITY_RANK[worst] ?? 0)
+                ? d.severity
+                : worst,
+            null,
+          );
+        return {
+          type,
+          severity,
+          recordId: r.recordId,
+          taskId: r.taskId,
+          captureTime: r.captureTime,
+          coordinates: r.location.coordinates,
+        };
+      }),
+    );
+}
+
+/**
+ * 将带坐标的数据投影到参考线上，丢弃偏离超过 bufferMeters 的
+ * @param {Object[]} items - 含 coordinates 的对象
+ * @param {number[][]} line - 参考线
+ * @param {number} bufferMeters
+ * @returns {Object[]} 附带 distanceAlong (距参考线起点的里程) 与 offset (偏离距离)
+ */
+function projectAlong(items, line, bufferMeters) {
+  return items
+    .map((item) => {
+      const { offset, distanceAlong } = projectOntoPolyline(
+        item.coordinates,
+        line,
+      );
+      return { ...item, offset, distanceAlong };
+    })
+    .filter((item) => item.offset <= bufferMeters);
+}
+
+/**
+ * 匹配两次巡检的病害
+ * @description 同类病害按距离由近到远一一配对 (每处最多配对一次)，距离超过 radiusMeters 的不配对。
+ * @param {Object[]} base - 基准巡检的病害 (collectDistresses 的返回值)
+ * @param {Object[]} target - 对比巡检的病害
+ * @param {number} radiusMeters
+ * @returns {{persisting: Object[], added: Object[], disappeared: Object[]}}
+ * persisting 的元素为 { type, distance, base, target }
+ */
+function matchDistresses(base, target, radiusMeters) {
+  const pairs = [];
+  base.forEach((b, i) => {
+    target.forEach((t, j) => {
+      if (b.type !== t.type) return;
+      const distance = haversineDistance(b.coordinates, t.coordinates);
+      if (distance <= radiusMeters) pairs.push({ i, j, distance });
+    });
+  });
+  pairs.sort((a, b) => a.distance - b.distance);
+
+  const matchedBase = new Set();
+  const matchedTarget = new Set();
+  const persisting = [];
+  pairs.forEach(({ i, j, distance }) => {
+    if (matchedBase.has(i) || matchedTarget.has(j)) return;
+    matchedBase.add(i);
+    matchedTarget.add(j);
+    persisting.push({
+      type: base[i].type,
+      distance: round(distance, 1),
+      base: base[i],
+      target: target[j],
+    });
+  });
+
+  return {
+    persisting,
+    added: target.filter((_, j) => !matchedTarget.has(j)),
+    disappeared: base.filter((_, i) => !matchedBase.has(i)),
+  };
+}
+
+/**
+ * 判定分段的变化类型
+ * @param {number|null} delta - 对比巡检减基准巡检的平均 IRI
+ * @param {number} threshold - 判定阈值
+ * @returns {string|null} SEGMENT_CHANGES 之一；任一次巡检在该段没有 IRI 时为 null
+ */
+function classifyChange(delta, threshold) {
+  if (delta === null) return null;
+  if (delta > threshold) return "deteriorated";
+  if (delta < -threshold) return "improved";
+  return "stable";
+}
+
+/**
+ * 按病害类型计数
+ * @param {Object[]} items - 含 type 的对象
+ * @returns {Object<string, number>}
+ */
+const countByType = (items) =>
+  items.reduce(
+    (acc, { type }) => ({ ...acc, [type]: (acc[type] || 0) + 1 }),
+    {},
+  );
+
+/**
+ * 对比两次巡检
+ * @description
+ * 1. 两次巡检的 IRI 样本与病害按参考线投影，偏离超过 bufferMeters 的丢弃；
+ * 2. 参考线按 segmentLength 切段，分别计算两次巡检的段内加权平均 IRI 并判定变化；
+ * 3. 病害按 matchDistresses 配对，新增 / 持续的病害按对比巡检的位置归段，消失的按基准巡检的位置归段。
+ * 全程平均 IRI 只统计两次巡检都有 IRI 的分段 (按段长加权)，保证两个数值覆盖同样的路面。
+ *
+ * @param {Object} params
+ * @param {number[][]} params.line - 参考线 [[lng, lat], ...]
+ * @param {Object} params.base - 基准巡检 { trackPoints, records }
+ * @param {Object} params.target - 对比巡检 { trackPoints, records }
+ * @param {number} params.segmentLength - 分段长度 (米)
+ * @param {number} params.bufferMeters - 参与比较的最大偏离距离 (米)
+ * @param {number} params.matchRadiusMeters - 病害配对距离 (米)
+ * @param {number} params.iriIncreaseThreshold - IRI 变化判定阈值
+ * @returns {{length: number, base: Object, target: Object, segments: Object[], distresses: Object, summary: Object}}
+ */
+function compareInspections({
+  line,
+  base,
+  target,
+  segmentLength,
+  bufferMeters,
+  matchRadiusMeters,
+  iriIncreaseThreshold,
+}) {
+  const length = polylineLength(line);
+  const [baseSide, targetSide] = [base, target].map((inspection) => {
+    const { source, samples } = collectIriSamples(inspection);
+    return {
+      iriSource: source,
+      samples: projectAlong(samples, line, bufferMeters),
+      distresses: projectAlong(
+        collectDistresses(inspection.records),
+        line,
+        bufferMeters,
+      ),
+    };
+  });
+  const distresses = matchDistresses(
+    baseSide.distresses,
+    targetSide.distresses,
+    matchRadiusMeters,
+  );
+
+  // 1. 初始化分段 (至少一段)
+  const segmentCount = Math.max(Math.ceil(length / segmentLength), 1);
+  const emptyIri = () => ({ weightedSum: 0, weight: 0, count: 0 });
+  const bins = Array.from({ length: segmentCount }, (_, index) => ({
+    index,
+    start: index * segmentLength,
+    end: Math.min((index + 1) * segmentLength, length),
+    base: emptyIri(),
+    target: emptyIri(),
+    added: 0,
+    disappeared: 0,
+    persisting: 0,
+  }));
+  const binAt = (d) =>
+    bins[Math.min(Math.floor(d / segmentLength), segmentCount - 1)];
+
+  // 2. 汇总 IRI 与病害
+  [
+    ["base", baseSide.samples],
+    ["target", targetSide.samples],
+  ].forEach(([side, samples]) =>
+    samples.forEach((s) => {
+      const acc = binAt(s.distanceAlong)[side];
+      acc.weightedSum += s.iri * s.weight;
+      acc.weight += s.weight;
+      acc.count++;
+    }),
+  );
+  distresses.added.forEach((d) => binAt(d.distanceAlong).added++);
+  distresses.disappeared.forEach((d) => binAt(d.distanceAlong).disappeared++);
+  distresses.persisting.forEach(
+    (p) => binAt(p.target.distanceAlong).persisting++,
+  );
+
+  // 3. 计算分段均值与变化
+  const meanOf = (acc) =>
+    acc.weight > 0 ? acc.weightedSum / acc.weight : null;
+  const stats = bins.map((bin) => {
+    const baseIri = meanOf(bin.base);
+    const targetIri = meanOf(bin.target);
+    const delta =
+      baseIri !== null && targetIri !== null ? targetIri - baseIri : null;
+    return {
+      bin,
+      baseIri,
+      targetIri,
+      delta,
+      change: classifyChange(delta, iriIncreaseThreshold),
+    };
+  });
+
+  // 4. 全程统计
+  const lengthOf = (list) =>
+    list.reduce((sum, { bin }) => sum + (bin.end - bin.start), 0);
+  const compared = stats.filter((s) => s.change !== null);
+  const deteriorated = compared.filter((s) => s.change === "deteriorated");
+  const improved = compared.filter((s) => s.change === "improved");
+  const comparedLength = lengthOf(compared);
+  const weightedAvg = (key) =>
+    comparedLength > 0
+      ? round(
+          compared.reduce(
+            (sum, s) => sum + s[key] * (s.bin.end - s.bin.start),
+            0,
+          ) / comparedLength,
+        )
+      : null;
+
+  const summary = {
+    segmentCount,
+    comparedCount: compared.length,
+    comparedLength: round(comparedLength, 1),
+    deterioratedCount: deteriorated.length,
+    deterioratedLength: round(lengthOf(deteriorated), 1),
+    improvedCount: improved.length,
+    improvedLength: round(lengthOf(improved), 1),
+    baseAvgIri: weightedAvg("baseIri"),
+    targetAvgIri: weightedAvg("targetIri"),
+    addedCount: distresses.added.length,
+    disappearedCount: distresses.disappeared.length,
+    persistingCount: distresses.persisting.length,
+    addedByType: countByType(distresses.added),
+    disappearedByType: countByType(distresses.disappeared),
+  };
+
+  const formatDistress = ({ offset, distanceAlong, ...rest }) => ({
+    ...rest,
+    offset: round(offset, 1),
+    distanceAlong: Math.round(distanceAlong),
+  });
+
+  return {
+    length: round(length, 1),
+    base: {
+      iriSource: baseSide.iriSource,
+      sampleCount: baseSide.samples.length,
+      distressCount: baseSide.distresses.length,
+    },
+    target: {
+      iriSource: targetSide.iriSource,
+      sampleCount: targetSide.samples.length,
+      distressCount: targetSide.distresses.length,
+    },
+    segments: stats.map(({ bin, baseIri, targetIri, delta, change }) => ({
+      index: bin.index,
+      start: round(bin.start, 1),
+      end: round(bin.end, 1),
+      baseIri: round(baseIri),
+      targetIri: round(targetIri),
+      delta: round(delta),
+      change,
+      baseSamples: bin.base.count,
+      targetSamples: bin.target.count,
+      added: bin.added,
+      disappeared: bin.disappeared,
+      persisting: bin.persisting,
+    })),
+    distresses: {
+      added: distresses.added.map(formatDistress),
+      disappeared: distresses.disappeared.map(formatDistress),
+      persisting: distresses.persisting.map((p) => ({
+        ...p,
+        base: formatDistress(p.base),
+        target: formatDistress(p.target),
+      })),
+    },
+    summary,
+  };
+}
+
+export {
+  buildReferenceLine,
+  classifyChange,
+  collectDistresses,
+  collectIriSamples,
+  compareInspections,
+  matchDistresses,
+  SEGMENT_CHANGES,
+};
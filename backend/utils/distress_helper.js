@@ -0,0 +1,314 @@
+/**
+ * @module distress_helper
+ * @description 病害分类 (多标签) 辅助工具
+ * 一条记录可包含多个病害条目 (Record.distresses)，每个条目的类型取自服务端维护的病害字典 (DistressType)，
+ * 并附带严重程度、估算面积/长度、照片中的标注框与来源 (人工 / AI)。
+ * 旧版客户端仍提交逗号分隔的 pavementDistress 字符串，由 parseLegacyDistress 按字典名称与别名转换。
+ * 本模块只包含纯计算逻辑，字典的读取与缓存见 app.js。
+ */
+
+import { validateSchema } from "./validator.js";
+
+/** 严重程度 (light: 轻, moderate: 中, severe: 重) */
+const DISTRESS_SEVERITIES = ["light", "moderate", "severe"];
+
+/** 严重程度的中文名称 (用于导出) */
+const SEVERITY_LABELS = { light: "轻", moderate: "中", severe: "重" };
+
+/** 条目来源 (manual: 巡检员标注, ai: 识别模型输出) */
+const DISTRESS_SOURCES = ["manual", "ai"];
+
+/** 病害范围的计量单位 (m2: 面积, m: 长度, count: 个数) */
+const DISTRESS_UNITS = ["m2", "m", "count"];
+
+// 单条记录最多允许的病害条目数
+const MAX_DISTRESSES_PER_RECORD = 20;
+
+// 字典中无法匹配的旧版病害名称归入此类型，原名称保存在 note 中
+const FALLBACK_DISTRESS_CODE = "other";
+
+/**
+ * 内置病害字典
+ * @description 数据库中字典为空时写入 (只插入不存在的 code，不覆盖管理员的修改)。
+ * 名称与前端 mockData 中的 DISTRESS_TYPES 一致；code 一经使用不可修改，停用请将 active 置为 false。
+ */
+const DEFAULT_DISTRESS_TYPES = [
+  { code: "pothole", name: "坑槽", unit: "m2", sortOrder: 10 },
+  {
+    code: "alligator_crack",
+    name: "龟裂",
+    aliases: ["网裂"],
+    unit: "m2",
+    sortOrder: 20,
+  },
+  { code: "rutting", name: "车辙", unit: "m", sortOrder: 30 },
+  {
+    code: "longitudinal_crack",
+    name: "纵向裂缝",
+    aliases: ["纵缝"],
+    unit: "m",
+    sortOrder: 40,
+  },
+  { code: "subsidence", name: "沉陷", unit: "m2", sortOrder: 50 },
+  { code: "raveling", name: "松散", unit: "m2", sortOrder: 60 },
+  { code: "bleeding", name: "泛油", unit: "m2", sortOrder: 70 },
+  { code: FALLBACK_DISTRESS_CODE, name: "其他", unit: "count", sortOrder: 999 },
+].map((type) => ({ aliases: [], ...type }));
+
+/** 字典 code 格式：小写字母开头，仅含小写字母、数字与下划线 */
+const DISTRESS_CODE_PATTERN = /^[a-z][a-z0-9_]{1,31}$/;
+
+/** 标注框坐标：相对照片宽高的比例 (0 ~ 1)，原点为左上角 */
+const ratio = { type: "number", required: true, min: 0, max: 1 };
+
+/**
+ * 单个病害条目的校验规则 (见 validator.js)
+ * type 接受字典 code、名称或别名，由 normalizeDistresses 统一转换为 code
+ */
+const DISTRESS_ENTRY_SCHEMA = {
+  type: { type: "string", required: true, max: 32 },
+  severity: { type: "string", enum: DISTRESS_SEVERITIES },
+  extent: { type: "number", min: 0, max: 100000 },
+  bbox: {
+    type: "object",
+    shape: { x: ratio, y: ratio, width: ratio, height: ratio },
+    check: (box) =>
+      box.x + box.width > 1 || box.y + box.height > 1
+        ? "标注框超出照片范围"
+        : null,
+  },
+  source: { type: "string", enum: DISTRESS_SOURCES },
+  confidence: { type: "number", min: 0, max: 1 },
+  note: { type: "string", max: 100 },
+};
+
+/**
+ * 构建字典索引
+ * @param {Object[]} types - 字典条目 (DistressType lean 对象或 DEFAULT_DISTRESS_TYPES)
+ * @returns {{types: Object[], byCode: Map<string, Object>, byLabel: Map<string, Object>}}
+ *   byLabel 以名称与别名 (小写) 为 key；停用的类型仍可按 code 查到 (用于显示历史记录)
+ */
+function buildDistressIndex(types) {
+  const byCode = new Map();
+  const byLabel = new Map();
+  types.forEach((type) => {
+    byCode.set(type.code, type);
+    [type.name, ...(type.aliases || [])].forEach((label) =>
+      byLabel.set(String(label).trim().toLowerCase(), type),
+    );
+  });
+  return { types, byCode, byLabel };
+}
+
+/**
+ * 按 code、名称或别名查找字典条目
+ * @param {Object} index - buildDistressIndex 的返回值
+ * @param {string} value
+ * @returns {Object|null}
+ */
+function resolveDistressType(index, value) {
+  const key = String(value ?? "").trim();
+  if (!key) return null;
+  return index.byCode.get(key) || index.byLabel.get(key.toLowerCase()) || null;
+}
+
+/**
+ * 查找与其他类型冲突的名称或别名
+ * @description 名称与别名须在字典内唯一 (也不能与其他类型的 code 相同)，否则旧版字符串的转换结果不确定。
+ * @param {Object} index - buildDistressIndex 的返回值
+ * @param {string[]} labels - 待保存的名称与别名
+ * @param {string} [selfCode] - 修改已有类型时传入其 code (不与自身比较)
+ * @returns {string|null} 第一个冲突的名称；无冲突时返回 null
+ */
+function findDistressLabelConflict(index, labels, selfCode) {
+  return (
+    labels.find((label) => {
+      const type = resolveDistressType(index, label);
+      return type && type.code !== selfCode;
+    }) ?? null
+  );
+}
+
+/**
+ * 拆分旧版病害字段
+ * @description 兼容单个字符串 ("坑槽")、分隔字符串 ("坑槽,龟裂") 与数组三种形态
+ * @param {string|string[]|null} value
+ * @returns {string[]}
+ */
+function splitDistressLabels(value) {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(/[,，、]/);
+  return list.map((t) => String(t).trim()).filter(Boolean);
+}
+
+/**
+ * 将旧版 pavementDistress 字符串转换为病害条目
+ * @description 按字典名称与别名匹配；无法匹配的名称归入 "other" 并把原名称写入 note，不丢失信息。
+ * 旧数据没有严重程度与范围，对应字段为 null。
+ * @param {string|string[]|null} value
+ * @param {Object} index - buildDistressIndex 的返回值
+ * @returns {Object[]} 病害条目 (同一类型只保留一条)
+ */
+function parseLegacyDistress(value, index) {
+  const seen = new Set();
+  return splitDistressLabels(value).flatMap((label) => {
+    const type = resolveDistressType(index, label);
+    const code = type ? type.code : FALLBACK_DISTRESS_CODE;
+    const note = type ? null : label;
+    const key = `${code}:${note}`;
+    if (seen.has(key)) return [];
+    seen.add(key);
+    return [
+      {
+        type: code,
+        severity: null,
+        extent: null,
+        unit: (type || index.byCode.get(code))?.unit ?? null,
+        bbox: null,
+        source: "manual",
+        confidence: null,
+        note,
+      },
+    ];
+  });
+}
+
+/**
+ * 校验并转换客户端提交的病害条目
+ * @description type 必须是字典中启用的类型 (可传 code、名称或别名)；unit 由字典决定，客户端无需提交。
+ * @param {*} list - 客户端提交的 distresses
+ * @param {Object} index - buildDistressIndex 的返回值
+ * @returns {{distresses?: Object[], errors?: {field: string, message: string}[]}}
+ */
+function normalizeDistresses(list, index) {
+  const errors = validateSchema(
+    {
+      distresses: {
+        type: "array",
+        max: MAX_DISTRESSES_PER_RECORD,
+        items: { type: "object", shape: DISTRESS_ENTRY_SCHEMA },
+      },
+    },
+    { distresses: list },
+  );
+  if (errors.length > 0) return { errors };
+
+  const distresses = [];
+  list.forEach((entry, i) => {
+    const type = resolveDistressType(index, entry.type);
+    if (!type || type.active === false) {
+      errors.push({
+        field: `distresses[${i}].type`,
+        message: `未知或已停用的病害类型: ${entry.type}`,
+      });
+      return;
+    }
+    distresses.push({
+      type: type.code,
+      severity: entry.severity ?? null,
+      extent: entry.extent ?? null,
+      unit: type.unit ?? null,
+      bbox: entry.bbox
+        ? {
+            x: entry.bbox.x,
+            y: entry.bbox.y,
+            width: entry.bbox.width,
+            height: entry.bbox.height,
+          }
+        : null,
+      source: entry.source ?? "manual",
+      confidence: entry.confidence ?? null,
+      note: entry.note?.trim() || null,
+    });
+  });
+
+  return errors.length > 0 ? { errors } : { distresses };
+}
+
+/**
+ * 取记录包含的病害类型 code (去重)
+ * @param {Object} record - 含 distresses 的记录
+ * @returns {string[]}
+ */
+function getDistressCodes(record) {
+  return [...new Set((record.distresses || []).map((d) => d.type))];
+}
+
+/**
+ * 格式化病害条目为可读文本 (导出用)
+ * @description 如 "坑槽(重, 1.5m2); 其他(路面积水)"；字典中不存在的 code 原样输出
+ * @param {Object[]} distresses
+ * @param {Map<string, string>} [names] - code -> 名称
+ * @returns {string}
+ */
+function formatDistressSummary(distresses, names = new Map()) {
+  return (distresses || [])
+    .map((d) => {
+      const details = [
+        SEVERITY_LABELS[d.severity],
+        d.extent !== null && d.extent !== undefined
+          ? `${d.extent}${d.unit === "count" ? "处" : d.unit || ""}`
+          : null,
+        d.note,
+      ].filter(Boolean);
+      const name = names.get(d.type) || d.type;
+      return details.length > 0 ? `${name}(${details.join(", ")})` : name;
+    })
+    .join("; ");
+}
+
+/**
+ * 生成旧记录的迁移更新 (scripts/migrate_distress.js 使用)
+ * @description 将 pavementDistress 转换为 distresses 并删除旧字段；
+ * 已有 distresses 的记录只删除旧字段，不覆盖。
+ * @param {Object} doc - 原始记录文档 (含 pavementDistress)
+ * @param {Object} index - buildDistressIndex 的返回值
+ * @returns {Object} updateOne 的 update 参数
+ */
+function buildLegacyDistressUpdate(doc, index) {
+  const update = { $unset: { pavementDistress: "" } };
+  if (!doc.distresses || doc.distresses.length === 0) {
+    update.$set = {
+      distresses: parseLegacyDistress(doc.pavementDistress, index),
+    };
+  }
+  return update;
+}
+
+/**
+ * 生成写入内置字典的 bulkWrite 操作
+ * @description 以 code 为键 upsert，仅在不存在时插入 ($setOnInsert)，重复执行无副作用
+ * @param {Object[]} [types=DEFAULT_DISTRESS_TYPES]
+ * @returns {Object[]}
+ */
+function buildDistressSeedOps(types = DEFAULT_DISTRESS_TYPES) {
+  return types.map((type) => ({
+    updateOne: {
+      filter: { code: type.code },
+      update: { $setOnInsert: type },
+      upsert: true,
+    },
+  }));
+}
+
+export {
+  buildDistressIndex,
+  buildDistressSeedOps,
+  buildLegacyDistressUpdate,
+  DEFAULT_DISTRESS_TYPES,
+  DISTRESS_CODE_PATTERN,
+  DISTRESS_ENTRY_SCHEMA,
+  DISTRESS_SEVERITIES,
+  DISTRESS_SOURCES,
+  DISTRESS_UNITS,
+  FALLBACK_DISTRESS_CODE,
+  findDistressLabelConflict,
+  formatDistressSummary,
+  getDistressCodes,
+  MAX_DISTRESSES_PER_RECORD,
+  normalizeDistresses,
+  parseLegacyDistress,
+  resolveDistressType,
+  SEVERITY_LABELS,
+  splitDistressLabels,
+};
@@ -0,0 +1,229 @@
+/**
+ * @module export_helper
+ * @description 病害记录导出 (GeoJSON / KML / CSV)
+ * 供 GIS 同事直接导入 QGIS、ArcGIS 或 Google Earth 使用。
+ * KML 图标颜色按 IRI 等级着色，等级区间复用 report_helper 中的 IRI_BANDS。
+ * 病害条目以字典名称输出 (options.distressNames)，便于 GIS 同事直接阅读。
+ */
+
+import { formatDistressSummary } from "./distress_helper.js";
+import { gradeIri, IRI_BANDS } from "./report_helper.js";
+
+/**
+ * 支持的导出格式
+ * key 为 format 参数取值，value 为响应头与文件扩展名
+ */
+const EXPORT_FORMATS = {
+  geojson: {
+    contentType: "application/geo+json; charset=utf-8",
+    ext: "geojson",
+  },
+  kml: {
+    contentType: "application/vnd.google-earth.kml+xml; charset=utf-8",
+    ext: "kml",
+  },
+  csv: { contentType: "text/csv; charset=utf-8", ext: "csv" },
+};
+
+// 无 IRI 数据的记录在 KML 中使用的灰色样式
+const NO_IRI_COLOR = "#9E9E9E";
+
+/** 将毫秒时间戳格式化为 ISO 8601，非法时返回空串 */
+const toIsoTime = (ms) =>
+  Number.isFinite(ms) && ms > 0 ? new Date(ms).toISOString() : "";
+
+/**
+ * 导出为 GeoJSON FeatureCollection
+ * @description 几何取自 Record.location (GeoJSON Point)，其余业务字段放入 properties；
+ * distresses 保留完整条目，distressSummary 为可读文本 (QGIS 属性表中便于查看)
+ * @param {Object[]} records - 病害记录 (lean 对象)
+ * @param {Object} [options]
+ * @param {Map<string, string>} [options.distressNames] - 病害类型 code -> 名称
+ * @returns {Object} FeatureCollection
+ */
+function toGeoJSON(records, { distressNames } = {}) {
+  return {
+    type: "FeatureCollection",
+    features: records.map((r) => {
+      const band = gradeIri(r.iri);
+      return {
+        type: "Feature",
+        id: r.recordId,
+        geometry: {
+          type: "Point",
+          coordinates: r.location.coordinates,
+        },
+        properties: {
+          recordId: r.recordId,
+          taskId: r.taskId,
+          captureTime: r.captureTime,
+          captureTimeIso: toIsoTime(r.captureTime),
+          address: r.address ?? null,
+          iri: r.iri ?? null,
+          grade: band ? band.key : null,
+          gradeLabel: band ? band.label : null,
+          distresses: r.distresses ?? [],
+          distressSummary: formatDistressSummary(r.distresses, distressNames),
+          serverUrl: r.serverUrl,
+        },
+      };
+    }),
+  };
+}
+
+/** XML 文本转义 */
+const escapeXml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+/**
+ * #RRGGBB 转为 KML 颜色 (aabbggrr)
+ * KML 的颜色字节序与 CSS 相反，且带透明度前缀
+ */
+const toKmlColor = (hex) => {
+  const [r, g, b] = [1, 3, 5].map((i) => hex.slice(i, i + 2));
+  return `ff${b}${g}${r}`.toLowerCase();
+};
+
+const kmlStyle = (id, color) => `    <Style id="${id}">
+      <IconStyle>
+        <color>${toKmlColor(color)}</color>
+        <scale>1.1</scale>
+        <Icon><href>http://maps.google.com/mapfiles/kml/shapes/placemark_circle.png</href></Icon>
+      </IconStyle>
+    </Style>`;
+
+/**
+ * 导出为 KML 文档
+ * @description
+ * 每条记录一个 Placemark，按 IRI 等级引用对应样式 (无 IRI 时为灰色)。
+ * description 中附带照片链接与缩略图，便于在 Google Earth 中直接点开查看。
+ *
+ * @param {Object[]} records - 病害记录 (lean 对象)
+ * @param {Object} [options]
+ * @param {string} [options.name] - 文档名称 (如任务标题)
+ * @param {Map<string, string>} [options.distressNames] - 病害类型 code -> 名称
+ * @returns {string} KML 文本
+ */
+function toKml(records, { name = "巡检记录", distressNames } = {}) {
+  const styles = [
+    ...IRI_BANDS.map((band) => kmlStyle(`iri-${band.key}`, band.color)),
+    kmlStyle("iri-none", NO_IRI_COLOR),
+  ];
+
+  const placemarks = records.map((r) => {
+    const band = gradeIri(r.iri);
+    const [lng, lat] = r.location.coordinates;
+    const distressText = formatDistressSummary(r.distresses, distressNames);
+    const title = distressText || "巡检记录";
+    const iriText = r.iri ?? "-";
+    const url = escapeXml(r.serverUrl);
+
+    const description = [
+      `<p>IRI: ${escapeXml(iriText)}${band ? ` (${escapeXml(band.label)})` : ""}</p>`,
+      `<p>时间: ${escapeXml(toIsoTime(r.captureTime))}</p>`,
+      r.address ? `<p>地址: ${escapeXml(r.address)}</p>` : "",
+      `<p><a href="${url}">查看照片</a></p>`,
+      `<img src="${url}" width="320"/>`,
+    ].join("");
+
+    return `    <Placemark id="${escapeXml(r.recordId)}">
+      <name>${escapeXml(title)}</name>
+      <description>${escapeXml(description)}</description>
+      <styleUrl>#iri-${band ? band.key : "none"}</styleUrl>
+      <ExtendedData>
+        <Data name="recordId"><value>${escapeXml(r.recordId)}</value></Data>
+        <Data name="taskId"><value>${escapeXml(r.taskId)}</value></Data>
+        <Data name="iri"><value>${escapeXml(r.iri ?? "")}</value></Data>
+        <Data name="distresses"><value>${escapeXml(distressText)}</value></Data>
+        <Data name="serverUrl"><value>${url}</value></Data>
+      </ExtendedData>
+      <TimeStamp><when>${toIsoTime(r.captureTime)}</when></TimeStamp>
+      <Point><coordinates>${lng},${lat},0</coordinates></Point>
+    </Placemark>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    "  <Document>",
+    `    <name>${escapeXml(name)}</name>`,
+    ...styles,
+    ...placemarks,
+    "  </Document>",
+    "</kml>",
+    "",
+  ].join("\n");
+}
+
+// CSV 列定义：[表头, 取值函数 (record, options)]
+const CSV_COLUMNS = [
+  ["recordId", (r) => r.recordId],
+  ["taskId", (r) => r.taskId],
+  ["captureTime", (r) => toIsoTime(r.captureTime)],
+  ["rawLat", (r) => r.rawLat],
+  ["rawLng", (r) => r.rawLng],
+  ["address", (r) => r.address],
+  ["iri", (r) => r.iri],
+  ["grade", (r) => gradeIri(r.iri)?.label],
+  [
+    "distresses",
+    (r, { distressNames } = {}) =>
+      formatDistressSummary(r.distresses, distressNames),
+  ],
+  ["serverUrl", (r) => r.serverUrl],
+];
+
+/**
+ * CSV 单元格转义 (RFC 4180)
+ * 含逗号、引号或换行的值用双引号包裹，内部引号加倍
+ */
+const escapeCsv = (value) => {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * 导出为 CSV
+ * @description 带 UTF-8 BOM，否则 Excel 打开中文地址会乱码 (QGIS 可正常识别 BOM)
+ * @param {Object[]} records - 病害记录 (lean 对象)
+ * @param {Object} [options]
+ * @param {Map<string, string>} [options.distressNames] - 病害类型 code -> 名称
+ * @returns {string} CSV 文本
+ */
+function toCsv(records, options = {}) {
+  const lines = [
+    CSV_COLUMNS.map(([header]) => header).join(","),
+    ...records.map((r) =>
+      CSV_COLUMNS.map(([, getter]) => escapeCsv(getter(r, options))).join(","),
+    ),
+  ];
+  return `\uFEFF${lines.join("\r\n")}\r\n`;
+}
+
+/**
+ * 按格式序列化记录
+ * @param {string} format - EXPORT_FORMATS 中的 key
+ * @param {Object[]} records
+ * @param {Object} [options] - 透传给各格式 (name / distressNames)
+ * @returns {string}
+ */
+function serializeRecords(format, records, options) {
+  switch (format) {
+    case "geojson":
+      return JSON.stringify(toGeoJSON(records, options));
+    case "kml":
+      return toKml(records, options);
+    case "csv":
+      return toCsv(records, options);
+    default:
+      throw new Error(`不支持的导出格式: ${format}`);
+  }
+}
+
+export { EXPORT_FORMATS, serializeRecords, toCsv, toGeoJSON, toKml };
@@ -0,0 +1,196 @@
+/**
+ * @module geo_helper
+ * @description 地理计算辅助工具
+ * 提供球面距离、点到折线投影、外包矩形等纯函数，供空间查询接口使用。
+ * 所有坐标均遵循 GeoJSON 顺序 [经度(Lng), 纬度(Lat)]。
+ */
+
+// 地球平均半径 (米)
+const EARTH_RADIUS = 6371008.8;
+
+const toRad = (deg) => (deg * Math.PI) / 180;
+const toDeg = (rad) => (rad * 180) / Math.PI;
+
+/**
+ * 校验经纬度是否在合法范围内
+ * @param {number} lng - 经度
+ * @param {number} lat - 纬度
+ * @returns {boolean}
+ */
+function isValidLngLat(lng, lat) {
+  return (
+    Number.isFinite(lng) &&
+    Number.isFinite(lat) &&
+    lng >= -180 &&
+    lng <= 180 &&
+    lat >= -90 &&
+    lat <= 90
+  );
+}
+
+/**
+ * 计算两点间的球面距离 (Haversine 公式)
+ * @param {number[]} a - [lng, lat]
+ * @param {number[]} b - [lng, lat]
+ * @returns {number} 距离 (米)
+ */
+function haversineDistance(a, b) {
+  const dLat = toRad(b[1] - a[1]);
+  const dLng = toRad(b[0] - a[0]);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a[1])) * Math.cos(toRad(b[1])) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * 计算点到线段的最短距离
+ * @description
+ * 以点 p 为原点做局部等距投影 (Equirectangular)，在平面上求垂足。
+ * 道路巡检的线段通常只有几十到几百米，此近似误差远小于 GPS 本身的误差。
+ *
+ * @param {number[]} p - 待测点 [lng, lat]
+ * @param {number[]} a - 线段起点 [lng, lat]
+ * @param {number[]} b - 线段终点 [lng, lat]
+ * @returns {{distance: number, t: number}} distance 为垂距 (米)；t 为垂足在线段上的比例 (0~1)
+ */
+function pointToSegment(p, a, b) {
+  const kx = Math.cos(toRad(p[1])) * toRad(1) * EARTH_RADIUS;
+  const ky = toRad(1) * EARTH_RADIUS;
+
+  const ax = (a[0] - p[0]) * kx;
+  const ay = (a[1] - p[1]) * ky;
+  const bx = (b[0] - p[0]) * kx;
+  const by = (b[1] - p[1]) * ky;
+
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lenSq = dx * dx + dy * dy;
+
+  // 退化线段 (起终点重合)
+  let t = lenSq === 0 ? 0 : -(ax * dx + ay * dy) / lenSq;
+  t = Math.max(0, Math.min(1, t));
+
+  const cx = ax + t * dx;
+  const cy = ay + t * dy;
+  return { distance: Math.sqrt(cx * cx + cy * cy), t };
+}
+
+/**
+ * 计算折线总长度
+ * @param {number[][]} line - [[lng, lat], ...]
+ * @returns {number} 长度 (米)
+ */
+function polylineLength(line) {
+  let total = 0;
+  for (let i = 1; i < line.length; i++) {
+    total += haversineDistance(line[i - 1], line[i]);
+  }
+  return total;
+}
+
+/**
+ * 将点投影到折线上
+ * @param {number[]} p - 待测点 [lng, lat]
+ * @param {number[][]} line - 折线 [[lng, lat], ...] (至少 2 个点)
+ * @returns {{offset: number, distanceAlong: number, segmentIndex: number}}
+ * offset 为点到折线的最短距离 (米)；distanceAlong 为垂足距折线起点的里程 (米)
+ */
+function projectOntoPolyline(p, line) {
+  let best = { offset: Infinity, distanceAlong: 0, segmentIndex: 0 };
+  let walked = 0;
+
+  for (let i = 1; i < line.length; i++) {
+    const segLen = haversineDistance(line[i - 1], line[i]);
+    const { distance, t } = pointToSegment(p, line[i - 1], line[i]);
+
+    if (distance < best.offset) {
+      best = {
+        offset: distance,
+        distanceAlong: walked + t * segLen,
+        segmentIndex: i - 1,
+      };
+    }
+    walked += segLen;
+  }
+
+  return best;
+}
+
+/**
+ * 计算折线的外包矩形，并向四周扩展指定缓冲距离
+ * @param {number[][]} line - [[lng, lat], ...]
+ * @param {number} [bufferMeters=0] - 缓冲距离 (米)
+ * @returns {number[]} [minLng, minLat, maxLng, maxLat]
+ */
+function bboxOf(line, bufferMeters = 0) {
+  let minLng = Infinity;
+  let minLat = Infinity;
+  let maxLng = -Infinity;
+  let maxLat = -Infinity;
+
+  for (const [lng, lat] of line) {
+    minLng = Math.min(minLng, lng);
+    minLat = Math.min(minLat, lat);
+    maxLng = Math.max(maxLng, lng);
+    maxLat = Math.max(maxLat, lat);
+  }
+
+  // 纬度方向 1 度约 111km；经度方向随纬度收缩，取最靠近极点的纬度保证覆盖
+  const dLat = toDeg(bufferMeters / EARTH_RADIUS);
+  const maxAbsLat = Math.min(Math.max(Math.abs(minLat), Math.abs(maxLat)), 89);
+  const dLng = dLat / Math.cos(toRad(maxAbsLat));
+
+  return [
+    Math.max(minLng - dLng, -180),
+    Math.max(minLat - dLat, -90),
+    Math.min(maxLng + dLng, 180),
+    Math.min(maxLat + dLat, 90),
+  ];
+}
+
+/**
+ * 将外包矩形转换为 GeoJSON Polygon
+ * @param {number[]} bbox - [minLng, minLat, maxLng, maxLat]
+ * @returns {Object} GeoJSON Polygon
+ */
+function bboxToPolygon([minLng, minLat, maxLng, maxLat]) {
+  return {
+    type: "Polygon",
+    coordinates: [
+      [
+        [minLng, minLat],
+        [maxLng, minLat],
+        [maxLng, maxLat],
+        [minLng, maxLat],
+        [minLng, minLat],
+      ],
+    ],
+  };
+}
+
+/**
+ * 将顶点数组转换为闭合的 GeoJSON Polygon (首尾不一致时自动闭合)
+ * @param {number[][]} ring - [[lng, lat], ...] (至少 3 个不同顶点)
+ * @returns {Object} GeoJSON Polygon
+ */
+function ringToPolygon(ring) {
+  const closed = [...ring];
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  if (first[0] !== last[0] || first[1] !== last[1]) {
+    closed.push(first);
+  }
+  return { type: "Polygon", coordinates: [closed] };
+}
+
+export {
+  bboxOf,
+  bboxToPolygon,
+  haversineDistance,
+  isValidLngLat,
+  pointToSegment,
+  polylineLength,
+  projectOntoPolyline,
+  ringToPolygon,
+};
@@ -0,0 +1,261 @@
+/**
+ * @module local_storage_helper
+ * @description 本地磁盘对象存储驱动
+ * 用于内网部署与离线测试环境 (无法访问阿里云)。
+ * 与 OSS 直传流程保持一致：后端签发带过期时间的上传 URL，客户端直接 PUT 文件，
+ * 文件由后端自身的 /storage/local/* 路由接收与读取。
+ * 读取同样需要签名 (等同于私有 Bucket)，签名 URL 由 createSignedReadUrl 生成。
+ */
+
+import { createHmac, timingSafeEqual } from "node:crypto";
+import { createReadStream, createWriteStream } from "node:fs";
+import { access, constants, mkdir, rename, rm, stat } from "node:fs/promises";
+import path from "node:path";
+import { Transform } from "node:stream";
+import { pipeline } from "node:stream/promises";
+import { storage } from "../config/config.js";
+
+// 文件读写路由前缀 (由 app.js 挂载)
+const LOCAL_STORAGE_ROUTE = "/storage/local";
+
+// 按扩展名返回的 Content-Type
+const CONTENT_TYPES = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".webp": "image/webp",
+};
+
+/**
+ * 校验 ObjectKey
+ * @description 只允许字母、数字与 _ - . / ，且不允许空段、"." 与 ".." (防止路径穿越)
+ * @param {string} key - 如 images/{taskId}/{timestamp}_{fileName}
+ * @returns {string|null} 合法时原样返回，否则返回 null
+ */
+function normalizeObjectKey(key) {
+  if (typeof key !== "string" || key.length === 0 || key.length > 512) {
+    return null;
+  }
+  if (!/^[\w\-./]+$/.test(key)) return null;
+  const segments = key.split("/");
+  if (segments.some((s) => s === "" || s === "." || s === "..")) return null;
+  return key;
+}
+
+/** 读取签名密钥，未配置时抛出异常 */
+const getSigningSecret = () => {
+  const secret = storage.local.signingSecret;
+  if (!secret) {
+    throw new Error("local 存储驱动未配置 STORAGE_SIGNING_SECRET");
+  }
+  return secret;
+};
+
+/**
+ * 计算签名
+ * @param {"PUT"|"GET"} method - 上传签名覆盖 key 前缀，读取签名覆盖完整 key
+ * @param {string} target - key 前缀或完整 key
+ * @param {number} expires - 过期时间 (Unix 秒)
+ * @returns {string} base64url 编码的 HMAC-SHA256
+ */
+function sign(method, target, expires) {
+  return createHmac("sha256", getSigningSecret())
+    .update(`${method}\n${target}\n${expires}`)
+    .digest("base64url");
+}
+
+/**
+ * 计算上传签名
+ * @description 签名覆盖 key 前缀与过期时间，一份凭证可上传该前缀下的多个文件 (与 STS Token 用法一致)
+ * @param {string} prefix - 允许上传的 key 前缀
+ * @param {number} expires - 过期时间 (Unix 秒)
+ * @returns {string}
+ */
+const signUpload = (prefix, expires) => sign("PUT", prefix, expires);
+
+/**
+ * 校验签名参数
+ * @returns {string|null} 校验失败的原因；通过时返回 null
+ */
+const checkSignature = (method, target, { expires, signature }) => {
+  const expiresAt = Number(expires);
+  if (!Number.isInteger(expiresAt) || typeof signature !== "string") {
+    return "缺少签名参数";
+  }
+  if (expiresAt * 1000 < Date.now()) return "链接已过期";
+
+  const expected = Buffer.from(sign(method, target, expiresAt));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    return "签名无效";
+  }
+  return null;
+};
+
+/**
+ * 签发上传凭证
+ * @param {Object} [options]
+ * @param {string} [options.prefix=""] - 允许上传的 key 前缀
+ * @returns {Object} local 驱动的凭证结构
+ */
+function createUploadCredentials({ prefix = "" } = {}) {
+  const { publicUrl, urlExpireTime } = storage.local;
+  const expires = Math.floor(Date.now() / 1000) + urlExpireTime;
+
+  return {
+    provider: "local",
+    // 客户端上传方式: PUT {uploadUrl}/{key}?prefix=&expires=&signature=
+    uploadUrl: `${publicUrl}${LOCAL_STORAGE_ROUTE}`,
+    prefix,
+    expires,
+    signature: signUpload(prefix, expires),
+    expiration: new Date(expires * 1000).toISOString(),
+  };
+}
+
+/**
+ * 校验上传请求的签名
+ * @param {string} key - 待上传的 ObjectKey
+ * @param {Object} query - 上传 URL 中的 prefix / expires / signature
+ * @returns {string|null} 校验失败的原因；通过时返回 null
+ */
+function verifyUploadSignature(key, { prefix = "", expires, signature } = {}) {
+  if (!key.startsWith(prefix)) return "文件路径超出授权范围";
+  return checkSignature("PUT", prefix, { expires, signature });
+}
+
+/**
+ * 生成文件的临时访问 URL
+ * @param {string} key - ObjectKey
+ * @param {number} expiresIn - 有效期 (秒)
+ * @returns {string}
+ */
+function createSignedReadUrl(key, expiresIn) {
+  const expires = Math.floor(Date.now() / 1000) + expiresIn;
+  const query = new URLSearchParams({
+    expires: String(expires),
+    signature: sign("GET", key, expires),
+  });
+  return `${getObjectUrl(key)}?${query}`;
+}
+
+/**
+ * 校验读取请求的签名
+ * @param {string} key - ObjectKey
+ * @param {Object} query - URL 中的 expires / signature
+ * @returns {string|null} 校验失败的原因；通过时返回 null
+ */
+function verifyReadSignature(key, { expires, signature } = {}) {
+  return checkSignature("GET", key, { expires, signature });
+}
+
+/**
+ * 从 URL 中解析 ObjectKey (即 getObjectUrl 的逆运算)
+ * @param {string} url - 记录的 serverUrl
+ * @returns {string|null} 不是本地存储的地址时返回 null
+ */
+function getObjectKeyFromUrl(url) {
+  const base = `${storage.local.publicUrl}${LOCAL_STORAGE_ROUTE}/`;
+  if (typeof url !== "string" || !url.startsWith(base)) return null;
+  return normalizeObjectKey(url.slice(base.length).split("?")[0]);
+}
+
+/**
+ * ObjectKey 对应的访问 URL (即记录的 serverUrl)
+ * @param {string} key
+ * @returns {string}
+ */
+function getObjectUrl(key) {
+  return `${storage.local.publicUrl}${LOCAL_STORAGE_ROUTE}/${key}`;
+}
+
+/** ObjectKey 对应的磁盘路径 (key 须先经过 normalizeObjectKey 校验) */
+const resolveObjectPath = (key) =>
+  path.join(path.resolve(storage.local.rootDir), ...key.split("/"));
+
+/**
+ * 写入文件
+ * @description 先写入临时文件再 rename，避免并发读取到写了一半的图片；超过大小上限时抛出 code = "OBJECT_TOO_LARGE" 的异常。
+ * @param {string} key - 已校验的 ObjectKey
+ * @param {import("node:stream").Readable} stream - 请求体
+ * @returns {Promise<number>} 写入的字节数
+ */
+async function saveObject(key, stream) {
+  const filePath = resolveObjectPath(key);
+  const tmpPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  const { maxObjectSize } = storage.local;
+  let size = 0;
+
+  const limiter = new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      if (size > maxObjectSize) {
+        const err = new Error(`文件大小超过 ${maxObjectSize} 字节`);
+        err.code = "OBJECT_TOO_LARGE";
+        callback(err);
+        return;
+      }
+      callback(null, chunk);
+    },
+  });
+
+  await mkdir(path.dirname(filePath), { recursive: true });
+  try {
+    await pipeline(stream, limiter, createWriteStream(tmpPath));
+    await rename(tmpPath, filePath);
+  } catch (e) {
+    await rm(tmpPath, { force: true });
+    throw e;
+  }
+  return size;
+}
+
+/**
+ * 读取文件
+ * @param {string} key - 已校验的 ObjectKey
+ * @returns {Promise<{stream: import("node:fs").ReadStream, size: number, contentType: string}|null>} 不存在时返回 null
+ */
+async function openObject(key) {
+  const filePath = resolveObjectPath(key);
+  try {
+    const info = await stat(filePath);
+    if (!info.isFile()) return null;
+    return {
+      stream: createReadStream(filePath),
+      size: info.size,
+      contentType:
+        CONTENT_TYPES[path.extname(key).toLowerCase()] ||
+        "application/octet-stream",
+    };
+  } catch (e) {
+    if (e.code === "ENOENT") return null;
+    throw e;
+  }
+}
+
+/**
+ * 存储可用性检查 (供 /readyz 使用)
+ * @description 签名密钥已配置，且存储目录存在 (不存在时创建) 并可写。
+ * @returns {Promise<void>} 不可用时抛出异常
+ */
+async function checkStorageDir() {
+  getSigningSecret();
+  const rootDir = path.resolve(storage.local.rootDir);
+  await mkdir(rootDir, { recursive: true });
+  await access(rootDir, constants.W_OK);
+}
+
+export {
+  checkStorageDir,
+  createSignedReadUrl,
+  createUploadCredentials,
+  getObjectKeyFromUrl,
+  getObjectUrl,
+  LOCAL_STORAGE_ROUTE,
+  normalizeObjectKey,
+  openObject,
+  saveObject,
+  signUpload,
+  verifyReadSignature,
+  verifyUploadSignature,
+};
@@ -0,0 +1,165 @@
+/**
+ * @module logger
+ * @description 结构化日志 (JSON Lines)
+ * 每条日志输出为一行 JSON：{ time, level, msg, requestId, userId, ...fields }，便于日志平台按字段检索。
+ * 请求上下文 (requestId / userId) 通过 AsyncLocalStorage 传递，业务代码无需层层透传 ctx：
+ * 只要在 runWithRequestContext 的回调链路内调用 logger，就会自动带上当前请求的 ID。
+ * 输出前对字段名疑似密码、Token、签名的值以及消息中的 Bearer Token / JWT 做脱敏。
+ */
+
+import { AsyncLocalStorage } from "node:async_hooks";
+import { logging } from "../config/config.js";
+
+/** 日志级别 (数值越大越严重) */
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// 需要脱敏的字段名
+const SENSITIVE_KEY_PATTERN =
+  /password|token|secret|signature|authorization|cookie/i;
+
+// 消息文本中的 Bearer Token 与 JWT (三段 base64url，header 固定以 eyJ 开头)
+const SENSITIVE_TEXT_PATTERNS = [
+  /Bearer\s+[\w\-.~+/]+=*/gi,
+  /eyJ[\w-]+\.[\w-]+\.[\w-]+/g,
+];
+
+const REDACTED = "[REDACTED]";
+
+/** 当前请求的上下文 { requestId, userId } */
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * 在请求上下文中执行
+ * @param {{requestId: string, userId?: string}} context - 上下文对象 (可在下游补充 userId)
+ * @param {Function} fn
+ * @returns {*} fn 的返回值
+ */
+function runWithRequestContext(context, fn) {
+  return requestContext.run(context, fn);
+}
+
+/**
+ * 获取当前请求的上下文
+ * @returns {{requestId: string, userId?: string}|undefined} 不在请求链路内时返回 undefined
+ */
+function getRequestContext() {
+  return requestContext.getStore();
+}
+
+/**
+ * 脱敏消息文本
+ * @param {string} text
+ * @returns {string}
+ */
+function redactText(text) {
+  return SENSITIVE_TEXT_PATTERNS.reduce(
+    (result, pattern) => result.replace(pattern, REDACTED),
+    text,
+  );
+}
+
+/**
+ * 递归脱敏
+ * @description 字段名疑似密码、Token、签名、认证头的值替换为 [REDACTED]，字符串中的 Bearer Token / JWT 同样替换。
+ * @param {*} value
+ * @returns {*} 脱敏后的副本 (不修改原对象)
+ */
+function redact(value) {
+  if (typeof value === "string") return redactText(value);
+  if (Array.isArray(value)) return value.map(redact);
+  if (!value || typeof value !== "object" || value instanceof Date) {
+    return value;
+  }
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [
+      key,
+      SENSITIVE_KEY_PATTERN.test(key) ? REDACTED : redact(item),
+    ]),
+  );
+}
+
+/**
+ * 将异常转换为可序列化的对象
+ * @param {Error} err
+ * @returns {{name: string, message: string, code?: *, stack?: string}}
+ */
+function serializeError(err) {
+  return {
+    name: err.name,
+    message: redactText(String(err.message)),
+    code: err.code,
+    stack: err.stack,
+  };
+}
+
+/**
+ * 规整日志的附加参数
+ * @description 兼容原 console 的调用方式：第二个参数可以是 Error、字段对象或任意值。
+ * @param {*} extra
+ * @returns {Object}
+ */
+function toFields(extra) {
+  if (extra === undefined) return {};
+  if (extra instanceof Error) return { err: serializeError(extra) };
+  if (extra && typeof extra === "object" && !Array.isArray(extra)) {
+    const { err, ...rest } = extra;
+    return err instanceof Error
+      ? { ...redact(rest), err: serializeError(err) }
+      : redact(extra);
+  }
+  return { detail: redact(extra) };
+}
+
+/**
+ * 格式化一条日志
+ * @param {string} level - 日志级别
+ * @param {string|Error} message - 日志消息；传入 Error 时取其 message，并附带 err 字段
+ * @param {*} [extra] - Error、字段对象或任意值
+ * @param {Date} [now=new Date()]
+ * @returns {string} 单行 JSON
+ */
+function formatEntry(level, message, extra, now = new Date()) {
+  const context = getRequestContext();
+  const fields =
+    message instanceof Error && extra === undefined
+      ? toFields(message)
+      : toFields(extra);
+
+  return JSON.stringify({
+    time: now.toISOString(),
+    level,
+    msg: redactText(
+      String(message instanceof Error ? message.message : message),
+    ),
+    requestId: context?.requestId,
+    userId: context?.userId,
+    ...fields,
+  });
+}
+
+/** 输出一条日志 (warn / error 写入 stderr，其余写入 stdout) */
+const write = (level, message, extra) => {
+  if (LOG_LEVELS[level] < LOG_LEVELS[logging.level]) return;
+  const stream = LOG_LEVELS[level] >= LOG_LEVELS.warn ? "stderr" : "stdout";
+  process[stream].write(`${formatEntry(level, message, extra)}\n`);
+};
+
+/**
+ * 全局日志实例
+ * 用法：logger.info("[Task Create] 任务入库成功", { taskId })；logger.error("[Record] 保存失败", e)
+ */
+const logger = {
+  debug: (message, extra) => write("debug", message, extra),
+  info: (message, extra) => write("info", message, extra),
+  warn: (message, extra) => write("warn", message, extra),
+  error: (message, extra) => write("error", message, extra),
+};
+
+export {
+  formatEntry,
+  getRequestContext,
+  LOG_LEVELS,
+  logger,
+  redact,
+  runWithRequestContext,
+};
@@ -0,0 +1,60 @@
+/**
+ * @module login_limit_helper
+ * @description 登录防暴力破解 (失败计数 + 指数退避 + 临时锁定)
+ * 按用户名与来源 IP 分别计数，计数存于 MongoDB (LoginAttempt 集合)，无需 Redis。
+ * 本模块只包含纯计算逻辑，读写数据库由 app.js 完成。
+ */
+
+/**
+ * 用户名维度的计数 key
+ * @param {string} username
+ * @returns {string} 如 user:inspector_zhang (不区分大小写)
+ */
+const userAttemptKey = (username) => `user:${username.trim().toLowerCase()}`;
+
+/**
+ * IP 维度的计数 key
+ * @param {string} ip
+ * @returns {string} 如 ip:10.0.0.2
+ */
+const ipAttemptKey = (ip) => `ip:${ip}`;
+
+/**
+ * 计算本次失败后的封禁截止时间
+ * @description
+ * - 失败次数 < backoffAfter：不封禁
+ * - backoffAfter <= 失败次数 < maxFailures：指数退避，等待 baseDelayMs * 2^(失败次数 - backoffAfter)，不超过 maxDelayMs
+ * - 失败次数 >= maxFailures：锁定 lockDurationMs
+ *
+ * @param {number} failures - 窗口内的连续失败次数 (含本次)
+ * @param {{backoffAfter: number, maxFailures: number}} policy - 该维度的阈值
+ * @param {{baseDelayMs: number, maxDelayMs: number, lockDurationMs: number}} limits - 见 config.auth.loginLimit
+ * @param {number} [now=Date.now()]
+ * @returns {{blockedUntil: number|null, locked: boolean}} blockedUntil 为 Unix ms，不封禁时为 null
+ */
+function computeBlock(failures, policy, limits, now = Date.now()) {
+  if (failures >= policy.maxFailures) {
+    return { blockedUntil: now + limits.lockDurationMs, locked: true };
+  }
+  if (failures < policy.backoffAfter) {
+    return { blockedUntil: null, locked: false };
+  }
+
+  const delay = Math.min(
+    limits.baseDelayMs * 2 ** (failures - policy.backoffAfter),
+    limits.maxDelayMs,
+  );
+  return { blockedUntil: now + delay, locked: false };
+}
+
+/**
+ * 计算 Retry-After 响应头的值
+ * @param {number} blockedUntil - 封禁截止时间 (Unix ms)
+ * @param {number} [now=Date.now()]
+ * @returns {number} 秒数，至少为 1
+ */
+function getRetryAfterSeconds(blockedUntil, now = Date.now()) {
+  return Math.max(1, Math.ceil((blockedUntil - now) / 1000));
+}
+
+export { computeBlock, getRetryAfterSeconds, ipAttemptKey, userAttemptKey };
@@ -0,0 +1,193 @@
+/**
+ * @module metrics_helper
+ * @description Prometheus 指标 (文本格式 0.0.4)
+ * 仅实现本项目用到的 Counter / Gauge / Histogram，无需引入 prom-client。
+ * 指标由 createRegistry() 创建的注册表统一管理，/metrics 路由调用 registry.render() 输出。
+ * @see https://prometheus.io/docs/instrumenting/exposition_formats/
+ */
+
+/** Prometheus 文本格式的 Content-Type */
+const METRICS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+/** HTTP 请求耗时直方图的默认分桶 (秒) */
+const DEFAULT_BUCKETS = [
+  0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10,
+];
+
+/**
+ * 转义标签值 (反斜杠、双引号、换行)
+ * @param {*} value
+ * @returns {string}
+ */
+const escapeLabelValue = (value) =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+
+/**
+ * 格式化标签集
+ * @param {Object<string, *>} labels - 如 { method: "GET", status: 200 }
+ * @returns {string} 如 {method="GET",status="200"}；无标签时返回空串
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels).filter(([, v]) => v !== undefined);
+  if (entries.length === 0) return "";
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabelValue(v)}"`).join(",")}}`;
+}
+
+/** 同一组标签的存储 key (与标签书写顺序无关) */
+const labelKey = (labels) =>
+  JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+
+/**
+ * 格式化样本值
+ * @param {number} value
+ * @returns {string} 无穷大输出 +Inf / -Inf
+ */
+const formatValue = (value) => {
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return String(value);
+};
+
+/**
+ * 创建指标注册表
+ * @returns {{
+ *   counter: (name: string, help: string) => Object,
+ *   gauge: (name: string, help: string, options?: {collect?: Function}) => Object,
+ *   histogram: (name: string, help: string, options?: {buckets?: number[]}) => Object,
+ *   render: () => Promise<string>
+ * }}
+ */
+function createRegistry() {
+  /** @type {Map<string, Object>} */
+  const metrics = new Map();
+
+  const register = (metric) => {
+    if (metrics.has(metric.name)) {
+      throw new Error(`指标重复注册: ${metric.name}`);
+    }
+    metrics.set(metric.name, metric);
+    return metric;
+  };
+
+  /**
+   * 计数器 (只增不减)
+   * 用法：counter.inc({ status: "created" })；counter.inc({}, 5)
+   */
+  const counter = (name, help) => {
+    const series = new Map();
+    return register({
+      name,
+      help,
+      type: "counter",
+      inc(labels = {}, amount = 1) {
+        const key = labelKey(labels);
+        const entry = series.get(key) ?? { labels, value: 0 };
+        entry.value += amount;
+        series.set(key, entry);
+      },
+      lines: () =>
+        [...series.values()].map(
+          ({ labels, value }) =>
+            `${name}${formatLabels(labels)} ${formatValue(value)}`,
+        ),
+    });
+  };
+
+  /**
+   * 仪表盘 (瞬时值)
+   * 传入 collect 时在每次 render 前调用，用于采集抓取时刻的值 (如数据库中的进行中任务数)
+   */
+  const gauge = (name, help, { collect } = {}) => {
+    const series = new Map();
+    return register({
+      name,
+      help,
+      type: "gauge",
+      collect,
+      set(labels, value) {
+        series.set(labelKey(labels), { labels, value });
+      },
+      reset() {
+        series.clear();
+      },
+      lines: () =>
+        [...series.values()].map(
+          ({ labels, value }) =>
+            `${name}${formatLabels(labels)} ${formatValue(value)}`,
+        ),
+    });
+  };
+
+  /**
+   * 直方图
+   * 按 Prometheus 约定输出累计分桶 _bucket{le=...}、_sum 与 _count
+   */
+  const histogram = (name, help, { buckets = DEFAULT_BUCKETS } = {}) => {
+    const bounds = [...buckets].sort((a, b) => a - b);
+    const series = new Map();
+    return register({
+      name,
+      help,
+      type: "histogram",
+      observe(labels, value) {
+        const key = labelKey(labels);
+        const entry = series.get(key) ?? {
+          labels,
+          counts: bounds.map(() => 0),
+          sum: 0,
+          count: 0,
+        };
+        bounds.forEach((bound, i) => {
+          if (value <= bound) entry.counts[i]++;
+        });
+        entry.sum += value;
+        entry.count++;
+        series.set(key, entry);
+      },
+      lines: () =>
+        [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+          ...bounds.map(
+            (bound, i) =>
+              `${name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[i]}`,
+          ),
+          `${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`,
+          `${name}_sum${formatLabels(labels)} ${formatValue(sum)}`,
+          `${name}_count${formatLabels(labels)} ${count}`,
+        ]),
+    });
+  };
+
+  /**
+   * 输出全部指标
+   * @description collect 抛出异常时该指标本次不输出样本 (只保留 HELP / TYPE)，不影响其他指标。
+   * @returns {Promise<string>} Prometheus 文本格式
+   */
+  const render = async () => {
+    const blocks = [];
+    for (const metric of metrics.values()) {
+      if (metric.collect) {
+        metric.reset();
+        try {
+          await metric.collect(metric);
+        } catch {
+          metric.reset();
+        }
+      }
+      blocks.push(
+        [
+          `# HELP ${metric.name} ${metric.help}`,
+          `# TYPE ${metric.name} ${metric.type}`,
+          ...metric.lines(),
+        ].join("\n"),
+      );
+    }
+    return `${blocks.join("\n")}\n`;
+  };
+
+  return { counter, gauge, histogram, render };
+}
+
+export { createRegistry, DEFAULT_BUCKETS, formatLabels, METRICS_CONTENT_TYPE };
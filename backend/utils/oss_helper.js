@@ -1,38 +1,49 @@
 /**
  * @module oss_helper
  * @description 阿里云 OSS 辅助工具类
- * 主要负责与阿里云 STS 服务交互，签发临时上传凭证。
+ * 主要负责与阿里云 STS 服务交互，签发临时上传凭证；以及为私有 Bucket 中的照片生成带签名的访问 URL。
+ * 作为 storage_helper 中的 aliyun 驱动使用 (STORAGE_PROVIDER=aliyun，默认)。
  */
 
 import OSS from "ali-oss";
 const { STS } = OSS;
 import { aliyun } from "../config/config.js";
+import { logger } from "./logger.js";
 
-// 初始化 STS 客户端
+// STS 客户端
 // 这里使用的是拥有 AssumeRole 权限的 RAM 用户 (backend-server)
-const client = new STS({
-  accessKeyId: aliyun.accessKeyId,
-  accessKeySecret: aliyun.accessKeySecret,
-});
+// 延迟创建：使用 local 驱动时无需配置阿里云凭证
+let stsClient = null;
+const getStsClient = () => {
+  if (!stsClient) {
+    stsClient = new STS({
+      accessKeyId: aliyun.accessKeyId,
+      accessKeySecret: aliyun.accessKeySecret,
+    });
+  }
+  return stsClient;
+};
 
 /**
  * 获取 OSS 临时上传凭证 (STS Token)
  * * 原理：
  * 后端使用高权限账号向阿里云申请一个临时的、权限受限的 Token。
  * Android 端拿到这个 Token 后，直接直传文件到 OSS，无需经过后端服务器中转。
- * * @returns {Promise<Object>} 包含 accessKeyId, accessKeySecret, stsToken 等信息的对象
+ * * @param {string} prefix - 允许上传的 key 前缀，如 images/{userId}/{taskId}/
+ * @returns {Promise<Object>} 包含 accessKeyId, accessKeySecret, stsToken, expiration 等信息的对象
  */
-async function getStsToken() {
+async function getStsToken(prefix) {
   // 定义权限策略
   // 这是一个 "最小权限原则" 的安全策略
-  // 含义：只允许对指定 Bucket 下的所有资源执行 PutObject (上传) 操作
+  // 含义：只允许对指定 Bucket 中 prefix 下的资源执行 PutObject (上传) 操作，
+  // Token 泄露也无法覆盖其他用户的照片
   // 禁止了 GetObject (查看) 和 DeleteObject (删除)
   const policy = {
     Statement: [
       {
         Action: ["oss:PutObject"],
         Effect: "Allow",
-        Resource: [`acs:oss:*:*:${aliyun.bucket}/*`],
+        Resource: [`acs:oss:*:*:${aliyun.bucket}/${prefix}*`],
       },
     ],
     Version: "1",
@@ -40,7 +51,7 @@ async function getStsToken() {
 
   try {
     // 调用 assumeRole 接口扮演角色
-    const result = await client.assumeRole(
+    const result = await getStsClient().assumeRole(
       aliyun.roleArn, // 调用者扮演哪个角色
       policy, // 限制该角色的权限
       aliyun.tokenExpireTime // 有效期
@@ -53,11 +64,57 @@ async function getStsToken() {
       stsToken: result.credentials.SecurityToken, // 核心：临时令牌
       region: aliyun.region,
       bucket: aliyun.bucket,
+      expiration: result.credentials.Expiration, // ISO 8601
     };
   } catch (e) {
-    console.error("STS 签发失败 - 请检查 RAM 权限或 RoleArn 配置:", e);
+    logger.error("STS 签发失败 - 请检查 RAM 权限或 RoleArn 配置", e);
     throw e;
   }
 }
 
-export { getStsToken };
+// 用于生成签名 URL 的 OSS 客户端 (仅本地计算签名，不发起网络请求)
+// 同样延迟创建
+let ossClient = null;
+const getOssClient = () => {
+  if (!ossClient) {
+    ossClient = new OSS({
+      region: aliyun.region,
+      bucket: aliyun.bucket,
+      accessKeyId: aliyun.accessKeyId,
+      accessKeySecret: aliyun.accessKeySecret,
+      secure: true,
+    });
+  }
+  return ossClient;
+};
+
+/**
+ * 生成私有文件的临时访问 URL (GetObject 签名)
+ * @param {string} key - ObjectKey，如 images/{taskId}/{timestamp}_{fileName}
+ * @param {Object} options
+ * @param {number} options.expires - 有效期 (秒)
+ * @param {string} [options.process] - OSS 图片处理参数，如 "image/resize,w_240" (用于缩略图)
+ * @returns {string} 带签名的 URL
+ */
+function getSignedUrl(key, { expires, process }) {
+  return getOssClient().signatureUrl(key, {
+    expires,
+    ...(process ? { process } : {}),
+  });
+}
+
+// Bucket 可用性检查的超时时间 (毫秒)，避免 /readyz 被网络问题长时间阻塞
+const HEALTH_CHECK_TIMEOUT = 3000;
+
+/**
+ * 检查 Bucket 是否可访问 (供 /readyz 使用)
+ * @description 调用 GetBucketInfo，同时验证网络连通性与 AccessKey 配置。
+ * @returns {Promise<void>} 不可访问时抛出异常
+ */
+async function checkBucket() {
+  await getOssClient().getBucketInfo(aliyun.bucket, {
+    timeout: HEALTH_CHECK_TIMEOUT,
+  });
+}
+
+export { checkBucket, getSignedUrl, getStsToken };
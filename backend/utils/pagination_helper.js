@@ -0,0 +1,96 @@
+/**
+ * @module pagination_helper
+ * @description 游标分页 (Keyset Pagination) 工具
+ * 相比 skip/limit，游标分页在翻到很深的页时依然走索引，且不会因为翻页期间有新数据插入而重复或漏数据。
+ * 游标对客户端是不透明字符串，内容为上一页最后一条的 [排序字段值, _id]。
+ */
+
+// 单页最多返回条数
+const MAX_PAGE_LIMIT = 100;
+
+/**
+ * 编码游标
+ * @param {number|string} value - 排序字段值
+ * @param {string|Object} id - 文档 _id
+ * @returns {string} base64url 字符串
+ */
+function encodeCursor(value, id) {
+  return Buffer.from(JSON.stringify([value, String(id)])).toString("base64url");
+}
+
+/**
+ * 解码游标
+ * @param {string} cursor
+ * @returns {{value: number|string, id: string}|null} 格式非法时返回 null
+ */
+function decodeCursor(cursor) {
+  try {
+    const parsed = JSON.parse(
+      Buffer.from(String(cursor), "base64url").toString("utf8"),
+    );
+    if (
+      !Array.isArray(parsed) ||
+      parsed.length !== 2 ||
+      !["number", "string"].includes(typeof parsed[0]) ||
+      !/^[a-f\d]{24}$/i.test(parsed[1])
+    ) {
+      return null;
+    }
+    return { value: parsed[0], id: parsed[1] };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 解析单页条数
+ * @param {*} value - 客户端传入的 limit
+ * @param {number} [defaultLimit=20]
+ * @returns {number} 1 ~ MAX_PAGE_LIMIT
+ */
+function parseLimit(value, defaultLimit = 20) {
+  return Math.min(
+    Math.max(parseInt(value, 10) || defaultLimit, 1),
+    MAX_PAGE_LIMIT,
+  );
+}
+
+/**
+ * 构造 "位于游标之后" 的过滤条件
+ * @description 排序字段可能重复 (如同一毫秒的 captureTime)，因此以 _id 作为第二排序键打破平局。
+ * @param {string} field - 排序字段 (值不可为 null)
+ * @param {1|-1} direction - 1 正序，-1 倒序
+ * @param {{value: *, id: string}} cursor - decodeCursor 的结果
+ * @returns {Object} Mongo 过滤条件
+ */
+function buildCursorFilter(field, direction, { value, id }) {
+  const op = direction === 1 ? "$gt" : "$lt";
+  return {
+    $or: [{ [field]: { [op]: value } }, { [field]: value, _id: { [op]: id } }],
+  };
+}
+
+/**
+ * 截取一页数据并生成下一页游标
+ * @description 查询时应多取一条 (limit + 1)，据此判断是否还有下一页。
+ * @param {Object[]} docs - 查询结果 (最多 limit + 1 条)
+ * @param {number} limit - 单页条数
+ * @param {string} field - 排序字段
+ * @returns {{items: Object[], nextCursor: string|null}}
+ */
+function slicePage(docs, limit, field) {
+  const items = docs.slice(0, limit);
+  const last = items[items.length - 1];
+  const nextCursor =
+    docs.length > limit ? encodeCursor(last[field], last._id) : null;
+  return { items, nextCursor };
+}
+
+export {
+  buildCursorFilter,
+  decodeCursor,
+  encodeCursor,
+  MAX_PAGE_LIMIT,
+  parseLimit,
+  slicePage,
+};
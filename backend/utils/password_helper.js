@@ -0,0 +1,45 @@
+/**
+ * @module password_helper
+ * @description 密码策略校验
+ * 策略 (长度与必须包含的字符类别) 由 config.auth.passwordPolicy 配置，注册、管理员创建账号与修改密码时校验。
+ */
+
+/** 可要求的字符类别 */
+const CHARACTER_CLASSES = {
+  lower: { pattern: /[a-z]/, label: "小写字母" },
+  upper: { pattern: /[A-Z]/, label: "大写字母" },
+  letter: { pattern: /[a-zA-Z]/, label: "字母" },
+  digit: { pattern: /\d/, label: "数字" },
+  symbol: { pattern: /[^a-zA-Z\d\s]/, label: "特殊符号" },
+};
+
+/**
+ * 描述密码策略 (用于错误提示与前端展示)
+ * @param {import("../config/config.js").PasswordPolicy} policy
+ * @returns {string} 如 "8~72 位，须包含字母、数字"
+ */
+function describePasswordPolicy(policy) {
+  const labels = policy.requiredClasses.map(
+    (name) => CHARACTER_CLASSES[name].label,
+  );
+  const length = `${policy.minLength}~${policy.maxLength} 位`;
+  return labels.length > 0 ? `${length}，须包含${labels.join("、")}` : length;
+}
+
+/**
+ * 校验密码是否符合策略
+ * @param {string} password
+ * @param {import("../config/config.js").PasswordPolicy} policy
+ * @returns {string|null} 不符合时返回错误信息 (不含字段名)，符合时返回 null
+ */
+function checkPassword(password, policy) {
+  const ok =
+    password.length >= policy.minLength &&
+    password.length <= policy.maxLength &&
+    policy.requiredClasses.every((name) =>
+      CHARACTER_CLASSES[name].pattern.test(password),
+    );
+  return ok ? null : `不符合密码要求 (${describePasswordPolicy(policy)})`;
+}
+
+export { CHARACTER_CLASSES, checkPassword, describePasswordPolicy };
@@ -0,0 +1,113 @@
+/**
+ * @module record_helper
+ * @description 病害记录提交辅助工具
+ * 负责把 Android 端上报的扁平化参数校验并转换为 Record 文档结构 (单条提交与批量提交共用)。
+ */
+
+import { allowedUploadHosts } from "../config/config.js";
+import { normalizeDistresses, parseLegacyDistress } from "./distress_helper.js";
+import { isOwnUpload } from "./storage_helper.js";
+import { validateSchema } from "./validator.js";
+
+// 单次批量提交最多允许的记录数
+const MAX_RECORDS_PER_BATCH = 200;
+
+/**
+ * 单条记录的校验规则 (见 validator.js)
+ * serverUrl 必须指向本系统配置的 OSS Bucket，防止客户端提交任意外链
+ * distresses 的逐条规则见 distress_helper.normalizeDistresses；pavementDistress 为旧版字段
+ */
+const RECORD_INPUT_SCHEMA = {
+  recordId: { type: "string", required: true, max: 64 },
+  taskId: { type: "string", required: true, max: 64 },
+  serverUrl: {
+    type: "url",
+    required: true,
+    hosts: () => allowedUploadHosts,
+  },
+  captureTime: { type: "timestamp", required: true },
+  latitude: { type: "latitude", required: true },
+  longitude: { type: "longitude", required: true },
+  address: { type: "string", max: 200 },
+  iri: { type: "number", min: 0, max: 50 },
+  distresses: { type: "array" },
+  pavementDistress: { type: "string", max: 100 },
+};
+
+/**
+ * 校验并转换一条待提交的记录
+ * @description 不合法时返回逐字段的 errors (由调用方返回 400 或标记为 invalid)。
+ * serverUrl 还必须位于提交者自己的上传目录 images/{uploaderId}/{taskId}/ 内，
+ * 防止引用其他用户上传的照片。
+ *
+ * @param {Object} body - 客户端上报的记录
+ * @param {string} body.recordId - 记录 UUID (幂等键)
+ * @param {string} body.taskId - 关联的任务 ID
+ * @param {string} body.serverUrl - 图片在 OSS 的完整 URL
+ * @param {number} body.captureTime - 拍摄时间 (Unix ms)
+ * @param {number} body.latitude - 纬度 (WGS84)
+ * @param {number} body.longitude - 经度 (WGS84)
+ * @param {string} [body.address] - 逆地理编码地址
+ * @param {number} [body.iri] - 拍摄时的 IRI 值
+ * @param {Object[]} [body.distresses] - 病害条目 (type / severity / extent / bbox / source / confidence / note)
+ * @param {string} [body.pavementDistress] - 旧版病害字段 (逗号分隔的名称)，未传 distresses 时按字典转换
+ * @param {Object} options
+ * @param {string} options.uploaderId - 提交者 ID (ctx.state.user.id)
+ * @param {Object} options.distressIndex - 病害字典索引 (distress_helper.buildDistressIndex)
+ * @returns {{record?: Object, errors?: {field: string, message: string}[]}} 成功返回 record，失败返回 errors
+ */
+function normalizeRecordInput(body, { uploaderId, distressIndex }) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return { errors: [{ field: "record", message: "必须为对象" }] };
+  }
+
+  const errors = validateSchema(RECORD_INPUT_SCHEMA, body);
+  if (errors.length > 0) return { errors };
+
+  const { recordId, taskId, serverUrl, captureTime, latitude, longitude } =
+    body;
+
+  if (!isOwnUpload(serverUrl, uploaderId, taskId)) {
+    return {
+      errors: [{ field: "serverUrl", message: "不在当前用户的上传目录内" }],
+    };
+  }
+
+  let distresses;
+  if (body.distresses) {
+    const result = normalizeDistresses(body.distresses, distressIndex);
+    if (result.errors) return { errors: result.errors };
+    distresses = result.distresses;
+  } else {
+    distresses = parseLegacyDistress(body.pavementDistress, distressIndex);
+  }
+
+  // Data Transformation (数据清洗与适配)
+  // 将扁平化的请求参数转换为符合 GeoJSON 标准的嵌套结构
+  return {
+    record: {
+      recordId,
+      taskId,
+      serverUrl,
+      captureTime,
+      address: body.address,
+
+      // 冗余存储原始经纬度，作为 "冷备" 数据，防止 GeoJSON 解析出问题时无据可查
+      rawLat: latitude,
+      rawLng: longitude,
+
+      iri: body.iri ?? null,
+      distresses,
+
+      // GeoJSON Point 对象
+      // ⚠️ 严正注意：MongoDB/GeoJSON 规范经纬度顺序为 [经度(Lng), 纬度(Lat)]
+      // 这与 Google Maps API (Lat, Lng) 是相反的，切勿搞反！
+      location: {
+        type: "Point",
+        coordinates: [longitude, latitude],
+      },
+    },
+  };
+}
+
+export { MAX_RECORDS_PER_BATCH, normalizeRecordInput, RECORD_INPUT_SCHEMA };
@@ -0,0 +1,276 @@
+/**
+ * @module report_helper
+ * @description 路面平整度 (IRI) 分段报表
+ * 将一次巡检的轨迹 IRI 与病害记录按固定里程 (如 100 米) 切段汇总，
+ * 并按照与前端 HUD (cameraNative.js -> getIriColor) 一致的区间评定路况等级。
+ */
+
+import { report } from "../config/config.js";
+import { getDistressCodes } from "./distress_helper.js";
+import { getReviewStatus } from "./review_helper.js";
+import { haversineDistance } from "./geo_helper.js";
+
+/**
+ * IRI 路况等级区间 (上限含边界)
+ * 上限取自配置 IRI_BAND_THRESHOLDS (默认 2,4,6,8)；颜色与 frontend/src/ui/cameraNative.js 中 getIriColor 保持一致。
+ * 修改阈值后前端 HUD 不会自动同步，报表页面应以 /api/task/:taskId/report 返回的 bands 为准。
+ */
+const IRI_BANDS = [
+  { key: "good", label: "优", color: "#00E676" },
+  { key: "fair", label: "良", color: "#FFFF00" },
+  { key: "moderate", label: "中", color: "#FF9100" },
+  { key: "poor", label: "次", color: "#FF1744" },
+  { key: "bad", label: "差", color: "#D500F9" },
+].map((band, i) => ({ ...band, max: report.iriThresholds[i] ?? Infinity }));
+
+/**
+ * 评定 IRI 所属等级
+ * @param {number|null} iri
+ * @returns {Object|null} IRI_BANDS 中的一项；iri 为空时返回 null
+ */
+function gradeIri(iri) {
+  if (iri === null || iri === undefined || !Number.isFinite(iri)) return null;
+  return IRI_BANDS.find((band) => iri <= band.max);
+}
+
+/**
+ * 为轨迹点计算累计里程 (chainage)
+ * @description 优先使用客户端上报的 distance (经过卡尔曼滤波，更准确)；
+ * 缺失时用相邻点的球面距离累加补齐。
+ * @param {Object[]} points - 按时间升序排列的轨迹点
+ * @returns {{t: number, d: number}[]}
+ */
+function buildChainage(points) {
+  const chain = [];
+  let offset = 0; // 客户端里程与本地累加里程之间的差值
+
+  points.forEach((p, i) => {
+    let d;
+    if (i === 0) {
+      d = 0;
+      offset = p.distance ?? 0;
+    } else if (p.distance !== null && p.distance !== undefined) {
+      d = Math.max(p.distance - offset, chain[i - 1].d);
+    } else {
+      d =
+        chain[i - 1].d +
+        haversineDistance(
+          [points[i - 1].lng, points[i - 1].lat],
+          [p.lng, p.lat],
+        );
+    }
+    chain.push({ t: p.t, d });
+  });
+
+  return chain;
+}
+
+/**
+ * 按时间在里程序列上线性插值
+ * @param {{t: number, d: number}[]} chain - 按时间升序排列
+ * @param {number} t - 时间戳
+ * @returns {number} 里程 (米)，超出轨迹时间范围时取两端
+ */
+function chainageAtTime(chain, t) {
+  if (t <= chain[0].t) return chain[0].d;
+  if (t >= chain[chain.length - 1].t) return chain[chain.length - 1].d;
+
+  let lo = 0;
+  let hi = chain.length - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (chain[mid].t <= t) lo = mid;
+    else hi = mid;
+  }
+
+  const a = chain[lo];
+  const b = chain[hi];
+  const ratio = b.t === a.t ? 0 : (t - a.t) / (b.t - a.t);
+  return a.d + ratio * (b.d - a.d);
+}
+
+const round = (value, digits = 2) =>
+  value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * 生成 IRI 分段报表
+ * @description
+ * 数据来源优先级：
+ * 1. 轨迹 (track)：每个带 IRI 的轨迹点代表 [d - segmentLength, d] 区间，按重叠长度加权分摊到各分段；
+ *    病害记录按拍摄时间插值到轨迹里程上。
+ * 2. 记录 (records)：无轨迹 IRI 时退化为按拍摄顺序累加记录间距离作为里程，
+ *    每段 IRI 取段内记录的算术平均。
+ *
+ * @param {Object} params
+ * @param {Object[]} params.trackPoints - 轨迹点 (按时间升序)
+ * @param {Object[]} params.records - 病害记录 (含 captureTime, iri, distresses, review, location)
+ * @param {number} params.segmentLength - 分段长度 (米)
+ * @returns {{source: string, segments: Object[], summary: Object}}
+ */
+function buildIriReport({ trackPoints, records, segmentLength }) {
+  const sortedRecords = [...records].sort(
+    (a, b) => a.captureTime - b.captureTime,
+  );
+  const hasTrackIri = trackPoints.some((p) => p.iri !== null);
+  const source = hasTrackIri ? "track" : "records";
+
+  // 1. 计算每条记录的里程
+  let recordChainage;
+  let totalLength;
+  if (trackPoints.length >= 2) {
+    const chain = buildChainage(trackPoints);
+    recordChainage = sortedRecords.map((r) =>
+      chainageAtTime(chain, r.captureTime),
+    );
+    totalLength = chain[chain.length - 1].d;
+  } else {
+    let d = 0;
+    recordChainage = sortedRecords.map((r, i) => {
+      if (i > 0) {
+        d += haversineDistance(
+          sortedRecords[i - 1].location.coordinates,
+          r.location.coordinates,
+        );
+      }
+      return d;
+    });
+    totalLength = d;
+  }
+
+  // 2. 初始化分段 (至少一段)
+  const segmentCount = Math.max(Math.ceil(totalLength / segmentLength), 1);
+  const bins = Array.from({ length: segmentCount }, (_, index) => ({
+    index,
+    start: index * segmentLength,
+    end: Math.min((index + 1) * segmentLength, Math.max(totalLength, 0)),
+    weightedSum: 0,
+    coveredLength: 0,
+    maxIri: null,
+    sampleCount: 0,
+    recordCount: 0,
+    distress: {},
+  }));
+  const binAt = (d) =>
+    bins[Math.min(Math.floor(d / segmentLength), segmentCount - 1)];
+
+  // 3. 分摊 IRI
+  if (hasTrackIri) {
+    const chain = buildChainage(trackPoints);
+    trackPoints.forEach((p, i) => {
+      if (p.iri === null) return;
+      const segEnd = chain[i].d;
+      const segStart = Math.max(segEnd - p.segmentLength, 0);
+
+      const first = Math.floor(segStart / segmentLength);
+      const last = Math.min(
+        Math.floor(Math.max(segEnd - 1e-9, segStart) / segmentLength),
+        segmentCount - 1,
+      );
+      for (let b = first; b <= last; b++) {
+        const bin = bins[b];
+        const overlap =
+          Math.min(segEnd, (b + 1) * segmentLength) -
+          Math.max(segStart, b * segmentLength);
+        // 零长度 (轨迹原地不动) 的 IRI 段按极小权重计入，避免整段丢失
+        const weight = overlap > 0 ? overlap : 1e-6;
+        bin.weightedSum += p.iri * weight;
+        bin.coveredLength += weight;
+        bin.sampleCount++;
+        bin.maxIri = Math.max(bin.maxIri ?? -Infinity, p.iri);
+      }
+    });
+  }
+
+  // 4. 汇总病害记录 (无轨迹 IRI 时同时承担 IRI 统计)
+  sortedRecords.forEach((r, i) => {
+    const bin = binAt(recordChainage[i]);
+    bin.recordCount++;
+    // 按病害类型 code 计数 (同一记录的同类病害只计一次)，名称由路由按字典补充；
+    // 审核驳回的记录 (误报) 不计病害，IRI 仍参与统计
+    if (getReviewStatus(r) !== "rejected") {
+      getDistressCodes(r).forEach((type) => {
+        bin.distress[type] = (bin.distress[type] || 0) + 1;
+      });
+    }
+
+    if (!hasTrackIri && r.iri !== null && r.iri !== undefined) {
+      bin.weightedSum += r.iri;
+      bin.coveredLength += 1; // 先按样本数累加，下方换算为段长
+      bin.sampleCount++;
+      bin.maxIri = Math.max(bin.maxIri ?? -Infinity, r.iri);
+    }
+  });
+
+  // 5. 输出分段并统计全程
+  const bandLength = Object.fromEntries(IRI_BANDS.map((b) => [b.key, 0]));
+  let gradedLength = 0;
+  let gradedIriSum = 0;
+
+  const segments = bins.map((bin) => {
+    const meanIri =
+      bin.coveredLength > 0 ? bin.weightedSum / bin.coveredLength : null;
+    const band = gradeIri(meanIri);
+
+    // 有效覆盖长度：轨迹模式取 IRI 实际覆盖长度 (不超过段长)；
+    // 记录模式下有样本的段视为整段被覆盖。零长度段 (原地不动) 按 1 米计。
+    const binLength = bin.end - bin.start;
+    let effectiveLength = 0;
+    if (meanIri !== null) {
+      effectiveLength = hasTrackIri
+        ? Math.min(bin.coveredLength, binLength || 1)
+        : binLength || 1;
+    }
+
+    if (band) {
+      bandLength[band.key] += effectiveLength;
+      gradedLength += effectiveLength;
+      gradedIriSum += meanIri * effectiveLength;
+    }
+
+    return {
+      index: bin.index,
+      start: round(bin.start, 1),
+      end: round(bin.end, 1),
+      meanIri: round(meanIri),
+      maxIri: round(bin.maxIri),
+      grade: band ? band.key : null,
+      gradeLabel: band ? band.label : null,
+      coveredLength: round(effectiveLength, 1),
+      sampleCount: bin.sampleCount,
+      recordCount: bin.recordCount,
+      distressCount: Object.values(bin.distress).reduce((a, b) => a + b, 0),
+      distress: bin.distress,
+    };
+  });
+
+  const bandPercent = Object.fromEntries(
+    IRI_BANDS.map((b) => [
+      b.key,
+      gradedLength > 0 ? round((bandLength[b.key] / gradedLength) * 100) : 0,
+    ]),
+  );
+
+  const distressTotals = {};
+  segments.forEach((s) =>
+    Object.entries(s.distress).forEach(([type, count]) => {
+      distressTotals[type] = (distressTotals[type] || 0) + count;
+    }),
+  );
+
+  return {
+    source,
+    segments,
+    summary: {
+      totalLength: round(totalLength, 1),
+      gradedLength: round(gradedLength, 1),
+      segmentCount,
+      weightedAvgIri:
+        gradedLength > 0 ? round(gradedIriSum / gradedLength) : null,
+      bandPercent,
+      recordCount: sortedRecords.length,
+      distressTotals,
+    },
+  };
+}
+
+export { buildChainage, buildIriReport, chainageAtTime, gradeIri, IRI_BANDS };
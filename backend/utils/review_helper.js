@@ -0,0 +1,104 @@
+/**
+ * @module review_helper
+ * @description 病害记录审核辅助工具
+ * 巡检员 (或 AI 识别) 提交的病害条目需由审核员复核，每条记录带有审核状态 (Record.review)：
+ * - pending: 待审核 (新提交的记录；审核功能上线前的旧记录没有 review 字段，同样视为待审核)
+ * - confirmed: 确认无误
+ * - rejected: 驳回 (误报，报表不再统计其病害)
+ * - corrected: 修正 (审核员改写了病害条目，首次修正前的条目保存在 review.originalDistresses)
+ * 本模块只包含纯计算逻辑，路由见 app.js 的 Review Routes。
+ */
+
+/** 审核状态 */
+const REVIEW_STATUSES = ["pending", "confirmed", "rejected", "corrected"];
+
+/** 审核员可提交的结论 (不能把记录改回 pending) */
+const REVIEW_DECISIONS = ["confirmed", "rejected", "corrected"];
+
+/** 审核状态的中文名称 */
+const REVIEW_STATUS_LABELS = {
+  pending: "待审核",
+  confirmed: "已确认",
+  rejected: "已驳回",
+  corrected: "已修正",
+};
+
+/**
+ * 解析审核状态过滤参数
+ * @param {string|string[]|undefined} value - 逗号分隔的状态；"all" 表示不过滤
+ * @param {string[]} [fallback=["pending"]] - 未传时的默认值
+ * @returns {string[]|null} 状态列表；不过滤时返回 null
+ */
+function parseReviewStatuses(value, fallback = ["pending"]) {
+  if (value === undefined || value === null || value === "") return fallback;
+  const list = (Array.isArray(value) ? value : String(value).split(","))
+    .map((s) => String(s).trim())
+    .filter(Boolean);
+  return list.includes("all") ? null : [...new Set(list)];
+}
+
+/**
+ * 构造按审核状态过滤的条件
+ * @description 没有 review 字段的旧记录按 pending 匹配
+ * @param {string[]|null} statuses - parseReviewStatuses 的返回值
+ * @returns {Object} Mongo 过滤条件 (statuses 为 null 时为空对象)
+ */
+function buildReviewStatusFilter(statuses) {
+  if (!statuses) return {};
+  const values = statuses.includes("pending") ? [...statuses, null] : statuses;
+  return { "review.status": { $in: values } };
+}
+
+/**
+ * 取记录的审核状态
+ * @param {Object} record
+ * @returns {string} 没有 review 字段时为 "pending"
+ */
+function getReviewStatus(record) {
+  return record?.review?.status || "pending";
+}
+
+/**
+ * 生成审核结论的更新操作
+ * @description
+ * 同一条记录可被重新审核，以最后一次结论为准 (历次结论见审计日志)。
+ * corrected 时用审核员提交的条目替换 distresses；记录首次被修正时把原条目保存到 review.originalDistresses，
+ * 之后再次修正不覆盖，始终保留巡检员最初提交的内容。
+ *
+ * @param {Object} record - 当前记录 (含 distresses 与 review)
+ * @param {Object} decision
+ * @param {string} decision.status - REVIEW_DECISIONS 之一
+ * @param {Object[]} [decision.distresses] - 修正后的病害条目 (已经 distress_helper.normalizeDistresses 转换)，仅 corrected 使用
+ * @param {string} [decision.comment] - 审核意见
+ * @param {{id: string, username: string}} reviewer - 审核员
+ * @param {number} [now=Date.now()]
+ * @returns {{$set: Object}} updateOne 的 update 参数
+ */
+function buildReviewUpdate(record, decision, reviewer, now = Date.now()) {
+  const $set = {
+    "review.status": decision.status,
+    "review.reviewerId": reviewer.id,
+    "review.reviewerName": reviewer.username,
+    "review.reviewedAt": new Date(now),
+    "review.comment": decision.comment?.trim() || null,
+  };
+
+  if (decision.status === "corrected") {
+    $set.distresses = decision.distresses;
+    if (!record.review?.originalDistresses) {
+      $set["review.originalDistresses"] = record.distresses || [];
+    }
+  }
+
+  return { $set };
+}
+
+export {
+  buildReviewStatusFilter,
+  buildReviewUpdate,
+  getReviewStatus,
+  parseReviewStatuses,
+  REVIEW_DECISIONS,
+  REVIEW_STATUS_LABELS,
+  REVIEW_STATUSES,
+};
@@ -0,0 +1,195 @@
+/**
+ * @module road_helper
+ * @description 路网与桩号辅助工具
+ * 道路 (Road) 保存中心线折线与起点桩号；路段 (RoadSection) 是道路上按桩号截取的一段，
+ * 中心线由道路中心线截取得到。
+ * 地图匹配在本地完成 (不调用外部地图服务)：将记录与轨迹点投影到附近道路的中心线上，
+ * 桩号 = 起点桩号 + 投影点距中心线起点的里程，按 "K公里+米" 格式显示，如 12340 米即 K12+340。
+ * 本模块只包含纯计算逻辑，路由见 app.js 的 Road Routes。
+ */
+
+import { haversineDistance, projectOntoPolyline } from "./geo_helper.js";
+
+// 道路编号，如 G101、S203、X012-1
+const ROAD_CODE_PATTERN = /^[A-Za-z0-9][\w-]{0,31}$/;
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * 将桩号 (米) 格式化为 K12+340
+ * @param {number} chainage - 桩号 (米，>= 0)，按米四舍五入
+ * @returns {string}
+ */
+function formatStake(chainage) {
+  const meters = Math.max(0, Math.round(chainage));
+  const km = Math.floor(meters / 1000);
+  return `K${km}+${String(meters % 1000).padStart(3, "0")}`;
+}
+
+/**
+ * 截取折线上两个里程之间的部分
+ * @description 端点按所在线段线性插值 (道路中心线的单个线段通常很短，插值误差可以忽略)。
+ * @param {number[][]} line - 折线 [[lng, lat], ...]
+ * @param {number} from - 起点距折线起点的里程 (米)
+ * @param {number} to - 终点距折线起点的里程 (米)，须大于 from 且不超过折线长度
+ * @returns {number[][]} 截取的折线
+ */
+function sliceCentreline(line, from, to) {
+  const result = [];
+  let walked = 0;
+
+  const pointAt = (a, b, ratio) => [
+    a[0] + (b[0] - a[0]) * ratio,
+    a[1] + (b[1] - a[1]) * ratio,
+  ];
+
+  for (let i = 1; i < line.length; i++) {
+    const a = line[i - 1];
+    const b = line[i];
+    const segLen = haversineDistance(a, b);
+    const segEnd = walked + segLen;
+
+    if (segEnd > from && walked <= to && segLen > 0) {
+      if (result.length === 0) {
+        result.push(pointAt(a, b, Math.max(0, (from - walked) / segLen)));
+      }
+      if (segEnd >= to) {
+        result.push(pointAt(a, b, (to - walked) / segLen));
+        break;
+      }
+      result.push(b);
+    }
+    walked = segEnd;
+  }
+
+  return result;
+}
+
+/**
+ * 计算点在道路上的位置
+ * @param {number[]} point - [lng, lat]
+ * @param {Object} road - 道路 (含 centreline.coordinates 与 startChainage)
+ * @returns {{offset: number, chainage: number}} offset 为偏离中心线的距离 (米)，chainage 为桩号 (米)
+ */
+function locateOnRoad(point, road) {
+  const { offset, distanceAlong } = projectOntoPolyline(
+    point,
+    road.centreline.coordinates,
+  );
+  return { offset, chainage: (road.startChainage || 0) + distanceAlong };
+}
+
+/**
+ * 将一个点匹配到道路
+ * @description 在偏离中心线不超过 maxOffset 的道路中，按 preferredRoadIds 的顺序优先选用，
+ * 都不满足时选最近的道路。交叉口附近多条道路同时满足时，优先项可避免匹配结果来回跳动。
+ * @param {number[]} point - [lng, lat]
+ * @param {Object[]} roads - 候选道路 (含 _id / centreline / startChainage)
+ * @param {Object} options
+ * @param {number} options.maxOffset - 允许偏离中心线的最大距离 (米)
+ * @param {Array<string|Object>} [options.preferredRoadIds=[]] - 优先匹配的道路 ID (可含 null)
+ * @returns {{road: Object, offset: number, chainage: number}|null} 没有满足条件的道路时返回 null
+ */
+function matchPoint(point, roads, { maxOffset, preferredRoadIds = [] }) {
+  const candidates = roads
+    .map((road) => ({ road, ...locateOnRoad(point, road) }))
+    .filter((c) => c.offset <= maxOffset);
+  if (candidates.length === 0) return null;
+
+  for (const id of preferredRoadIds) {
+    if (!id) continue;
+    const preferred = candidates.find((c) => String(c.road._id) === String(id));
+    if (preferred) return preferred;
+  }
+  return candidates.reduce((best, c) => (c.offset < best.offset ? c : best));
+}
+
+/**
+ * 匹配一段轨迹
+ * @description 逐点匹配，优先沿用上一个点所在的道路 (轨迹是连续的)，其次为任务计划的道路。
+ * @param {Object[]} points - 按时间升序排列的轨迹点 (含 lng / lat)
+ * @param {Object[]} roads - 候选道路
+ * @param {Object} options
+ * @param {number} options.maxOffset - 允许偏离中心线的最大距离 (米)
+ * @param {string|Object} [options.plannedRoadId] - 任务计划巡检的道路
+ * @returns {Array<Object|null>} 与 points 一一对应的 matchPoint 结果
+ */
+function matchTrack(points, roads, { maxOffset, plannedRoadId = null }) {
+  let previousRoadId = null;
+  return points.map((p) => {
+    const match = matchPoint([p.lng, p.lat], roads, {
+      maxOffset,
+      preferredRoadIds: [previousRoadId, plannedRoadId],
+    });
+    previousRoadId = match ? match.road._id : null;
+    return match;
+  });
+}
+
+/**
+ * 查找桩号所在的路段
+ * @param {Object[]} sections - 候选路段 (含 roadId / startChainage / endChainage)
+ * @param {string|Object} roadId
+ * @param {number} chainage - 桩号 (米)
+ * @returns {Object|null}
+ */
+function findSection(sections, roadId, chainage) {
+  return (
+    sections.find(
+      (s) =>
+        String(s.roadId) === String(roadId) &&
+        chainage >= s.startChainage &&
+        chainage <= s.endChainage,
+    ) || null
+  );
+}
+
+/**
+ * 查找与指定桩号区间重叠的路段 (同一道路的路段不允许重叠)
+ * @param {Object[]} sections - 同一道路的路段
+ * @param {number} start - 起点桩号 (米)
+ * @param {number} end - 终点桩号 (米)
+ * @param {string|Object} [excludeId] - 修改路段时排除自身
+ * @returns {Object|null}
+ */
+function findOverlappingSection(sections, start, end, excludeId = null) {
+  return (
+    sections.find(
+      (s) =>
+        String(s._id) !== String(excludeId) &&
+        start < s.endChainage &&
+        end > s.startChainage,
+    ) || null
+  );
+}
+
+/**
+ * 由匹配结果生成记录的 road 字段
+ * @param {{road: Object, offset: number, chainage: number}|null} match - matchPoint 的返回值
+ * @param {Object[]} [sections=[]] - 候选路段
+ * @returns {Object|null} { roadId, code, sectionId, chainage, stake, offset }
+ */
+function buildRoadMatch(match, sections = []) {
+  if (!match) return null;
+  const section = findSection(sections, match.road._id, match.chainage);
+  return {
+    roadId: match.road._id,
+    code: match.road.code,
+    sectionId: section ? section._id : null,
+    chainage: round1(match.chainage),
+    stake: formatStake(match.chainage),
+    offset: round1(match.offset),
+  };
+}
+
+export {
+  buildRoadMatch,
+  findOverlappingSection,
+  findSection,
+  formatStake,
+  locateOnRoad,
+  matchPoint,
+  matchTrack,
+  ROAD_CODE_PATTERN,
+  sliceCentreline,
+};
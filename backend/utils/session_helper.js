@@ -0,0 +1,55 @@
+/**
+ * @module session_helper
+ * @description 登录会话 (Session) 辅助工具
+ * Refresh Token 以哈希形式存库，并从 User-Agent 中解析设备名供会话列表展示。
+ */
+
+import { createHash } from "node:crypto";
+
+// 保存的 User-Agent 最大长度 (防止超长请求头写入数据库)
+const MAX_USER_AGENT_LENGTH = 256;
+
+/**
+ * 计算 Refresh Token 的哈希
+ * @description Token 本身是高熵的随机签名串，SHA-256 即可防止数据库泄露后被直接使用，无需 bcrypt 加盐。
+ * @param {string} token - Refresh Token
+ * @returns {string} 十六进制 SHA-256
+ */
+function hashToken(token) {
+  return createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * 从 User-Agent 中解析设备名
+ * @description Android WebView 的 UA 形如 "Mozilla/5.0 (Linux; Android 14; Pixel 7 Build/UQ1A; wv) ..."，
+ * 解析为 "Pixel 7 (Android 14)"；无法识别时返回 null，由前端显示 "未知设备"。
+ * @param {string} [userAgent]
+ * @returns {string|null}
+ */
+function parseDeviceName(userAgent) {
+  if (typeof userAgent !== "string") return null;
+
+  const android = userAgent.match(/Android ([\d.]+); ([^;)]+?)(?: Build\/|\))/);
+  if (android) return `${android[2].trim()} (Android ${android[1]})`;
+
+  if (/iPhone|iPad/.test(userAgent)) return "iOS 设备";
+  if (/Windows NT/.test(userAgent)) return "Windows 浏览器";
+  if (/Macintosh/.test(userAgent)) return "Mac 浏览器";
+  return null;
+}
+
+/**
+ * 提取需要随会话保存的客户端信息
+ * @param {Object} ctx - Koa 上下文
+ * @returns {{deviceName: string|null, userAgent: string|null, ip: string}}
+ */
+function getClientInfo(ctx) {
+  const userAgent = ctx.get("User-Agent") || null;
+  return {
+    deviceName: parseDeviceName(userAgent),
+    userAgent: userAgent ? userAgent.slice(0, MAX_USER_AGENT_LENGTH) : null,
+    ip: ctx.ip,
+  };
+}
+
+export { getClientInfo, hashToken, parseDeviceName };
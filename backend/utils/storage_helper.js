@@ -0,0 +1,207 @@
+/**
+ * @module storage_helper
+ * @description 对象存储抽象层
+ * 按 STORAGE_PROVIDER 选择存储驱动，对路由层屏蔽阿里云 OSS 与本地磁盘的差异。
+ * 每个驱动实现：
+ * - getUploadCredentials(options): 签发客户端直传所需的凭证 (仅限 prefix 下)，返回结构带 provider / expiration 字段，客户端据此选择上传方式
+ * - getObjectKey(url): 从记录的 serverUrl 解析 ObjectKey，不属于本存储时返回 null
+ * - getSignedUrl(key, options): 生成私有文件的临时访问 URL (可选缩略图规格)
+ * - checkHealth(): 检查存储是否可用 (供 /readyz 使用)，不可用时抛出异常
+ */
+
+import { storage } from "../config/config.js";
+import {
+  checkStorageDir,
+  createSignedReadUrl,
+  createUploadCredentials,
+  getObjectKeyFromUrl,
+} from "./local_storage_helper.js";
+import { checkBucket, getSignedUrl, getStsToken } from "./oss_helper.js";
+
+// 上传文件的 key 前缀，完整的上传目录为 images/{userId}/{taskId}/ (见 getUploadPrefix)
+const UPLOAD_KEY_PREFIX = "images/";
+
+// 凭证缓存的提前刷新量：距过期不足 5 分钟的凭证不再复用，保证客户端拿到后仍有足够时间上传
+const CREDENTIALS_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+/**
+ * 照片缩略图规格
+ * key 为 variants 参数取值，width 为等比缩放后的宽度 (px)
+ */
+const PHOTO_VARIANTS = {
+  thumb: { width: 240 },
+  medium: { width: 960 },
+};
+
+/** 已注册的存储驱动 */
+const drivers = {
+  aliyun: {
+    // STS Policy 只授权 prefix 下的 PutObject
+    getUploadCredentials: async ({ prefix }) => ({
+      provider: "aliyun",
+      prefix,
+      ...(await getStsToken(prefix)),
+    }),
+
+    // 兼容 Bucket 域名与 CDN 自定义域名：ObjectKey 即 URL 的 path
+    getObjectKey: (url) => {
+      try {
+        const key = decodeURIComponent(new URL(url).pathname).replace(
+          /^\/+/,
+          "",
+        );
+        return key || null;
+      } catch {
+        return null;
+      }
+    },
+
+    // 缩略图由 OSS 图片处理实时生成，无需额外存储
+    getSignedUrl: (key, { expires, variant }) =>
+      getSignedUrl(key, {
+        expires,
+        process: variant
+          ? `image/resize,w_${PHOTO_VARIANTS[variant].width}`
+          : undefined,
+      }),
+
+    checkHealth: () => checkBucket(),
+  },
+  local: {
+    getUploadCredentials: async ({ prefix }) =>
+      createUploadCredentials({ prefix }),
+
+    getObjectKey: (url) => getObjectKeyFromUrl(url),
+
+    // 本地磁盘驱动不做图片处理，缩略图直接返回原图
+    getSignedUrl: (key, { expires }) => createSignedReadUrl(key, expires),
+
+    checkHealth: () => checkStorageDir(),
+  },
+};
+
+/**
+ * 获取当前生效的存储驱动
+ * @param {string} [name] - 驱动名称，默认取配置 storage.provider
+ * @returns {Object} 驱动实现
+ * @throws {Error} 配置了未知的驱动
+ */
+function getStorageDriver(name = storage.provider) {
+  const driver = drivers[name];
+  if (!driver) {
+    throw new Error(`未知的存储驱动: ${name}`);
+  }
+  return driver;
+}
+
+/**
+ * 用户的上传目录
+ * @param {string} userId - 上传者 ID
+ * @param {string} [taskId] - 任务 ID；不传时为该用户的根目录
+ * @returns {string} 如 images/{userId}/{taskId}/
+ */
+function getUploadPrefix(userId, taskId) {
+  return `${UPLOAD_KEY_PREFIX}${userId}/${taskId ? `${taskId}/` : ""}`;
+}
+
+/**
+ * 已签发的上传凭证缓存
+ * key 为 "{provider}:{prefix}"，value 为 { credentials, refreshAt (Unix ms) }
+ * 同一用户同一任务在凭证有效期内重复请求时直接复用，避免频繁调用 AssumeRole
+ * @type {Map<string, {credentials: Object, refreshAt: number}>}
+ */
+const credentialsCache = new Map();
+
+/** 清理已到刷新时间的缓存项 */
+const pruneCredentialsCache = (now) => {
+  for (const [key, entry] of credentialsCache) {
+    if (entry.refreshAt <= now) credentialsCache.delete(key);
+  }
+};
+
+/**
+ * 签发上传凭证
+ * @description 凭证仅允许上传到 images/{userId}/{taskId}/ 下，并按上传目录缓存至过期前 5 分钟。
+ * @param {Object} options
+ * @param {string} options.userId - 上传者 ID (ctx.state.user.id)
+ * @param {string} [options.taskId] - 任务 ID；不传时授权该用户的全部任务目录
+ * @returns {Promise<Object>} 与当前驱动匹配的凭证结构 (含 provider / prefix / expiration 字段)
+ */
+async function getUploadCredentials({ userId, taskId }) {
+  if (!userId) throw new Error("签发上传凭证需要 userId");
+
+  const prefix = getUploadPrefix(userId, taskId);
+  const cacheKey = `${storage.provider}:${prefix}`;
+  const now = Date.now();
+
+  const cached = credentialsCache.get(cacheKey);
+  if (cached && cached.refreshAt > now) return cached.credentials;
+
+  const credentials = await getStorageDriver().getUploadCredentials({ prefix });
+
+  // expiration 无法解析时 refreshAt 为 NaN，不会被复用
+  pruneCredentialsCache(now);
+  credentialsCache.set(cacheKey, {
+    credentials,
+    refreshAt:
+      Date.parse(credentials.expiration) - CREDENTIALS_REFRESH_MARGIN_MS,
+  });
+  return credentials;
+}
+
+/**
+ * 判断照片地址是否位于指定用户的上传目录内
+ * @param {string} serverUrl - 客户端提交的照片地址
+ * @param {string} userId - 上传者 ID
+ * @param {string} taskId - 照片所属任务 ID
+ * @returns {boolean} 不属于当前存储或超出 images/{userId}/{taskId}/ 时返回 false
+ */
+function isOwnUpload(serverUrl, userId, taskId) {
+  const key = getStorageDriver().getObjectKey(serverUrl);
+  return Boolean(key && key.startsWith(getUploadPrefix(userId, taskId)));
+}
+
+/**
+ * 为照片生成临时访问 URL
+ * @param {string} serverUrl - 记录中保存的照片地址
+ * @param {Object} [options]
+ * @param {string[]} [options.variants=[]] - 需要的缩略图规格 (PHOTO_VARIANTS 的 key)
+ * @returns {{url: string, thumbnails: Object<string, string>, expiresAt: number}|null}
+ *   expiresAt 为过期时间 (Unix ms)；serverUrl 不属于当前存储时返回 null
+ */
+function signPhotoUrls(serverUrl, { variants = [] } = {}) {
+  const driver = getStorageDriver();
+  const key = driver.getObjectKey(serverUrl);
+  if (!key) return null;
+
+  const expires = storage.readUrlExpireTime;
+  return {
+    url: driver.getSignedUrl(key, { expires }),
+    thumbnails: Object.fromEntries(
+      variants.map((variant) => [
+        variant,
+        driver.getSignedUrl(key, { expires, variant }),
+      ]),
+    ),
+    expiresAt: Date.now() + expires * 1000,
+  };
+}
+
+/**
+ * 检查当前存储驱动是否可用
+ * @returns {Promise<void>} 不可用时抛出异常
+ */
+async function checkStorageHealth() {
+  await getStorageDriver().checkHealth();
+}
+
+export {
+  checkStorageHealth,
+  getStorageDriver,
+  getUploadCredentials,
+  getUploadPrefix,
+  isOwnUpload,
+  PHOTO_VARIANTS,
+  signPhotoUrls,
+  UPLOAD_KEY_PREFIX,
+};
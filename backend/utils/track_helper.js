@@ -0,0 +1,142 @@
+/**
+ * @module track_helper
+ * @description 巡检轨迹辅助工具
+ * 负责轨迹分片的数据清洗、GeoJSON 线要素构建以及回放时的抽稀。
+ */
+
+import { isValidLngLat } from "./geo_helper.js";
+import { isSaneTimestamp } from "./validator.js";
+
+// 单个分片最多允许的轨迹点数 (约 30 分钟的 1Hz 采样)
+const MAX_POINTS_PER_CHUNK = 2000;
+
+// 单次请求最多允许的分片数
+const MAX_CHUNKS_PER_REQUEST = 50;
+
+/**
+ * 将可空字段转换为数字
+ * @returns {number|null} 未传或无法解析时返回 null
+ */
+const toNullableNumber = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  const num = Number(value);
+  return Number.isFinite(num) ? num : null;
+};
+
+/**
+ * 校验并清洗一个分片内的轨迹点
+ * @description
+ * 1. 时间戳 (见 isSaneTimestamp) 与经纬度必须合法，否则整个分片视为无效 (交由客户端修正后重传)。
+ * 2. iri 与 segmentLength 必须成对出现，缺一则两者都置空。
+ * 3. 结果按时间戳升序排列。
+ *
+ * @param {Object[]} points - 客户端上传的原始点 [{t, lat, lng, distance?, iri?, segmentLength?}]
+ * @returns {{points?: Object[], error?: string}} 成功返回 points，失败返回 error
+ */
+function normalizeTrackPoints(points) {
+  if (!Array.isArray(points) || points.length === 0) {
+    return { error: "points 不能为空" };
+  }
+  if (points.length > MAX_POINTS_PER_CHUNK) {
+    return { error: `单个分片最多 ${MAX_POINTS_PER_CHUNK} 个点` };
+  }
+
+  const normalized = [];
+  for (const p of points) {
+    const t = Number(p?.t);
+    const lat = Number(p?.lat);
+    const lng = Number(p?.lng);
+
+    if (!isSaneTimestamp(t) || !isValidLngLat(lng, lat)) {
+      return { error: `轨迹点数据无效: ${JSON.stringify(p)}` };
+    }
+
+    let iri = toNullableNumber(p.iri);
+    let segmentLength = toNullableNumber(p.segmentLength);
+    if (
+      iri === null ||
+      segmentLength === null ||
+      iri < 0 ||
+      segmentLength <= 0
+    ) {
+      iri = null;
+      segmentLength = null;
+    }
+
+    normalized.push({
+      t,
+      lat,
+      lng,
+      distance: toNullableNumber(p.distance),
+      iri,
+      segmentLength,
+    });
+  }
+
+  normalized.sort((a, b) => a.t - b.t);
+  return { points: normalized };
+}
+
+/**
+ * 由轨迹点构建 GeoJSON LineString
+ * @description 2dsphere 索引不接受连续重复的顶点，这里先去重；不足 2 个点时返回 null。
+ * @param {Object[]} points - 已清洗的轨迹点
+ * @returns {Object|null} GeoJSON LineString
+ */
+function buildLineString(points) {
+  const coordinates = [];
+  for (const { lng, lat } of points) {
+    const last = coordinates[coordinates.length - 1];
+    if (!last || last[0] !== lng || last[1] !== lat) {
+      coordinates.push([lng, lat]);
+    }
+  }
+  return coordinates.length >= 2 ? { type: "LineString", coordinates } : null;
+}
+
+/**
+ * 轨迹抽稀 (用于地图回放)
+ * @description
+ * 保留首尾两点，其余点按时间顺序均分到 (maxPoints - 2) 个桶中，
+ * 每个桶优先保留 IRI 最大的点 (保住颠簸峰值)，没有 IRI 的桶取中间点。
+ * ⚠️ 抽稀后的 segmentLength 不再首尾相接，统计报表请使用原始点。
+ *
+ * @param {Object[]} points - 按时间升序排列的轨迹点
+ * @param {number} maxPoints - 最多保留的点数 (>= 2)
+ * @returns {Object[]} 抽稀后的轨迹点
+ */
+function downsampleTrack(points, maxPoints) {
+  if (!maxPoints || points.length <= maxPoints) return points;
+  if (maxPoints <= 2) return [points[0], points[points.length - 1]];
+
+  const inner = points.slice(1, -1);
+  const bucketCount = maxPoints - 2;
+  const bucketSize = inner.length / bucketCount;
+  const result = [points[0]];
+
+  for (let i = 0; i < bucketCount; i++) {
+    const bucket = inner.slice(
+      Math.floor(i * bucketSize),
+      Math.floor((i + 1) * bucketSize),
+    );
+    if (bucket.length === 0) continue;
+
+    const withIri = bucket.filter((p) => p.iri !== null);
+    result.push(
+      withIri.length > 0
+        ? withIri.reduce((max, p) => (p.iri > max.iri ? p : max))
+        : bucket[Math.floor(bucket.length / 2)],
+    );
+  }
+
+  result.push(points[points.length - 1]);
+  return result;
+}
+
+export {
+  buildLineString,
+  downsampleTrack,
+  MAX_CHUNKS_PER_REQUEST,
+  MAX_POINTS_PER_CHUNK,
+  normalizeTrackPoints,
+};
@@ -0,0 +1,223 @@
+/**
+ * @module validator
+ * @description 声明式参数校验
+ * 各路由以对象字面量描述 body / query / params 的字段规则，由 app.js 中的 validate 中间件统一校验，
+ * 不合法时返回 400，并在 errors 中给出逐字段的错误信息。
+ *
+ * 字段规则 (Rule) 结构：
+ * - type: string | number | integer | boolean | objectId | timestamp | latitude | longitude | url | array | object
+ * - required: 是否必填 (undefined / null / "" 视为未填)
+ * - min / max: 数值范围；string 为长度范围；array 为元素个数范围
+ * - enum: 可选值列表
+ * - pattern: 字符串正则
+ * - hosts: url 允许的域名列表 (函数，返回空数组表示不限制)
+ * - items: array 的元素规则
+ * - shape: object 的子字段 Schema
+ * - check: 自定义校验函数 (value) => 错误信息 | null，在以上规则通过后执行
+ */
+
+import { isValidObjectId } from "mongoose";
+
+// 时间戳合理下限：2020-01-01 (早于此时间的数据必然是设备时钟错误或单位传错)
+const MIN_TIMESTAMP = Date.UTC(2020, 0, 1);
+
+// 允许的设备时钟超前量：1 天
+const MAX_CLOCK_SKEW_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 判断是否为合理的毫秒时间戳
+ * @description 拒绝 2020 年之前 (多为秒级时间戳或时钟未同步) 以及超前服务器 1 天以上的值
+ * @param {number} value
+ * @returns {boolean}
+ */
+function isSaneTimestamp(value) {
+  return (
+    Number.isFinite(value) &&
+    value >= MIN_TIMESTAMP &&
+    value <= Date.now() + MAX_CLOCK_SKEW_MS
+  );
+}
+
+const isEmpty = (value) =>
+  value === undefined || value === null || value === "";
+
+/**
+ * 将值转换为数字
+ * @param {*} value
+ * @param {boolean} coerce - 是否接受数字字符串 (query / params 中的值都是字符串)
+ * @returns {number} 无法转换时返回 NaN
+ */
+const toNumber = (value, coerce) => {
+  if (typeof value === "number") return value;
+  if (coerce && typeof value === "string" && value.trim() !== "") {
+    return Number(value);
+  }
+  return NaN;
+};
+
+/** 数值范围校验，返回错误信息或 null */
+const checkRange = (num, { min, max }, unit = "") => {
+  if (min !== undefined && num < min) return `不能小于 ${min}${unit}`;
+  if (max !== undefined && num > max) return `不能大于 ${max}${unit}`;
+  return null;
+};
+
+/**
+ * 校验单个字段
+ * @returns {string|null} 错误信息 (不含字段名)；合法时返回 null
+ */
+function checkField(value, rule, coerce, path, errors) {
+  switch (rule.type) {
+    case "string": {
+      if (typeof value !== "string") return "必须为字符串";
+      const length = value.trim().length;
+      if (rule.min !== undefined && length < rule.min) {
+        return `长度不能少于 ${rule.min} 个字符`;
+      }
+      if (rule.max !== undefined && length > rule.max) {
+        return `长度不能超过 ${rule.max} 个字符`;
+      }
+      if (rule.pattern && !rule.pattern.test(value)) return "格式错误";
+      break;
+    }
+
+    case "number":
+    case "integer": {
+      const num = toNumber(value, coerce);
+      if (!Number.isFinite(num)) return "必须为数字";
+      if (rule.type === "integer" && !Number.isInteger(num)) {
+        return "必须为整数";
+      }
+      const rangeError = checkRange(num, rule);
+      if (rangeError) return rangeError;
+      break;
+    }
+
+    case "boolean": {
+      const ok =
+        typeof value === "boolean" ||
+        (coerce && (value === "true" || value === "false"));
+      if (!ok) return "必须为布尔值";
+      break;
+    }
+
+    case "objectId":
+      if (typeof value !== "string" || !isValidObjectId(value)) {
+        return "ID 格式错误";
+      }
+      break;
+
+    case "timestamp": {
+      const num = toNumber(value, coerce);
+      if (!Number.isInteger(num)) return "必须为毫秒时间戳";
+      if (!isSaneTimestamp(num)) return "时间戳超出合理范围 (请检查设备时钟)";
+      break;
+    }
+
+    case "latitude":
+    case "longitude": {
+      const limit = rule.type === "latitude" ? 90 : 180;
+      const num = toNumber(value, coerce);
+      if (!Number.isFinite(num)) return "必须为数字";
+      if (num < -limit || num > limit) {
+        return `需在 -${limit} ~ ${limit} 之间`;
+      }
+      break;
+    }
+
+    case "url": {
+      let url;
+      try {
+        url = new URL(value);
+      } catch {
+        return "不是有效的 URL";
+      }
+      if (url.protocol !== "http:" && url.protocol !== "https:") {
+        return "仅支持 http/https 地址";
+      }
+      const hosts = rule.hosts ? rule.hosts() : [];
+      if (hosts.length > 0 && !hosts.includes(url.hostname.toLowerCase())) {
+        return "域名不在允许的存储空间内";
+      }
+      break;
+    }
+
+    case "array": {
+      if (!Array.isArray(value)) return "必须为数组";
+      if (rule.min !== undefined && value.length < rule.min) {
+        return `至少需要 ${rule.min} 项`;
+      }
+      if (rule.max !== undefined && value.length > rule.max) {
+        return `最多允许 ${rule.max} 项`;
+      }
+      if (rule.items) {
+        value.forEach((item, i) =>
+          validateField(item, rule.items, coerce, `${path}[${i}]`, errors),
+        );
+      }
+      break;
+    }
+
+    case "object":
+      if (typeof value !== "object" || Array.isArray(value)) {
+        return "必须为对象";
+      }
+      if (rule.shape) {
+        collectErrors(rule.shape, value, coerce, path, errors);
+      }
+      break;
+
+    default:
+      throw new Error(`未知的校验类型: ${rule.type}`);
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return `取值必须为 ${rule.enum.join(" / ")}`;
+  }
+
+  return rule.check ? rule.check(value) : null;
+}
+
+/** 校验字段 (含必填判断)，错误追加到 errors */
+function validateField(value, rule, coerce, path, errors) {
+  if (isEmpty(value)) {
+    if (rule.required) errors.push({ field: path, message: "不能为空" });
+    return;
+  }
+
+  const message = checkField(value, rule, coerce, path, errors);
+  if (message) errors.push({ field: path, message });
+}
+
+/** 按 Schema 逐字段校验 */
+function collectErrors(schema, data, coerce, prefix, errors) {
+  Object.entries(schema).forEach(([key, rule]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    validateField(data?.[key], rule, coerce, path, errors);
+  });
+}
+
+/**
+ * 按 Schema 校验数据
+ * @param {Object} schema - { 字段名: Rule }
+ * @param {Object} data - 待校验数据
+ * @param {Object} [options]
+ * @param {boolean} [options.coerce=false] - 是否接受数字/布尔字符串 (用于 query / params)
+ * @returns {{field: string, message: string}[]} 错误列表，合法时为空数组
+ */
+function validateSchema(schema, data, { coerce = false } = {}) {
+  const errors = [];
+  collectErrors(schema, data ?? {}, coerce, "", errors);
+  return errors;
+}
+
+/**
+ * 将错误列表拼成一句提示 (用于响应的 message)
+ * @param {{field: string, message: string}[]} errors
+ * @returns {string}
+ */
+function formatErrors(errors) {
+  return errors.map((e) => `${e.field} ${e.message}`).join("; ");
+}
+
+export { formatErrors, isSaneTimestamp, MIN_TIMESTAMP, validateSchema };
@@ -0,0 +1,288 @@
+/**
+ * @module work_order_helper
+ * @description 维修工单辅助工具
+ * 审核确认 (confirmed / corrected) 的病害记录按位置聚合为维修工单 (WorkOrder)，工单状态流转：
+ *
+ *   open (待派单) → assigned (已派单) → in_progress (维修中) → repaired (已修复) → verified (已验收)
+ *
+ * 另允许两条回退：assigned → open (取消派单)；repaired → in_progress (验收不通过，返工)。
+ * 验收须引用修复之后在同一位置拍摄的巡检记录。
+ * 本模块只包含纯计算逻辑，路由见 app.js 的 Work Order Routes。
+ */
+
+import { haversineDistance } from "./geo_helper.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** 工单状态 */
+const WORK_ORDER_STATUSES = [
+  "open",
+  "assigned",
+  "in_progress",
+  "repaired",
+  "verified",
+];
+
+/** 工单状态的中文名称 */
+const WORK_ORDER_STATUS_LABELS = {
+  open: "待派单",
+  assigned: "已派单",
+  in_progress: "维修中",
+  repaired: "已修复",
+  verified: "已验收",
+};
+
+/** 允许的状态流转 (from -> 可到达的状态) */
+const WORK_ORDER_TRANSITIONS = {
+  open: ["assigned"],
+  assigned: ["in_progress", "open"],
+  in_progress: ["repaired"],
+  repaired: ["verified", "in_progress"],
+  verified: [],
+};
+
+/** 进入各状态时记录的时间字段 */
+const STATUS_TIME_FIELDS = {
+  assigned: "assignedAt",
+  in_progress: "startedAt",
+  repaired: "repairedAt",
+  verified: "verifiedAt",
+};
+
+/** 可生成工单的记录审核状态 */
+const REPAIRABLE_REVIEW_STATUSES = ["confirmed", "corrected"];
+
+// 单个工单最多关联的记录数
+const MAX_RECORDS_PER_ORDER = 50;
+
+// 维修前 / 维修后照片最多各保存的张数
+const MAX_PHOTOS_PER_ORDER = 10;
+
+/**
+ * 判断状态流转是否合法
+ * @param {string} from
+ * @param {string} to
+ * @returns {boolean}
+ */
+function isValidTransition(from, to) {
+  return (WORK_ORDER_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * 判断用户能否执行某个流转
+ * @description
+ * - 管理员：全部流转
+ * - 维修人员 (工单的 assignee)：开工 (assigned → in_progress) 与完工 (→ repaired)
+ * - 审核员：验收 (→ verified) 与判定返工 (repaired → in_progress)
+ * @param {{id: string, role: string}} user - ctx.state.user
+ * @param {Object} order - 工单 (含 status 与 assigneeId)
+ * @param {string} to - 目标状态
+ * @returns {boolean}
+ */
+function canPerformTransition(user, order, to) {
+  if (user.role === "admin") return true;
+
+  const isAssignee =
+    Boolean(order.assigneeId) && String(order.assigneeId) === user.id;
+  const isReviewer = user.role === "reviewer";
+
+  switch (to) {
+    case "in_progress":
+      // 开工由维修人员操作，返工由审核员判定
+      return order.status === "repaired" ? isReviewer : isAssignee;
+    case "repaired":
+      return isAssignee;
+    case "verified":
+      return isReviewer;
+    default:
+      return false;
+  }
+}
+
+/**
+ * 检查流转所需的参数
+ * @param {Object} order - 当前工单
+ * @param {string} to - 目标状态
+ * @param {Object} payload - 客户端提交的参数 (assigneeId / afterPhotos / verifyRecordId)
+ * @returns {{field: string, message: string}|null} 缺少参数时返回错误
+ */
+function getTransitionPayloadError(order, to, payload) {
+  if (to === "assigned" && !payload.assigneeId && !order.assigneeId) {
+    return { field: "assigneeId", message: "派单时必须指定维修人员" };
+  }
+  if (to === "repaired" && !(payload.afterPhotos?.length > 0)) {
+    return { field: "afterPhotos", message: "完工时必须上传维修后照片" };
+  }
+  if (to === "verified" && !payload.verifyRecordId) {
+    return { field: "verifyRecordId", message: "验收时必须引用复查记录" };
+  }
+  return null;
+}
+
+/**
+ * 检查验收记录是否有效
+ * @description 验收记录须为修复之后在工单位置附近拍摄的巡检记录，且不能是工单原有的病害记录。
+ * @param {Object} order - 工单 (含 recordIds / location / repairedAt)
+ * @param {Object} record - 验收引用的记录 (含 recordId / captureTime / location)
+ * @param {number} radiusMeters - 允许的最大距离
+ * @returns {string|null} 无效时返回原因
+ */
+function getVerificationError(order, record, radiusMeters) {
+  if (order.recordIds.includes(record.recordId)) {
+    return "不能引用工单自身的病害记录验收";
+  }
+  if (order.repairedAt && record.captureTime <= order.repairedAt.getTime()) {
+    return "复查记录须在修复之后拍摄";
+  }
+  const distance = haversineDistance(
+    order.location.coordinates,
+    record.location.coordinates,
+  );
+  if (distance > radiusMeters) {
+    return `复查记录距工单位置 ${Math.round(distance)} 米，超过 ${radiusMeters} 米`;
+  }
+  return null;
+}
+
+/**
+ * 生成状态流转的更新操作
+ * @description 写入目标状态、进入时间与流转历史；
+ * 取消派单时清空维修人员，返工时清空完工时间，验收时记录复查记录 ID。
+ * @param {Object} order - 当前工单
+ * @param {string} to - 目标状态
+ * @param {Object} payload - assigneeId / afterPhotos / verifyRecordId / comment
+ * @param {{id: string, username: string}} actor - 操作者
+ * @param {number} [now=Date.now()]
+ * @returns {{$set: Object, $push: Object}} updateOne 的 update 参数
+ */
+function buildTransitionUpdate(order, to, payload, actor, now = Date.now()) {
+  const at = new Date(now);
+  const $set = { status: to };
+  if (STATUS_TIME_FIELDS[to]) $set[STATUS_TIME_FIELDS[to]] = at;
+
+  if (to === "assigned" && payload.assigneeId) {
+    $set.assigneeId = payload.assigneeId;
+  }
+  if (to === "open") {
+    $set.assigneeId = null;
+    $set.assignedAt = null;
+  }
+  if (to === "repaired") $set.afterPhotos = payload.afterPhotos;
+  if (to === "in_progress" && order.status === "repaired") {
+    $set.repairedAt = null;
+  }
+  if (to === "verified") $set.verifyRecordId = payload.verifyRecordId;
+
+  return {
+    $set,
+    $push: {
+      history: {
+        from: order.status,
+        to,
+        actorId: actor.id,
+        actorName: actor.username,
+        comment: payload.comment?.trim() || null,
+        at,
+      },
+    },
+  };
+}
+
+/**
+ * 计算一组记录的中心点
+ * @param {Object[]} records - 含 location.coordinates 的记录
+ * @returns {number[]} [lng, lat]
+ */
+function centroidOf(records) {
+  const sum = records.reduce(
+    (acc, r) => [
+      acc[0] + r.location.coordinates[0],
+      acc[1] + r.location.coordinates[1],
+    ],
+    [0, 0],
+  );
+  return [sum[0] / records.length, sum[1] / records.length];
+}
+
+/**
+ * 按位置聚合记录
+ * @description 贪心聚合：按拍摄时间依次加入中心点距离不超过 radiusMeters 的第一个聚类，
+ * 没有时新建聚类；单个聚类最多 MAX_RECORDS_PER_ORDER 条。
+ * 同一处病害多次拍摄 (或多次巡检重复发现) 的记录会合并为一个工单。
+ * @param {Object[]} records - 含 captureTime 与 location 的记录
+ * @param {number} radiusMeters
+ * @returns {Object[][]} 聚类 (每个聚类内按拍摄时间排序)
+ */
+function clusterRecords(records, radiusMeters) {
+  const clusters = [];
+  [...records]
+    .sort((a, b) => a.captureTime - b.captureTime)
+    .forEach((record) => {
+      const cluster = clusters.find(
+        (c) =>
+          c.records.length < MAX_RECORDS_PER_ORDER &&
+          haversineDistance(c.center, record.location.coordinates) <=
+            radiusMeters,
+      );
+      if (cluster) {
+        cluster.records.push(record);
+        cluster.center = centroidOf(cluster.records);
+      } else {
+        clusters.push({
+          records: [record],
+          center: record.location.coordinates,
+        });
+      }
+    });
+  return clusters.map((c) => c.records);
+}
+
+/**
+ * 由一组记录生成工单字段
+ * @param {Object[]} records - 同一处病害的记录 (lean 对象)
+ * @param {Object} options
+ * @param {Map<string, string>} [options.distressNames] - 病害 code -> 名称 (用于生成标题)
+ * @param {number} options.dueDays - 维修期限 (天)
+ * @param {number} [options.now=Date.now()]
+ * @returns {Object} 工单字段 (不含状态与创建人)
+ */
+function buildWorkOrderDraft(
+  records,
+  { distressNames = new Map(), dueDays, now = Date.now() },
+) {
+  const distressTypes = [
+    ...new Set(records.flatMap((r) => (r.distresses || []).map((d) => d.type))),
+  ];
+  const address = records.find((r) => r.address)?.address || "未知位置";
+  const names = distressTypes.map((code) => distressNames.get(code) || code);
+
+  return {
+    title: `${address} ${names.join("、") || "病害"}维修`,
+    recordIds: records.map((r) => r.recordId),
+    taskIds: [...new Set(records.map((r) => r.taskId))],
+    distressTypes,
+    location: { type: "Point", coordinates: centroidOf(records) },
+    dueDate: new Date(now + dueDays * DAY_MS),
+    beforePhotos: records
+      .map((r) => r.serverUrl)
+      .slice(0, MAX_PHOTOS_PER_ORDER),
+  };
+}
+
+export {
+  buildTransitionUpdate,
+  buildWorkOrderDraft,
+  canPerformTransition,
+  centroidOf,
+  clusterRecords,
+  getTransitionPayloadError,
+  getVerificationError,
+  isValidTransition,
+  MAX_PHOTOS_PER_ORDER,
+  MAX_RECORDS_PER_ORDER,
+  REPAIRABLE_REVIEW_STATUSES,
+  STATUS_TIME_FIELDS,
+  WORK_ORDER_STATUS_LABELS,
+  WORK_ORDER_STATUSES,
+  WORK_ORDER_TRANSITIONS,
+};
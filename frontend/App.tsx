@@ -6,15 +6,18 @@ import {
   InspectionRecord,
   InspectionTask,
   NativeApiResponse,
+  TaskPageInfo,
   User,
   ViewState,
 } from "./types";
 
 // Sub Components
+import { CompareView } from "./components/CompareView";
 import { CreateTaskModal } from "./components/CreateTaskModal";
 import { Header } from "./components/Header";
 import { ImagePreview } from "./components/ImagePreview";
 import { LoginView } from "./components/LoginView";
+import { ReviewQueueView } from "./components/ReviewQueueView";
 import { TaskDetailView } from "./components/TaskDetailView";
 import { TaskListView } from "./components/TaskListView";
 import { UserCenterView } from "./components/UserCenterView";
@@ -47,6 +50,11 @@ const App: React.FC = () => {
     message: string;
   } | null>(null);
 
+  // Paging State (任务列表分页由原生端维护游标，这里只记录是否还有更多)
+  const [hasMoreTasks, setHasMoreTasks] = useState(false);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const [taskTotal, setTaskTotal] = useState<number | null>(null);
+
   // Modal State
   const [isCreateModalOpen, setIsCreateModalOpen] = useState(false);
 
@@ -92,6 +100,18 @@ const App: React.FC = () => {
       }
     };
 
+    window.onTaskPageLoaded = (response: NativeApiResponse<TaskPageInfo>) => {
+      console.log("📄 [App] Native onTaskPageLoaded:", response.msg);
+      setIsLoadingMore(false);
+
+      if (response.code === 200 && response.data) {
+        setHasMoreTasks(response.data.hasMore);
+        setTaskTotal(response.data.total);
+      } else {
+        console.warn("⚠️ [App] Native loadMoreTasks warning:", response.msg);
+      }
+    };
+
     window.onRecordsReceived = (
       response: NativeApiResponse<InspectionRecord[]>,
     ) => {
@@ -121,6 +141,8 @@ const App: React.FC = () => {
       // 1. 清空 React 全局状态
       setCurrentUser(null);
       setTasks([]);
+      setHasMoreTasks(false);
+      setTaskTotal(null);
       setTaskRecords([]);
       setSyncResult(null);
 
@@ -144,7 +166,11 @@ const App: React.FC = () => {
         setCurrentUser(response.data);
         showToast("修改成功", "个人资料已更新", "success");
       } else {
-        showToast("修改失败", response.msg || "未知错误", "error");
+        showToast(
+          "修改失败",
+          response.message || response.msg || "未知错误",
+          "error",
+        );
       }
     };
 
@@ -167,6 +193,7 @@ const App: React.FC = () => {
     // Cleanup (optional)
     return () => {
       window.onTasksReceived = undefined;
+      window.onTaskPageLoaded = undefined;
       window.onRecordsReceived = undefined;
       window.onLogoutComplete = undefined;
       window.onProfileUpdated = undefined;
@@ -212,6 +239,15 @@ const App: React.FC = () => {
     requestTasks(currentUser.id);
   };
 
+  const handleLoadMoreTasks = () => {
+    if (!currentUser || !hasMoreTasks || isLoadingMore) return;
+    if (!window.AndroidNative?.loadMoreTasks) return;
+
+    console.log("🚀 [App] Calling AndroidNative.loadMoreTasks...");
+    setIsLoadingMore(true);
+    window.AndroidNative.loadMoreTasks(currentUser.id);
+  };
+
   const handleRefreshRecords = async () => {
     if (!selectedTask) return;
     requestRecords(selectedTask.taskId);
@@ -336,15 +372,20 @@ const App: React.FC = () => {
     }
   };
 
-  const handleUpdateProfile = (newUsername?: string, newPassword?: string) => {
+  const handleUpdateProfile = (
+    newUsername?: string,
+    newPassword?: string,
+    currentPassword?: string,
+  ) => {
     if (!currentUser) return false;
 
     // 参数归一化：将 undefined 转为 null 传给 Kotlin
     const uName = newUsername || null;
     const pwd = newPassword || null;
+    const curPwd = currentPassword || null;
 
     if (window.AndroidNative && window.AndroidNative.updateProfile) {
-      window.AndroidNative.updateProfile(currentUser.id, uName, pwd);
+      window.AndroidNative.updateProfile(currentUser.id, uName, pwd, curPwd);
       // 注意：这里不能立马返回 true/false，因为是异步的。
       // UI 层（UserCenterView）可能需要调整 Loading 状态的逻辑，
       // 或者我们可以简单地让 Modal 保持打开，直到收到 Toast。
@@ -367,11 +408,20 @@ const App: React.FC = () => {
     // Clear sync result when navigating back to avoid "Success" animation on mount
     setSyncResult(null);
 
-    if (currentView === ViewState.USER_CENTER) {
+    if (
+      currentView === ViewState.USER_CENTER ||
+      currentView === ViewState.REVIEW_QUEUE
+    ) {
       setCurrentView(ViewState.LIST);
       return;
     }
 
+    // Returning from Compare keeps the selected task and its records
+    if (currentView === ViewState.COMPARE) {
+      setCurrentView(ViewState.DETAIL);
+      return;
+    }
+
     // Returning from Detail
     setSelectedTask(null);
     setTaskRecords([]);
@@ -515,6 +565,11 @@ const App: React.FC = () => {
           setCurrentView(ViewState.USER_CENTER);
         }}
         onMapClick={handleMapClick}
+        onReviewQueueClick={() => {
+          setSyncResult(null);
+          window.scrollTo(0, 0);
+          setCurrentView(ViewState.REVIEW_QUEUE);
+        }}
         user={currentUser}
       />
 
@@ -528,7 +583,18 @@ const App: React.FC = () => {
             onRefresh={handleRefreshTasks}
             isRefreshing={isSyncing}
             refreshResult={syncResult}
+            onLoadMore={handleLoadMoreTasks}
+            hasMore={hasMoreTasks}
+            isLoadingMore={isLoadingMore}
+            total={taskTotal}
+          />
+        ) : currentView === ViewState.REVIEW_QUEUE ? (
+          <ReviewQueueView
+            onImageClick={setPreviewImage}
+            showToast={showToast}
           />
+        ) : currentView === ViewState.COMPARE ? (
+          selectedTask && <CompareView task={selectedTask} tasks={tasks} />
         ) : (
           selectedTask && (
             <TaskDetailView
@@ -538,6 +604,12 @@ const App: React.FC = () => {
               onRefresh={handleRefreshRecords}
               isRefreshing={isSyncing}
               refreshResult={syncResult}
+              user={currentUser}
+              showToast={showToast}
+              onCompareClick={() => {
+                window.scrollTo(0, 0);
+                setCurrentView(ViewState.COMPARE);
+              }}
             />
           )
         )}
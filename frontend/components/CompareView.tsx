@@ -0,0 +1,328 @@
+import React, { useEffect, useMemo, useState } from "react";
+import {
+  CartesianGrid,
+  Legend,
+  Line,
+  LineChart,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from "recharts";
+import { ArrowRight, Loader2, TrendingDown, TrendingUp } from "lucide-react";
+import { InspectionTask } from "../types";
+import {
+  CompareDistress,
+  CompareResult,
+  compareService,
+  pickDefaultBaseTask,
+  SEGMENT_CHANGE_LABELS,
+  SegmentChange,
+} from "../services/compareService";
+import { SEVERITY_LABELS } from "../services/distressService";
+
+interface CompareViewProps {
+  task: InspectionTask;
+  // 可选作对比对象的任务 (原生端同步的任务列表)
+  tasks: InspectionTask[];
+}
+
+const CHANGE_STYLES: Record<SegmentChange, string> = {
+  deteriorated: "bg-red-50 text-red-600",
+  improved: "bg-green-50 text-green-600",
+  stable: "bg-slate-100 text-slate-500",
+};
+
+const formatDate = (time: number) => new Date(time).toLocaleDateString("zh-CN");
+const formatIri = (iri: number | null) =>
+  iri === null ? "--" : iri.toFixed(2);
+
+export const CompareView: React.FC<CompareViewProps> = ({ task, tasks }) => {
+  // 只有已同步到服务器的任务才能对比
+  const candidates = useMemo(
+    () => tasks.filter((t) => t.taskId !== task.taskId && t.syncState !== 0),
+    [tasks, task.taskId],
+  );
+  const [otherTaskId, setOtherTaskId] = useState(
+    () =>
+      (pickDefaultBaseTask(task, candidates) ?? candidates[0])?.taskId ?? "",
+  );
+  const [result, setResult] = useState<CompareResult | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  useEffect(() => {
+    const other = candidates.find((t) => t.taskId === otherTaskId);
+    if (!other) return;
+
+    // 较早的一次作为基准巡检
+    const [base, target] =
+      other.startTime <= task.startTime ? [other, task] : [task, other];
+    let cancelled = false;
+    setIsLoading(true);
+    setError(null);
+    compareService
+      .compareTasks(base.taskId, target.taskId)
+      .then((data) => {
+        if (!cancelled) setResult(data);
+      })
+      .catch((e: any) => {
+        if (cancelled) return;
+        setResult(null);
+        setError(e.message);
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [otherTaskId, task, candidates]);
+
+  const distressLabel = (d: CompareDistress) => {
+    const name = result?.distressTypes[d.type] || d.type;
+    return d.severity ? `${name}·${SEVERITY_LABELS[d.severity]}` : name;
+  };
+
+  if (candidates.length === 0) {
+    return (
+      <div className="p-4 max-w-lg mx-auto w-full text-center text-sm text-slate-400 mt-12">
+        <p>没有可对比的巡检</p>
+        <p className="text-xs mt-1">任务同步到服务器后才能参与对比</p>
+      </div>
+    );
+  }
+
+  const chartData = result?.segments.map((s) => ({
+    name: Math.round(s.start),
+    base: s.baseIri,
+    target: s.targetIri,
+  }));
+
+  return (
+    <div className="p-4 pb-20 max-w-lg mx-auto w-full">
+      {/* 对比对象 */}
+      <div className="bg-white p-3 rounded-lg border border-slate-100 shadow-sm mb-4">
+        <label className="text-xs text-slate-400">对比巡检</label>
+        <select
+          value={otherTaskId}
+          onChange={(e) => setOtherTaskId(e.target.value)}
+          className="w-full mt-1 bg-slate-50 border border-slate-200 rounded-lg px-2 py-2 text-sm text-slate-800 focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          {candidates.map((t) => (
+            <option key={t.taskId} value={t.taskId}>
+              {t.title} · {formatDate(t.startTime)}
+            </option>
+          ))}
+        </select>
+        {result && (
+          <div className="flex items-center justify-between mt-3 text-xs text-slate-500">
+            <span className="truncate">
+              {result.baseTask.title} ({formatDate(result.baseTask.startTime)})
+            </span>
+            <ArrowRight className="w-3.5 h-3.5 mx-2 shrink-0" />
+            <span className="truncate">
+              {result.targetTask.title} (
+              {formatDate(result.targetTask.startTime)})
+            </span>
+          </div>
+        )}
+      </div>
+
+      {isLoading && (
+        <div className="flex items-center justify-center text-sm text-slate-500 py-8">
+          <Loader2 className="w-4 h-4 mr-2 animate-spin text-blue-600" />
+          正在对比...
+        </div>
+      )}
+      {!isLoading && error && (
+        <div className="bg-red-50 text-red-600 text-sm rounded-lg p-3 mb-4">
+          {error}
+        </div>
+      )}
+
+      {!isLoading && result && (
+        <>
+          {/* KPI Cards */}
+          <div className="grid grid-cols-2 gap-3 mb-4">
+            <div className="bg-white p-3 rounded-lg border border-slate-100 shadow-sm flex flex-col items-center">
+              <span className="text-xs text-slate-400">恶化路段</span>
+              <span className="text-lg font-bold text-red-600">
+                {result.summary.deterioratedCount} 段
+              </span>
+              <span className="text-[10px] text-slate-400">
+                共 {Math.round(result.summary.deterioratedLength)} 米
+              </span>
+            </div>
+            <div className="bg-white p-3 rounded-lg border border-slate-100 shadow-sm flex flex-col items-center">
+              <span className="text-xs text-slate-400">平均 IRI</span>
+              <span className="text-lg font-bold text-slate-800">
+                {formatIri(result.summary.baseAvgIri)} →{" "}
+                {formatIri(result.summary.targetAvgIri)}
+              </span>
+              <span className="text-[10px] text-slate-400">
+                两次均有数据的 {result.summary.comparedCount} 段
+              </span>
+            </div>
+            <div className="bg-white p-3 rounded-lg border border-slate-100 shadow-sm flex flex-col items-center">
+              <span className="text-xs text-slate-400">新增病害</span>
+              <span className="text-lg font-bold text-red-600">
+                {result.summary.addedCount}
+              </span>
+            </div>
+            <div className="bg-white p-3 rounded-lg border border-slate-100 shadow-sm flex flex-col items-center">
+              <span className="text-xs text-slate-400">消失病害</span>
+              <span className="text-lg font-bold text-green-600">
+                {result.summary.disappearedCount}
+              </span>
+              <span className="text-[10px] text-slate-400">
+                持续存在 {result.summary.persistingCount} 处
+              </span>
+            </div>
+          </div>
+
+          {/* 分段 IRI 对比 */}
+          <div className="w-full bg-white rounded-xl p-4 shadow-sm border border-slate-100 mb-4">
+            <h4 className="text-sm font-semibold text-slate-700 mb-4">
+              分段平整度 (IRI)
+            </h4>
+            <div className="w-full h-40">
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart
+                  data={chartData}
+                  margin={{ top: 5, right: 0, left: -20, bottom: 0 }}
+                >
+                  <CartesianGrid
+                    strokeDasharray="3 3"
+                    vertical={false}
+                    stroke="#f1f5f9"
+                  />
+                  <XAxis
+                    dataKey="name"
+                    tick={{ fontSize: 10 }}
+                    tickLine={false}
+                    axisLine={false}
+                  />
+                  <YAxis
+                    tick={{ fontSize: 10 }}
+                    tickLine={false}
+                    axisLine={false}
+                  />
+                  <Tooltip
+                    contentStyle={{
+                      borderRadius: "8px",
+                      border: "none",
+                      boxShadow: "0 4px 6px -1px rgb(0 0 0 / 0.1)",
+                    }}
+                    itemStyle={{ fontSize: "12px" }}
+                    labelFormatter={(start) => `${start} 米起`}
+                  />
+                  <Legend wrapperStyle={{ fontSize: "11px" }} />
+                  <Line
+                    type="monotone"
+                    dataKey="base"
+                    name="基准"
+                    stroke="#94a3b8"
+                    strokeWidth={2}
+                    dot={false}
+                    connectNulls
+                  />
+                  <Line
+                    type="monotone"
+                    dataKey="target"
+                    name="本次"
+                    stroke="#3b82f6"
+                    strokeWidth={2}
+                    dot={false}
+                    connectNulls
+                  />
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+
+          {/* 分段明细 */}
+          <h2 className="font-bold text-slate-800 mb-3 mt-6">分段明细</h2>
+          <div className="bg-white rounded-xl border border-slate-100 shadow-sm divide-y divide-slate-100 mb-4">
+            {result.segments.map((s) => (
+              <div
+                key={s.index}
+                className="flex items-center justify-between px-3 py-2 text-xs"
+              >
+                <span className="text-slate-500 w-24">
+                  {Math.round(s.start)}~{Math.round(s.end)} 米
+                </span>
+                <span className="flex-1 text-slate-700">
+                  {formatIri(s.baseIri)} → {formatIri(s.targetIri)}
+                  {s.added > 0 && (
+                    <span className="ml-2 text-red-500">+{s.added} 病害</span>
+                  )}
+                  {s.disappeared > 0 && (
+                    <span className="ml-2 text-green-600">
+                      -{s.disappeared} 病害
+                    </span>
+                  )}
+                </span>
+                {s.change ? (
+                  <span
+                    className={`flex items-center px-2 py-0.5 rounded-full font-medium ${CHANGE_STYLES[s.change]}`}
+                  >
+                    {s.change === "deteriorated" && (
+                      <TrendingUp className="w-3 h-3 mr-1" />
+                    )}
+                    {s.change === "improved" && (
+                      <TrendingDown className="w-3 h-3 mr-1" />
+                    )}
+                    {SEGMENT_CHANGE_LABELS[s.change]}
+                  </span>
+                ) : (
+                  <span className="text-slate-300">无数据</span>
+                )}
+              </div>
+            ))}
+          </div>
+
+          {/* 病害变化 */}
+          {[
+            {
+              title: "新增病害",
+              items: result.distresses.added,
+              color: "text-red-600",
+            },
+            {
+              title: "消失病害",
+              items: result.distresses.disappeared,
+              color: "text-green-600",
+            },
+          ].map(({ title, items, color }) => (
+            <div key={title} className="mb-4">
+              <h2 className="font-bold text-slate-800 mb-3 mt-6">
+                {title}{" "}
+                <span className={`text-sm ${color}`}>{items.length}</span>
+              </h2>
+              {items.length === 0 ? (
+                <p className="text-xs text-slate-400">无</p>
+              ) : (
+                <div className="bg-white rounded-xl border border-slate-100 shadow-sm divide-y divide-slate-100">
+                  {items.map((d) => (
+                    <div
+                      key={`${d.recordId}-${d.type}`}
+                      className="flex items-center justify-between px-3 py-2 text-xs"
+                    >
+                      <span className={`font-medium ${color}`}>
+                        {distressLabel(d)}
+                      </span>
+                      <span className="text-slate-500">
+                        {d.distanceAlong} 米 · {formatDate(d.captureTime)}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          ))}
+        </>
+      )}
+    </div>
+  );
+};
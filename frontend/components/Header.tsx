@@ -6,9 +6,11 @@ import {
   Map as MapIcon, 
   UserCircle,
   Mic,
-  MicOff
+  MicOff,
+  ClipboardCheck
 } from 'lucide-react';
 import { ToastType } from './Toast';
+import { canReview } from '../services/reviewService';
 
 interface HeaderProps {
   currentView: ViewState;
@@ -19,6 +21,8 @@ interface HeaderProps {
   onShowToast: (title: string, message: string, type: ToastType) => void;
   onUserClick: () => void;
   onMapClick?: () => void;
+  // 打开审核队列 (仅管理员与审核员显示入口)
+  onReviewQueueClick?: () => void;
   user: User | null;
 }
 
@@ -31,6 +35,7 @@ export const Header: React.FC<HeaderProps> = ({
   onShowToast,
   onUserClick,
   onMapClick,
+  onReviewQueueClick,
   user
 }) => {
   const [isListening, setIsListening] = useState(false);
@@ -76,7 +81,25 @@ export const Header: React.FC<HeaderProps> = ({
     recognition.start();
   };
 
-  if (currentView === ViewState.DETAIL && selectedTask) {
+  if (currentView === ViewState.REVIEW_QUEUE) {
+    return (
+      <header className="sticky top-0 z-50 bg-white/90 backdrop-blur-md border-b border-slate-200 px-4 py-3 flex items-center justify-between">
+        <button 
+          onClick={onBack}
+          className="p-2 -ml-2 text-slate-600 hover:bg-slate-100 rounded-full transition-colors"
+        >
+          <ChevronLeft className="w-6 h-6" />
+        </button>
+        <div className="flex-1 text-center">
+          <h1 className="font-semibold text-slate-800 text-sm">审核队列</h1>
+          <p className="text-[10px] text-slate-500 uppercase tracking-wide">按拍摄时间逐条审核</p>
+        </div>
+        <div className="w-9" />
+      </header>
+    );
+  }
+
+  if ((currentView === ViewState.DETAIL || currentView === ViewState.COMPARE) && selectedTask) {
     return (
       <header className="sticky top-0 z-50 bg-white/90 backdrop-blur-md border-b border-slate-200 px-4 py-3 flex items-center justify-between">
         <button 
@@ -88,7 +111,9 @@ export const Header: React.FC<HeaderProps> = ({
         <div className="flex-1 text-center">
           <h1 className="font-semibold text-slate-800 text-sm line-clamp-1">{selectedTask.title}</h1>
           <p className="text-[10px] text-slate-500 uppercase tracking-wide">
-              {selectedTask.isFinished ? '报告视图' : '实时巡检'}
+              {currentView === ViewState.COMPARE
+                ? '巡检对比'
+                : selectedTask.isFinished ? '报告视图' : '实时巡检'}
           </p>
         </div>
         <button 
@@ -108,19 +133,30 @@ export const Header: React.FC<HeaderProps> = ({
           <h1 className="text-xl font-bold text-slate-800">
             {user ? `您好, ${user.username}!` : '我的巡检'}
           </h1>
-          <button 
-            onClick={onUserClick}
-            className="w-9 h-9 bg-blue-100 rounded-full flex items-center justify-center text-blue-600 hover:bg-blue-200 transition-colors shadow-sm ring-2 ring-white active:scale-95"
-            title={user?.username}
-          >
-              {user ? (
-                  <span className="font-bold text-sm select-none">
-                      {user.username.charAt(0).toUpperCase()}
-                  </span>
-              ) : (
-                  <UserCircle className="w-5 h-5" />
-              )}
-          </button>
+          <div className="flex items-center gap-2">
+            {onReviewQueueClick && canReview(user) && (
+              <button 
+                onClick={onReviewQueueClick}
+                className="w-9 h-9 bg-emerald-50 rounded-full flex items-center justify-center text-emerald-700 hover:bg-emerald-100 transition-colors shadow-sm ring-2 ring-white active:scale-95"
+                title="审核队列"
+              >
+                <ClipboardCheck className="w-5 h-5" />
+              </button>
+            )}
+            <button 
+              onClick={onUserClick}
+              className="w-9 h-9 bg-blue-100 rounded-full flex items-center justify-center text-blue-600 hover:bg-blue-200 transition-colors shadow-sm ring-2 ring-white active:scale-95"
+              title={user?.username}
+            >
+                {user ? (
+                    <span className="font-bold text-sm select-none">
+                        {user.username.charAt(0).toUpperCase()}
+                    </span>
+                ) : (
+                    <UserCircle className="w-5 h-5" />
+                )}
+            </button>
+          </div>
       </div>
       
       <div className="relative">
@@ -1,13 +1,34 @@
-import React from 'react';
-import { InspectionRecord } from '../types';
-import { AlertTriangle, MapPin, Activity, Clock, LocateFixed } from 'lucide-react';
+import React, { useState } from 'react';
+import { DistressEntry, DistressSeverity, DistressType, InspectionRecord, ReviewStatus } from '../types';
+import { getDistressLabels, SEVERITY_LABELS } from '../services/distressService';
+import { REVIEW_STATUS_LABELS, ReviewDecision } from '../services/reviewService';
+import { AlertTriangle, MapPin, Activity, Clock, LocateFixed, Milestone, Check, X, PenLine } from 'lucide-react';
 
 interface RecordItemProps {
   record: InspectionRecord;
   onImageClick: (url: string) => void;
+  // 病害字典 code -> 名称 (未加载时病害按 code 显示)
+  distressNames?: Record<string, string>;
+  // 传入时显示审核操作 (确认 / 驳回 / 修正)，仅审核员可见
+  onReview?: (decision: ReviewDecision) => Promise<void>;
+  // 修正时可选的病害类型 (病害字典中启用的类型)
+  distressTypes?: DistressType[];
 }
 
-export const RecordItem: React.FC<RecordItemProps> = ({ record, onImageClick }) => {
+const REVIEW_BADGE_STYLES: Record<ReviewStatus, string> = {
+  pending: 'bg-slate-50 border-slate-200 text-slate-500',
+  confirmed: 'bg-emerald-50 border-emerald-100 text-emerald-700',
+  rejected: 'bg-slate-100 border-slate-200 text-slate-400 line-through',
+  corrected: 'bg-blue-50 border-blue-100 text-blue-700',
+};
+
+const SEVERITY_OPTIONS: DistressSeverity[] = ['light', 'moderate', 'severe'];
+
+export const RecordItem: React.FC<RecordItemProps> = ({ record, onImageClick, distressNames = {}, onReview, distressTypes = [] }) => {
+  // 修正编辑器：以记录现有的病害条目为底稿，只改严重程度，标注框、范围、来源等字段原样保留
+  const [draft, setDraft] = useState<DistressEntry[] | null>(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
   // Determine color based on IRI (Roughness)
   const getIriColor = (iri: number) => {
     if (iri < 2.0) return 'text-emerald-700 bg-emerald-50 border-emerald-100';
@@ -15,21 +36,68 @@ export const RecordItem: React.FC<RecordItemProps> = ({ record, onImageClick })
     return 'text-red-700 bg-red-50 border-red-100';
   };
 
-  const hasDistress = record.pavementDistress && record.pavementDistress.length > 0;
+  const distressLabels = getDistressLabels(record, distressNames);
+  const hasDistress = distressLabels.length > 0;
+
+  // Prefer signed URLs (private bucket); fall back to the raw serverUrl
+  const photoUrl = record.photoUrl || record.serverUrl;
+  const thumbnailUrl = record.thumbnailUrl || photoUrl;
+
+  const reviewStatus = record.review?.status;
+
+  const submitReview = async (decision: ReviewDecision) => {
+    if (!onReview || isSubmitting) return;
+    setIsSubmitting(true);
+    try {
+      await onReview(decision);
+      setDraft(null);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const startCorrecting = () => {
+    setDraft((record.distresses || []).map(d => ({ ...d })));
+  };
+
+  const draftHasType = (code: string) => !!draft?.some(d => d.type === code);
+
+  // 取消勾选移除该类型的全部条目；勾选新类型时追加一个人工条目
+  const toggleDraftType = (code: string) => {
+    setDraft(prev => {
+      const entries = prev || [];
+      if (entries.some(d => d.type === code)) {
+        return entries.filter(d => d.type !== code);
+      }
+      return [
+        ...entries,
+        { type: code, severity: null, extent: null, unit: null, bbox: null, source: 'manual', confidence: null, note: null },
+      ];
+    });
+  };
+
+  const setDraftSeverity = (index: number, severity: DistressSeverity | null) => {
+    setDraft(prev => prev && prev.map((d, i) => (i === index ? { ...d, severity } : d)));
+  };
+
+  const saveCorrection = () => {
+    if (!draft) return;
+    submitReview({ status: 'corrected', distresses: draft });
+  };
 
   return (
-    <div className="flex bg-white p-3 rounded-xl border border-slate-100 shadow-sm mb-3 transition-transform active:scale-[0.99]">
+    <div className="flex flex-wrap bg-white p-3 rounded-xl border border-slate-100 shadow-sm mb-3 transition-transform active:scale-[0.99]">
       {/* Thumbnail */}
       <div 
         className="relative w-24 h-24 flex-shrink-0 bg-slate-100 rounded-lg overflow-hidden cursor-zoom-in"
         onClick={(e) => {
             e.stopPropagation();
-            if (record.serverUrl) onImageClick(record.serverUrl);
+            if (photoUrl) onImageClick(photoUrl);
         }}
       >
-        {record.serverUrl ? (
+        {thumbnailUrl ? (
           <img 
-            src={record.serverUrl} 
+            src={thumbnailUrl} 
             alt="现场照片" 
             className="w-full h-full object-cover"
             loading="lazy"
@@ -43,6 +111,9 @@ export const RecordItem: React.FC<RecordItemProps> = ({ record, onImageClick })
         {record.syncStatus === 1 && (
             <div className="absolute top-1.5 right-1.5 w-2.5 h-2.5 bg-amber-500 rounded-full border-2 border-white shadow-sm ring-1 ring-black/5"></div>
         )}
+        {record.syncStatus === 3 && (
+            <div className="absolute top-1.5 right-1.5 w-2.5 h-2.5 bg-red-500 rounded-full border-2 border-white shadow-sm ring-1 ring-black/5"></div>
+        )}
       </div>
 
       {/* Content */}
@@ -59,6 +130,18 @@ export const RecordItem: React.FC<RecordItemProps> = ({ record, onImageClick })
                {record.address || "未知位置"}
              </span>
           </div>
+
+          {/* Stake Row - 匹配到道路时显示路线编号与桩号 */}
+          {record.road && (
+            <div className="flex items-center text-slate-500">
+              <div className="w-5 flex items-center justify-center flex-shrink-0 mr-1.5">
+                  <Milestone className="w-3.5 h-3.5" />
+              </div>
+              <span className="text-xs font-medium">
+                 {record.road.code} {record.road.stake}
+              </span>
+            </div>
+          )}
           
           {/* Coordinates Row */}
           <div className="flex items-center text-slate-400">
@@ -91,7 +174,7 @@ export const RecordItem: React.FC<RecordItemProps> = ({ record, onImageClick })
 
            {/* Distress Badges */}
            {hasDistress ? (
-             record.pavementDistress.slice(0, 2).map((distress, idx) => (
+             distressLabels.slice(0, 2).map((distress, idx) => (
                 <div key={idx} className="flex items-center px-2 py-0.5 rounded bg-red-50 border border-red-100 text-red-600 text-xs font-bold shadow-sm">
                   <AlertTriangle className="w-3 h-3 mr-1" />
                   {distress}
@@ -101,11 +184,99 @@ export const RecordItem: React.FC<RecordItemProps> = ({ record, onImageClick })
             <span className="text-xs text-slate-400 font-medium px-1">无病害</span>
            )}
            
-           {hasDistress && record.pavementDistress.length > 2 && (
-             <span className="text-xs text-slate-400">+{record.pavementDistress.length - 2}</span>
+           {distressLabels.length > 2 && (
+             <span className="text-xs text-slate-400">+{distressLabels.length - 2}</span>
+           )}
+
+           {/* Review Badge */}
+           {reviewStatus && (
+             <span className={`ml-auto px-2 py-0.5 rounded border text-xs font-medium ${REVIEW_BADGE_STYLES[reviewStatus]}`}>
+               {REVIEW_STATUS_LABELS[reviewStatus]}
+             </span>
            )}
         </div>
       </div>
+
+      {/* Inline Review Actions (审核员) */}
+      {onReview && !draft && (
+        <div className="basis-full flex gap-2 mt-3 pt-3 border-t border-slate-100">
+          <button
+            disabled={isSubmitting}
+            onClick={() => submitReview({ status: 'confirmed' })}
+            className="flex-1 flex items-center justify-center py-1.5 rounded-lg text-xs font-semibold bg-emerald-50 text-emerald-700 active:scale-95 disabled:opacity-50"
+          >
+            <Check className="w-3.5 h-3.5 mr-1" />
+            确认
+          </button>
+          <button
+            disabled={isSubmitting}
+            onClick={() => submitReview({ status: 'rejected' })}
+            className="flex-1 flex items-center justify-center py-1.5 rounded-lg text-xs font-semibold bg-slate-100 text-slate-600 active:scale-95 disabled:opacity-50"
+          >
+            <X className="w-3.5 h-3.5 mr-1" />
+            驳回
+          </button>
+          <button
+            disabled={isSubmitting}
+            onClick={startCorrecting}
+            className="flex-1 flex items-center justify-center py-1.5 rounded-lg text-xs font-semibold bg-blue-50 text-blue-700 active:scale-95 disabled:opacity-50"
+          >
+            <PenLine className="w-3.5 h-3.5 mr-1" />
+            修正
+          </button>
+        </div>
+      )}
+
+      {/* Correction Editor: 勾选病害类型并评定严重程度，不勾选任何类型即修正为无病害 */}
+      {onReview && draft && (
+        <div className="basis-full mt-3 pt-3 border-t border-slate-100 space-y-2">
+          <div className="flex flex-wrap gap-1.5">
+            {distressTypes.map(type => (
+              <button
+                key={type.code}
+                onClick={() => toggleDraftType(type.code)}
+                className={`px-2 py-0.5 rounded border text-xs font-medium ${draftHasType(type.code) ? 'bg-red-50 border-red-200 text-red-600' : 'bg-white border-slate-200 text-slate-500'}`}
+              >
+                {type.name}
+              </button>
+            ))}
+          </div>
+
+          {draft.map((entry, index) => (
+            <div key={index} className="flex items-center justify-between text-xs">
+              <span className="font-medium text-slate-700">{distressNames[entry.type] || entry.type}</span>
+              <div className="flex gap-1">
+                {SEVERITY_OPTIONS.map(option => (
+                  <button
+                    key={option}
+                    onClick={() => setDraftSeverity(index, entry.severity === option ? null : option)}
+                    className={`w-7 py-0.5 rounded border ${entry.severity === option ? 'bg-slate-800 border-slate-800 text-white' : 'bg-white border-slate-200 text-slate-500'}`}
+                  >
+                    {SEVERITY_LABELS[option]}
+                  </button>
+                ))}
+              </div>
+            </div>
+          ))}
+
+          <div className="flex gap-2 pt-1">
+            <button
+              disabled={isSubmitting}
+              onClick={() => setDraft(null)}
+              className="flex-1 py-1.5 rounded-lg text-xs font-semibold bg-slate-100 text-slate-600"
+            >
+              取消
+            </button>
+            <button
+              disabled={isSubmitting}
+              onClick={saveCorrection}
+              className="flex-1 py-1.5 rounded-lg text-xs font-semibold bg-blue-600 text-white disabled:opacity-50"
+            >
+              保存修正
+            </button>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
\ No newline at end of file
@@ -0,0 +1,306 @@
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+import { Virtuoso } from "react-virtuoso";
+import { ClipboardCheck, Loader2 } from "lucide-react";
+import { DistressType } from "../types";
+import { RecordItem } from "./RecordItem";
+import { ToastType } from "./Toast";
+import { distressService, toDistressNames } from "../services/distressService";
+import {
+  QueueRecord,
+  QueueTask,
+  REVIEW_STATUS_LABELS,
+  ReviewDecision,
+  ReviewQueueFilter,
+  reviewService,
+  toInspectionRecord,
+} from "../services/reviewService";
+
+interface ReviewQueueViewProps {
+  onImageClick: (url: string) => void;
+  showToast: (title: string, message: string, type: ToastType) => void;
+}
+
+// 区域过滤：以当前位置为中心的范围 (米)，0 表示不限
+const AREA_OPTIONS = [
+  { value: 0, label: "不限区域" },
+  { value: 1000, label: "附近 1 公里" },
+  { value: 5000, label: "附近 5 公里" },
+];
+
+const SELECT_CLASS =
+  "flex-1 min-w-0 bg-slate-50 border border-slate-200 rounded-lg px-2 py-2 text-sm text-slate-800 focus:outline-none focus:ring-2 focus:ring-blue-500";
+
+/**
+ * 以 [lng, lat] 为中心、radius 米为半边长的矩形范围
+ */
+const bboxAround = (
+  lng: number,
+  lat: number,
+  radius: number,
+): [number, number, number, number] => {
+  const dLat = radius / 111320;
+  const dLng = radius / (111320 * Math.cos((lat * Math.PI) / 180));
+  return [lng - dLng, lat - dLat, lng + dLng, lat + dLat];
+};
+
+const formatDate = (time: number) => new Date(time).toLocaleDateString("zh-CN");
+
+export const ReviewQueueView: React.FC<ReviewQueueViewProps> = ({
+  onImageClick,
+  showToast,
+}) => {
+  const [status, setStatus] = useState<"pending" | "all">("pending");
+  const [taskId, setTaskId] = useState("");
+  const [area, setArea] = useState(0);
+  const [bbox, setBbox] = useState<ReviewQueueFilter["bbox"]>();
+
+  const [records, setRecords] = useState<QueueRecord[]>([]);
+  // 已见过的任务 (taskId -> 摘要)，用于显示任务名称与任务过滤选项
+  const [tasks, setTasks] = useState<Record<string, QueueTask>>({});
+  const [total, setTotal] = useState(0);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const [distressTypes, setDistressTypes] = useState<DistressType[]>([]);
+  const distressNames = useMemo(
+    () => toDistressNames(distressTypes),
+    [distressTypes],
+  );
+  const activeDistressTypes = useMemo(
+    () => distressTypes.filter((t) => t.active),
+    [distressTypes],
+  );
+
+  useEffect(() => {
+    distressService.getDistressTypes().then(setDistressTypes);
+  }, []);
+
+  const filter: ReviewQueueFilter = useMemo(
+    () => ({ status, taskId: taskId || undefined, bbox }),
+    [status, taskId, bbox],
+  );
+
+  const rememberTasks = (list: QueueTask[]) => {
+    if (list.length === 0) return;
+    setTasks((prev) => ({
+      ...prev,
+      ...Object.fromEntries(list.map((t) => [t.taskId, t])),
+    }));
+  };
+
+  // 过滤条件变化时从第一页重新加载
+  useEffect(() => {
+    if (area > 0 && !bbox) return; // 等待定位结果 (见 handleAreaChange)
+    let cancelled = false;
+    setIsLoading(true);
+    setError(null);
+    reviewService
+      .getQueue(filter)
+      .then((page) => {
+        if (cancelled) return;
+        setRecords(page.records);
+        setTotal(page.total);
+        setNextCursor(page.nextCursor);
+        rememberTasks(page.tasks);
+      })
+      .catch((e: any) => {
+        if (cancelled) return;
+        setRecords([]);
+        setNextCursor(null);
+        setError(e.message);
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [filter, area]);
+
+  const loadMore = useCallback(async () => {
+    if (!nextCursor || isLoadingMore) return;
+    setIsLoadingMore(true);
+    try {
+      const page = await reviewService.getQueue(filter, nextCursor);
+      setRecords((prev) => [...prev, ...page.records]);
+      setNextCursor(page.nextCursor);
+      rememberTasks(page.tasks);
+    } catch (e: any) {
+      showToast("加载失败", e.message, "error");
+    } finally {
+      setIsLoadingMore(false);
+    }
+  }, [filter, nextCursor, isLoadingMore]);
+
+  const handleAreaChange = (radius: number) => {
+    setArea(radius);
+    setBbox(undefined);
+    if (radius === 0) return;
+
+    if (!navigator.geolocation) {
+      showToast("无法定位", "当前环境不支持定位", "error");
+      setArea(0);
+      return;
+    }
+    navigator.geolocation.getCurrentPosition(
+      ({ coords }) =>
+        setBbox(bboxAround(coords.longitude, coords.latitude, radius)),
+      () => {
+        showToast("无法定位", "请检查定位权限后重试", "error");
+        setArea(0);
+      },
+      { timeout: 10000 },
+    );
+  };
+
+  const handleReview = async (recordId: string, decision: ReviewDecision) => {
+    try {
+      const updated = await reviewService.submitReview(recordId, decision);
+      setRecords((prev) =>
+        prev.map((r) =>
+          r.recordId === recordId
+            ? { ...r, distresses: updated.distresses, review: updated.review }
+            : r,
+        ),
+      );
+      showToast(
+        "审核成功",
+        `记录${REVIEW_STATUS_LABELS[decision.status]}`,
+        "success",
+      );
+    } catch (e: any) {
+      showToast("审核失败", e.message, "error");
+    }
+  };
+
+  // 选中任务后补充该巡检员的其他任务，便于在同一巡检员的任务间切换
+  const selectedInspectorId = tasks[taskId]?.inspectorId;
+  const [loadedInspectors, setLoadedInspectors] = useState<string[]>([]);
+  useEffect(() => {
+    if (
+      !selectedInspectorId ||
+      loadedInspectors.includes(selectedInspectorId)
+    ) {
+      return;
+    }
+    setLoadedInspectors((prev) => [...prev, selectedInspectorId]);
+    reviewService
+      .getInspectorTasks(selectedInspectorId)
+      .then(rememberTasks)
+      .catch((e: any) => console.warn("⚠️ 获取巡检员任务失败:", e.message));
+  }, [selectedInspectorId, loadedInspectors]);
+
+  // 选择了区域、尚未拿到定位结果
+  const isLocating = area > 0 && !bbox;
+
+  const taskOptions = useMemo(
+    () => Object.values(tasks).sort((a, b) => b.startTime - a.startTime),
+    [tasks],
+  );
+
+  // 列表底部：加载中 / 加载更多 / 已全部加载
+  const Footer = () => (
+    <div className="flex items-center justify-center py-4 text-xs text-slate-400">
+      {isLoadingMore ? (
+        <>
+          <Loader2 className="w-3 h-3 mr-1 animate-spin" />
+          <span>加载中...</span>
+        </>
+      ) : nextCursor ? (
+        <button onClick={loadMore} className="text-blue-500">
+          加载更多
+        </button>
+      ) : (
+        <span>已加载全部记录</span>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="p-4 pb-20 max-w-lg mx-auto w-full">
+      {/* 过滤条件 */}
+      <div className="bg-white p-3 rounded-lg border border-slate-100 shadow-sm mb-4 space-y-2">
+        <div className="flex gap-2">
+          {(["pending", "all"] as const).map((option) => (
+            <button
+              key={option}
+              onClick={() => setStatus(option)}
+              className={`flex-1 py-1.5 rounded-lg text-xs font-semibold ${status === option ? "bg-blue-600 text-white" : "bg-slate-100 text-slate-600"}`}
+            >
+              {option === "pending" ? "待审核" : "全部记录"}
+            </button>
+          ))}
+        </div>
+        <div className="flex gap-2">
+          <select
+            value={taskId}
+            onChange={(e) => setTaskId(e.target.value)}
+            className={SELECT_CLASS}
+          >
+            <option value="">全部任务</option>
+            {taskOptions.map((t) => (
+              <option key={t.taskId} value={t.taskId}>
+                {t.title} · {formatDate(t.startTime)}
+              </option>
+            ))}
+          </select>
+          <select
+            value={area}
+            onChange={(e) => handleAreaChange(Number(e.target.value))}
+            className={SELECT_CLASS}
+          >
+            {AREA_OPTIONS.map((o) => (
+              <option key={o.value} value={o.value}>
+                {o.label}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="flex items-center justify-between mb-3 text-xs text-slate-500 font-medium">
+        <span>审核队列</span>
+        {!isLoading && !isLocating && !error && <span>共 {total} 条</span>}
+      </div>
+
+      {isLoading || isLocating ? (
+        <div className="flex items-center justify-center text-sm text-slate-500 py-8">
+          <Loader2 className="w-4 h-4 mr-2 animate-spin text-blue-600" />
+          {isLocating ? "正在定位..." : "正在加载..."}
+        </div>
+      ) : error ? (
+        <div className="bg-red-50 text-red-600 text-sm rounded-lg p-3">
+          {error}
+        </div>
+      ) : records.length === 0 ? (
+        <div className="flex flex-col items-center justify-center py-20 text-slate-400">
+          <ClipboardCheck className="w-12 h-12 mb-2 opacity-20" />
+          <p>{status === "pending" ? "没有待审核的记录" : "没有记录"}</p>
+        </div>
+      ) : (
+        <Virtuoso
+          useWindowScroll
+          data={records}
+          endReached={() => nextCursor && loadMore()}
+          components={{ Footer }}
+          itemContent={(index, record) => (
+            <div key={record.recordId}>
+              <p className="text-xs text-slate-400 mb-1 truncate">
+                {tasks[record.taskId]?.title ?? record.taskId}
+              </p>
+              <RecordItem
+                record={toInspectionRecord(record)}
+                onImageClick={onImageClick}
+                distressNames={distressNames}
+                distressTypes={activeDistressTypes}
+                onReview={(decision) => handleReview(record.recordId, decision)}
+              />
+            </div>
+          )}
+        />
+      )}
+    </div>
+  );
+};
@@ -1,10 +1,13 @@
-import React, { useState, useMemo } from 'react';
-import { InspectionTask, InspectionRecord } from '../types';
+import React, { useState, useMemo, useEffect } from 'react';
+import { DistressType, InspectionTask, InspectionRecord, User } from '../types';
 import { StatsChart } from './StatsChart';
 import { RecordItem } from './RecordItem';
 import { Virtuoso } from 'react-virtuoso';
-import { ArrowUpDown } from 'lucide-react';
+import { ArrowLeftRight, ArrowUpDown } from 'lucide-react';
 import { PullToRefresh, RefreshResult } from './PullToRefresh';
+import { distressService, getDistressLabels, toDistressNames } from '../services/distressService';
+import { canReview, REVIEW_STATUS_LABELS, ReviewDecision, ReviewedRecord, reviewService } from '../services/reviewService';
+import { ToastType } from './Toast';
 
 interface TaskDetailViewProps {
   task: InspectionTask;
@@ -13,6 +16,11 @@ interface TaskDetailViewProps {
   onRefresh: () => Promise<void>;
   isRefreshing: boolean;
   refreshResult?: RefreshResult | null;
+  // 当前用户：管理员与审核员可在列表中直接审核记录
+  user?: User | null;
+  showToast?: (title: string, message: string, type: ToastType) => void;
+  // 打开巡检对比 (仅已同步到服务器的任务可对比)
+  onCompareClick?: () => void;
 }
 
 export const TaskDetailView: React.FC<TaskDetailViewProps> = ({ 
@@ -21,26 +29,77 @@ export const TaskDetailView: React.FC<TaskDetailViewProps> = ({
   onImageClick, 
   onRefresh, 
   isRefreshing, 
-  refreshResult 
+  refreshResult,
+  user,
+  showToast,
+  onCompareClick
 }) => {
   const [sortOrder, setSortOrder] = useState<'latest' | 'earliest'>('latest');
+  const [distressTypes, setDistressTypes] = useState<DistressType[]>([]);
+  // 服务端的审核状态 (recordId -> 记录)，原生端本地库不含审核信息
+  const [reviews, setReviews] = useState<Record<string, ReviewedRecord>>({});
+  const isReviewer = canReview(user);
 
-  // Derived stats
-  const distressCount = records.filter(r => r.pavementDistress && r.pavementDistress.length > 0).length;
+  const distressNames = useMemo(() => toDistressNames(distressTypes), [distressTypes]);
+  const activeDistressTypes = useMemo(() => distressTypes.filter(t => t.active), [distressTypes]);
+
+  // 病害字典 (服务端维护)，用于把记录中的病害 code 显示为名称
+  useEffect(() => {
+    distressService.getDistressTypes().then(setDistressTypes);
+  }, []);
+
+  // 审核员：拉取本任务记录的审核状态 (下拉刷新后重新拉取)
+  useEffect(() => {
+    if (!isReviewer) return;
+    reviewService.getTaskReviews(task.taskId)
+      .then(setReviews)
+      .catch((error: any) => console.warn('⚠️ 获取审核状态失败:', error.message));
+  }, [isReviewer, task.taskId, records]);
+
+  // 合并审核结果：已修正的记录以服务端的病害条目为准
+  const reviewedRecords = useMemo(() => {
+    return records.map(r => {
+      const remote = r.recordId ? reviews[r.recordId] : undefined;
+      return remote ? { ...r, distresses: remote.distresses, review: remote.review } : r;
+    });
+  }, [records, reviews]);
+
+  const handleReview = async (recordId: string, decision: ReviewDecision) => {
+    try {
+      const updated = await reviewService.submitReview(recordId, decision);
+      setReviews(prev => ({ ...prev, [recordId]: updated }));
+      showToast?.('审核成功', `记录${REVIEW_STATUS_LABELS[decision.status]}`, 'success');
+    } catch (error: any) {
+      showToast?.('审核失败', error.message, 'error');
+    }
+  };
+
+  // Derived stats (已驳回的记录不计病害)
+  const distressCount = reviewedRecords.filter(r =>
+    r.review?.status !== 'rejected' && getDistressLabels(r, distressNames).length > 0
+  ).length;
   
+  // 被服务器拒绝、不会自动重试的记录 (原生端 syncStatus = 3)
+  const rejectedCount = records.filter(r => r.syncStatus === 3).length;
+
+  const handleRetryRejected = () => {
+    window.AndroidNative?.retryRejectedRecords(task.taskId);
+    showToast?.('已重新加入上传队列', `${rejectedCount} 条记录将重新上传`, 'info');
+  };
+
   const avgIri = records.length > 0 
     ? (records.reduce((acc, r) => acc + r.iri, 0) / records.length).toFixed(1) 
     : '0.0';
 
   const sortedRecords = useMemo(() => {
-    return [...records].sort((a, b) => {
+    return [...reviewedRecords].sort((a, b) => {
       if (sortOrder === 'latest') {
         return b.captureTime - a.captureTime;
       } else {
         return a.captureTime - b.captureTime;
       }
     });
-  }, [records, sortOrder]);
+  }, [reviewedRecords, sortOrder]);
 
   return (
     <PullToRefresh onRefresh={onRefresh} isRefreshing={isRefreshing} refreshResult={refreshResult}>
@@ -63,6 +122,28 @@ export const TaskDetailView: React.FC<TaskDetailViewProps> = ({
 
           <StatsChart records={records} />
 
+          {onCompareClick && task.syncState !== 0 && (
+              <button
+                  onClick={onCompareClick}
+                  className="w-full flex items-center justify-center space-x-1.5 text-sm font-medium text-blue-600 bg-blue-50 hover:bg-blue-100 py-2.5 rounded-lg transition-colors active:scale-95"
+              >
+                  <ArrowLeftRight className="w-4 h-4" />
+                  <span>与历史巡检对比</span>
+              </button>
+          )}
+
+          {rejectedCount > 0 && (
+              <div className="mt-4 flex items-center justify-between bg-red-50 text-red-600 text-sm rounded-lg px-3 py-2.5">
+                  <span>{rejectedCount} 条记录被服务器拒绝，未能同步</span>
+                  <button
+                      onClick={handleRetryRejected}
+                      className="font-semibold text-red-700 active:scale-95"
+                  >
+                      重新上传
+                  </button>
+              </div>
+          )}
+
           <div className="flex items-center justify-between mb-3 mt-6">
               <h2 className="font-bold text-slate-800">巡检日志</h2>
               <button 
@@ -82,6 +163,13 @@ export const TaskDetailView: React.FC<TaskDetailViewProps> = ({
                     key={record.id} 
                     record={record} 
                     onImageClick={onImageClick} 
+                    distressNames={distressNames}
+                    distressTypes={activeDistressTypes}
+                    onReview={
+                      isReviewer && record.recordId && reviews[record.recordId]
+                        ? decision => handleReview(record.recordId!, decision)
+                        : undefined
+                    }
                   />
               )}
           />
@@ -2,7 +2,7 @@ import React from 'react';
 import { InspectionTask } from '../types';
 import { TaskCard } from './TaskCard';
 import { Virtuoso } from 'react-virtuoso';
-import { Filter, List, Plus } from 'lucide-react';
+import { Filter, List, Loader2, Plus } from 'lucide-react';
 import { PullToRefresh, RefreshResult } from './PullToRefresh';
 
 interface TaskListViewProps {
@@ -13,6 +13,10 @@ interface TaskListViewProps {
   onRefresh: () => Promise<void>;
   isRefreshing: boolean;
   refreshResult?: RefreshResult | null;
+  onLoadMore: () => void;
+  hasMore: boolean;
+  isLoadingMore: boolean;
+  total: number | null;
 }
 
 export const TaskListView: React.FC<TaskListViewProps> = ({ 
@@ -22,8 +26,29 @@ export const TaskListView: React.FC<TaskListViewProps> = ({
   onCreateClick,
   onRefresh,
   isRefreshing,
-  refreshResult
+  refreshResult,
+  onLoadMore,
+  hasMore,
+  isLoadingMore,
+  total
 }) => {
+  // 列表底部：加载中 / 已全部加载
+  const Footer = () => (
+    <div className="flex items-center justify-center py-4 text-xs text-slate-400">
+      {isLoadingMore ? (
+        <>
+          <Loader2 className="w-3 h-3 mr-1 animate-spin" />
+          <span>加载中...</span>
+        </>
+      ) : hasMore ? (
+        <button onClick={onLoadMore} className="text-blue-500">加载更多</button>
+      ) : (
+        <span>已加载全部任务</span>
+      )}
+    </div>
+  );
+
+
   return (
     <>
       <PullToRefresh onRefresh={onRefresh} isRefreshing={isRefreshing} refreshResult={refreshResult}>
@@ -32,7 +57,7 @@ export const TaskListView: React.FC<TaskListViewProps> = ({
             <span>任务列表</span>
             <div className="flex items-center space-x-1">
                 <Filter className="w-3 h-3" />
-                <span>最近</span>
+                <span>{total !== null ? `最近 · 共 ${total} 个` : '最近'}</span>
             </div>
           </div>
 
@@ -46,6 +71,8 @@ export const TaskListView: React.FC<TaskListViewProps> = ({
               <Virtuoso
                 useWindowScroll
                 data={tasks}
+                endReached={() => hasMore && onLoadMore()}
+                components={{ Footer }}
                 itemContent={(index, task) => (
                     <TaskCard 
                       key={task.taskId} 
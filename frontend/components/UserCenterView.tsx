@@ -1,12 +1,31 @@
-import React, { useState } from "react";
-import { User } from "../types";
-import { LogOut, Save, Key, User as UserIcon, ChevronLeft } from "lucide-react";
+import React, { useEffect, useState } from "react";
+import { LoginSession, PasswordPolicy, User } from "../types";
+import {
+  LogOut,
+  Save,
+  Key,
+  User as UserIcon,
+  ChevronLeft,
+  Smartphone,
+} from "lucide-react";
 import { ToastType } from "./Toast";
+import { authService } from "../services/authService";
+
+// 角色的显示名称
+const ROLE_LABELS: Record<User["role"], string> = {
+  admin: "管理员",
+  inspector: "巡检员",
+  reviewer: "审核员",
+};
 
 interface UserCenterViewProps {
   user: User;
   onLogout: () => void;
-  onUpdateProfile: (newUsername?: string, newPassword?: string) => boolean;
+  onUpdateProfile: (
+    newUsername?: string,
+    newPassword?: string,
+    currentPassword?: string,
+  ) => boolean;
   onBack: () => void;
   showToast: (title: string, message: string, type: ToastType) => void;
 }
@@ -20,13 +39,48 @@ export const UserCenterView: React.FC<UserCenterViewProps> = ({
 }) => {
   const [username, setUsername] = useState(user.username);
   const [password, setPassword] = useState("");
+  const [currentPassword, setCurrentPassword] = useState("");
+  const [passwordPolicy, setPasswordPolicy] = useState<PasswordPolicy | null>(
+    null,
+  );
   const [isLoading, setIsLoading] = useState(false);
+  const [sessions, setSessions] = useState<LoginSession[]>([]);
+  const [revokingId, setRevokingId] = useState<string | null>(null);
+
+  // Load signed-in devices
+  useEffect(() => {
+    let cancelled = false;
+    authService.listSessions(user.id).then((res) => {
+      if (cancelled) return;
+      if (res.code === 200 && res.data) {
+        setSessions(res.data);
+      } else {
+        console.warn("[UserCenter] 获取登录设备失败:", res.message);
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [user.id]);
 
-  const checkPasswordComplexity = (pwd: string) => {
-    // Complexity: At least 6 characters, must contain letter and number
-    const hasLetter = /[a-zA-Z]/.test(pwd);
-    const hasNumber = /\d/.test(pwd);
-    return pwd.length >= 6 && hasLetter && hasNumber;
+  // Load password policy (validation is done by the server)
+  useEffect(() => {
+    authService.getPasswordPolicy().then((res) => {
+      if (res.code === 200 && res.data) setPasswordPolicy(res.data);
+    });
+  }, []);
+
+  const handleRevokeSession = async (session: LoginSession) => {
+    setRevokingId(session.id);
+    const res = await authService.revokeSession(user.id, session.id);
+    setRevokingId(null);
+
+    if (res.code === 200) {
+      setSessions((prev) => prev.filter((s) => s.id !== session.id));
+      showToast("已下线", "该设备需重新登录", "success");
+    } else {
+      showToast("操作失败", res.message || "下线设备失败", "error");
+    }
   };
 
   const handleUpdate = async () => {
@@ -35,12 +89,8 @@ export const UserCenterView: React.FC<UserCenterViewProps> = ({
       return;
     }
 
-    if (password && !checkPasswordComplexity(password)) {
-      showToast(
-        "密码强度不足",
-        "密码需包含字母和数字，且长度不少于6位",
-        "error",
-      );
+    if (password && !currentPassword) {
+      showToast("输入错误", "修改密码需输入当前密码", "error");
       return;
     }
 
@@ -53,11 +103,14 @@ export const UserCenterView: React.FC<UserCenterViewProps> = ({
     const success = onUpdateProfile(
       username !== user.username ? username : undefined,
       password || undefined,
+      password ? currentPassword : undefined,
     );
     setIsLoading(false);
 
     if (success && password) {
-      setPassword(""); // Clear password field on success
+      // Clear password fields on submit
+      setPassword("");
+      setCurrentPassword("");
     }
   };
 
@@ -81,7 +134,7 @@ export const UserCenterView: React.FC<UserCenterViewProps> = ({
           </div>
           <h2 className="text-xl font-bold text-slate-800">{user.username}</h2>
           <span className="inline-block mt-1 px-3 py-1 bg-slate-100 text-slate-500 rounded-full text-xs font-medium uppercase">
-            {user.role === "admin" ? "管理员" : "巡检员"}
+            {ROLE_LABELS[user.role]}
           </span>
           <div className="text-xs text-slate-400 mt-2">ID: {user.id}</div>
         </div>
@@ -111,9 +164,11 @@ export const UserCenterView: React.FC<UserCenterViewProps> = ({
                 <label className="block text-xs font-medium text-slate-500">
                   新密码 (留空则不修改)
                 </label>
-                <span className="text-[10px] text-slate-400">
-                  需包含字母数字，至少6位
-                </span>
+                {passwordPolicy && (
+                  <span className="text-[10px] text-slate-400">
+                    {passwordPolicy.description}
+                  </span>
+                )}
               </div>
               <div className="relative">
                 <Key className="absolute left-3 top-2.5 w-4 h-4 text-slate-400" />
@@ -127,6 +182,24 @@ export const UserCenterView: React.FC<UserCenterViewProps> = ({
               </div>
             </div>
 
+            {password && (
+              <div>
+                <label className="block text-xs font-medium text-slate-500 mb-1">
+                  当前密码
+                </label>
+                <div className="relative">
+                  <Key className="absolute left-3 top-2.5 w-4 h-4 text-slate-400" />
+                  <input
+                    type="password"
+                    value={currentPassword}
+                    onChange={(e) => setCurrentPassword(e.target.value)}
+                    placeholder="修改密码需验证当前密码"
+                    className="w-full bg-slate-50 border border-slate-200 rounded-lg py-2 pl-9 pr-4 text-sm focus:ring-2 focus:ring-blue-500 focus:outline-none"
+                  />
+                </div>
+              </div>
+            )}
+
             <button
               onClick={handleUpdate}
               disabled={isLoading || (username === user.username && !password)}
@@ -144,6 +217,47 @@ export const UserCenterView: React.FC<UserCenterViewProps> = ({
           </div>
         </div>
 
+        {/* Signed-in Devices */}
+        {sessions.length > 0 && (
+          <div className="bg-white rounded-2xl shadow-sm border border-slate-100 p-6 mb-6">
+            <h3 className="font-bold text-slate-800 mb-4">登录设备</h3>
+
+            <ul className="divide-y divide-slate-100">
+              {sessions.map((session) => (
+                <li
+                  key={session.id}
+                  className="py-3 first:pt-0 last:pb-0 flex items-center"
+                >
+                  <Smartphone className="w-5 h-5 text-slate-400 shrink-0" />
+                  <div className="ml-3 flex-1 min-w-0">
+                    <div className="text-sm font-medium text-slate-700 truncate">
+                      {session.deviceName || "未知设备"}
+                      {session.current && (
+                        <span className="ml-2 px-2 py-0.5 bg-blue-50 text-blue-600 rounded-full text-[10px]">
+                          当前设备
+                        </span>
+                      )}
+                    </div>
+                    <div className="text-xs text-slate-400 mt-0.5">
+                      最近使用 {new Date(session.lastUsedAt).toLocaleString()}
+                      {session.ip ? ` · ${session.ip}` : ""}
+                    </div>
+                  </div>
+                  {!session.current && (
+                    <button
+                      onClick={() => handleRevokeSession(session)}
+                      disabled={revokingId === session.id}
+                      className="ml-3 px-3 py-1 text-xs text-red-600 border border-red-100 rounded-lg hover:bg-red-50 disabled:opacity-50 transition-colors"
+                    >
+                      下线
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
         {/* Logout Button */}
         <button
           onClick={onLogout}
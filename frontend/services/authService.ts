@@ -1,10 +1,16 @@
-import { NativeApiResponse, User, AuthData } from "../types";
+import {
+  NativeApiResponse,
+  User,
+  AuthData,
+  LoginSession,
+  PasswordPolicy,
+} from "../types";
 
 const API_BASE_URL =
   window.AndroidNative.getApiBaseUrl() || "http://localhost:3000";
 
 // 定义标准响应结构
-interface ApiResponse<T> {
+export interface ApiResponse<T> {
   code: number;
   message: string;
   data?: T;
@@ -16,7 +22,7 @@ interface ApiResponse<T> {
  * @param options fetch配置
  * @param timeout 超时时间 (默认 10秒)
  */
-async function fetchWithTimeout(
+export async function fetchWithTimeout(
   endpoint: string,
   options: RequestInit = {},
   timeout = 10000,
@@ -61,6 +67,14 @@ async function fetchWithTimeout(
   }
 }
 
+/**
+ * 携带当前 Access Token 的请求头 (Token 由原生端保管)
+ */
+export function authHeaders(): Record<string, string> {
+  const token = window.AndroidNative.getAccessToken();
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
 export const authService = {
   /**
    * 登录接口
@@ -95,11 +109,57 @@ export const authService = {
     try {
       const res = await fetchWithTimeout("/api/auth/register", {
         method: "POST",
-        body: JSON.stringify({ username, password, role: "inspector" }),
+        body: JSON.stringify({ username, password }),
       });
       return res;
     } catch (error: any) {
       return { code: 500, message: error.message };
     }
   },
+
+  /**
+   * 获取密码策略 (无需登录)
+   * @route GET /api/auth/password-policy
+   */
+  getPasswordPolicy: async (): Promise<ApiResponse<PasswordPolicy>> => {
+    try {
+      return await fetchWithTimeout("/api/auth/password-policy");
+    } catch (error: any) {
+      return { code: 500, message: error.message };
+    }
+  },
+
+  /**
+   * 获取登录设备列表
+   * @route GET /api/user/:id/sessions
+   */
+  listSessions: async (
+    userId: string,
+  ): Promise<ApiResponse<LoginSession[]>> => {
+    try {
+      return await fetchWithTimeout(`/api/user/${userId}/sessions`, {
+        headers: authHeaders(),
+      });
+    } catch (error: any) {
+      return { code: 500, message: error.message };
+    }
+  },
+
+  /**
+   * 下线指定设备
+   * @route DELETE /api/user/:id/sessions/:sessionId
+   */
+  revokeSession: async (
+    userId: string,
+    sessionId: string,
+  ): Promise<ApiResponse<void>> => {
+    try {
+      return await fetchWithTimeout(
+        `/api/user/${userId}/sessions/${sessionId}`,
+        { method: "DELETE", headers: authHeaders() },
+      );
+    } catch (error: any) {
+      return { code: 500, message: error.message };
+    }
+  },
 };
@@ -0,0 +1,117 @@
+import { DistressSeverity, InspectionTask } from "../types";
+import { ApiResponse, authHeaders, fetchWithTimeout } from "./authService";
+
+// 分段变化类型：恶化 / 好转 / 持平 (任一次巡检在该段没有 IRI 时为 null)
+export type SegmentChange = "deteriorated" | "improved" | "stable";
+
+export const SEGMENT_CHANGE_LABELS: Record<SegmentChange, string> = {
+  deteriorated: "恶化",
+  improved: "好转",
+  stable: "持平",
+};
+
+// 参考线上的一个分段
+export interface CompareSegment {
+  index: number;
+  start: number; // 距参考线起点的里程 (米)
+  end: number;
+  baseIri: number | null;
+  targetIri: number | null;
+  delta: number | null; // targetIri - baseIri
+  change: SegmentChange | null;
+  added: number;
+  disappeared: number;
+  persisting: number;
+}
+
+// 一处病害 (某条记录中的某种病害类型)
+export interface CompareDistress {
+  type: string; // 病害字典 code
+  severity: DistressSeverity | null;
+  recordId: string;
+  taskId: string;
+  captureTime: number;
+  coordinates: [number, number]; // [lng, lat]
+  distanceAlong: number; // 距参考线起点的里程 (米)
+  offset: number; // 偏离参考线的距离 (米)
+}
+
+export interface CompareSummary {
+  segmentCount: number;
+  comparedCount: number;
+  deterioratedCount: number;
+  deterioratedLength: number;
+  improvedCount: number;
+  baseAvgIri: number | null; // 只统计两次巡检都有 IRI 的分段
+  targetAvgIri: number | null;
+  addedCount: number;
+  disappearedCount: number;
+  persistingCount: number;
+}
+
+type TaskBrief = Pick<
+  InspectionTask,
+  "taskId" | "title" | "startTime" | "endTime"
+>;
+
+// POST /api/task/compare 的返回数据
+export interface CompareResult {
+  baseTask: TaskBrief;
+  targetTask: TaskBrief;
+  reference: { source: "line" | "track" | "records" };
+  length: number;
+  segmentLength: number;
+  threshold: number;
+  distressTypes: Record<string, string>; // code -> 名称
+  segments: CompareSegment[];
+  distresses: {
+    added: CompareDistress[];
+    disappeared: CompareDistress[];
+    persisting: {
+      type: string;
+      distance: number;
+      base: CompareDistress;
+      target: CompareDistress;
+    }[];
+  };
+  summary: CompareSummary;
+}
+
+export const compareService = {
+  /**
+   * 对比两次巡检 (baseTaskId 为较早的基准巡检)
+   * @route POST /api/task/compare
+   */
+  compareTasks: async (
+    baseTaskId: string,
+    targetTaskId: string,
+  ): Promise<CompareResult> => {
+    const res: ApiResponse<CompareResult> = await fetchWithTimeout(
+      "/api/task/compare",
+      {
+        method: "POST",
+        headers: authHeaders(),
+        body: JSON.stringify({ baseTaskId, targetTaskId }),
+      },
+      // 对比需加载两次巡检的全部轨迹，耗时比普通接口长
+      30000,
+    );
+    if (res.code !== 200 || !res.data) throw new Error(res.message);
+    return res.data;
+  },
+};
+
+/**
+ * 选择默认的对比对象
+ * 优先取同名路段 (如 "101国道 - A路段") 在当前任务之前的最近一次巡检，没有时取之前的最近一次巡检
+ * @param candidates 已同步到服务器的其他任务
+ */
+export function pickDefaultBaseTask(
+  task: InspectionTask,
+  candidates: InspectionTask[],
+): InspectionTask | null {
+  const earlier = candidates
+    .filter((t) => t.startTime < task.startTime)
+    .sort((a, b) => b.startTime - a.startTime);
+  return earlier.find((t) => t.title === task.title) ?? earlier[0] ?? null;
+}
@@ -0,0 +1,78 @@
+import {
+  DistressEntry,
+  DistressSeverity,
+  DistressType,
+  InspectionRecord,
+} from "../types";
+import { ApiResponse, authHeaders, fetchWithTimeout } from "./authService";
+
+// 严重程度的显示名称
+export const SEVERITY_LABELS: Record<DistressSeverity, string> = {
+  light: "轻",
+  moderate: "中",
+  severe: "重",
+};
+
+// 字典很少变动，一次会话内只请求一次 (失败时下次调用重试)
+let distressTypesPromise: Promise<DistressType[]> | null = null;
+
+export const distressService = {
+  /**
+   * 获取病害字典 (按 sortOrder 排序，含已停用的类型)
+   * @route GET /api/distress-types
+   * @returns 请求失败时返回空数组，记录中的病害按 code 显示
+   */
+  getDistressTypes: (): Promise<DistressType[]> => {
+    if (!distressTypesPromise) {
+      distressTypesPromise = fetchWithTimeout("/api/distress-types", {
+        headers: authHeaders(),
+      })
+        .then((res: ApiResponse<DistressType[]>) => {
+          if (res.code !== 200 || !res.data) throw new Error(res.message);
+          return res.data;
+        })
+        .catch((error: any) => {
+          console.warn("⚠️ 获取病害字典失败:", error.message);
+          distressTypesPromise = null;
+          return [];
+        });
+    }
+    return distressTypesPromise;
+  },
+};
+
+/**
+ * 生成病害字典的 code -> 名称映射
+ */
+export function toDistressNames(types: DistressType[]): Record<string, string> {
+  return Object.fromEntries(types.map((t) => [t.code, t.name]));
+}
+
+/**
+ * 格式化单个病害条目，如 "坑槽·重"
+ */
+export function formatDistressEntry(
+  entry: DistressEntry,
+  names: Record<string, string>,
+): string {
+  const name = names[entry.type] || entry.type;
+  return entry.severity ? `${name}·${SEVERITY_LABELS[entry.severity]}` : name;
+}
+
+/**
+ * 取记录的病害显示文本
+ * 优先使用结构化条目；否则兼容旧版 pavementDistress (数组或逗号分隔的字符串)
+ */
+export function getDistressLabels(
+  record: InspectionRecord,
+  names: Record<string, string>,
+): string[] {
+  if (record.distresses && record.distresses.length > 0) {
+    return record.distresses.map((d) => formatDistressEntry(d, names));
+  }
+  const legacy = record.pavementDistress;
+  if (!legacy) return [];
+  return (Array.isArray(legacy) ? legacy : legacy.split(/[,，、]/))
+    .map((label) => label.trim())
+    .filter(Boolean);
+}
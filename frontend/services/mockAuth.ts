@@ -5,7 +5,7 @@ interface DbUser {
     id: string;
     username: string;
     hashedPassword: string; // In mock, we just prefix it, but act like it's hashed
-    role: 'admin' | 'inspector';
+    role: User['role'];
     deletedAt: number | null;
 }
 
@@ -1,4 +1,4 @@
-import { InspectionTask, InspectionRecord, NativeApiResponse } from '../types';
+import { InspectionTask, InspectionRecord, NativeApiResponse, DistressEntry, DistressSeverity, DistressType } from '../types';
 
 // --- Internal Mock Data Generation Logic ---
 
@@ -33,7 +33,31 @@ let MOCK_TASKS_DB: InspectionTask[] = [
   },
 ];
 
-const DISTRESS_TYPES = ['坑槽', '龟裂', '车辙', '纵向裂缝', '沉陷', '松散', '泛油'];
+// 与后端内置病害字典一致 (正式环境以 GET /api/distress-types 为准)
+export const MOCK_DISTRESS_TYPES: DistressType[] = [
+  { code: 'pothole', name: '坑槽', aliases: [], unit: 'm2', description: null, sortOrder: 10, active: true },
+  { code: 'alligator_crack', name: '龟裂', aliases: ['网裂'], unit: 'm2', description: null, sortOrder: 20, active: true },
+  { code: 'rutting', name: '车辙', aliases: [], unit: 'm', description: null, sortOrder: 30, active: true },
+  { code: 'longitudinal_crack', name: '纵向裂缝', aliases: ['纵缝'], unit: 'm', description: null, sortOrder: 40, active: true },
+  { code: 'subsidence', name: '沉陷', aliases: [], unit: 'm2', description: null, sortOrder: 50, active: true },
+  { code: 'raveling', name: '松散', aliases: [], unit: 'm2', description: null, sortOrder: 60, active: true },
+  { code: 'bleeding', name: '泛油', aliases: [], unit: 'm2', description: null, sortOrder: 70, active: true },
+  { code: 'other', name: '其他', aliases: [], unit: 'count', description: null, sortOrder: 999, active: true },
+];
+
+const MOCK_SEVERITIES: DistressSeverity[] = ['light', 'moderate', 'severe'];
+
+// Helper to generate a structured distress entry
+const mockDistressEntry = (type: DistressType): DistressEntry => ({
+  type: type.code,
+  severity: MOCK_SEVERITIES[Math.floor(Math.random() * MOCK_SEVERITIES.length)],
+  extent: parseFloat((Math.random() * 5).toFixed(1)),
+  unit: type.unit,
+  bbox: null,
+  source: 'manual',
+  confidence: null,
+  note: null,
+});
 
 // Store records in memory to persist them during session
 let MOCK_RECORDS_DB: Record<string, InspectionRecord[]> = {};
@@ -51,11 +75,11 @@ const generateRecordsForTaskInternal = (taskId: string): InspectionRecord[] => {
 
   for (let i = 0; i < count; i++) {
     const isDistressed = Math.random() > 0.5;
-    let currentDistresses: string[] = [];
+    let currentDistresses: DistressType[] = [];
     
     if (isDistressed) {
         const numDistresses = Math.floor(Math.random() * 2) + 1;
-        const shuffled = [...DISTRESS_TYPES].sort(() => 0.5 - Math.random());
+        const shuffled = MOCK_DISTRESS_TYPES.filter(t => t.code !== 'other').sort(() => 0.5 - Math.random());
         currentDistresses = shuffled.slice(0, numDistresses);
     }
 
@@ -70,9 +94,18 @@ const generateRecordsForTaskInternal = (taskId: string): InspectionRecord[] => {
       captureTime: Date.now() - (count - i) * 60000,
       latitude: baseLat + (i * 0.001),
       longitude: baseLng + (i * 0.0005),
-      address: `K${10 + i} + 200`,
+      address: '成都市武侯区天府大道',
+      road: {
+        roadId: 'mock-road-g101',
+        code: 'G101',
+        sectionId: null,
+        chainage: (10 + i) * 1000 + 200,
+        stake: `K${10 + i}+200`,
+        offset: 3.5,
+      },
       iri: parseFloat(iri.toFixed(2)),
-      pavementDistress: currentDistresses,
+      pavementDistress: currentDistresses.map(t => t.name),
+      distresses: currentDistresses.map(mockDistressEntry),
     });
   }
   
@@ -112,7 +145,8 @@ const simulateServerUpdate = (userId: string, taskId?: string) => {
             longitude: -118.2437,
             address: '新增监测点',
             iri: 3.5,
-            pavementDistress: ['新增龟裂']
+            pavementDistress: ['龟裂'],
+            distresses: [mockDistressEntry(MOCK_DISTRESS_TYPES[1])]
         };
         records.push(newRecord); // Add to end (chronological) or Handle sort in UI
         MOCK_RECORDS_DB[taskId] = records;
@@ -214,6 +248,18 @@ export const setupMockAndroidBridge = () => {
         }
       },
 
+      // 模拟前端触发 loadMoreTasks(userId)：Mock 数据一次即全量返回，直接告知没有更多
+      loadMoreTasks: (userId: string) => {
+        console.log(`📱 [MockAndroid] Received loadMoreTasks("${userId}") command.`);
+        if (window.onTaskPageLoaded) {
+            window.onTaskPageLoaded({
+                code: 200,
+                msg: "没有更多任务",
+                data: { total: MOCK_TASKS_DB.length, hasMore: false }
+            });
+        }
+      },
+
       // 模拟前端触发 fetchRecords(taskId)
       fetchRecords: async (taskId: string) => {
         console.log(`📱 [MockAndroid] Received fetchRecords("${taskId}") command.`);
@@ -258,6 +304,11 @@ export const setupMockAndroidBridge = () => {
                 });
             }
         }
+      },
+
+      // 模拟前端触发 retryRejectedRecords(taskId)：Mock 数据没有被拒绝的记录
+      retryRejectedRecords: (taskId: string) => {
+        console.log(`📱 [MockAndroid] Received retryRejectedRecords("${taskId}") command.`);
       }
     };
   }
@@ -0,0 +1,219 @@
+import {
+  DistressEntry,
+  InspectionRecord,
+  RecordReview,
+  RecordRoadMatch,
+  ReviewStatus,
+  User,
+} from "../types";
+import { ApiResponse, authHeaders, fetchWithTimeout } from "./authService";
+
+// 审核状态的显示名称
+export const REVIEW_STATUS_LABELS: Record<ReviewStatus, string> = {
+  pending: "待审核",
+  confirmed: "已确认",
+  rejected: "已驳回",
+  corrected: "已修正",
+};
+
+// 服务端记录中与审核相关的字段
+export interface ReviewedRecord {
+  recordId: string;
+  distresses: DistressEntry[];
+  review?: RecordReview;
+}
+
+// 提交审核结论 (修正时提交完整的病害条目，type 为字典 code)
+export interface ReviewDecision {
+  status: Exclude<ReviewStatus, "pending">;
+  distresses?: DistressEntry[];
+  comment?: string;
+}
+
+interface ReviewQueuePage extends ApiResponse<ReviewedRecord[]> {
+  nextCursor?: string | null;
+}
+
+// 审核队列中的完整记录 (signUrls=true 时附带签名照片地址)
+export interface QueueRecord extends ReviewedRecord {
+  taskId: string;
+  serverUrl: string;
+  captureTime: number;
+  address?: string | null;
+  location: { coordinates: [number, number] }; // [lng, lat]
+  iri: number | null;
+  road?: RecordRoadMatch | null;
+  photo?: { url: string; thumbnails: Record<string, string> } | null;
+}
+
+// 队列记录所属任务的摘要
+export interface QueueTask {
+  taskId: string;
+  title: string;
+  inspectorId: string;
+  startTime: number;
+}
+
+// 审核队列过滤条件
+export interface ReviewQueueFilter {
+  status?: "pending" | "all";
+  taskId?: string;
+  bbox?: [number, number, number, number]; // [minLng, minLat, maxLng, maxLat]
+}
+
+export interface ReviewQueueResult {
+  records: QueueRecord[];
+  tasks: QueueTask[];
+  total: number;
+  nextCursor: string | null;
+}
+
+interface ReviewQueueResponse extends ReviewQueuePage {
+  data?: QueueRecord[];
+  tasks?: QueueTask[];
+  total?: number;
+}
+
+// 队列每页条数
+const QUEUE_PAGE_LIMIT = 20;
+
+/**
+ * 将队列记录转换为列表项使用的 InspectionRecord
+ */
+export function toInspectionRecord(record: QueueRecord): InspectionRecord {
+  const [longitude, latitude] = record.location.coordinates;
+  return {
+    id: record.captureTime,
+    recordId: record.recordId,
+    taskId: record.taskId,
+    localPath: "",
+    serverUrl: record.serverUrl,
+    photoUrl: record.photo?.url ?? null,
+    thumbnailUrl: record.photo?.thumbnails.thumb ?? null,
+    syncStatus: 0,
+    captureTime: record.captureTime,
+    latitude,
+    longitude,
+    address: record.address ?? null,
+    iri: record.iri ?? 0,
+    pavementDistress: null,
+    distresses: record.distresses,
+    review: record.review,
+    road: record.road ?? null,
+  };
+}
+
+// 单页条数 (后端上限 100)
+const PAGE_LIMIT = 100;
+
+/**
+ * 是否可以审核记录 (管理员与审核员)
+ */
+export function canReview(user: User | null | undefined): boolean {
+  return user?.role === "admin" || user?.role === "reviewer";
+}
+
+export const reviewService = {
+  /**
+   * 获取任务下全部记录的审核状态 (逐页拉取)
+   * @route GET /api/review/queue?taskId=&status=all
+   * @returns recordId -> 服务端记录
+   */
+  getTaskReviews: async (
+    taskId: string,
+  ): Promise<Record<string, ReviewedRecord>> => {
+    const result: Record<string, ReviewedRecord> = {};
+    let cursor: string | null | undefined = null;
+    do {
+      const query = new URLSearchParams({
+        taskId,
+        status: "all",
+        limit: String(PAGE_LIMIT),
+      });
+      if (cursor) query.set("cursor", cursor);
+
+      const res: ReviewQueuePage = await fetchWithTimeout(
+        `/api/review/queue?${query}`,
+        { headers: authHeaders() },
+      );
+      if (res.code !== 200 || !res.data) throw new Error(res.message);
+
+      res.data.forEach((r) => (result[r.recordId] = r));
+      cursor = res.nextCursor;
+    } while (cursor);
+    return result;
+  },
+
+  /**
+   * 获取一页审核队列 (按拍摄时间正序)
+   * @route GET /api/review/queue
+   */
+  getQueue: async (
+    filter: ReviewQueueFilter,
+    cursor?: string | null,
+  ): Promise<ReviewQueueResult> => {
+    const query = new URLSearchParams({
+      status: filter.status ?? "pending",
+      limit: String(QUEUE_PAGE_LIMIT),
+      signUrls: "true",
+    });
+    if (filter.taskId) query.set("taskId", filter.taskId);
+    if (filter.bbox) query.set("bbox", filter.bbox.join(","));
+    if (cursor) query.set("cursor", cursor);
+
+    const res: ReviewQueueResponse = await fetchWithTimeout(
+      `/api/review/queue?${query}`,
+      { headers: authHeaders() },
+    );
+    if (res.code !== 200 || !res.data) throw new Error(res.message);
+    return {
+      records: res.data,
+      tasks: res.tasks ?? [],
+      total: res.total ?? res.data.length,
+      nextCursor: res.nextCursor ?? null,
+    };
+  },
+
+  /**
+   * 获取某个巡检员最近的任务 (审核员按任务过滤队列时使用)
+   * @route GET /api/task/list?userId=
+   */
+  getInspectorTasks: async (inspectorId: string): Promise<QueueTask[]> => {
+    const query = new URLSearchParams({
+      userId: inspectorId,
+      limit: String(PAGE_LIMIT),
+    });
+    const res: ApiResponse<QueueTask[]> = await fetchWithTimeout(
+      `/api/task/list?${query}`,
+      { headers: authHeaders() },
+    );
+    if (res.code !== 200 || !res.data) throw new Error(res.message);
+    return res.data.map(({ taskId, title, inspectorId, startTime }) => ({
+      taskId,
+      title,
+      inspectorId,
+      startTime,
+    }));
+  },
+
+  /**
+   * 提交审核结论
+   * @route POST /api/record/:recordId/review
+   * @returns 更新后的服务端记录
+   */
+  submitReview: async (
+    recordId: string,
+    decision: ReviewDecision,
+  ): Promise<ReviewedRecord> => {
+    const res: ApiResponse<ReviewedRecord> = await fetchWithTimeout(
+      `/api/record/${encodeURIComponent(recordId)}/review`,
+      {
+        method: "POST",
+        headers: authHeaders(),
+        body: JSON.stringify(decision),
+      },
+    );
+    if (res.code !== 200 || !res.data) throw new Error(res.message);
+    return res.data;
+  },
+};
@@ -8,26 +8,91 @@ export interface InspectionTask {
   inspectorId: string;
   isFinished: boolean;
   syncState: number; // 0 = Local Only, 1 = Synced (Active), 2 = Finalized
+  // 计划巡检的道路 / 路段 (服务端 Task.roadId / sectionId)
+  roadId?: string | null;
+  sectionId?: string | null;
 }
 
 export interface InspectionRecord {
   id: number;
+  // 记录 UUID (原生端 Room 主键，与服务端 Record.recordId 一致)
+  recordId?: string;
   taskId: string;
   localPath: string;
   serverUrl: string | null;
-  syncStatus: number; // 0 = Synced, 1 = Pending
+  // Bucket 私有时由原生层附带的签名访问地址 (会过期，不落库)
+  photoUrl?: string | null;
+  thumbnailUrl?: string | null;
+  syncStatus: number; // 0 = Synced, 1 = Pending, 3 = 被服务器拒绝 (需重新上传)
   captureTime: number;
   latitude: number;
   longitude: number;
   address: string | null;
   iri: number; // International Roughness Index
-  pavementDistress: string[]; // Changed to array to support multiple distresses
+  // 旧版病害名称：原生端 Room 中存为逗号分隔的字符串 (如 "坑槽,龟裂")，显示前用 getDistressLabels 统一处理
+  pavementDistress: string[] | string | null;
+  // 结构化病害条目 (服务端 Record.distresses)，存在时优先于 pavementDistress
+  distresses?: DistressEntry[];
+  // 审核状态 (服务端 Record.review)，仅审核员从服务端拉取后存在
+  review?: RecordReview;
+  // 道路匹配结果 (服务端 Record.road)，未匹配到道路时为 null
+  road?: RecordRoadMatch | null;
+}
+
+// 记录所在的道路与桩号，对应后端 Record.road
+export interface RecordRoadMatch {
+  roadId: string;
+  code: string; // 路线编号，如 G101
+  sectionId: string | null;
+  chainage: number; // 桩号 (米)
+  stake: string; // 桩号文本，如 K12+340
+  offset: number; // 偏离中心线的距离 (米)
+}
+
+// 审核状态：待审核 / 已确认 / 已驳回 / 已修正
+export type ReviewStatus = "pending" | "confirmed" | "rejected" | "corrected";
+
+// 记录的审核信息，对应后端 Record.review
+export interface RecordReview {
+  status: ReviewStatus;
+  reviewerId: string | null;
+  reviewerName: string | null;
+  reviewedAt: string | null; // ISO 8601
+  comment: string | null;
+  originalDistresses?: DistressEntry[]; // 首次修正前巡检员提交的条目
+}
+
+// 病害严重程度 (轻 / 中 / 重)
+export type DistressSeverity = "light" | "moderate" | "severe";
+
+// 单个病害条目，对应后端 Record.distresses 的元素
+export interface DistressEntry {
+  type: string; // 病害字典 code，如 pothole
+  severity: DistressSeverity | null;
+  extent: number | null; // 估算范围，单位见 unit
+  unit: "m2" | "m" | "count" | null;
+  // 照片中的标注框 (相对宽高的比例 0~1，原点为左上角)
+  bbox: { x: number; y: number; width: number; height: number } | null;
+  source: "manual" | "ai";
+  confidence: number | null; // source 为 ai 时的置信度
+  note: string | null;
+}
+
+// 病害字典条目 (GET /api/distress-types)
+export interface DistressType {
+  code: string;
+  name: string;
+  aliases: string[];
+  unit: "m2" | "m" | "count";
+  description: string | null;
+  sortOrder: number;
+  active: boolean; // 停用的类型不再作为选项，但历史记录仍需显示其名称
 }
 
 export interface User {
   id: string;
   username: string;
-  role: "admin" | "inspector";
+  role: "admin" | "inspector" | "reviewer";
 }
 
 export interface AuthData extends User {
@@ -35,13 +100,40 @@ export interface AuthData extends User {
   refreshToken: string;
 }
 
+// 登录设备 (后端 Session)，对应 GET /api/user/:id/sessions
+export interface LoginSession {
+  id: string;
+  deviceName: string | null; // 从 User-Agent 解析，无法识别时为 null
+  userAgent: string | null;
+  ip: string | null;
+  createdAt: string; // ISO 8601
+  lastUsedAt: string;
+  expiresAt: string;
+  current: boolean; // 是否为当前设备
+}
+
+// 密码策略 (GET /api/auth/password-policy)
+export interface PasswordPolicy {
+  minLength: number;
+  maxLength: number;
+  requiredClasses: string[]; // lower / upper / letter / digit / symbol
+  description: string; // 如 "8~72 位，须包含字母、数字"
+}
+
 // Native Response Wrapper
 export interface NativeApiResponse<T> {
   code: number;
   msg: string;
+  message?: string; // 原生端 ApiResponse 序列化后的字段名
   data: T;
 }
 
+// 任务列表分页状态 (由原生端在每次拉取一页后回传)
+export interface TaskPageInfo {
+  total: number; // 服务器上符合条件的任务总数
+  hasMore: boolean; // 服务器上是否还有更早的任务未拉取
+}
+
 // Global Window Interface for Android Bridge
 declare global {
   interface Window {
@@ -49,11 +141,13 @@ declare global {
     AndroidNative: {
       /**
        * 触发更新个人资料
+       * @param currentPassword 当前密码，修改密码时必填
        */
       updateProfile(
         userId: string,
         newUsername: string | null,
         newPassword: string | null,
+        currentPassword: string | null,
       ): void;
 
       /**
@@ -63,12 +157,24 @@ declare global {
        */
       fetchTasks(userId: string): void;
 
+      /**
+       * 触发加载下一页任务 (滚动到底部时调用)
+       * 原生端写入本地库后会通过 onTasksReceived 推送完整列表，并调用 window.onTaskPageLoaded
+       */
+      loadMoreTasks(userId: string): void;
+
       /**
        * 触发获取指定任务的记录
        * 原生端处理完毕后会调用 window.onRecordsReceived
        */
       fetchRecords(taskId: string): void;
 
+      /**
+       * 将任务下被服务器拒绝的记录重新放回上传队列
+       * 状态变化会通过 window.onRecordsReceived 推送
+       */
+      retryRejectedRecords(taskId: string): void;
+
       /**
        * 触发原生端加载巡检页面
        * @param url 巡检页面路径及路径参数
@@ -115,6 +221,11 @@ declare global {
      */
     onTasksReceived?: (response: NativeApiResponse<InspectionTask[]>) => void;
 
+    /**
+     * 原生端回传任务分页状态 (首页同步与每次加载更多完成后)
+     */
+    onTaskPageLoaded?: (response: NativeApiResponse<TaskPageInfo>) => void;
+
     /**
      * 原生端回传巡检记录数据
      */
@@ -136,4 +247,6 @@ export enum ViewState {
   LIST = "LIST",
   DETAIL = "DETAIL",
   USER_CENTER = "USER_CENTER",
+  COMPARE = "COMPARE",
+  REVIEW_QUEUE = "REVIEW_QUEUE",
 }